@@ -31,13 +31,18 @@ app.use(helmet({
 const corsOptions = {
   origin: (process.env.CORS_ORIGINS || 'http://localhost:3000').split(','),
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Guest-Token'],
+  exposedHeaders: ['Idempotent-Replayed'],
   credentials: true
 };
 
 app.use(cors(corsOptions));
 
 // 2. Body Parsing Middlewares (must come before sanitization)
+// Messages carry base64 attachments, so they get a larger limit than the rest of the API
+app.use('/api/messages', express.json({ limit: process.env.MESSAGE_BODY_LIMIT || '10mb' }));
+// Webhook signatures are computed over the exact bytes sent, so those bodies stay raw
+app.use('/api/payment/webhooks', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
@@ -57,7 +62,7 @@ app.use(cookieParser(process.env.COOKIE_SECRET));
 app.use((req, res, next) => {
   // Custom sanitizer that won't modify read-only properties
   try {
-    if (req.body) sanitize(req.body);
+    if (req.body && !Buffer.isBuffer(req.body)) sanitize(req.body);
     if (req.query) sanitize(req.query);
     next();
   } catch (err) {
@@ -106,6 +111,15 @@ try {
   app.use('/api/returnRequest', require('./modules/returnRequest/routes'));
   app.use('/api/userActivities', require('./modules/userActivities/routes'));
   app.use('/api/orders', require('./modules/orders/routes'));
+  app.use('/api/tax', require('./modules/tax/routes'));
+  app.use('/api/shipping', require('./modules/shipping/routes'));
+  app.use('/api/currency', require('./modules/currency/routes'));
+  app.use('/api/payouts', require('./modules/payouts/routes'));
+  app.use('/api/subscriptions', require('./modules/subscriptions/routes'));
+  app.use('/api/wallet', require('./modules/wallet/routes'));
+  app.use('/api/messages', require('./modules/messages/routes'));
+  app.use('/api/guest', require('./modules/guest/routes'));
+  app.use('/api/payment', require('./modules/payment/routes'));
 } catch (err) {
   logger.error('Critical error loading routes:', err);
   process.exit(1);
@@ -0,0 +1,27 @@
+const GuestCart = require('../../models/GuestCart');
+const logger = require('../../services/logger');
+
+/**
+ * Resolve the X-Guest-Token header into req.guestCart. Requests without a
+ * token, or with one whose cart has expired, get 401 GUEST_CART_NOT_FOUND.
+ * Mount before idempotency: keys are scoped per guest cart.
+ * @returns {Function} Express middleware
+ */
+const guestCart = () => {
+  return async (req, res, next) => {
+    try {
+      const cart = await GuestCart.findByToken(req.get('X-Guest-Token'));
+      if (!cart) {
+        return res.status(401).json({ error: 'Guest cart not found or expired', code: 'GUEST_CART_NOT_FOUND' });
+      }
+
+      req.guestCart = cart;
+      next();
+    } catch (err) {
+      logger.error(`Guest cart lookup failed: ${err.message}`);
+      res.status(500).json({ error: 'Failed to load guest cart' });
+    }
+  };
+};
+
+module.exports = { guestCart };
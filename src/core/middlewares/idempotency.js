@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const redis = require('../../lib/redis');
+const logger = require('../../services/logger');
+
+const KEY_PREFIX = 'idempotency';
+const MAX_KEY_LENGTH = 255;
+
+// How long a request may hold a key before a retry is allowed to run it again.
+// Long enough for a checkout that waits on the payment provider.
+const LOCK_SECONDS = 5 * 60;
+
+const getTtlSeconds = () => parseInt(process.env.IDEMPOTENCY_TTL, 10) || 24 * 60 * 60;
+
+// KEYS: record key
+// ARGV: processing record, lock ttl (s)
+// Returns the stored record, or nil when the key was free and is now held
+const CLAIM_SCRIPT = `
+local existing = redis.call('GET', KEYS[1])
+if existing then
+  return existing
+end
+redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+return false
+`;
+
+function idempotencyError(res, status, error, code) {
+  return res.status(status).json({ error, code });
+}
+
+// Same key, same caller, same request: method, URL and body must all match
+function fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+    .digest('hex');
+}
+
+/**
+ * Make a POST or PUT route safe to retry. When the client sends an
+ * Idempotency-Key header, the first response is stored and returned as-is
+ * for every retry with the same key, so a retried checkout cannot charge twice.
+ * Requests without the header are passed through unchanged.
+ *
+ * - A retry while the first request is still running gets 409 IDEMPOTENCY_IN_PROGRESS
+ * - A key reused with a different method, URL or body gets 409 IDEMPOTENCY_KEY_MISMATCH
+ * - Server errors (5xx) are not stored, so the request can be retried with the same key
+ *
+ * Mount after authenticate (or guestCart): keys are scoped per user or guest cart.
+ * @returns {Function} Express middleware
+ */
+const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined || !['POST', 'PUT'].includes(req.method)) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+      return idempotencyError(res, 400, `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters`, 'INVALID_IDEMPOTENCY_KEY');
+    }
+
+    const owner = req.user?._id
+      ? req.user._id.toString()
+      : req.guestCart ? `guest-${req.guestCart._id}` : 'anonymous';
+    const recordKey = `${KEY_PREFIX}:${owner}:${key}`;
+    const hash = fingerprint(req);
+
+    let stored;
+    try {
+      stored = await redis.eval(
+        CLAIM_SCRIPT,
+        [recordKey],
+        [JSON.stringify({ status: 'processing', fingerprint: hash }), LOCK_SECONDS]
+      );
+    } catch (err) {
+      logger.error(`Idempotency key lookup failed: ${err.message}`);
+      return idempotencyError(res, 503, 'Idempotency keys are temporarily unavailable, retry shortly', 'IDEMPOTENCY_UNAVAILABLE');
+    }
+
+    if (stored) {
+      const record = JSON.parse(stored);
+      if (record.fingerprint !== hash) {
+        return idempotencyError(res, 409, 'Idempotency-Key was already used for a different request', 'IDEMPOTENCY_KEY_MISMATCH');
+      }
+      if (record.status === 'processing') {
+        return idempotencyError(res, 409, 'A request with this Idempotency-Key is still being processed', 'IDEMPOTENCY_IN_PROGRESS');
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.body);
+    }
+
+    let captured = false;
+    const json = res.json.bind(res);
+    res.json = body => {
+      captured = true;
+      const save = res.statusCode >= 500
+        ? redis.del(recordKey)
+        : redis.set(recordKey, {
+          status: 'completed',
+          fingerprint: hash,
+          statusCode: res.statusCode,
+          body
+        }, { EX: getTtlSeconds() });
+
+      save.catch(err => {
+        logger.error(`Failed to store idempotent response for key ${key}: ${err.message}`);
+      });
+      return json(body);
+    };
+
+    // Responses that are not JSON cannot be replayed, free the key again
+    res.on('finish', () => {
+      if (captured) return;
+      redis.del(recordKey).catch(err => {
+        logger.error(`Failed to release idempotency key ${key}: ${err.message}`);
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency
+};
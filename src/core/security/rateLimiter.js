@@ -7,6 +7,8 @@ const apiLimiter = rateLimit({
   max: 100, // Max requests per window
   standardHeaders: true,
   legacyHeaders: false,
+  // Provider webhooks come in bursts from a few addresses and are retried on failure
+  skip: (req) => req.originalUrl.startsWith('/api/payment/webhooks/'),
   store: new RedisStore({
     sendCommand: (...args) => redisClient.call(...args), // Correct way to use ioredis
   }),
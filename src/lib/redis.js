@@ -107,6 +107,20 @@ class RedisClient {
     }
   }
   
+  async eval(script, keys = [], args = []) {
+    try {
+      await this.connect();
+
+      return await this.client.eval(script, {
+        keys,
+        arguments: args.map(arg => arg.toString())
+      });
+    } catch (err) {
+      logger.error(`Redis eval failed: ${err.message}`);
+      throw err;
+    }
+  }
+
   async exists(key) {
     try {
       await this.connect();
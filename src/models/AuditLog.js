@@ -23,9 +23,10 @@ const auditLogSchema = new Schema({
     trim: true,
     lowercase: true
   },
+  // Jobs that run without a request (source system) have no client to record
   ip: {
     type: String,
-    required: [true, 'IP address is required'],
+    required: [function() { return this.source !== 'system'; }, 'IP address is required'],
     validate: {
       validator: function(v) {
         // Validate IPv4, IPv6, and localhost variants
@@ -36,7 +37,7 @@ const auditLogSchema = new Schema({
   },
   userAgent: {
     type: String,
-    required: [true, 'User agent is required'],
+    required: [function() { return this.source !== 'system'; }, 'User agent is required'],
     maxlength: [512, 'User agent cannot exceed 512 characters']
   },
   metadata: {
@@ -57,6 +57,14 @@ const categorySchema = new Schema({
     default: 0,
     min: 0
   },
+  taxClass: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Tax class may only contain letters, digits, hyphens and underscores'],
+    maxlength: [30, 'Tax class cannot exceed 30 characters'],
+    default: 'standard'
+  },
   seo: {
     metaTitle: {
       type: String,
@@ -139,6 +147,7 @@ categorySchema.statics = {
       image: data.image || undefined,
       isActive: data.isActive,
       displayOrder: data.displayOrder,
+      taxClass: data.taxClass,
       seo: data.seo || undefined,
       attributes: data.attributes || []
     });
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const commissionRuleSchema = new Schema({
+  // A seller rule beats a category rule; neither falls back to DEFAULT_COMMISSION_RATE
+  scope: {
+    type: String,
+    enum: ['seller', 'category'],
+    required: [true, 'Scope is required']
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    validate: {
+      validator: function(v) {
+        return this.scope === 'seller' ? !!v : !v;
+      },
+      message: 'Seller is required for seller rules and not allowed for category rules'
+    }
+  },
+  category: {
+    type: Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    validate: {
+      validator: function(v) {
+        return this.scope === 'category' ? !!v : !v;
+      },
+      message: 'Category is required for category rules and not allowed for seller rules'
+    }
+  },
+  // Percentage of the line amount kept by the marketplace
+  rate: {
+    type: Number,
+    required: [true, 'Commission rate is required'],
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100']
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [255, 'Note cannot exceed 255 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ seller: 1 }, { unique: true, partialFilterExpression: { scope: 'seller' } });
+commissionRuleSchema.index({ category: 1 }, { unique: true, partialFilterExpression: { scope: 'category' } });
+
+commissionRuleSchema.statics = {
+  /**
+   * Active rules keyed by seller and by category
+   * @returns {Promise<Object>} { sellers: Map<id, rate>, categories: Map<id, rate> }
+   */
+  async getRuleTable() {
+    const rules = await this.find({ isActive: true })
+      .select('scope seller category rate')
+      .lean();
+
+    const table = { sellers: new Map(), categories: new Map() };
+    for (const rule of rules) {
+      if (rule.scope === 'seller') table.sellers.set(rule.seller.toString(), rule.rate);
+      else table.categories.set(rule.category.toString(), rule.rate);
+    }
+    return table;
+  },
+
+  /**
+   * Paginated rule listing for admins
+   * @param {Object} filter - Mongo filter
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { rules, total, page, pages }
+   */
+  async findRules(filter = {}, page = 1, limit = 20) {
+    const [rules, total] = await Promise.all([
+      this.find(filter)
+        .sort({ scope: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('seller', 'username email')
+        .populate('category', 'name')
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { rules, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('CommissionRule', commissionRuleSchema);
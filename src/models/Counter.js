@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One document per named sequence, e.g. "order:2026" or "invoice:2026"
+const counterSchema = new Schema({
+  _id: {
+    type: String,
+    required: [true, 'Sequence name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+counterSchema.statics = {
+  /**
+   * Atomically increment a sequence and return the new value.
+   * Run inside a transaction to keep the sequence gap-free: if the
+   * transaction aborts, the increment is rolled back with it.
+   * @param {string} name - Sequence name
+   * @param {Object} [options] - Query options
+   * @param {ClientSession} [options.session] - MongoDB session for transactional writes
+   * @returns {Promise<number>} The next value (starting at 1)
+   */
+  async next(name, options = {}) {
+    const counter = await this.findOneAndUpdate(
+      { _id: name },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session: options.session }
+    );
+    return counter.seq;
+  },
+
+  /**
+   * Read the last value handed out without incrementing
+   * @param {string} name - Sequence name
+   * @returns {Promise<number>} Last value, 0 if the sequence is unused
+   */
+  async current(name) {
+    const counter = await this.findById(name).lean();
+    return counter ? counter.seq : 0;
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const exchangeRateSchema = new Schema({
+  currency: {
+    type: String,
+    required: [true, 'Currency is required'],
+    uppercase: true,
+    trim: true,
+    unique: true,
+    enum: {
+      values: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY'],
+      message: 'Unsupported currency: {VALUE}'
+    }
+  },
+  // Units of this currency per one unit of the base currency (BASE_CURRENCY)
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be positive']
+  },
+  // Rounding rule for converted amounts, e.g. 0 decimals for JPY
+  decimals: {
+    type: Number,
+    min: [0, 'Decimals cannot be negative'],
+    max: [4, 'Decimals cannot exceed 4'],
+    required: [true, 'Decimals are required']
+  },
+  rounding: {
+    type: String,
+    enum: ['nearest', 'up', 'down'],
+    default: 'nearest'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.statics = {
+  /**
+   * Active rates keyed by currency
+   * @returns {Promise<Map<string, Object>>} { rate, decimals, rounding } per currency
+   */
+  async getRateTable() {
+    const rates = await this.find({ isActive: true })
+      .select('currency rate decimals rounding')
+      .lean();
+
+    return new Map(rates.map(rate => [rate.currency, {
+      rate: rate.rate,
+      decimals: rate.decimals,
+      rounding: rate.rounding
+    }]));
+  },
+
+  /**
+   * Paginated rate listing for admins
+   * @param {Object} filter - Mongo filter
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { rates, total, page, pages }
+   */
+  async findRates(filter = {}, page = 1, limit = 20) {
+    const [rates, total] = await Promise.all([
+      this.find(filter)
+        .sort({ currency: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { rates, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { Schema } = mongoose;
+const { createSecureHash } = require('../core/utilities/crypto');
+const { getBaseCurrency, getMinorUnits, roundAmount } = require('../modules/currency/service');
+
+// No 0/O or 1/I/L, so codes read out over the phone survive
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 4;
+const CODE_GROUP_LENGTH = 4;
+
+function generateCode() {
+  const groups = [];
+  for (let g = 0; g < CODE_GROUPS; g++) {
+    let group = '';
+    for (let i = 0; i < CODE_GROUP_LENGTH; i++) {
+      group += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(group);
+  }
+  return groups.join('-');
+}
+
+// Dashes and spaces are ignored, so "abcd efgh..." matches "ABCD-EFGH-..."
+const normalizeCode = code => String(code || '').replace(/[^0-9a-z]/gi, '').toUpperCase();
+const hashCode = code => createSecureHash(normalizeCode(code));
+
+// Only a hash of the code is stored; the plain code is returned once when the
+// card is issued. Redeeming a card moves its amount into the customer's wallet.
+const giftCardSchema = new Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  last4: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be positive']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: [true, 'Currency is required']
+  },
+  status: {
+    type: String,
+    enum: ['active', 'redeemed', 'disabled'],
+    default: 'active'
+  },
+  // Also the expiry of the wallet credit once redeemed
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  recipientEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: [255, 'Note cannot exceed 255 characters']
+  },
+  issuedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  redeemedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  redeemedAt: {
+    type: Date,
+    default: null
+  },
+  walletTransaction: {
+    type: Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ status: 1, createdAt: -1 });
+giftCardSchema.index({ redeemedBy: 1 });
+
+function giftCardError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+giftCardSchema.statics = {
+  /**
+   * Issue a gift card with a new random code
+   * @param {Object} data - { amount, expiresAt, recipientEmail, note }
+   * @param {ObjectId} issuedBy - Admin user ID
+   * @returns {Promise<Object>} { giftCard, code } - the code is not stored and cannot be shown again
+   */
+  async issue({ amount, expiresAt = null, recipientEmail = null, note }, issuedBy) {
+    const currency = getBaseCurrency();
+
+    // A collision on 16 random characters is practically impossible, but the unique index decides
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const code = generateCode();
+      try {
+        const giftCard = await this.create({
+          codeHash: hashCode(code),
+          last4: code.slice(-4),
+          amount: roundAmount(amount, { decimals: getMinorUnits(currency) }),
+          currency,
+          expiresAt,
+          recipientEmail,
+          note,
+          issuedBy
+        });
+        return { giftCard, code };
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 2) throw error;
+      }
+    }
+  },
+
+  /**
+   * Redeem a gift card into the customer's wallet. The card is claimed and
+   * the wallet credited in one transaction, so a card is only ever redeemed once.
+   * @param {string} code - Gift card code as entered by the customer
+   * @param {ObjectId} userId - Customer ID
+   * @returns {Promise<Object>} { giftCard, transaction }
+   * @throws {Error} GIFT_CARD_NOT_FOUND (404), GIFT_CARD_REDEEMED (409),
+   *                 GIFT_CARD_DISABLED (409) or GIFT_CARD_EXPIRED (410)
+   */
+  async redeem(code, userId) {
+    const Wallet = mongoose.model('Wallet');
+    const codeHash = hashCode(code);
+    const now = new Date();
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        const giftCard = await this.findOneAndUpdate(
+          {
+            codeHash,
+            status: 'active',
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+          },
+          { $set: { status: 'redeemed', redeemedBy: userId, redeemedAt: now } },
+          { new: true, session }
+        );
+
+        if (!giftCard) {
+          const existing = await this.findOne({ codeHash }).session(session).lean();
+          if (!existing) throw giftCardError('Invalid gift card code', 404, 'GIFT_CARD_NOT_FOUND');
+          if (existing.status === 'redeemed') throw giftCardError('Gift card has already been redeemed', 409, 'GIFT_CARD_REDEEMED');
+          if (existing.status === 'disabled') throw giftCardError('Gift card is disabled', 409, 'GIFT_CARD_DISABLED');
+          throw giftCardError('Gift card has expired', 410, 'GIFT_CARD_EXPIRED');
+        }
+
+        const transaction = await Wallet.credit(userId, {
+          amount: giftCard.amount,
+          source: 'gift_card',
+          reference: giftCard._id.toString(),
+          expiresAt: giftCard.expiresAt,
+          description: `Gift card ending in ${giftCard.last4}`
+        }, { session });
+
+        giftCard.walletTransaction = transaction._id;
+        await giftCard.save({ session });
+        result = { giftCard, transaction };
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  },
+
+  /**
+   * Paginated gift cards for the admin list
+   * @param {Object} [options] - { status, last4, redeemedBy, page, limit }
+   * @returns {Promise<Object>} { giftCards, total, page, pages }
+   */
+  async findGiftCards({ status, last4, redeemedBy, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (last4) filter.last4 = last4.toUpperCase();
+    if (redeemedBy) filter.redeemedBy = redeemedBy;
+
+    const [giftCards, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('redeemedBy', 'name email')
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { giftCards, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
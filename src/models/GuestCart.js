@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Product = require('./Products');
+const { encrypt, decrypt, createSecureHash } = require('../core/utilities/crypto');
+const { Schema } = mongoose;
+
+const MAX_VERIFICATION_ATTEMPTS = 5;
+const VERIFICATION_MINUTES = 15;
+const RESEND_SECONDS = 60;
+
+const getCartTtlDays = () => parseInt(process.env.GUEST_CART_TTL_DAYS, 10) || 7;
+const hashToken = value => crypto.createHash('sha256').update(value).digest('hex');
+
+function cartError(message, statusCode, code) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  err.code = code;
+  return err;
+}
+
+const encryptedField = {
+  salt: String,
+  iv: String,
+  content: String,
+  authTag: String,
+  algorithm: String
+};
+
+const guestCartItemSchema = new Schema({
+  product: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1'],
+    max: [100, 'Quantity cannot exceed 100']
+  },
+  size: String,
+  color: String,
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Server-side cart of a visitor without an account. The visitor holds the
+// token; only its hash is stored. Orders are placed once the email has been
+// verified, and the cart is deleted with the order.
+const guestCartSchema = new Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+    select: false
+  },
+  items: {
+    type: [guestCartItemSchema],
+    default: []
+  },
+  email: {
+    type: encryptedField,
+    default: null
+  },
+  emailHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Pending email verification: hash of the code sent and wrong guesses so far
+  verification: {
+    codeHash: {
+      type: String,
+      select: false
+    },
+    sentAt: Date,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Removed by MongoDB once passed; pushed back on every change
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+guestCartSchema.statics = {
+  /**
+   * Start a guest cart
+   * @returns {Promise<Object>} { cart, token }; the token is only returned here
+   */
+  async createCart() {
+    const token = crypto.randomBytes(32).toString('hex');
+    const cart = await this.create({
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + getCartTtlDays() * 24 * 60 * 60 * 1000)
+    });
+    return { cart, token };
+  },
+
+  /**
+   * Cart of a guest token, null when unknown or expired
+   * @param {string} token - Token from createCart
+   * @returns {Promise<GuestCart|null>}
+   */
+  async findByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    return this.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } })
+      .select('+emailHash');
+  },
+
+  /**
+   * Add a product; the same product in the same size and color adds to its line
+   * @param {GuestCart} cart - Cart from findByToken
+   * @param {ObjectId} productId - Product ID
+   * @param {number} quantity - Units to add
+   * @param {Object} [options] - { size, color }
+   * @returns {Promise<GuestCart>}
+   * @throws {Error} PRODUCT_NOT_FOUND (404)
+   */
+  async addItem(cart, productId, quantity, { size, color } = {}) {
+    const product = await Product.findById(productId).select('_id isAvailable status').lean();
+    if (!product || !product.isAvailable || ['archived', 'banned'].includes(product.status)) {
+      throw cartError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    const line = cart.items.find(item =>
+      item.product.toString() === productId.toString() &&
+      (item.size || null) === (size || null) &&
+      (item.color || null) === (color || null)
+    );
+    if (line) {
+      line.quantity += quantity;
+    } else {
+      cart.items.push({ product: productId, quantity, size, color });
+    }
+
+    return this.touch(cart);
+  },
+
+  /**
+   * Change the quantity of a line
+   * @param {GuestCart} cart - Cart from findByToken
+   * @param {ObjectId} itemId - Cart line ID
+   * @param {number} quantity - New quantity
+   * @returns {Promise<GuestCart>}
+   * @throws {Error} CART_ITEM_NOT_FOUND (404)
+   */
+  async updateItem(cart, itemId, quantity) {
+    const line = cart.items.id(itemId);
+    if (!line) throw cartError('Cart item not found', 404, 'CART_ITEM_NOT_FOUND');
+    line.quantity = quantity;
+    return this.touch(cart);
+  },
+
+  /**
+   * Remove a line
+   * @param {GuestCart} cart - Cart from findByToken
+   * @param {ObjectId} itemId - Cart line ID
+   * @returns {Promise<GuestCart>}
+   * @throws {Error} CART_ITEM_NOT_FOUND (404)
+   */
+  async removeItem(cart, itemId) {
+    const line = cart.items.id(itemId);
+    if (!line) throw cartError('Cart item not found', 404, 'CART_ITEM_NOT_FOUND');
+    line.deleteOne();
+    return this.touch(cart);
+  },
+
+  /**
+   * Set the email the order will be tied to and issue a verification code.
+   * Changing the email drops an earlier verification.
+   * @param {GuestCart} cart - Cart from findByToken
+   * @param {string} email - Email address
+   * @param {string} code - Code that is emailed to the guest
+   * @returns {Promise<GuestCart>}
+   * @throws {Error} VERIFICATION_RESEND_TOO_SOON (429) within a minute of the last code
+   */
+  async startEmailVerification(cart, email, code) {
+    if (cart.verification?.sentAt > new Date(Date.now() - RESEND_SECONDS * 1000)) {
+      throw cartError('A code was sent less than a minute ago', 429, 'VERIFICATION_RESEND_TOO_SOON');
+    }
+
+    cart.email = await encrypt(email.trim().toLowerCase());
+    cart.emailHash = await createSecureHash(email);
+    cart.emailVerifiedAt = null;
+    cart.verification = {
+      codeHash: hashToken(code),
+      sentAt: new Date(),
+      expiresAt: new Date(Date.now() + VERIFICATION_MINUTES * 60 * 1000),
+      attempts: 0
+    };
+    return this.touch(cart);
+  },
+
+  /**
+   * Check the emailed code
+   * @param {GuestCart} cart - Cart from findByToken
+   * @param {string} code - Code entered by the guest
+   * @returns {Promise<GuestCart>}
+   * @throws {Error} VERIFICATION_NOT_STARTED (400), VERIFICATION_EXPIRED (400),
+   * TOO_MANY_ATTEMPTS (429), INVALID_CODE (400)
+   */
+  async verifyEmail(cart, code) {
+    const stored = await this.findById(cart._id).select('+verification.codeHash').lean();
+    const { codeHash, expiresAt, attempts } = stored?.verification || {};
+    if (!codeHash) {
+      throw cartError('No email verification in progress', 400, 'VERIFICATION_NOT_STARTED');
+    }
+    if (expiresAt < new Date()) {
+      throw cartError('Verification code has expired', 400, 'VERIFICATION_EXPIRED');
+    }
+    if (attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      throw cartError('Too many attempts, request a new code', 429, 'TOO_MANY_ATTEMPTS');
+    }
+
+    const matches = crypto.timingSafeEqual(Buffer.from(hashToken(String(code))), Buffer.from(codeHash));
+    if (!matches) {
+      await this.updateOne({ _id: cart._id }, { $inc: { 'verification.attempts': 1 } });
+      throw cartError('Invalid verification code', 400, 'INVALID_CODE');
+    }
+
+    cart.emailVerifiedAt = new Date();
+    cart.verification = undefined;
+    return this.touch(cart);
+  },
+
+  /**
+   * Decrypted email of a cart or a guest order
+   * @param {Object} doc - Document with an encrypted email field
+   * @returns {Promise<string|null>}
+   */
+  async readEmail(doc) {
+    if (!doc?.email?.content) return null;
+    return (await decrypt(doc.email)).slice(1, -1);
+  },
+
+  // Save a change and push the expiry back
+  async touch(cart) {
+    cart.expiresAt = new Date(Date.now() + getCartTtlDays() * 24 * 60 * 60 * 1000);
+    return cart.save();
+  }
+};
+
+module.exports = mongoose.model('GuestCart', guestCartSchema);
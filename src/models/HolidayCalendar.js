@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const holidaySchema = new Schema({
+  // Calendar date without time zone, e.g. 2026-12-25
+  date: {
+    type: String,
+    required: [true, 'Holiday date is required'],
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Holiday date must be formatted YYYY-MM-DD']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Holiday name cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+const holidayCalendarSchema = new Schema({
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    unique: true,
+    minlength: [2, 'Country must be an ISO 3166-1 alpha-2 code'],
+    maxlength: [2, 'Country must be an ISO 3166-1 alpha-2 code']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Calendar name cannot exceed 100 characters']
+  },
+  holidays: {
+    type: [holidaySchema],
+    default: []
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep holidays sorted and free of duplicate dates
+holidayCalendarSchema.pre('save', function(next) {
+  const seen = new Set();
+  this.holidays = this.holidays
+    .filter(holiday => !seen.has(holiday.date) && seen.add(holiday.date))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  next();
+});
+
+holidayCalendarSchema.statics = {
+  /**
+   * Holiday dates of the given countries
+   * @param {Array<string>} countries - ISO alpha-2 codes
+   * @returns {Promise<Map<string, Set<string>>>} YYYY-MM-DD dates per country
+   */
+  async getHolidaySets(countries) {
+    const codes = [...new Set(countries.filter(Boolean).map(code => code.toUpperCase()))];
+    const calendars = await this.find({ country: { $in: codes }, isActive: true })
+      .select('country holidays.date')
+      .lean();
+
+    const sets = new Map(codes.map(code => [code, new Set()]));
+    for (const calendar of calendars) {
+      sets.set(calendar.country, new Set(calendar.holidays.map(holiday => holiday.date)));
+    }
+    return sets;
+  },
+
+  /**
+   * Paginated calendar listing for admins
+   * @param {Object} filter - Mongo filter
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { calendars, total, page, pages }
+   */
+  async findCalendars(filter = {}, page = 1, limit = 20) {
+    const [calendars, total] = await Promise.all([
+      this.find(filter)
+        .sort({ country: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { calendars, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('HolidayCalendar', holidayCalendarSchema);
@@ -0,0 +1,464 @@
+const mongoose = require('mongoose');
+const Product = require('./Products');
+const User = require('./User');
+const Payment = require('./Payments');
+const logger = require('../services/logger');
+const { nextNumber } = require('../services/documentNumbering');
+const { toOrderCurrency } = require('../modules/currency/service');
+const { decrypt } = require('../core/utilities/crypto');
+
+const { Schema } = mongoose;
+
+const addressSchema = new Schema({
+  street: String,
+  city: String,
+  state: String,
+  postalCode: String,
+  country: String
+}, { _id: false });
+
+const invoiceLineSchema = new Schema({
+  idProduct: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null
+  },
+  description: {
+    type: String,
+    required: [true, 'Line description is required'],
+    maxlength: [300, 'Line description cannot exceed 300 characters']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  },
+  unitPrice: {
+    type: Number,
+    required: [true, 'Unit price is required']
+  },
+  total: {
+    type: Number,
+    required: [true, 'Line total is required']
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const invoiceSchema = new Schema({
+  number: {
+    type: String,
+    required: [true, 'Document number is required'],
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit_note'],
+    required: [true, 'Document type is required'],
+    index: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order reference is required'],
+    index: true
+  },
+  orderNumber: {
+    type: String,
+    required: [true, 'Order number is required']
+  },
+  // Empty for guest orders until the guest claims them
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  // What the customer actually paid when the order was placed in another currency
+  presentment: {
+    currency: String,
+    exchangeRate: Number,
+    total: Number
+  },
+
+  // Address snapshots - later changes to the store or the account do not alter issued documents
+  seller: {
+    name: String,
+    address: [String],
+    taxId: String,
+    email: String
+  },
+  buyer: {
+    name: String,
+    email: String,
+    address: addressSchema
+  },
+
+  // Amounts are stored positive; a credit note reverses the amounts it lists
+  lines: {
+    type: [invoiceLineSchema],
+    default: []
+  },
+  subtotal: {
+    type: Number,
+    required: [true, 'Subtotal is required'],
+    min: [0, 'Subtotal cannot be negative']
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  shippingCost: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping cost cannot be negative']
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tax cannot be negative']
+  },
+  shippingTax: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping tax cannot be negative']
+  },
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  total: {
+    type: Number,
+    required: [true, 'Total is required'],
+    min: [0, 'Total cannot be negative']
+  },
+
+  // Credit note fields
+  relatedInvoice: {
+    type: Schema.Types.ObjectId,
+    ref: 'Invoice',
+    default: null
+  },
+  relatedInvoiceNumber: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  refundId: {
+    type: String,
+    default: null
+  },
+  // Return request the refund settles
+  returnRequest: {
+    type: Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// An order has exactly one invoice; credit notes are unlimited
+invoiceSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { type: 'invoice' }, name: 'one_invoice_per_order' }
+);
+
+const round2 = value => Math.round(value * 100) / 100;
+
+function getSellerDetails() {
+  return {
+    name: process.env.SELLER_NAME || 'E-commerce Store',
+    address: (process.env.SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+    taxId: process.env.SELLER_TAX_ID || null,
+    email: process.env.SELLER_EMAIL || process.env.MAIL_FROM_ADDRESS || null
+  };
+}
+
+// Encrypted profile fields are stored JSON-quoted, same as the account controller reads them
+async function decryptField(field) {
+  if (!field?.content) return null;
+  return (await decrypt(field)).slice(1, -1);
+}
+
+async function getBuyerDetails(order) {
+  const buyer = { name: null, email: null, address: order.shippingAddress };
+
+  try {
+    if (!order.idCustomer && order.guest?.email) {
+      buyer.email = await decryptField(order.guest.email);
+      return buyer;
+    }
+
+    const user = await User.findById(order.idCustomer).select('username encryptedData').lean();
+    if (user) {
+      const [firstName, lastName, email] = await Promise.all([
+        decryptField(user.encryptedData?.firstName),
+        decryptField(user.encryptedData?.lastName),
+        decryptField(user.encryptedData?.email)
+      ]);
+      buyer.name = [firstName, lastName].filter(Boolean).join(' ') || user.username;
+      buyer.email = email;
+    }
+  } catch (error) {
+    logger.warn(`Could not resolve buyer details for order ${order._id}: ${error.message}`);
+  }
+
+  return buyer;
+}
+
+async function buildInvoiceLines(order) {
+  const products = await Product.find({
+    _id: { $in: order.items.map(item => item.idProduct) }
+  }).select('name').lean();
+  const names = new Map(products.map(product => [product._id.toString(), product.name]));
+  // Tax lines are stored in the same order as the items
+  const taxLines = order.taxBreakdown?.lines || [];
+
+  return order.items.map((item, index) => ({
+    idProduct: item.idProduct,
+    description: names.get(item.idProduct.toString()) || `Product ${item.idProduct}`,
+    quantity: item.quantity,
+    unitPrice: round2(item.priceAtPurchase),
+    total: round2(item.priceAtPurchase * item.quantity),
+    taxRate: taxLines[index]?.rate || 0,
+    tax: taxLines[index]?.tax || 0
+  }));
+}
+
+// Run fn in a transaction with the driver's retry on transient errors (write conflicts on the counters)
+async function inTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+invoiceSchema.statics = {
+  /**
+   * Issue the invoice for a paid order, assigning the order number first if
+   * the order has none. Idempotent: returns the existing invoice if one exists.
+   * Numbers, the invoice and the order update are written in one transaction,
+   * so an aborted attempt never consumes a number.
+   * @param {ObjectId|string} orderId - Order ID
+   * @returns {Promise<Invoice>} The order's invoice
+   */
+  async issueForOrder(orderId) {
+    const existing = await this.findOne({ order: orderId, type: 'invoice' });
+    if (existing) return existing;
+
+    const Order = mongoose.model('Order');
+
+    try {
+      return await inTransaction(async session => {
+        const order = await Order.findById(orderId).session(session);
+        if (!order) {
+          const err = new Error('Order not found');
+          err.statusCode = 404;
+          throw err;
+        }
+
+        const issuedAt = new Date();
+
+        if (!order.orderNumber) {
+          order.orderNumber = await nextNumber('order', { session, date: order.createdAt });
+          await order.save({ session });
+
+          await Payment.updateOne(
+            { order_id: order._id },
+            { $set: { description: `Payment for order #${order.orderNumber}` } },
+            { session }
+          );
+        }
+
+        const [lines, buyer] = await Promise.all([buildInvoiceLines(order), getBuyerDetails(order)]);
+        const subtotal = round2(lines.reduce((sum, line) => sum + line.total, 0));
+        const tax = round2(order.tax || 0);
+        const shippingCost = round2(order.shippingCost || 0);
+        const pricesIncludeTax = !!order.taxBreakdown?.pricesIncludeTax;
+        const discount = round2(order.discount ||
+          Math.max(0, subtotal + shippingCost + (pricesIncludeTax ? 0 : tax) - order.total));
+
+        const [invoice] = await this.create([{
+          number: await nextNumber('invoice', { session, date: issuedAt }),
+          type: 'invoice',
+          order: order._id,
+          orderNumber: order.orderNumber,
+          customer: order.idCustomer,
+          issuedAt,
+          currency: order.baseCurrency || order.currency || 'USD',
+          presentment: order.presentmentTotals?.total && order.currency !== order.baseCurrency
+            ? { currency: order.currency, exchangeRate: order.exchangeRate, total: order.presentmentTotals.total }
+            : undefined,
+          seller: getSellerDetails(),
+          buyer,
+          lines,
+          subtotal,
+          discount,
+          shippingCost,
+          tax,
+          shippingTax: round2(order.taxBreakdown?.shipping?.tax || 0),
+          pricesIncludeTax,
+          total: round2(order.total)
+        }], { session });
+
+        logger.info(`Invoice ${invoice.number} issued for order ${order.orderNumber}`);
+        return invoice;
+      });
+    } catch (error) {
+      // Another request issued it concurrently
+      if (error.code === 11000) {
+        return this.findOne({ order: orderId, type: 'invoice' });
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Issue a credit note against an order's invoice after a refund.
+   * A refund of the whole order total mirrors the invoice lines; a line-item
+   * refund lists the units it gives back, and any other partial refund is
+   * recorded as a single line with tax apportioned pro rata.
+   * @param {Object} order - Refunded order document
+   * @param {Object} refund
+   * @param {number} refund.amount - Amount refunded
+   * @param {string} [refund.reason] - Refund reason
+   * @param {string} [refund.refundId] - Processor refund ID
+   * @param {ObjectId|string} [refund.returnRequest] - Return request the refund settles
+   * @param {Object} [refund.breakdown] - Line-item split from Order#calculateRefund
+   * @returns {Promise<Invoice>} The credit note
+   */
+  async issueCreditNote(order, refund) {
+    const invoice = await this.issueForOrder(order._id);
+    const amount = round2(refund.amount);
+    const isFullRefund = amount >= invoice.total;
+
+    return inTransaction(async session => {
+      const issuedAt = new Date();
+      let amounts;
+
+      if (isFullRefund) {
+        amounts = {
+          lines: invoice.lines.map(line => line.toObject()),
+          subtotal: invoice.subtotal,
+          discount: invoice.discount,
+          shippingCost: invoice.shippingCost,
+          tax: invoice.tax,
+          shippingTax: invoice.shippingTax,
+          total: invoice.total
+        };
+      } else if (refund.breakdown?.items?.length) {
+        const lines = refund.breakdown.items.map(item => {
+          const line = invoice.lines.find(invoiceLine => invoiceLine.idProduct?.toString() === item.idProduct.toString());
+          return {
+            idProduct: item.idProduct,
+            description: line?.description || 'Returned item',
+            quantity: item.quantity,
+            unitPrice: line?.unitPrice ?? round2(item.amount / item.quantity),
+            total: round2((line?.unitPrice ?? item.amount / item.quantity) * item.quantity),
+            taxRate: line?.taxRate || 0,
+            tax: item.tax || 0
+          };
+        });
+        const subtotal = round2(lines.reduce((sum, line) => sum + line.total, 0));
+        const tax = round2(refund.breakdown.tax || 0);
+        const shippingTax = round2(tax - lines.reduce((sum, line) => sum + line.tax, 0));
+        const shipping = round2(refund.breakdown.shipping || 0);
+        const shippingCost = invoice.pricesIncludeTax ? shipping : round2(shipping - shippingTax);
+        amounts = {
+          lines,
+          subtotal,
+          // What the order's discount took off these units
+          discount: round2(Math.max(0, subtotal + shippingCost + (invoice.pricesIncludeTax ? 0 : tax) - amount)),
+          shippingCost,
+          tax,
+          shippingTax,
+          total: amount
+        };
+      } else {
+        const tax = invoice.total > 0 ? round2(invoice.tax * amount / invoice.total) : 0;
+        // Inclusive documents show gross line amounts, exclusive ones net
+        const lineAmount = invoice.pricesIncludeTax ? amount : round2(amount - tax);
+        amounts = {
+          lines: [{
+            description: `Partial refund of invoice ${invoice.number}`,
+            quantity: 1,
+            unitPrice: lineAmount,
+            total: lineAmount,
+            tax
+          }],
+          subtotal: lineAmount,
+          discount: 0,
+          shippingCost: 0,
+          tax,
+          total: amount
+        };
+      }
+
+      const [creditNote] = await this.create([{
+        number: await nextNumber('credit_note', { session, date: issuedAt }),
+        type: 'credit_note',
+        order: invoice.order,
+        orderNumber: invoice.orderNumber,
+        customer: invoice.customer,
+        issuedAt,
+        currency: invoice.currency,
+        presentment: invoice.presentment?.currency
+          ? {
+            currency: invoice.presentment.currency,
+            exchangeRate: invoice.presentment.exchangeRate,
+            total: toOrderCurrency(order, isFullRefund ? order.total : amount)
+          }
+          : undefined,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        pricesIncludeTax: invoice.pricesIncludeTax,
+        ...amounts,
+        relatedInvoice: invoice._id,
+        relatedInvoiceNumber: invoice.number,
+        reason: refund.reason ? refund.reason.slice(0, 500) : null,
+        refundId: refund.refundId || null,
+        returnRequest: refund.returnRequest || null
+      }], { session });
+
+      logger.info(`Credit note ${creditNote.number} issued against invoice ${invoice.number}`);
+      return creditNote;
+    });
+  },
+
+  /**
+   * List the invoice and credit notes of an order, oldest first
+   * @param {ObjectId|string} orderId - Order ID
+   * @returns {Promise<Array>} Invoice documents
+   */
+  async findForOrder(orderId) {
+    return this.find({ order: orderId }).sort({ issuedAt: 1 }).lean();
+  }
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
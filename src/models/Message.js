@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const attachmentSchema = new Schema({
+  filename: {
+    type: String,
+    required: [true, 'File name is required']
+  },
+  contentType: {
+    type: String,
+    required: [true, 'Content type is required']
+  },
+  size: {
+    type: Number,
+    required: [true, 'Size is required']
+  },
+  // File name under ATTACHMENT_STORAGE_DIR, never shown to clients
+  storageKey: {
+    type: String,
+    required: [true, 'Storage key is required'],
+    select: false
+  }
+});
+
+// One message in a MessageThread. Internal notes are written by admins for
+// each other and never shown to the customer.
+const messageSchema = new Schema({
+  thread: {
+    type: Schema.Types.ObjectId,
+    ref: 'MessageThread',
+    required: [true, 'Thread is required']
+  },
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+  senderRole: {
+    type: String,
+    enum: ['customer', 'admin'],
+    required: [true, 'Sender role is required']
+  },
+  body: {
+    type: String,
+    trim: true,
+    required: [true, 'Message is required'],
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  internal: {
+    type: Boolean,
+    default: false
+  },
+  attachments: {
+    type: [attachmentSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ thread: 1, createdAt: 1 });
+
+messageSchema.statics = {
+  /**
+   * Paginated messages of a thread, oldest first
+   * @param {ObjectId} threadId - Thread ID
+   * @param {Object} [options] - { includeInternal, page, limit }
+   * @returns {Promise<Object>} { messages, total, page, pages }
+   */
+  async findThreadMessages(threadId, { includeInternal = false, page = 1, limit = 50 } = {}) {
+    const filter = { thread: threadId };
+    if (!includeInternal) filter.internal = false;
+
+    const [messages, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('sender', 'firstName lastName')
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { messages, total, page, pages: Math.ceil(total / limit) || 1 };
+  },
+
+  /**
+   * An attachment with its storage key, for downloading
+   * @param {ObjectId} messageId - Message ID
+   * @param {ObjectId} attachmentId - Attachment ID
+   * @returns {Promise<Object>} { message, attachment }
+   * @throws {Error} ATTACHMENT_NOT_FOUND (404)
+   */
+  async findAttachment(messageId, attachmentId) {
+    const message = await this.findById(messageId).select('+attachments.storageKey').lean();
+    const attachment = message?.attachments.find(item => item._id.toString() === attachmentId.toString());
+    if (!attachment) {
+      const err = new Error('Attachment not found');
+      err.statusCode = 404;
+      err.code = 'ATTACHMENT_NOT_FOUND';
+      throw err;
+    }
+    return { message, attachment };
+  }
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const SUBJECT_TYPES = ['order', 'returnRequest'];
+const ROLES = ['customer', 'admin'];
+
+// Conversation between a customer and the support team about one order or
+// return request. Unread counters are kept per side so lists do not need to
+// count messages.
+const messageThreadSchema = new Schema({
+  subjectType: {
+    type: String,
+    enum: SUBJECT_TYPES,
+    required: [true, 'Subject type is required']
+  },
+  // The order or return request the thread is about
+  subject: {
+    type: Schema.Types.ObjectId,
+    required: [true, 'Subject is required']
+  },
+  // Order of the subject, also set for return requests
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  // Messages visible to the customer; internal notes are not counted
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  lastMessagePreview: {
+    type: String,
+    default: null
+  },
+  unread: {
+    customer: {
+      type: Number,
+      default: 0
+    },
+    admin: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+messageThreadSchema.index({ subjectType: 1, subject: 1 }, { unique: true });
+messageThreadSchema.index({ customer: 1, lastMessageAt: -1 });
+messageThreadSchema.index({ 'unread.admin': 1, lastMessageAt: -1 });
+
+messageThreadSchema.statics = {
+  /**
+   * Thread of an order or return request, created on first use
+   * @param {string} subjectType - order or returnRequest
+   * @param {ObjectId} subject - Order or return request ID
+   * @param {Object} owner - { order, customer } of the subject
+   * @returns {Promise<MessageThread>}
+   */
+  async findOrCreate(subjectType, subject, { order, customer }) {
+    try {
+      return await this.findOneAndUpdate(
+        { subjectType, subject },
+        { $setOnInsert: { order, customer } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two first messages at once: the other request created the thread
+      if (error.code !== 11000) throw error;
+      return this.findOne({ subjectType, subject });
+    }
+  },
+
+  /**
+   * Book a new message on its thread. Internal notes only touch the
+   * timestamps; other messages count as unread for the other side.
+   * @param {ObjectId} threadId - Thread ID
+   * @param {Object} message - Saved message with senderRole, internal, body, createdAt
+   * @returns {Promise<MessageThread>}
+   */
+  async recordMessage(threadId, message) {
+    const update = { $set: { lastMessageAt: message.createdAt } };
+    if (!message.internal) {
+      const recipient = message.senderRole === 'admin' ? 'customer' : 'admin';
+      update.$set.lastMessagePreview = message.body.slice(0, 140);
+      update.$inc = { messageCount: 1, [`unread.${recipient}`]: 1 };
+    }
+    return this.findByIdAndUpdate(threadId, update, { new: true });
+  },
+
+  /**
+   * Reset the unread counter of one side after it read the thread
+   * @param {ObjectId} threadId - Thread ID
+   * @param {string} role - customer or admin
+   * @returns {Promise<void>}
+   */
+  async markRead(threadId, role) {
+    if (!ROLES.includes(role)) throw new Error(`Unknown thread role: ${role}`);
+    await this.updateOne({ _id: threadId }, { $set: { [`unread.${role}`]: 0 } });
+  },
+
+  /**
+   * Paginated threads, most recent activity first
+   * @param {Object} [filters] - { customer, subjectType, unreadBy, page, limit }
+   * unreadBy (customer or admin) keeps threads with unread messages for that side
+   * @returns {Promise<Object>} { threads, total, page, pages }
+   */
+  async findThreads({ customer, subjectType, unreadBy, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (customer) filter.customer = customer;
+    if (subjectType) filter.subjectType = subjectType;
+    if (unreadBy) filter[`unread.${unreadBy}`] = { $gt: 0 };
+
+    const [threads, total] = await Promise.all([
+      this.find(filter)
+        .sort({ lastMessageAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('customer', 'firstName lastName email')
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { threads, total, page, pages: Math.ceil(total / limit) || 1 };
+  },
+
+  /**
+   * Unread messages of one side
+   * @param {string} role - customer or admin
+   * @param {ObjectId} [customer] - Only this customer's threads
+   * @returns {Promise<Object>} { threads, messages }
+   */
+  async getUnreadSummary(role, customer = null) {
+    const field = `unread.${role}`;
+    const match = { [field]: { $gt: 0 } };
+    if (customer) match.customer = customer;
+
+    const [summary] = await this.aggregate([
+      { $match: match },
+      { $group: { _id: null, threads: { $sum: 1 }, messages: { $sum: `$${field}` } } }
+    ]);
+
+    return { threads: summary?.threads || 0, messages: summary?.messages || 0 };
+  }
+};
+
+module.exports = mongoose.model('MessageThread', messageThreadSchema);
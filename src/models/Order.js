@@ -8,7 +8,15 @@ const logger = require('../services/logger');
 const Campaign = require('./Campaign');
 
 const { Schema } = mongoose;
-const { calculateTax } = require('../modules/orders/service');
+const PaymentError = require('../modules/payment/PaymentError');
+const InventoryReservation = require('../services/inventoryReservation');
+const Invoice = require('./Invoice');
+const SellerLedgerEntry = require('./SellerLedgerEntry');
+const Wallet = require('./Wallet');
+const GuestCart = require('./GuestCart');
+const Payment = require('./Payments');
+const { calculateTax, getShippingQuote, updatePromotionUsage, releasePromotionUsage } = require('../modules/orders/service');
+const { getBaseCurrency, getMinorUnits, roundAmount, getRates, convert, toOrderCurrency, toMinorUnits, getPresentment } = require('../modules/currency/service');
 
 const orderItemSchema = new Schema({
   idProduct: {
@@ -29,26 +37,458 @@ const orderItemSchema = new Schema({
     min: [1, 'Quantity must be at least 1'],
     validate: {
       validator: async function(v) {
+        // Stock is checked when the order is placed, and not for lines sold beyond stock
+        if (!this.ownerDocument().isNew || this.availability?.type !== 'in_stock') return true;
         const product = await Product.findById(this.idProduct);
         return product && v <= product.stockQuantity;
       },
       message: 'Quantity exceeds available stock'
     }
   },
+  // Units charged for; fewer than quantity when a buy_x_get_y campaign gave some away
+  effectiveQuantity: {
+    type: Number,
+    min: 0
+  },
+  // Whether the line shipped from stock or waits for a delivery or a release
+  availability: {
+    type: {
+      type: String,
+      enum: ['in_stock', 'backorder', 'preorder'],
+      default: 'in_stock'
+    },
+    // Units still waiting for stock; 0 once allocated
+    backordered: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    expectedAt: {
+      type: Date,
+      default: null
+    },
+    allocatedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Variant chosen in the cart
+  size: String,
+  color: String,
   priceAtPurchase: {
     type: Number,
     required: [true, 'Purchase price must be recorded']
   },
+  // Unit price in the order's presentment currency
+  presentmentPrice: Number,
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Units given back to the customer by line-item refunds
+  refundedQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+// Unpaid pending orders are cancelled after the timeout. The customer is
+// warned the given hours before, and always gets at least that much notice.
+const getPaymentTimeoutHours = () => parseInt(process.env.ORDER_PAYMENT_TIMEOUT_HOURS, 10) || 72;
+const getPaymentWarningHours = () => Math.min(
+  parseInt(process.env.ORDER_PAYMENT_WARNING_HOURS, 10) || 24,
+  getPaymentTimeoutHours()
+);
+const HOUR_MS = 60 * 60 * 1000;
+
+// Payment states of an order still waiting to be paid: not paid yet, or a
+// payment the customer approved was declined and may be approved again
+const UNPAID_STATUSES = ['pending', 'failed'];
+
+// Payment states of an order whose authorization still holds money to capture
+const AUTHORIZED_STATUSES = ['authorized', 'partially_captured'];
+
+/**
+ * Lines of an order holding a product, with the units not refunded yet
+ * @param {Object} order - Order document
+ * @param {ObjectId|string} productId - Product ID
+ * @returns {Array} { item, index, left } per line, in order
+ */
+function refundableLines(order, productId) {
+  return order.items
+    .map((item, index) => ({ item, index, left: item.quantity - (item.refundedQuantity || 0) }))
+    .filter(line => line.item.idProduct.toString() === productId.toString());
+}
+
+/**
+ * Write a refund to an order and raise its refundedAmount and the refunded
+ * units of its lines, with updates conditional on the refund ID: a provider
+ * webhook may record the same refund meanwhile (amount only), and it is then
+ * completed instead of being counted twice. The recorded fields are loaded
+ * back into the document without being left for its next save.
+ * @param {Object} order - Order document
+ * @param {Object} entry - Refund entry with amount and refundId
+ * @param {Object} [quantities] - Units per line, as { 'items.<index>.refundedQuantity': units }
+ * @returns {Promise<void>}
+ */
+async function recordRefund(order, entry, quantities = {}) {
+  const Order = order.constructor;
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, 'refunds.refundId': { $ne: entry.refundId } },
+    { $push: { refunds: entry }, $inc: { refundedAmount: entry.amount, ...quantities } }
+  );
+  if (!modifiedCount) {
+    const recorded = await Order.findOne({ _id: order._id, 'refunds.refundId': entry.refundId }, { 'refunds.$': 1 });
+    const decimals = getMinorUnits(order.baseCurrency || getBaseCurrency());
+    const difference = roundAmount(entry.amount - (recorded?.refunds[0]?.amount || 0), { decimals });
+    await Order.updateOne(
+      { _id: order._id, 'refunds.refundId': entry.refundId },
+      { $set: { 'refunds.$': entry }, $inc: { refundedAmount: difference, ...quantities } }
+    );
+  }
+
+  const current = await Order.findById(order._id).select('items refunds refundedAmount').lean();
+  for (const path of ['items', 'refunds', 'refundedAmount']) {
+    order.set(path, current[path]);
+    order.unmarkModified(path);
+  }
+}
+
+// Allowed order status transitions. Terminal states map to an empty list.
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'backordered', 'cancelled'],
+  // Paid, but some lines wait for stock; released to processing once allocated
+  backordered: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+const statusHistorySchema = new Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: [true, 'Target status is required']
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorType: {
+    type: String,
+    enum: ['customer', 'admin', 'seller', 'system'],
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  },
+  forced: {
+    type: Boolean,
+    default: false
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const taxLineSchema = new Schema({
+  idProduct: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  taxClass: String,
+  taxableAmount: Number,
+  rate: Number,
+  tax: Number,
+  jurisdiction: String
+}, { _id: false });
+
+// Shipment lifecycle: a shipment is created (pending), handed to a carrier, then delivered
+const SHIPMENT_TRANSITIONS = {
+  pending: ['shipped'],
+  shipped: ['delivered'],
+  delivered: []
+};
+
+const shipmentSchema = new Schema({
+  items: {
+    type: [{
+      _id: false,
+      idProduct: {
+        type: Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+      }
+    }],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'Shipment must contain at least one item'
+    }
+  },
+  carrier: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Carrier cannot exceed 100 characters']
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Tracking number cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(SHIPMENT_TRANSITIONS),
+    default: 'pending'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  shippedAt: Date,
+  deliveredAt: Date
+}, { timestamps: true });
+
+const FULFILLMENT_STATUSES = ['unfulfilled', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered'];
+
+// The part of an order one seller fulfils. Customers only see the parent order.
+const subOrderSchema = new Schema({
+  // Shown as <orderNumber>-<sequence>
+  sequence: {
+    type: Number,
+    required: [true, 'Sub-order sequence is required']
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  items: {
+    type: [{
+      _id: false,
+      idProduct: {
+        type: Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1']
+      },
+      priceAtPurchase: Number
+    }],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'Sub-order must contain at least one item'
+    }
+  },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  fulfillmentStatus: {
+    type: String,
+    enum: FULFILLMENT_STATUSES,
+    default: 'unfulfilled'
+  }
+});
+
+// Money given back on an order, in baseCurrency. Line-item refunds list the
+// units they cover with their share of the amount; refunds of a plain amount
+// have no items.
+const orderRefundSchema = new Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required']
+  },
+  items: {
+    type: [{
+      _id: false,
+      idProduct: {
+        type: Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      quantity: Number,
+      amount: Number,
+      tax: Number
+    }],
+    default: []
+  },
+  // Shipping given back, its tax included
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  returnRequest: {
+    type: Schema.Types.ObjectId,
+    ref: 'ReturnRequest',
+    default: null
+  },
+  // Provider refund ID, or the wallet credit when only store credit went back
+  refundId: String,
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now
+  }
 }, { _id: false });
 
+/**
+ * Group order items into one sub-order per seller
+ * @param {Array} items - Order items with seller set
+ * @returns {Array} Sub-order data in order of first appearance
+ */
+function buildSubOrders(items) {
+  const bySeller = new Map();
+  for (const item of items) {
+    if (!item.seller) continue;
+
+    const sellerId = item.seller.toString();
+    if (!bySeller.has(sellerId)) {
+      bySeller.set(sellerId, { seller: item.seller, items: [], subtotal: 0 });
+    }
+    const subOrder = bySeller.get(sellerId);
+    subOrder.items.push({ idProduct: item.idProduct, quantity: item.quantity, priceAtPurchase: item.priceAtPurchase });
+    subOrder.subtotal += item.subtotal ?? item.priceAtPurchase * item.quantity;
+  }
+
+  return [...bySeller.values()].map((subOrder, index) => ({
+    ...subOrder,
+    sequence: index + 1,
+    subtotal: Math.round(subOrder.subtotal * 100) / 100
+  }));
+}
+
+/**
+ * How much of a cart line ships from stock and how much waits. Pre-orders
+ * wait for their release date in full; backorders only for the units the
+ * stock does not cover.
+ * @param {Object} product - Product with stockQuantity and backorder settings
+ * @param {number} quantity - Quantity ordered
+ * @param {number} available - Stock net of other customers' holds
+ * @param {number} outstanding - Units already waiting for stock on other orders
+ * @param {Date} [now] - Current time
+ * @returns {Object} { type, backordered, expectedAt } or { error, available }
+ */
+function resolveAvailability(product, quantity, available, outstanding, now = new Date()) {
+  const { mode = 'none', availableAt = null, limit = null } = product.backorder || {};
+  const inStock = Math.max(0, Math.min(quantity, available));
+
+  const preorder = mode === 'preorder' && availableAt && availableAt > now;
+  const backordered = preorder ? quantity : quantity - inStock;
+  if (backordered === 0) {
+    return { type: 'in_stock', backordered: 0, expectedAt: null };
+  }
+
+  if (mode === 'none') {
+    return { error: 'Insufficient stock', available: inStock };
+  }
+  if (limit !== null && outstanding + backordered > limit) {
+    return {
+      error: preorder ? 'Pre-order limit reached' : 'Backorder limit reached',
+      available: preorder ? 0 : inStock + Math.max(0, limit - outstanding)
+    };
+  }
+
+  return {
+    type: preorder ? 'preorder' : 'backorder',
+    backordered,
+    expectedAt: availableAt
+  };
+}
+
+/**
+ * Paid order bookkeeping: the invoice, which also numbers the order, and the
+ * sellers' earnings. Failures are logged for follow-up; both steps are
+ * idempotent, and the invoice endpoint issues a missing invoice later.
+ * @param {Object} order - Order document that was just paid
+ * @returns {Promise<void>}
+ */
+async function recordPaidOrder(order) {
+  // Numbering runs in its own transaction so the counters are not locked while
+  // the provider is called
+  try {
+    const invoice = await Invoice.issueForOrder(order._id);
+    order.orderNumber = invoice.orderNumber;
+  } catch (invoiceError) {
+    logger.error(`Failed to issue invoice for order ${order._id}: ${invoiceError.message}`);
+  }
+
+  try {
+    await SellerLedgerEntry.recordSale(order);
+  } catch (ledgerError) {
+    logger.error(`Failed to record seller earnings for order ${order._id}: ${ledgerError.message}`);
+  }
+}
+
+/**
+ * Fulfillment status for a set of ordered, shipped and delivered quantities
+ * @param {number} ordered - Quantity ordered
+ * @param {number} shipped - Quantity in shipped or delivered shipments
+ * @param {number} delivered - Quantity in delivered shipments
+ * @returns {string} One of FULFILLMENT_STATUSES
+ */
+function deriveFulfillmentStatus(ordered, shipped, delivered) {
+  if (delivered >= ordered) return 'delivered';
+  if (delivered > 0) return 'partially_delivered';
+  if (shipped >= ordered) return 'shipped';
+  if (shipped > 0) return 'partially_shipped';
+  return 'unfulfilled';
+}
+
 const orderSchema = new Schema({
   // Core Fields
+  orderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Empty for guest orders until the guest claims them with an account
   idCustomer: {
     type: Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Customer ID is required'],
+    required: [function() { return !this.guest?.emailHash; }, 'Customer ID is required'],
     index: true
   },
+  // Guest checkout: the verified email the order is tied to
+  guest: {
+    email: {
+      salt: String,
+      iv: String,
+      content: String,
+      authTag: String,
+      algorithm: String
+    },
+    emailHash: String,
+    verifiedAt: Date,
+    claimedAt: Date
+  },
   items: {
     type: [orderItemSchema],
     required: [true, 'Order items are required'],
@@ -61,22 +501,40 @@ const orderSchema = new Schema({
   // Order Status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending',
     index: true
   },
+  statusHistory: {
+    type: [statusHistorySchema],
+    default: []
+  },
 
   // Payment Information
   paymentMethod: {
     type: String,
-    enum: ['credit_card','paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery'],
+    enum: ['credit_card','paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery', 'wallet'],
     required: [true, 'Payment method is required']
   },
+  // Store credit applied at checkout; the payment method is charged the rest
+  walletPayment: {
+    amount: Number,
+    presentmentAmount: Number,
+    transaction: {
+      type: Schema.Types.ObjectId,
+      ref: 'WalletTransaction'
+    }
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'authorized', 'partially_captured', 'completed', 'voided', 'failed', 'partially_refunded', 'refunded', 'disputed'],
     default: 'pending'
   },
+  // When the customer was warned that the unpaid order is about to expire
+  paymentReminderSentAt: {
+    type: Date,
+    default: null
+  },
   paymentId: {
     type: Schema.Types.ObjectId,
     index: true
@@ -97,11 +555,36 @@ const orderSchema = new Schema({
     required: [true, 'Shipping address is required']
   },
   trackingNumber: String,
+  shipments: {
+    type: [shipmentSchema],
+    default: []
+  },
+  fulfillmentStatus: {
+    type: String,
+    enum: FULFILLMENT_STATUSES,
+    default: 'unfulfilled'
+  },
+  subOrders: {
+    type: [subOrderSchema],
+    default: []
+  },
   shippingMethod: {
     type: String,
     enum: ['standard', 'express', 'overnight'],
     default: 'standard'
   },
+  // Business-day range quoted at checkout
+  estimatedDelivery: {
+    dispatchBy: Date,
+    min: Date,
+    max: Date
+  },
+  // Set on orders placed by a subscription renewal
+  subscription: {
+    type: Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
 
   // Financials
   subtotal: {
@@ -109,11 +592,47 @@ const orderSchema = new Schema({
     required: [true, 'Subtotal is required'],
     min: [0.01, 'Subtotal must be positive']
   },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Promotion code applied at checkout; its usage is given back if the order expires unpaid
+  promotion: {
+    type: {
+      promotionId: {
+        type: Schema.Types.ObjectId,
+        ref: 'PromotionCode'
+      },
+      code: String,
+      name: String,
+      discountType: String,
+      discountValue: Number
+    },
+    default: null
+  },
   tax: {
     type: Number,
     required: [true, 'Tax amount is required'],
     min: [0, 'Tax cannot be negative']
   },
+  taxBreakdown: {
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    lines: {
+      type: [taxLineSchema],
+      default: []
+    },
+    shipping: {
+      taxable: Boolean,
+      taxableAmount: Number,
+      rate: Number,
+      tax: Number,
+      jurisdiction: String
+    }
+  },
   shippingCost: {
     type: Number,
     required: [true, 'Shipping cost is required'],
@@ -124,6 +643,40 @@ const orderSchema = new Schema({
     required: [true, 'Total amount is required'],
     min: [0.01, 'Total must be positive']
   },
+  // Given back so far over all refunds, including those made at the provider
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded amount cannot be negative']
+  },
+  refunds: {
+    type: [orderRefundSchema],
+    default: []
+  },
+
+  // Currency - the amounts above are in baseCurrency, the customer pays in currency
+  baseCurrency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD'
+  },
+  // Presentment units per base unit at checkout
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  presentmentTotals: {
+    subtotal: Number,
+    discount: Number,
+    shippingCost: Number,
+    tax: Number,
+    total: Number
+  },
 
   // Timestamps
   createdAt: {
@@ -134,7 +687,11 @@ const orderSchema = new Schema({
   updatedAt: {
     type: Date,
     default: Date.now
-  }
+  },
+  shippedAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  refundedAt: Date
 }, {
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
@@ -142,16 +699,491 @@ const orderSchema = new Schema({
 
 // Indexes
 orderSchema.index({ idCustomer: 1, createdAt: -1 });
+orderSchema.index({ 'guest.emailHash': 1 }, { partialFilterExpression: { 'guest.emailHash': { $type: 'string' } } });
 orderSchema.index({ status: 1, createdAt: 1 });
+orderSchema.index({ status: 1, paymentStatus: 1, createdAt: 1 });
+orderSchema.index({ 'subOrders.seller': 1, createdAt: -1 });
+orderSchema.index({ subscription: 1, createdAt: -1 }, { partialFilterExpression: { subscription: { $type: 'objectId' } } });
 
 // Virtuals
 orderSchema.virtual('itemCount').get(function() {
   return this.items.reduce((sum, item) => sum + item.quantity, 0);
 });
 
+// Instance Methods
+
+/**
+ * Move the order to a new status, enforcing the transition graph and
+ * recording the change in statusHistory. The caller is responsible for saving.
+ * @param {string} status - Target status
+ * @param {Object} [options]
+ * @param {ObjectId} [options.actor] - User performing the change
+ * @param {string} [options.actorType='system'] - customer, admin or system
+ * @param {string} [options.reason] - Why the status changed
+ * @param {boolean} [options.force=false] - Skip the transition check (admin override)
+ * @returns {Order} The order, for chaining
+ * @throws {Error} INVALID_STATUS_TRANSITION when the move is not allowed
+ */
+orderSchema.methods.transitionTo = function(status, options = {}) {
+  const { actor = null, actorType = 'system', reason = null, force = false } = options;
+  const from = this.status;
+
+  if (!STATUS_TRANSITIONS.hasOwnProperty(status)) {
+    const err = new Error(`Unknown order status: ${status}`);
+    err.statusCode = 400;
+    err.code = 'INVALID_ORDER_STATUS';
+    throw err;
+  }
+
+  if (!force && !STATUS_TRANSITIONS[from].includes(status)) {
+    const err = new Error(`Invalid status transition from ${from} to ${status}`);
+    err.statusCode = 400;
+    err.code = 'INVALID_STATUS_TRANSITION';
+    err.allowed = STATUS_TRANSITIONS[from];
+    throw err;
+  }
+
+  const now = new Date();
+  this.status = status;
+  this.statusHistory.push({ from, to: status, actor, actorType, reason, forced: force, timestamp: now });
+  this.updatedAt = now;
+
+  if (status === 'shipped') {
+    this.shippedAt = now;
+  } else if (status === 'delivered') {
+    this.deliveredAt = now;
+  } else if (status === 'cancelled') {
+    this.cancelledAt = now;
+  } else if (status === 'refunded') {
+    this.refundedAt = now;
+  }
+
+  return this;
+};
+
+/**
+ * Quantities per product that are not yet in any shipment
+ * @returns {Map<string, number>} Remaining quantity per product ID
+ */
+orderSchema.methods.getUnshippedQuantities = function() {
+  const remaining = new Map();
+  for (const item of this.items) {
+    const productId = item.idProduct.toString();
+    remaining.set(productId, (remaining.get(productId) || 0) + item.quantity);
+  }
+  for (const shipment of this.shipments) {
+    for (const line of shipment.items) {
+      const productId = line.idProduct.toString();
+      remaining.set(productId, (remaining.get(productId) || 0) - line.quantity);
+    }
+  }
+  return remaining;
+};
+
+/**
+ * Add a shipment for some or all of the order's items. The caller saves.
+ * @param {Object} data - { items: [{ idProduct, quantity }], carrier, trackingNumber, status, notes }
+ * @param {ObjectId} [actor] - Admin or seller creating the shipment
+ * @param {string} [actorType='admin'] - admin or seller
+ * @returns {Object} The new shipment subdocument
+ * @throws {Error} ORDER_NOT_FULFILLABLE or SHIPMENT_QUANTITY_EXCEEDED
+ */
+orderSchema.methods.addShipment = function(data, actor = null, actorType = 'admin') {
+  if (!['processing', 'shipped'].includes(this.status)) {
+    const err = new Error(`Cannot add shipments to an order in ${this.status} status`);
+    err.statusCode = 400;
+    err.code = 'ORDER_NOT_FULFILLABLE';
+    throw err;
+  }
+
+  const remaining = this.getUnshippedQuantities();
+  const requested = new Map();
+  for (const line of data.items) {
+    const productId = line.idProduct.toString();
+    requested.set(productId, (requested.get(productId) || 0) + line.quantity);
+  }
+
+  const exceeded = [...requested]
+    .filter(([productId, quantity]) => quantity > (remaining.get(productId) || 0))
+    .map(([productId, quantity]) => ({
+      productId,
+      requested: quantity,
+      remaining: Math.max(0, remaining.get(productId) || 0)
+    }));
+
+  if (exceeded.length > 0) {
+    const err = new Error('Shipment quantities exceed what is left to ship');
+    err.statusCode = 400;
+    err.code = 'SHIPMENT_QUANTITY_EXCEEDED';
+    err.details = exceeded;
+    throw err;
+  }
+
+  const status = data.status || 'pending';
+  this.shipments.push({
+    items: data.items.map(line => ({ idProduct: line.idProduct, quantity: line.quantity })),
+    carrier: data.carrier,
+    trackingNumber: data.trackingNumber,
+    status,
+    notes: data.notes,
+    createdBy: actor,
+    shippedAt: status === 'shipped' ? new Date() : undefined
+  });
+
+  this.syncStatusFromShipments(actor, actorType);
+  return this.shipments[this.shipments.length - 1];
+};
+
+/**
+ * Update carrier details or advance the status of a shipment. The caller saves.
+ * @param {ObjectId} shipmentId - Shipment subdocument ID
+ * @param {Object} data - { carrier, trackingNumber, status, notes }
+ * @param {ObjectId} [actor] - Admin or seller making the change
+ * @param {string} [actorType='admin'] - admin or seller
+ * @returns {Object} The updated shipment subdocument
+ * @throws {Error} SHIPMENT_NOT_FOUND or INVALID_SHIPMENT_TRANSITION
+ */
+orderSchema.methods.updateShipment = function(shipmentId, data, actor = null, actorType = 'admin') {
+  const shipment = this.shipments.id(shipmentId);
+  if (!shipment) {
+    const err = new Error('Shipment not found');
+    err.statusCode = 404;
+    err.code = 'SHIPMENT_NOT_FOUND';
+    throw err;
+  }
+
+  if (data.status && data.status !== shipment.status) {
+    if (!SHIPMENT_TRANSITIONS[shipment.status].includes(data.status)) {
+      const err = new Error(`Invalid shipment transition from ${shipment.status} to ${data.status}`);
+      err.statusCode = 400;
+      err.code = 'INVALID_SHIPMENT_TRANSITION';
+      throw err;
+    }
+
+    shipment.status = data.status;
+    if (data.status === 'shipped') {
+      shipment.shippedAt = new Date();
+    } else if (data.status === 'delivered') {
+      shipment.deliveredAt = new Date();
+    }
+  }
+
+  ['carrier', 'trackingNumber', 'notes'].forEach(field => {
+    if (data[field] !== undefined) {
+      shipment[field] = data[field];
+    }
+  });
+
+  this.syncStatusFromShipments(actor, actorType);
+  return shipment;
+};
+
+/**
+ * Derive fulfillmentStatus of the order and each sub-order from the
+ * shipments and move the order status forward when every item has
+ * shipped or been delivered.
+ * @param {ObjectId} [actor] - User whose change triggered the sync
+ * @param {string} [actorType] - admin or seller; system when there is no actor
+ * @returns {Order} The order, for chaining
+ */
+orderSchema.methods.syncStatusFromShipments = function(actor = null, actorType = actor ? 'admin' : 'system') {
+  const shippedByProduct = new Map();
+  const deliveredByProduct = new Map();
+  const add = (map, productId, quantity) => map.set(productId, (map.get(productId) || 0) + quantity);
+
+  for (const shipment of this.shipments) {
+    for (const line of shipment.items) {
+      const productId = line.idProduct.toString();
+      if (shipment.status === 'shipped' || shipment.status === 'delivered') add(shippedByProduct, productId, line.quantity);
+      if (shipment.status === 'delivered') add(deliveredByProduct, productId, line.quantity);
+    }
+  }
+
+  // Each product belongs to one seller, so shipments map onto sub-orders by product
+  const sumOf = (lines, map) => [...new Set(lines.map(line => line.idProduct.toString()))]
+    .reduce((sum, productId) => sum + (map.get(productId) || 0), 0);
+  const ordered = this.items.reduce((sum, item) => sum + item.quantity, 0);
+  const shipped = sumOf(this.items, shippedByProduct);
+  const delivered = sumOf(this.items, deliveredByProduct);
+
+  this.fulfillmentStatus = deriveFulfillmentStatus(ordered, shipped, delivered);
+  for (const subOrder of this.subOrders) {
+    subOrder.fulfillmentStatus = deriveFulfillmentStatus(
+      subOrder.items.reduce((sum, item) => sum + item.quantity, 0),
+      sumOf(subOrder.items, shippedByProduct),
+      sumOf(subOrder.items, deliveredByProduct)
+    );
+  }
+
+  const options = { actor, actorType, reason: 'Derived from shipments' };
+  if (shipped >= ordered && this.status === 'processing') {
+    this.transitionTo('shipped', options);
+  }
+  if (delivered >= ordered && this.status === 'shipped') {
+    this.transitionTo('delivered', options);
+  }
+
+  return this;
+};
+
+/**
+ * Capture the payment for what has shipped so far (see
+ * PaymentProcessor.captureShipped). Called before a shipment is saved, so a
+ * declined capture keeps the goods from being recorded as shipped. Orders
+ * without an open authorization are left alone. The caller saves.
+ * @param {ObjectId} [reference] - What is shipping, e.g. the shipment ID
+ * @returns {Promise<Object|null>} Capture result, null when nothing was captured
+ * @throws {PaymentError} When the capture fails
+ */
+orderSchema.methods.capturePayment = async function(reference) {
+  if (!AUTHORIZED_STATUSES.includes(this.paymentStatus)) return null;
+
+  const capture = await PaymentProcessor.captureShipped(this, { reference });
+  if (capture) {
+    this.paymentStatus = capture.final ? 'completed' : 'partially_captured';
+  }
+  return capture;
+};
+
+/**
+ * Release the payment authorization of an order that will not ship, or what
+ * is left of it after partial captures. The released share counts as given
+ * back, so later refunds only cover what was captured. The release is
+ * written to the order right away; the caller saves paymentStatus.
+ * @returns {Promise<Object|null>} Void result, null when there is no open authorization
+ * @throws {PaymentError} When the provider fails to release it
+ */
+orderSchema.methods.voidPayment = async function() {
+  if (!AUTHORIZED_STATUSES.includes(this.paymentStatus)) return null;
+
+  const result = await PaymentProcessor.void(this);
+  this.paymentStatus = result.paymentRecord.authorization.captured_amount > 0 ? 'completed' : 'voided';
+  if (result.released > 0) {
+    await recordRefund(this, {
+      amount: result.released,
+      refundId: result.id,
+      reason: 'Payment authorization released',
+      refundedAt: new Date()
+    });
+  }
+  return result;
+};
+
+/**
+ * What refunding some units of the order gives back, in baseCurrency. Each
+ * unit is refunded at what was paid for it: the line's share of the discount
+ * is taken off and, with includeTax, its tax is given back too (without it,
+ * the tax is left out even from tax-inclusive prices). includeShipping adds
+ * the shipping cost, once per order. Without items, every unit not refunded
+ * yet is included. Nothing is changed.
+ * @param {Object} [options] - { items: [{ idProduct, quantity }], includeShipping, includeTax (default true) }
+ * @returns {Object} { amount, items: [{ idProduct, quantity, amount, tax }], shipping, tax }
+ * @throws {Error} REFUND_ITEM_NOT_FOUND, REFUND_QUANTITY_EXCEEDED or NOTHING_TO_REFUND (400)
+ */
+orderSchema.methods.calculateRefund = function({ items, includeShipping = false, includeTax = true } = {}) {
+  const decimals = getMinorUnits(this.baseCurrency || getBaseCurrency());
+  const round = amount => roundAmount(amount, { decimals });
+  const inclusive = !!this.taxBreakdown?.pricesIncludeTax;
+  // Tax lines are stored in the same order as the items, with the discount taken off
+  const taxLines = this.taxBreakdown?.lines || [];
+  const subtotal = this.items.reduce((sum, item) => sum + item.priceAtPurchase * item.quantity, 0);
+
+  const requested = new Map();
+  for (const line of items || this.items) {
+    const productId = line.idProduct.toString();
+    const quantity = items ? line.quantity : line.quantity - (line.refundedQuantity || 0);
+    requested.set(productId, (requested.get(productId) || 0) + quantity);
+  }
+
+  const missing = [];
+  const exceeded = [];
+  const lines = [];
+  for (const [productId, quantity] of requested) {
+    const matches = refundableLines(this, productId);
+    const left = matches.reduce((sum, line) => sum + line.left, 0);
+    if (matches.length === 0) {
+      missing.push(productId);
+      continue;
+    }
+    if (quantity > left) {
+      exceeded.push({ productId, requested: quantity, remaining: left });
+      continue;
+    }
+
+    let quantityLeft = quantity;
+    for (const { item, index, left: lineLeft } of matches) {
+      const units = Math.min(quantityLeft, lineLeft);
+      if (units <= 0) continue;
+      quantityLeft -= units;
+
+      const lineTotal = item.priceAtPurchase * item.quantity;
+      const taxable = taxLines[index]?.taxableAmount
+        ?? lineTotal - (subtotal > 0 ? (this.discount || 0) * lineTotal / subtotal : 0);
+      const lineTax = taxLines[index]?.tax || 0;
+      const share = units / item.quantity;
+      const tax = includeTax ? round(lineTax * share) : 0;
+      lines.push({
+        idProduct: item.idProduct,
+        quantity: units,
+        amount: round((inclusive ? taxable - lineTax : taxable) * share + tax),
+        tax
+      });
+    }
+  }
+
+  if (missing.length > 0) {
+    const err = new Error('Refund lists products that are not in the order');
+    err.statusCode = 400;
+    err.code = 'REFUND_ITEM_NOT_FOUND';
+    err.details = missing;
+    throw err;
+  }
+  if (exceeded.length > 0) {
+    const err = new Error('Refund quantities exceed what is left to refund');
+    err.statusCode = 400;
+    err.code = 'REFUND_QUANTITY_EXCEEDED';
+    err.details = exceeded;
+    throw err;
+  }
+
+  let shipping = 0;
+  let shippingTax = 0;
+  if (includeShipping && !this.refunds.some(refund => refund.shipping > 0)) {
+    const tax = this.taxBreakdown?.shipping?.tax || 0;
+    shippingTax = includeTax ? round(tax) : 0;
+    shipping = round((inclusive ? this.shippingCost - tax : this.shippingCost) + shippingTax);
+  }
+
+  // Rounding never takes a refund past what is left of the order
+  const left = round(this.total - (this.refundedAmount || 0));
+  const amount = Math.min(round(lines.reduce((sum, line) => sum + line.amount, 0) + shipping), left);
+  if (amount <= 0) {
+    const err = new Error('Nothing is left to refund');
+    err.statusCode = 400;
+    err.code = 'NOTHING_TO_REFUND';
+    throw err;
+  }
+
+  return {
+    amount,
+    items: lines,
+    shipping,
+    tax: round(lines.reduce((sum, line) => sum + line.tax, 0) + shippingTax)
+  };
+};
+
+/**
+ * Give money back through PaymentProcessor.refund and record it on the
+ * order: the refund, the units it covers, refundedAmount and paymentStatus.
+ * With items the amount comes from calculateRefund; otherwise amount is
+ * refunded (default: everything not refunded yet). A return request is
+ * refunded once; asking again returns null. The refund is written to the
+ * order right away; the caller saves paymentStatus.
+ * @param {Object} [refundData] - { items, includeShipping, includeTax, amount, reason, returnRequest }
+ * @returns {Promise<Object|null>} Refund result with the breakdown, null when the return request was refunded before
+ * @throws {Error} REFUND_AMOUNT_EXCEEDED (400), the calculateRefund errors or a PaymentError
+ */
+orderSchema.methods.refundPayment = async function({ items, includeShipping, includeTax, amount, reason, returnRequest } = {}) {
+  if (returnRequest && this.refunds.some(refund => refund.returnRequest?.toString() === returnRequest.toString())) {
+    return null;
+  }
+
+  const decimals = getMinorUnits(this.baseCurrency || getBaseCurrency());
+  const left = roundAmount(this.total - (this.refundedAmount || 0), { decimals });
+  const breakdown = items
+    ? this.calculateRefund({ items, includeShipping, includeTax })
+    : { amount: roundAmount(amount ?? left, { decimals }), items: [], shipping: 0, tax: 0 };
+  if (breakdown.amount <= 0 || breakdown.amount > left) {
+    const err = new Error(`Refund amount must be between 0 and ${left}`);
+    err.statusCode = 400;
+    err.code = 'REFUND_AMOUNT_EXCEEDED';
+    throw err;
+  }
+
+  const result = await PaymentProcessor.refund(this, {
+    amount: breakdown.amount,
+    reason,
+    returnRequest,
+    breakdown
+  });
+
+  const quantities = {};
+  for (const line of breakdown.items) {
+    let units = line.quantity;
+    for (const { index, left: lineLeft } of refundableLines(this, line.idProduct)) {
+      const refunded = Math.min(units, lineLeft);
+      if (refunded > 0) quantities[`items.${index}.refundedQuantity`] = refunded;
+      units -= refunded;
+      if (units === 0) break;
+    }
+  }
+  await recordRefund(this, {
+    ...breakdown,
+    returnRequest: returnRequest || null,
+    refundId: result.id,
+    reason: reason ? reason.slice(0, 500) : undefined,
+    refundedAt: new Date()
+  }, quantities);
+
+  // An open authorization or a dispute says more about the payment than the refund
+  if (![...AUTHORIZED_STATUSES, 'disputed'].includes(this.paymentStatus)) {
+    this.paymentStatus = this.refundedAmount >= this.total ? 'refunded' : 'partially_refunded';
+  }
+  return { ...result, breakdown };
+};
+
+/**
+ * Sub-order of a seller, with a check that a set of products belongs to it
+ * @param {ObjectId|string} sellerId - Seller user ID
+ * @param {Array} [productIds] - Products the seller wants to act on
+ * @returns {Object} The sub-order subdocument
+ * @throws {Error} SUB_ORDER_NOT_FOUND or SHIPMENT_ITEMS_NOT_OWNED
+ */
+orderSchema.methods.getSellerSubOrder = function(sellerId, productIds = []) {
+  const subOrder = this.subOrders.find(sub => sub.seller.toString() === sellerId.toString());
+  if (!subOrder) {
+    const err = new Error('Order not found');
+    err.statusCode = 404;
+    err.code = 'SUB_ORDER_NOT_FOUND';
+    throw err;
+  }
+
+  const owned = new Set(subOrder.items.map(item => item.idProduct.toString()));
+  const foreign = productIds.map(String).filter(productId => !owned.has(productId));
+  if (foreign.length > 0) {
+    const err = new Error('Some items do not belong to your sub-order');
+    err.statusCode = 403;
+    err.code = 'SHIPMENT_ITEMS_NOT_OWNED';
+    err.details = foreign;
+    throw err;
+  }
+
+  return subOrder;
+};
+
 orderSchema.statics = {
   /**
-   * Process cart items, apply campaigns, and calculate order details
+   * Check whether an order may move between two statuses
+   * @param {string} from - Current status
+   * @param {string} to - Target status
+   * @returns {boolean} True if the transition is allowed
+   */
+  canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  },
+
+  /**
+   * Get the statuses reachable from the given status
+   * @param {string} from - Current status
+   * @returns {Array<string>} Allowed target statuses
+   */
+  getAllowedTransitions(from) {
+    return [...(STATUS_TRANSITIONS[from] || [])];
+  },
+
+  /**
+   * Process cart items, apply campaigns, and calculate order details.
+   * Stock is checked against quantity on hand minus active reservations.
    * @param {Array} cartItems - Array of cart items
    * @returns {Promise<Object>} Object containing orderItems, subtotal, and outOfStockItems
   */
@@ -166,10 +1198,14 @@ orderSchema.statics = {
     
     try {
         // 1. Load required data in parallel
-        const [activeCampaigns, products] = await Promise.all([
+        const [activeCampaigns, products, reservedQuantities, backorderedQuantities, rates] = await Promise.all([
             Campaign.getActiveCampaigns(),
-            this.getCartProductsById(cartItems.map(item => item.product))
+            this.getCartProductsById(cartItems.map(item => item.product)),
+            InventoryReservation.getReservedQuantities(cartItems.map(item => item.product)),
+            this.getBackorderedQuantities(cartItems.map(item => item.product)),
+            getRates()
         ]);
+        const baseCurrency = getBaseCurrency();
 
         logger.info(`Processing ${cartItems.length} cart items with ${activeCampaigns.length} active campaigns`);
 
@@ -193,19 +1229,37 @@ orderSchema.statics = {
                 continue;
             }
 
-            if (product.stockQuantity < cartItem.quantity) {
+            // Stock held by other customers' in-flight checkouts is not available.
+            // Products on backorder or pre-order sell beyond it up to their limit.
+            const available = product.stockQuantity - (reservedQuantities.get(productId) || 0);
+            const availability = resolveAvailability(
+                product,
+                cartItem.quantity,
+                available,
+                backorderedQuantities.get(productId) || 0
+            );
+            if (availability.error) {
                 outOfStockItems.push({
                     productId: product._id,
                     name: product.name,
                     requested: cartItem.quantity,
-                    available: product.stockQuantity,
-                    reason: 'Insufficient stock'
+                    available: availability.available,
+                    reason: availability.error
                 });
                 continue;
             }
 
-            // 3.2 Initialize pricing variables
-            let finalPrice = product.price;
+            // 3.2 Initialize pricing variables - campaigns and totals work in the base currency
+            if (!rates.has(product.currency || baseCurrency)) {
+                outOfStockItems.push({
+                    productId: product._id,
+                    name: product.name,
+                    reason: `No exchange rate for ${product.currency}`
+                });
+                continue;
+            }
+            const basePrice = convert(product.price, product.currency || baseCurrency, baseCurrency, rates);
+            let finalPrice = basePrice;
             let finalQuantity = cartItem.quantity;
             const appliedCampaigns = [];
 
@@ -257,7 +1311,7 @@ orderSchema.statics = {
 
             // 3.4 Validate final price
             if (isNaN(finalPrice)) {
-                finalPrice = product.price; // Fallback to original price
+                finalPrice = basePrice; // Fallback to original price
             }
 
             // 3.5 Calculate item subtotal and build order item
@@ -268,12 +1322,16 @@ orderSchema.statics = {
                 idProduct: product._id,
                 productName: product.name,
                 quantity: cartItem.quantity,
+                size: cartItem.size,
+                color: cartItem.color,
                 effectiveQuantity: finalQuantity,
-                originalPrice: product.price,
+                originalPrice: basePrice,
                 priceAtPurchase: finalPrice,
                 subtotal: itemSubtotal,
+                seller: product.seller?._id || product.seller,
+                availability,
                 appliedCampaigns,
-                discountPercentage: ((product.price - finalPrice) / product.price * 100).toFixed(2)
+                discountPercentage: ((basePrice - finalPrice) / basePrice * 100).toFixed(2)
             });
         }
 
@@ -307,7 +1365,7 @@ orderSchema.statics = {
       const products = await Product.find({ 
         _id: { $in: ids } 
       })
-      .select('_id name price stockQuantity categories seller')
+      .select('_id name price currency stockQuantity backorder categories seller')
       .populate('categories', '_id')
       .populate('seller', '_id username')
       .lean();
@@ -398,6 +1456,7 @@ orderSchema.statics = {
     return {
       discount,
       promotionDetails: {
+        promotionId: promotion._id,
         code: promotion.code,
         name: promotion.name,
         discountType: promotion.discountType,
@@ -415,185 +1474,306 @@ orderSchema.statics = {
    * @param {number} discount - Applied discount amount
    * @param {Object} shippingAddress - Shipping address for tax calculation
    * @param {number} shippingCost - Shipping cost
-   * @returns {Promise<Object>} Object containing tax and total amounts
+   * @param {Array} items - Order items ({ idProduct, quantity, priceAtPurchase })
+   * @returns {Promise<Object>} Object containing tax, total and the per-line tax breakdown
    */
-  async calculateFinalTotals(subtotal, discount, shippingAddress, shippingCost) {
-    // Calculate tax based on shipping address
-    const taxRate = await calculateTax(shippingAddress);
+  async calculateFinalTotals(subtotal, discount, shippingAddress, shippingCost, items) {
+    const { tax, pricesIncludeTax, lines, shipping } = await calculateTax({
+      items,
+      shippingAddress,
+      discount,
+      shippingCost
+    });
+
+    // Inclusive prices already contain the tax, so it is not added again
     const taxableAmount = subtotal - discount;
-    const tax = taxableAmount * taxRate;
+    const total = Math.round((taxableAmount + shippingCost + (pricesIncludeTax ? 0 : tax)) * 100) / 100;
+
+    return {
+      tax,
+      total,
+      taxBreakdown: { pricesIncludeTax, lines, shipping }
+    };
+  },
+
+  /**
+   * Price a cart the way checkout does: campaigns, shipping, promotion code,
+   * tax and the presentment currency. Nothing is reserved or written.
+   * @param {Array} cartItems - Cart items ({ product, quantity, size, color })
+   * @param {Object} details - { userId, shippingAddress, shippingMethod, promotionCode, currency }
+   * @returns {Promise<Object>} { outOfStockItems } or { promotionError } when the
+   * cart cannot be ordered, otherwise the priced order
+   */
+  async priceCart(cartItems, { userId, shippingAddress, shippingMethod, promotionCode, currency }) {
+    const { orderItems, subtotal, outOfStockItems } = await this.processCartItems(cartItems);
+    if (outOfStockItems.length > 0) {
+      return { outOfStockItems };
+    }
 
-    const total = taxableAmount + tax + shippingCost;
+    // Price the shipping method and estimate the delivery window
+    const { price: shippingCost, estimatedDelivery } = await getShippingQuote(shippingMethod || 'standard', {
+      items: orderItems,
+      shippingAddress,
+      subtotal
+    });
+
+    const promotionResult = await this.applyPromotionCode(
+      promotionCode,
+      userId,
+      orderItems,
+      subtotal,
+      shippingCost
+    );
+    if (promotionResult.error) {
+      return { promotionError: promotionResult.error };
+    }
+    const { discount, promotionDetails, finalShippingCost } = promotionResult;
+
+    const { tax, total, taxBreakdown } = await this.calculateFinalTotals(
+      subtotal,
+      discount,
+      shippingAddress,
+      finalShippingCost,
+      orderItems
+    );
 
-    return { tax, total };
+    // Convert to the currency the customer pays in
+    const presentment = await getPresentment({
+      items: orderItems,
+      discount,
+      shippingCost: finalShippingCost,
+      tax,
+      pricesIncludeTax: taxBreakdown.pricesIncludeTax
+    }, currency);
+
+    return {
+      subtotal,
+      shippingMethod: shippingMethod || 'standard',
+      shippingCost: finalShippingCost,
+      estimatedDelivery,
+      discount,
+      promotionDetails,
+      tax,
+      taxBreakdown,
+      total,
+      presentment
+    };
   },
 
   /**
-   * Create and process an order including payment
-   * @param {Object} orderData - Complete order data
+   * Create and process an order including payment.
+   *
+   * Order creation, stock decrement, promotion usage, cart clearing, the
+   * wallet debit and the Payment record are written in a single MongoDB
+   * transaction (requires a replica set). The transaction is committed manually rather than through
+   * withTransaction so the payment provider is never called twice on retry.
+   * The payment is only authorized; it is captured as the order ships (see
+   * capturePayment). If the commit fails, the authorization is released.
+   * @param {Object} orderData - Complete order data; walletAmount (base currency)
+   * is paid from the customer's store credit and only the rest is charged. Guest
+   * checkouts pass guest ({ email, emailHash, verifiedAt }) and guestCart instead
+   * of idCustomer.
    * @param {string} paymentMethod - Payment method
-   * @param {Object} paymentContext - Additional payment context (ip, userAgent, etc.)
+   * @param {Object} paymentContext - Additional payment context (ip, userAgent,
+   * paymentToken, etc.). With allowApproval, a payment the customer approves at
+   * the provider (PayPal without a token) places the order as pending and the
+   * payment result carries pending and the approval link in nextAction; see
+   * completePayment.
    * @returns {Promise<Object>} Object containing the order and payment result
   */
   async createAndProcessOrder(orderData, paymentMethod, paymentContext = {}) {
-    // Create the order document first
-    const order = await this.createCompleteOrder(orderData);
+    // Hold the stock before charging so concurrent checkouts cannot oversell
+    // Only the units shipped from stock are held; backordered units wait for a delivery
+    const stockItems = orderData.items
+        .map(item => ({ idProduct: item.idProduct, quantity: item.quantity - (item.availability?.backordered || 0) }))
+        .filter(item => item.quantity > 0);
+
+    const products = await Product.find({
+        _id: { $in: stockItems.map(item => item.idProduct) }
+    }).select('_id stockQuantity').lean();
+
+    const reservation = stockItems.length > 0
+        ? await InventoryReservation.reserve(
+            stockItems,
+            new Map(products.map(product => [product._id.toString(), product.stockQuantity])),
+            { userId: orderData.idCustomer }
+        )
+        : null;
+
+    const session = await mongoose.startSession();
+    let order = null;
+    let paymentResult = null;
 
     try {
-        // Prepare payment data
-        const paymentData = {
-            ipAddress: paymentContext.ip,
-            userAgent: paymentContext.userAgent,
-            billingAddress: orderData.shippingAddress, // Using shipping as billing if not specified
-            ...paymentContext
-        };
+        session.startTransaction();
+
+        // 1. Create the order document
+        order = await this.createCompleteOrder(orderData, { session });
+
+        // 2. Decrement stock - every line must match or the whole checkout rolls back
+        const stockResult = await this.updateProductStock(order.items, { session });
+        if (stockResult.modifiedCount !== stockItems.length) {
+            const stockError = new Error('Insufficient stock for one or more items');
+            stockError.statusCode = 409;
+            stockError.code = 'INSUFFICIENT_STOCK';
+            throw stockError;
+        }
 
-        // Process payment through PaymentProcessor
-        const paymentResult = await PaymentProcessor.process(order, paymentData);
+        // 3. Record promotion usage
+        if (orderData.promotion?.promotionId) {
+            await updatePromotionUsage(orderData.promotion.promotionId, orderData.idCustomer, { session });
+        }
 
-        if (!paymentResult.success) {
-            throw new PaymentError('Payment processing failed', {
-                paymentMethod,
-                amount: order.total,
-                originalError: paymentResult.error
+        // 4. Attach order to user and clear the cart (renewals leave the cart alone).
+        //    A guest's cart is deleted instead.
+        if (orderData.guest) {
+            await GuestCart.deleteOne({ _id: orderData.guestCart }, { session });
+        } else {
+            await this.updateUserWithNewOrder(orderData.idCustomer, order._id, {
+                session,
+                clearCart: !orderData.subscription
             });
         }
 
-        // Update order with payment status
-        order.paymentStatus = 'completed';
-        order.paymentId = paymentResult.paymentId;
-        order.transactionId = paymentResult.transactionId;
-        order.status = 'processing';
+        // 5. Pay the store credit share from the wallet, then authorize the rest
+        //    and write the Payment record. The debit rolls back with the order;
+        //    the authorization is captured as the order ships.
+        if (orderData.walletAmount > 0) {
+            const walletTransaction = await Wallet.debit(orderData.idCustomer, {
+                amount: orderData.walletAmount,
+                source: 'order',
+                order: order._id,
+                description: 'Order payment'
+            }, { session });
+            const walletAmount = -walletTransaction.amount;
+            order.walletPayment = {
+                amount: walletAmount,
+                presentmentAmount: toOrderCurrency(order, walletAmount),
+                transaction: walletTransaction._id
+            };
+        }
+
+        if (order.total - (order.walletPayment?.amount || 0) > 0) {
+            const paymentData = {
+                ipAddress: paymentContext.ip,
+                userAgent: paymentContext.userAgent,
+                billingAddress: orderData.shippingAddress, // Using shipping as billing if not specified
+                ...paymentContext
+            };
+
+            paymentResult = await PaymentProcessor.authorize(order, paymentData, { session });
+        }
+
+        // 6. Update order with payment status. A payment waiting for the
+        //    customer's approval leaves the order pending until it is authorized.
+        const awaitingApproval = !!paymentResult?.pending;
+        order.paymentId = paymentResult?.paymentId || null;
+        order.transactionId = paymentResult?.transactionId || null;
+        if (!awaitingApproval) {
+            // Store credit alone pays the order outright
+            order.paymentStatus = paymentResult ? 'authorized' : 'completed';
+            const waiting = order.items.some(item => item.availability?.backordered > 0);
+            const paid = paymentResult ? 'Payment authorized' : 'Payment completed';
+            order.transitionTo(waiting ? 'backordered' : 'processing', {
+                actorType: 'system',
+                reason: waiting ? `${paid}, waiting for stock` : paid
+            });
+        }
         order.paymentDetails = {
             method: paymentMethod,
-            processor: paymentMethod === 'credit_card' ? 'stripe' : paymentMethod,
-            transactionId: paymentResult.transactionId,
-            processedAt: new Date()
+            processor: !paymentResult ? 'wallet' : paymentResult.provider,
+            transactionId: paymentResult?.transactionId || null,
+            processedAt: awaitingApproval ? null : new Date()
         };
 
-        await order.save();
+        await order.save({ session });
+        await session.commitTransaction();
+
+        // Stock is now permanently decremented, the hold is no longer needed
+        if (reservation) {
+            await InventoryReservation.commit(reservation).catch(err => {
+                logger.error(`Failed to clear committed reservation ${reservation.id}: ${err.message}`);
+            });
+        }
+
+        // The payment is secured, so the order is invoiced and sellers are owed
+        // their share. An order waiting for approval gets both once it is authorized.
+        if (!awaitingApproval) {
+            await recordPaidOrder(order);
+        }
 
         // Return both order and detailed payment result
         return {
             order,
             paymentResult: {
-                success: true,
-                transactionId: paymentResult.transactionId,
-                paymentId: paymentResult.paymentId,
-                paymentRecord: paymentResult.paymentRecord,
-                amount: order.total,
-                currency: order.currency || 'USD'
+                success: !awaitingApproval,
+                pending: awaitingApproval,
+                nextAction: paymentResult?.nextAction || null,
+                transactionId: paymentResult?.transactionId || null,
+                paymentId: paymentResult?.paymentId || null,
+                paymentRecord: paymentResult?.paymentRecord || null,
+                amount: paymentResult?.paymentRecord.total_amount || 0,
+                currency: paymentResult?.paymentRecord.currency || order.currency,
+                walletAmount: order.walletPayment?.presentmentAmount || 0
             }
         };
 
     } catch (error) {
-        // Handle payment failure
-        order.status = 'failed';
-        order.paymentStatus = 'failed';
-        order.failureReason = error.message;
-        order.paymentDetails = order.paymentDetails || {};
-        order.paymentDetails.error = error.message;
-        
-        if (error.originalError) {
-            order.paymentDetails.processorError = error.originalError.message;
+        if (session.inTransaction()) {
+            await session.abortTransaction();
+        }
+
+        // The provider charged but nothing was committed - give the money back
+        if (paymentResult?.success) {
+            await PaymentProcessor.compensate(order, paymentResult);
         }
 
-        await order.save();
+        if (reservation) {
+            await InventoryReservation.release(reservation);
+        }
 
-        // Log the payment failure
-        logger.error('Order payment failed', {
-            orderId: order._id,
+        logger.error('Order checkout rolled back', {
+            orderId: order?._id,
             error: error.message,
+            code: error.code,
             paymentMethod,
-            amount: order.total,
+            amount: order?.total,
+            chargeReversed: !!paymentResult?.success,
             stack: error.stack
         });
 
-        // Re-throw as PaymentError if it isn't already
-        if (!(error instanceof PaymentError)) {
-            throw new PaymentError(
-                error.message, 
-                paymentMethod, 
-                order.total, 
-                error
-            );
-        }
-
-        throw error;
-    }
-  },
-
-  /**
-   * Finalize order by updating user and inventory
-   * @param {ObjectId} orderId - The order ID
-   * @param {ObjectId} userId - The user ID
-   * @param {Array} orderItems - Order items
-   * @param {Object} paymentResult - Payment result
-   * @param {string} paymentMethod - Payment method
-   * @param {string} promotionCode - Applied promotion code
-   * @returns {Promise<void>}
-   */
-  async finalizeOrder(orderId, userId, orderItems, paymentResult, paymentMethod, promotionCode) {
-    // Update user's orders and clear cart
-    await User.clearCart(userId);
-    await this.updateUserWithNewOrder(userId, orderId);
-
-    // Update product stock
-    await this.updateProductStock(orderItems);
-
-    // Record transaction if payment was successful
-    if (paymentResult.success) {
-        const paymentData = {
-            order_id: orderId,
-            customer_id: userId,
-            payment_id: paymentResult.paymentId || paymentResult.transactionId,
-            payment_status: 'approved', // Maps to 'completed' in your schema enum
-            payment_method: paymentMethod,
-            total_amount: paymentResult.amount,
-            currency: paymentResult.currency || 'USD',
-            description: `Payment for order ${orderId}`,
-            processor_response: {
-                transaction_id: paymentResult.transactionId,
-                status: paymentResult.status || 'approved'
-            },
-            metadata: {
-                ip_address: paymentResult.ipAddress,
-                user_agent: paymentResult.userAgent
-            }
-        };
-
-        // Add promotion code if available
-        if (promotionCode) {
-            paymentData.metadata.promotion_code = promotionCode;
-        }
-
-        // Add billing address if available in paymentResult
-        if (paymentResult.billingAddress) {
-            paymentData.billing_address = {
-                recipient_name: paymentResult.billingAddress.recipientName || 
-                               paymentResult.billingAddress.name || 
-                               `${paymentResult.billingAddress.firstName} ${paymentResult.billingAddress.lastName}`,
-                line1: paymentResult.billingAddress.line1 || paymentResult.billingAddress.street,
-                line2: paymentResult.billingAddress.line2 || '',
-                city: paymentResult.billingAddress.city,
-                state: paymentResult.billingAddress.state,
-                postal_code: paymentResult.billingAddress.postalCode || paymentResult.billingAddress.zip,
-                country_code: paymentResult.billingAddress.countryCode || paymentResult.billingAddress.country
-            };
+        if (['INSUFFICIENT_STOCK', 'INSUFFICIENT_WALLET_BALANCE'].includes(error.code) || error instanceof PaymentError) {
+            throw error;
         }
 
+        // Failures outside the provider are wrapped too, but marked so callers
+        // can tell a declined payment from a checkout that broke
+        const checkoutError = new PaymentError(
+            error.message, 
+            paymentMethod, 
+            order?.total || orderData.total, 
+            error
+        );
+        checkoutError.code = 'CHECKOUT_FAILED';
+        throw checkoutError;
+    } finally {
+        await session.endSession();
     }
   },
 
   /**
    * Creates a new order with validation, logging, and proper calculations
    * @param {Object} orderData - Order data including customer, items, payment, etc.
+   * @param {Object} [options] - Query options
+   * @param {ClientSession} [options.session] - MongoDB session for transactional writes
    * @returns {Promise<Order>} The created order
   */
-  async createCompleteOrder(orderData) {
+  async createCompleteOrder(orderData, options = {}) {
     // Required fields validation
     const requiredFields = ['idCustomer', 'items', 'paymentMethod', 'shippingAddress'];
-    const missingFields = requiredFields.filter(field => !orderData[field]);
+    const missingFields = requiredFields
+        .filter(field => !orderData[field])
+        .filter(field => field !== 'idCustomer' || !orderData.guest?.emailHash);
     
     if (missingFields.length > 0) {
         throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
@@ -603,7 +1783,8 @@ orderSchema.statics = {
     const discountedSubtotal = orderData.subtotal - (orderData.discount || 0);
     const tax = orderData.tax || 0; // In real app, this would be calculated
     const finalShippingCost = orderData.shippingCost || 0;
-    const total = orderData.total || (discountedSubtotal + tax + finalShippingCost);
+    const total = orderData.total ||
+        (discountedSubtotal + finalShippingCost + (orderData.taxBreakdown?.pricesIncludeTax ? 0 : tax));
 
     // DEBUG LOGS - VERIFY ALL VALUES
     logger.info('Order Calculation Breakdown:'+ JSON.stringify({
@@ -617,15 +1798,30 @@ orderSchema.statics = {
 
     // Create order with ALL values
     const order = new this({
-        idCustomer: orderData.idCustomer,
+        idCustomer: orderData.idCustomer || null,
+        guest: orderData.guest || undefined,
         items: orderData.items.map(item => ({
             idProduct: item.idProduct,
             productName: item.productName,
             quantity: item.quantity,
+            effectiveQuantity: item.effectiveQuantity,
+            size: item.size,
+            color: item.color,
             priceAtPurchase: item.priceAtPurchase,
+            presentmentPrice: item.presentmentPrice,
+            seller: item.seller,
+            availability: item.availability || undefined,
             appliedCampaigns: item.appliedCampaigns || []
         })),
-        status: orderData.status || 'pending',
+        subOrders: buildSubOrders(orderData.items),
+        status: 'pending',
+        statusHistory: [{
+            from: null,
+            to: 'pending',
+            actor: orderData.subscription ? null : orderData.idCustomer || null,
+            actorType: orderData.subscription ? 'system' : 'customer',
+            reason: orderData.subscription ? 'Subscription renewal' : 'Order placed'
+        }],
         paymentMethod: orderData.paymentMethod,
         paymentStatus: orderData.paymentStatus || 'pending',
         shippingAddress: {
@@ -638,61 +1834,101 @@ orderSchema.statics = {
         shippingMethod: orderData.shippingMethod || 'standard',
         subtotal: orderData.subtotal,
         tax: tax,
+        taxBreakdown: orderData.taxBreakdown || undefined,
         shippingCost: finalShippingCost,
         discount: orderData.discount || 0,
         promotion: orderData.promotion || null,
         total: total,
-        estimatedDelivery: orderData.estimatedDelivery || null,
+        baseCurrency: orderData.baseCurrency || getBaseCurrency(),
+        currency: orderData.currency || orderData.baseCurrency || getBaseCurrency(),
+        exchangeRate: orderData.exchangeRate || 1,
+        presentmentTotals: orderData.presentmentTotals || undefined,
+        estimatedDelivery: orderData.estimatedDelivery || undefined,
+        subscription: orderData.subscription || null,
         appliedCampaigns: orderData.appliedCampaigns || orderData.items.reduce((acc, item) => {
             return [...acc, ...(item.appliedCampaigns || [])];
         }, [])
     });
 
-    await order.save();
+    await order.save({ session: options.session });
     return order;
   },
 
   /**
-   * Update user's orders with minimal required data
+   * Update user's orders with minimal required data and clear the cart
    * @param {ObjectId} userId - The user ID
    * @param {ObjectId} orderId - The order ID to add
+   * @param {Object} [options] - Query options
+   * @param {ClientSession} [options.session] - MongoDB session for transactional writes
+   * @param {boolean} [options.clearCart=true] - Empty the cart the order was placed from
    * @returns {Promise<Object>} Update result
    */
-  async updateUserWithNewOrder(userId, orderId) {
+  async updateUserWithNewOrder(userId, orderId, options = {}) {
     return User.updateOne(
       { _id: userId },
       {
         $push: { 'commerce.orders': orderId },
-        $set: { 'commerce.cart.items': [] }
-      }
+        ...(options.clearCart !== false && { $set: { 'commerce.cart': [] } })
+      },
+      { session: options.session }
     );
   },
 
   /**
    * Update product stock quantities with essential data
    * @param {Array} items - Array of order items with required: idProduct, quantity
+   * @param {Object} [options] - Query options
+   * @param {ClientSession} [options.session] - MongoDB session for transactional writes
    * @returns {Promise<Object>} Bulk write result
    */
-  async updateProductStock(items) {
+  async updateProductStock(items, options = {}) {
     if (!items.every(item => item.idProduct && item.quantity)) {
       throw new Error('Items must contain idProduct and quantity');
     }
 
-    const bulkOps = items.map(item => ({
-      updateOne: {
-        filter: { 
-          _id: item.idProduct,
-          stockQuantity: { $gte: item.quantity }
-        },
-        update: { $inc: { stockQuantity: -item.quantity } }
-      }
-    }));
+    // Backordered units are taken from stock when it arrives (releaseBackorders)
+    const bulkOps = items
+      .map(item => ({ idProduct: item.idProduct, quantity: item.quantity - (item.availability?.backordered || 0) }))
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        updateOne: {
+          filter: { 
+            _id: item.idProduct,
+            stockQuantity: { $gte: item.quantity }
+          },
+          update: { $inc: { stockQuantity: -item.quantity } }
+        }
+      }));
+
+    if (bulkOps.length === 0) return { modifiedCount: 0 };
+    return Product.bulkWrite(bulkOps, { session: options.session });
+  },
+
+  /**
+   * Put the stock of a cancelled order back. Backordered units that were
+   * never taken from stock are left out.
+   * @param {Array} items - Order items with idProduct, quantity and availability
+   * @param {Object} [options] - Query options
+   * @param {ClientSession} [options.session] - MongoDB session for transactional writes
+   * @returns {Promise<Object>} Bulk write result
+   */
+  async restoreProductStock(items, options = {}) {
+    const bulkOps = items
+      .map(item => ({ idProduct: item.idProduct, quantity: item.quantity - (item.availability?.backordered || 0) }))
+      .filter(item => item.quantity > 0)
+      .map(item => ({
+        updateOne: {
+          filter: { _id: item.idProduct },
+          update: { $inc: { stockQuantity: item.quantity } }
+        }
+      }));
 
-    return Product.bulkWrite(bulkOps);
+    if (bulkOps.length === 0) return { modifiedCount: 0 };
+    return Product.bulkWrite(bulkOps, { session: options.session });
   },
 
   /**
-   * Verify product stock with essential data only
+   * Verify product stock with essential data only, net of active reservations
    * @param {Array} items - Array of items with required: idProduct, quantity
    * @returns {Promise<{available: boolean, outOfStockItems: Array}>}
    */
@@ -700,9 +1936,12 @@ orderSchema.statics = {
     const outOfStockItems = [];
     const productIds = items.map(item => item.idProduct);
     
-    const products = await Product.find({ 
-      _id: { $in: productIds } 
-    }).select('_id stockQuantity name');
+    const [products, reservedQuantities] = await Promise.all([
+      Product.find({ 
+        _id: { $in: productIds } 
+      }).select('_id stockQuantity name'),
+      InventoryReservation.getReservedQuantities(productIds)
+    ]);
 
     for (const item of items) {
       const product = products.find(p => p._id.equals(item.idProduct));
@@ -714,12 +1953,13 @@ orderSchema.statics = {
         continue;
       }
 
-      if (product.stockQuantity < item.quantity) {
+      const available = product.stockQuantity - (reservedQuantities.get(product._id.toString()) || 0);
+      if (available < item.quantity) {
         outOfStockItems.push({
           productId: product._id,
           productName: product.name,
           requested: item.quantity,
-          available: product.stockQuantity
+          available: Math.max(0, available)
         });
       }
     }
@@ -730,6 +1970,304 @@ orderSchema.statics = {
     };
   },
 
+  /**
+   * Units per product that paid orders are still waiting for
+   * @param {Array} productIds - Product IDs
+   * @returns {Promise<Map<string, number>>} Backordered quantity per product ID
+   */
+  async getBackorderedQuantities(productIds) {
+    const ids = [...new Set(productIds.map(id => id.toString()))].map(id => new mongoose.Types.ObjectId(id));
+    if (ids.length === 0) return new Map();
+
+    const rows = await this.aggregate([
+      { $match: { status: 'backordered', 'items.idProduct': { $in: ids } } },
+      { $unwind: '$items' },
+      { $match: { 'items.idProduct': { $in: ids }, 'items.availability.backordered': { $gt: 0 } } },
+      { $group: { _id: '$items.idProduct', quantity: { $sum: '$items.availability.backordered' } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.quantity]));
+  },
+
+  /**
+   * Allocate arrived stock to backordered orders, oldest first. A line is
+   * allocated in full or not at all, pre-orders not before their release
+   * date, and stock held by in-flight checkouts is left alone. Orders whose
+   * lines are all allocated move on to processing.
+   * @param {Date} [now] - Current time
+   * @param {Object} [options] - { limit }: orders looked at per run
+   * @returns {Promise<Object>} { allocated: number of lines, released: orders moved to processing }
+   */
+  async releaseBackorders(now = new Date(), { limit = 50 } = {}) {
+    const held = await this.find({ status: 'backordered' })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select('_id items.idProduct')
+      .lean();
+
+    const productIds = held.flatMap(order => order.items.map(item => item.idProduct));
+    const reservedQuantities = await InventoryReservation.getReservedQuantities(productIds);
+
+    let allocated = 0;
+    const released = [];
+
+    for (const { _id } of held) {
+      const session = await mongoose.startSession();
+      try {
+        let lines = 0;
+        let order = null;
+        await session.withTransaction(async () => {
+          lines = 0;
+          order = await this.findOne({ _id, status: 'backordered' }).session(session);
+          if (!order) return;
+
+          const waiting = order.items.filter(item => item.availability?.backordered > 0);
+          const products = await Product.find({ _id: { $in: waiting.map(item => item.idProduct) } })
+            .select('_id backorder')
+            .session(session)
+            .lean();
+          const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+          for (const item of waiting) {
+            const productId = item.idProduct.toString();
+            const backorder = productMap.get(productId)?.backorder;
+            if (backorder?.mode === 'preorder' && backorder.availableAt > now) continue;
+
+            const quantity = item.availability.backordered;
+            const result = await Product.updateOne(
+              {
+                _id: item.idProduct,
+                stockQuantity: { $gte: quantity + (reservedQuantities.get(productId) || 0) }
+              },
+              { $inc: { stockQuantity: -quantity } },
+              { session }
+            );
+            if (result.modifiedCount === 0) continue;
+
+            item.availability.backordered = 0;
+            item.availability.allocatedAt = now;
+            lines++;
+          }
+
+          if (lines === 0) return;
+          if (order.items.every(item => !(item.availability?.backordered > 0))) {
+            order.transitionTo('processing', {
+              actorType: 'system',
+              reason: 'Backordered items are in stock'
+            });
+          }
+          await order.save({ session });
+        });
+
+        allocated += lines;
+        if (order?.status === 'processing') released.push(order);
+      } catch (error) {
+        logger.error(`Failed to allocate stock to backordered order ${_id}: ${error.message}`);
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    return { allocated, released };
+  },
+
+  /**
+   * Claim unpaid pending orders that are within the warning period of their
+   * payment timeout and have not been warned yet. The claim sets
+   * paymentReminderSentAt, so a customer is warned once even when several
+   * instances run the scheduler.
+   * @param {Date} [now] - Current time
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array<Order>>} Claimed orders
+   */
+  async claimPaymentReminders(now = new Date(), { limit = 50 } = {}) {
+    const warnFrom = new Date(now.getTime() - (getPaymentTimeoutHours() - getPaymentWarningHours()) * HOUR_MS);
+    const claimed = [];
+
+    while (claimed.length < limit) {
+      const order = await this.findOneAndUpdate(
+        {
+          status: 'pending',
+          paymentStatus: { $in: UNPAID_STATUSES },
+          paymentReminderSentAt: null,
+          createdAt: { $lte: warnFrom }
+        },
+        { $set: { paymentReminderSentAt: now } },
+        { new: true, sort: { createdAt: 1 } }
+      );
+
+      if (!order) break;
+      claimed.push(order);
+    }
+
+    return claimed;
+  },
+
+  /**
+   * When an unpaid order is cancelled: the payment timeout after it was
+   * placed, but never sooner than the warning period after the reminder
+   * @param {Object} order - Order with createdAt and paymentReminderSentAt
+   * @returns {Date}
+   */
+  getPaymentDeadline(order) {
+    const timeoutAt = order.createdAt.getTime() + getPaymentTimeoutHours() * HOUR_MS;
+    const noticeAt = order.paymentReminderSentAt
+      ? order.paymentReminderSentAt.getTime() + getPaymentWarningHours() * HOUR_MS
+      : Infinity;
+    return new Date(Math.max(timeoutAt, noticeAt));
+  },
+
+  /**
+   * Cancel pending orders that were not paid before their deadline. Each
+   * order is cancelled in its own transaction together with giving back its
+   * stock, promotion usage and any store credit it used. Orders are only
+   * expired after the customer was warned (claimPaymentReminders).
+   * @param {Date} [now] - Current time
+   * @param {Object} [options] - { limit }
+   * @returns {Promise<Array<Order>>} Cancelled orders
+   */
+  async expireUnpaidOrders(now = new Date(), { limit = 50 } = {}) {
+    const candidates = await this.find({
+      status: 'pending',
+      paymentStatus: { $in: UNPAID_STATUSES },
+      createdAt: { $lte: new Date(now.getTime() - getPaymentTimeoutHours() * HOUR_MS) },
+      paymentReminderSentAt: { $ne: null, $lte: new Date(now.getTime() - getPaymentWarningHours() * HOUR_MS) }
+    })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .select('_id')
+      .lean();
+
+    const expired = [];
+    for (const { _id } of candidates) {
+      const session = await mongoose.startSession();
+      try {
+        let order = null;
+        await session.withTransaction(async () => {
+          order = await this.findOne({ _id, status: 'pending', paymentStatus: { $in: UNPAID_STATUSES } }).session(session);
+          if (!order) return;
+
+          order.transitionTo('cancelled', { actorType: 'system', reason: 'payment_timeout' });
+          order.cancellationReason = 'payment_timeout';
+          order.paymentStatus = 'failed';
+
+          await this.releaseCancelledOrder(order, { session });
+          await order.save({ session });
+        });
+
+        if (order) expired.push(order);
+      } catch (error) {
+        logger.error(`Failed to expire unpaid order ${_id}: ${error.message}`);
+      } finally {
+        await session.endSession();
+      }
+    }
+
+    return expired;
+  },
+
+  /**
+   * Give back what a cancelled order held: the stock taken for it, the use
+   * of its promotion and, when it was never paid, the store credit spent on
+   * it. A paid order gets its store credit back with the void or refund of
+   * its payment. Wallet credits are keyed on the order, so an order is
+   * credited once however it was cancelled.
+   * @param {Object} order - Order document, already moved to cancelled
+   * @param {Object} [options] - { session }
+   * @returns {Promise<void>}
+   */
+  async releaseCancelledOrder(order, { session } = {}) {
+    await this.restoreProductStock(order.items, { session });
+    if (order.promotion?.promotionId) {
+      await releasePromotionUsage(order.promotion.promotionId, order.idCustomer, { session });
+    }
+    if (UNPAID_STATUSES.includes(order.paymentStatus) && order.walletPayment?.amount > 0) {
+      await Wallet.credit(order.idCustomer, {
+        amount: order.walletPayment.amount,
+        source: 'order_refund',
+        reference: `cancelled:${order._id}`,
+        order: order._id,
+        description: 'Unpaid order cancelled'
+      }, { session });
+    }
+  },
+
+  /**
+   * Book an authorization the provider released on its own, e.g. one that
+   * lapsed or was cancelled in the provider's dashboard. The order can no
+   * longer be paid: one that has not shipped is cancelled and released (see
+   * releaseCancelledOrder), and the released share is booked back like a
+   * void. Called by the webhook that closed the authorization, so it runs
+   * once per payment.
+   * @param {Object} payment - Payment whose authorization was just closed
+   * @returns {Promise<Order|null>} The order, null when it is not found
+   */
+  async releaseVoidedPayment(payment) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const order = await this.findOne({
+          _id: payment.order_id,
+          status: { $in: ['pending', 'processing', 'backordered'] }
+        }).session(session);
+        if (!order) return;
+
+        order.transitionTo('cancelled', { actorType: 'system', reason: 'payment_voided' });
+        order.cancellationReason = 'payment_voided';
+        await this.releaseCancelledOrder(order, { session });
+        await order.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    const order = await this.findById(payment.order_id);
+    if (!order) return null;
+
+    const { id, released } = await PaymentProcessor.bookRelease(order, payment);
+    if (released > 0) {
+      await recordRefund(order, {
+        amount: released,
+        refundId: id,
+        reason: 'Payment authorization released',
+        refundedAt: new Date()
+      });
+    }
+    order.paymentStatus = payment.authorization.captured_amount > 0 ? 'completed' : 'voided';
+    await order.save();
+    return order;
+  },
+
+  /**
+   * Mark a pending order paid once its payment was authorized or captured
+   * after the customer approved it at the provider: the order moves on like a
+   * checkout paid on the spot and is invoiced. The claim is atomic, so the
+   * customer's return and the provider webhook complete an order once, and an
+   * order the payment timeout cancelled is left alone.
+   * @param {ObjectId|string} orderId - Order ID
+   * @param {string} [paymentStatus='completed'] - authorized for a payment
+   * still to be captured, completed for one captured in full
+   * @returns {Promise<Order|null>} The order, or null when it was not waiting for payment
+   */
+  async completePayment(orderId, paymentStatus = 'completed') {
+    const order = await this.findOneAndUpdate(
+      { _id: orderId, status: 'pending', paymentStatus: { $in: UNPAID_STATUSES } },
+      { $set: { paymentStatus, 'paymentDetails.processedAt': new Date() } },
+      { new: true }
+    );
+    if (!order) return null;
+
+    const waiting = order.items.some(item => item.availability?.backordered > 0);
+    const paid = paymentStatus === 'authorized' ? 'Payment authorized' : 'Payment completed';
+    order.transitionTo(waiting ? 'backordered' : 'processing', {
+      actorType: 'system',
+      reason: waiting ? `${paid}, waiting for stock` : paid
+    });
+    await order.save();
+
+    await recordPaidOrder(order);
+    return order;
+  },
+
   async getCustomerOrders(customerId, page = 1, limit = 10, status = null) {
     // Validate inputs
     if (!customerId) {
@@ -751,7 +2289,7 @@ orderSchema.statics = {
       .sort({ createdAt: -1 })
       .skip((page - 1) * limit)
       .limit(limit)
-      .select('_id items status total paymentMethod shippingAddress createdAt estimatedDelivery paymentStatus trackingNumber')
+      .select('_id orderNumber items status fulfillmentStatus total currency presentmentTotals paymentMethod shippingAddress createdAt estimatedDelivery paymentStatus trackingNumber')
       .populate({
         path: 'items.idProduct',
         select: 'name mainImage slug' // Only get essential product info
@@ -778,7 +2316,7 @@ orderSchema.statics = {
       _id: orderId,
       idCustomer: customerId
     })
-    .select('items status total paymentMethod shippingAddress createdAt estimatedDelivery promotion appliedCampaigns')
+    .select('orderNumber items status statusHistory discount subtotal tax taxBreakdown shippingCost shipments fulfillmentStatus subOrders total refundedAmount refunds baseCurrency currency exchangeRate presentmentTotals paymentMethod shippingAddress createdAt estimatedDelivery promotion appliedCampaigns')
     .lean();
   },
 
@@ -804,7 +2342,7 @@ orderSchema.statics = {
                 path: 'idCustomer',
                 select: 'firstName lastName email'
             })
-            .sort({ [sortBy]: sortOrder === 'desc' ? -1 : 1 })
+            .sort({ [sortBy === 'estimatedDelivery' ? 'estimatedDelivery.max' : sortBy]: sortOrder === 'desc' ? -1 : 1 })
             .skip((page - 1) * limit)
             .limit(Number(limit))
             .lean(),
@@ -820,47 +2358,400 @@ orderSchema.statics = {
   },
 
   /**
-   * Cancel an order with required data only
+   * Cancel an order and give back its payment: an open authorization is
+   * released (voidPayment) and a payment taken in full is refunded. The
+   * payment goes first and nothing is cancelled when it fails, so the cancel
+   * can be retried; a retry finds the payment released already. The order is
+   * then cancelled and released in a transaction (see releaseCancelledOrder).
+   * @param {Object} filter - Query for the order, e.g. with its customer
+   * @param {Object} transition - transitionTo options (actor, actorType, reason, force)
+   * @param {Function} [update] - Further changes to the order, made before it is saved
+   * @returns {Promise<Object>} { order, voided, refunded } with the void or refund result, or null
+   * @throws {Error} ORDER_NOT_FOUND (404), INVALID_STATUS_TRANSITION (400),
+   * PAYMENT_VOID_FAILED or PAYMENT_REFUND_FAILED (402, the provider's code as reason)
+   */
+  async cancelWithPayment(filter, transition = {}, update) {
+    const order = await this.findOne(filter);
+    if (!order) {
+      const err = new Error('Order not found or not eligible for cancellation');
+      err.statusCode = 404;
+      err.code = 'ORDER_NOT_FOUND';
+      throw err;
+    }
+    if (!transition.force && !this.canTransition(order.status, 'cancelled')) {
+      const err = new Error(`Invalid status transition from ${order.status} to cancelled`);
+      err.statusCode = 400;
+      err.code = 'INVALID_STATUS_TRANSITION';
+      err.allowed = this.getAllowedTransitions(order.status);
+      throw err;
+    }
+
+    const voiding = AUTHORIZED_STATUSES.includes(order.paymentStatus);
+    let voided = null;
+    let refunded = null;
+    try {
+      if (voiding) {
+        voided = await order.voidPayment();
+      } else if (order.paymentStatus === 'completed' && (order.refundedAmount || 0) < order.total) {
+        refunded = await order.refundPayment({ reason: 'Order cancelled' });
+      }
+    } catch (paymentError) {
+      const err = new Error(voiding ? 'Payment void failed' : 'Refund processing failed');
+      err.statusCode = 402;
+      err.code = voiding ? 'PAYMENT_VOID_FAILED' : 'PAYMENT_REFUND_FAILED';
+      err.reason = paymentError.code;
+      err.details = paymentError.message;
+      throw err;
+    }
+    if (voided || refunded) {
+      await order.save();
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let cancelled = null;
+      await session.withTransaction(async () => {
+        cancelled = await this.findOne({ _id: order._id }).session(session);
+        cancelled.transitionTo('cancelled', transition);
+        if (update) update(cancelled);
+
+        await this.releaseCancelledOrder(cancelled, { session });
+        await cancelled.save({ session });
+      });
+      return { order: cancelled, voided, refunded };
+    } finally {
+      await session.endSession();
+    }
+  },
+
+  /**
+   * Cancel a customer's order with a required reason (see cancelWithPayment)
    * @param {ObjectId} orderId - The order ID
    * @param {ObjectId} customerId - The customer ID
    * @param {string} cancellationReason - Required reason
-   * @returns {Promise<Order>} Updated order
+   * @returns {Promise<Object>} { order, voided, refunded }
    */
   async cancelOrder(orderId, customerId, cancellationReason) {
     if (!cancellationReason) {
       throw new Error('Cancellation reason is required');
     }
 
-    const order = await this.findOne({
-      _id: orderId,
-      idCustomer: customerId,
-      status: { $in: ['pending', 'processing'] }
-    });
+    return this.cancelWithPayment(
+      { _id: orderId, idCustomer: customerId },
+      { actor: customerId, actorType: 'customer', reason: cancellationReason },
+      order => {
+        order.cancellationReason = cancellationReason;
+      }
+    );
+  },
 
+  /**
+   * Copy the lines of a past order into the customer's cart, in the same
+   * size and color. Products that are gone or sold out are skipped, and
+   * quantities are capped by the stock left after active reservations,
+   * backorder limits and what the cart already holds.
+   * @param {ObjectId} orderId - The order ID
+   * @param {ObjectId} customerId - The customer ID
+   * @returns {Promise<Object>} { added, unavailable, capped, repriced }
+   * repriced lists added lines whose current price, in the base currency,
+   * differs from the unit price paid
+   * @throws {Error} ORDER_NOT_FOUND (404)
+   */
+  async reorder(orderId, customerId) {
+    const order = await this.findOne({ _id: orderId, idCustomer: customerId })
+      .select('items baseCurrency')
+      .lean();
     if (!order) {
-      throw new Error('Order not found or not eligible for cancellation');
+      const err = new Error('Order not found');
+      err.statusCode = 404;
+      err.code = 'ORDER_NOT_FOUND';
+      throw err;
     }
-    
-    order.status = 'cancelled';
-    order.cancellationReason = cancellationReason;
-    order.cancelledAt = new Date();
-    return order.save();
+
+    const productIds = order.items.map(item => item.idProduct);
+    const [products, reservedQuantities, backorderedQuantities, customer, rates] = await Promise.all([
+      Product.find({ _id: { $in: productIds } })
+        .select('name price currency stockQuantity backorder isAvailable status')
+        .lean(),
+      InventoryReservation.getReservedQuantities(productIds),
+      this.getBackorderedQuantities(productIds),
+      User.findById(customerId).select('commerce.cart').lean(),
+      getRates()
+    ]);
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+    const baseCurrency = order.baseCurrency || getBaseCurrency();
+
+    // Units already in the cart count against what is left
+    const inCart = new Map();
+    for (const item of customer?.commerce?.cart || []) {
+      if (!item.product) continue;
+      const id = item.product.toString();
+      inCart.set(id, (inCart.get(id) || 0) + item.quantity);
+    }
+
+    const result = { added: [], unavailable: [], capped: [], repriced: [] };
+    for (const item of order.items) {
+      const productId = item.idProduct.toString();
+      const product = productMap.get(productId);
+      const line = {
+        productId: item.idProduct,
+        name: product?.name || null,
+        size: item.size,
+        color: item.color
+      };
+
+      if (!product || !product.isAvailable || ['archived', 'banned'].includes(product.status)) {
+        result.unavailable.push({ ...line, requested: item.quantity, reason: 'Product no longer available' });
+        continue;
+      }
+
+      const held = inCart.get(productId) || 0;
+      const availability = resolveAvailability(
+        product,
+        held + item.quantity,
+        product.stockQuantity - (reservedQuantities.get(productId) || 0),
+        backorderedQuantities.get(productId) || 0
+      );
+      const quantity = availability.error
+        ? Math.max(0, Math.min(item.quantity, availability.available - held))
+        : item.quantity;
+
+      if (quantity === 0) {
+        result.unavailable.push({ ...line, requested: item.quantity, reason: availability.error });
+        continue;
+      }
+      if (quantity < item.quantity) {
+        result.capped.push({ ...line, requested: item.quantity, quantity, reason: availability.error });
+      }
+
+      await User.addToCart(customerId, productId, quantity, { size: item.size, color: item.color });
+      inCart.set(productId, held + quantity);
+      result.added.push({ ...line, quantity });
+
+      if (rates.has(product.currency || baseCurrency) && rates.has(baseCurrency)) {
+        const currentPrice = convert(product.price, product.currency || baseCurrency, baseCurrency, rates);
+        if (toMinorUnits(currentPrice, baseCurrency) !== toMinorUnits(item.priceAtPurchase, baseCurrency)) {
+          result.repriced.push({
+            ...line,
+            previousPrice: item.priceAtPurchase,
+            currentPrice,
+            currency: baseCurrency
+          });
+        }
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * Guest order for a signed lookup link
+   * @param {ObjectId} orderId - The order ID
+   * @returns {Promise<Object|null>} The order, null when it is not a guest order
+   */
+  async findGuestOrder(orderId) {
+    return this.findOne({ _id: orderId, 'guest.emailHash': { $type: 'string' } })
+      .select('-guest.emailHash')
+      .populate('items.idProduct', 'name images')
+      .lean();
+  },
+
+  /**
+   * Attach the unclaimed guest orders placed with an email to the account that
+   * registered it. The orders, their payments and invoices move to the user in
+   * one transaction.
+   * @param {ObjectId} userId - The user ID
+   * @param {string} emailHash - The user's email hash
+   * @returns {Promise<ObjectId[]>} IDs of the claimed orders
+   */
+  async claimGuestOrders(userId, emailHash) {
+    const session = await mongoose.startSession();
+    let orderIds = [];
+
+    try {
+      await session.withTransaction(async () => {
+        const orders = await this.find({ 'guest.emailHash': emailHash, idCustomer: null })
+          .select('_id')
+          .session(session)
+          .lean();
+        orderIds = orders.map(order => order._id);
+        if (orderIds.length === 0) return;
+
+        await this.updateMany(
+          { _id: { $in: orderIds }, idCustomer: null },
+          { $set: { idCustomer: userId, 'guest.claimedAt': new Date() } },
+          { session }
+        );
+        await Payment.updateMany(
+          { order_id: { $in: orderIds } },
+          { $set: { customer_id: userId }, $unset: { guest_email_hash: '' } },
+          { session }
+        );
+        await Invoice.updateMany(
+          { order: { $in: orderIds } },
+          { $set: { customer: userId } },
+          { session }
+        );
+        await User.updateOne(
+          { _id: userId },
+          { $addToSet: { 'commerce.orders': { $each: orderIds } } },
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return orderIds;
+  },
+
+  /**
+   * Add a shipment to an order (admin)
+   * @param {ObjectId} orderId - The order ID
+   * @param {Object} shipmentData - Shipment items and carrier details
+   * @param {ObjectId} actor - Admin creating the shipment
+   * @returns {Promise<{order: Order, shipment: Object, capture: Object|null}>} Updated order,
+   * new shipment and the payment captured for it
+   */
+  async createShipment(orderId, shipmentData, actor) {
+    const order = await this.findById(orderId);
+    if (!order) {
+      const err = new Error('Order not found');
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const shipment = order.addShipment(shipmentData, actor);
+    const capture = await order.capturePayment(shipment._id);
+    await order.save();
+
+    return { order, shipment, capture };
+  },
+
+  /**
+   * Update a shipment on an order (admin)
+   * @param {ObjectId} orderId - The order ID
+   * @param {ObjectId} shipmentId - The shipment ID
+   * @param {Object} updateData - Carrier details and/or new status
+   * @param {ObjectId} actor - Admin making the change
+   * @returns {Promise<{order: Order, shipment: Object, capture: Object|null}>} Updated order,
+   * shipment and the payment captured when it shipped
+   */
+  async updateShipment(orderId, shipmentId, updateData, actor) {
+    const order = await this.findById(orderId);
+    if (!order) {
+      const err = new Error('Order not found');
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const shipment = order.updateShipment(shipmentId, updateData, actor);
+    const capture = await order.capturePayment(shipment._id);
+    await order.save();
+
+    return { order, shipment, capture };
+  },
+
+  /**
+   * Paginated sub-orders of a seller. Unpaid (pending) orders are left out.
+   * @param {ObjectId} sellerId - Seller user ID
+   * @param {Object} [options] - { page, limit, fulfillmentStatus }
+   * @returns {Promise<Object>} { orders, total, page, pages }; each order holds only the seller's sub-order in subOrders
+   */
+  async findSellerOrders(sellerId, { page = 1, limit = 10, fulfillmentStatus } = {}) {
+    const query = {
+      status: { $ne: 'pending' },
+      subOrders: { $elemMatch: { seller: sellerId, ...(fulfillmentStatus && { fulfillmentStatus }) } }
+    };
+
+    const [orders, total] = await Promise.all([
+      this.find(query)
+        .select('orderNumber status shippingAddress shippingMethod estimatedDelivery createdAt subOrders.$')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(query)
+    ]);
+
+    return { orders, total, page, pages: Math.ceil(total / limit) || 1 };
+  },
+
+  /**
+   * Ship items of a seller's own sub-order
+   * @param {ObjectId} orderId - The order ID
+   * @param {ObjectId} sellerId - Seller creating the shipment
+   * @param {Object} shipmentData - Same as addShipment
+   * @returns {Promise<{order: Order, subOrder: Object, shipment: Object, capture: Object|null}>}
+   * @throws {Error} SUB_ORDER_NOT_FOUND or SHIPMENT_ITEMS_NOT_OWNED besides the addShipment errors
+   */
+  async createSellerShipment(orderId, sellerId, shipmentData) {
+    const order = await this.findById(orderId);
+    if (!order) {
+      const err = new Error('Order not found');
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const subOrder = order.getSellerSubOrder(sellerId, shipmentData.items.map(line => line.idProduct));
+    const shipment = order.addShipment(shipmentData, sellerId, 'seller');
+    const capture = await order.capturePayment(shipment._id);
+    await order.save();
+
+    return { order, subOrder, shipment, capture };
+  },
+
+  /**
+   * Update a shipment of a seller's own sub-order. Shipments holding other
+   * sellers' items are reported as not found.
+   * @param {ObjectId} orderId - The order ID
+   * @param {ObjectId} sellerId - Seller making the change
+   * @param {ObjectId} shipmentId - The shipment ID
+   * @param {Object} updateData - Carrier details and/or new status
+   * @returns {Promise<{order: Order, subOrder: Object, shipment: Object, capture: Object|null}>}
+   */
+  async updateSellerShipment(orderId, sellerId, shipmentId, updateData) {
+    const order = await this.findById(orderId);
+    if (!order) {
+      const err = new Error('Order not found');
+      err.statusCode = 404;
+      throw err;
+    }
+
+    const existing = order.shipments.id(shipmentId);
+    const subOrder = order.getSellerSubOrder(sellerId);
+    const owned = new Set(subOrder.items.map(item => item.idProduct.toString()));
+    if (!existing || existing.items.some(line => !owned.has(line.idProduct.toString()))) {
+      const err = new Error('Shipment not found');
+      err.statusCode = 404;
+      err.code = 'SHIPMENT_NOT_FOUND';
+      throw err;
+    }
+
+    const shipment = order.updateShipment(shipmentId, updateData, sellerId, 'seller');
+    const capture = await order.capturePayment(shipment._id);
+    await order.save();
+
+    return { order, subOrder, shipment, capture };
   },
 
   /**
-   * Update essential order status (admin)
+   * Update essential order status (admin). Shipping captures what is left of
+   * the payment authorization; cancelling gives back the payment, stock,
+   * promotion use and store credit (see cancelWithPayment).
    * @param {ObjectId} orderId - The order ID
    * @param {string} status - New status
+   * @param {Object} [options] - Transition options (actor, actorType, reason, force)
    * @returns {Promise<Order>} Updated order
    */
-  async updateOrderStatus(orderId, status) {
+  async updateOrderStatus(orderId, status, options = {}) {
     if (!status) {
       throw new Error('Status is required');
     }
 
-    const validStatuses = ['processing', 'shipped', 'delivered', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-      throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+    if (status === 'cancelled') {
+      const { order } = await this.cancelWithPayment({ _id: orderId }, { actorType: 'admin', ...options });
+      return order;
     }
 
     const order = await this.findById(orderId);
@@ -868,14 +2759,9 @@ orderSchema.statics = {
       throw new Error('Order not found');
     }
 
-    // Update status and set timestamps for certain status changes
-    order.status = status;
+    order.transitionTo(status, { actorType: 'admin', ...options });
     if (status === 'shipped') {
-      order.shippedAt = new Date();
-    } else if (status === 'delivered') {
-      order.deliveredAt = new Date();
-    } else if (status === 'completed') {
-      order.completedAt = new Date();
+      await order.capturePayment();
     }
 
     return order.save();
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { getMinorUnits, roundAmount } = require('../modules/currency/service');
 
 const paymentSchema = new Schema({
   // Core Payment Data (from your receipt object)
@@ -12,9 +13,11 @@ const paymentSchema = new Schema({
   customer_id: {
     type: Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Customer reference is required'],
+    required: [function() { return !this.guest_email_hash; }, 'Customer reference is required'],
     index: true
   },
+  // Guest checkout: email hash of the order until the guest claims it
+  guest_email_hash: String,
   payment_id: {
     type: String,
     required: [true, 'Payment processor ID is required'],
@@ -24,14 +27,16 @@ const paymentSchema = new Schema({
   payment_status: {
     type: String,
     required: true,
-    enum: ['created', 'approved', 'failed', 'pending', 'refunded', 'partially_refunded'],
+    enum: ['created', 'authorized', 'approved', 'voided', 'failed', 'pending', 'refunded', 'partially_refunded', 'disputed'],
     index: true
   },
   payment_method: {
     type: String,
     required: true,
-    enum: ['paypal', 'credit_card', 'bank_transfer', 'stripe', 'apple_pay', 'google_pay']
+    enum: ['paypal', 'credit_card', 'bank_transfer', 'stripe', 'cod', 'cash_on_delivery', 'apple_pay', 'google_pay']
   },
+  // Provider that took the payment (stripe, paypal, cod, mock); refunds go back through it
+  provider: String,
   total_amount: {
     type: Number,
     required: [true, 'Payment amount is required'],
@@ -41,7 +46,7 @@ const paymentSchema = new Schema({
     type: String,
     required: true,
     default: 'USD',
-    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD'] // ISO 4217 codes
+    enum: ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY'] // ISO 4217 codes
   },
   description: {
     type: String,
@@ -58,13 +63,52 @@ const paymentSchema = new Schema({
     type: Schema.Types.Mixed,
     required: false
   },
+  // Money reserved at checkout and taken as the order ships. Payments charged
+  // in full straight away have none.
+  authorization: {
+    amount: Number,
+    currency: String,
+    captured_amount: Number,
+    // pending until the customer approves at the provider; open while it can
+    // be captured; captured or voided once nothing is left
+    status: {
+      type: String,
+      enum: ['pending', 'open', 'captured', 'voided']
+    },
+    expires_at: Date,
+    // When the order scheduler reported that the authorization is about to lapse
+    expiry_flagged_at: Date,
+    closed_at: Date
+  },
+  captures: [{
+    amount: Number,
+    currency: String,
+    // What the capture was for, e.g. the shipment ID
+    reference: String,
+    captured_at: Date
+  }],
   refunds: [{
     amount: Number,
     currency: String,
     reason: String,
     processed_at: Date,
-    processor_refund_id: String
+    processor_refund_id: String,
+    // Return request the refund settles, if any
+    return_request: {
+      type: Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    }
   }],
+  // Chargeback opened by the customer's bank, as reported by the provider
+  dispute: {
+    dispute_id: String,
+    status: String,
+    reason: String,
+    amount: Number,
+    currency: String,
+    opened_at: Date,
+    closed_at: Date
+  },
   billing_address: {
     recipient_name: String,
     line1: String,
@@ -98,6 +142,7 @@ const paymentSchema = new Schema({
 paymentSchema.index({ customer_id: 1, payment_date: -1 });
 paymentSchema.index({ payment_status: 1, payment_date: 1 });
 paymentSchema.index({ payment_method: 1 });
+paymentSchema.index({ 'authorization.status': 1, 'authorization.expires_at': 1 });
 
 // Virtuals
 paymentSchema.virtual('formatted_amount').get(function() {
@@ -107,6 +152,27 @@ paymentSchema.virtual('formatted_amount').get(function() {
   }).format(this.total_amount);
 });
 
+// Money given back so far, in the payment currency
+paymentSchema.virtual('refunded_amount').get(function() {
+  const refunded = (this.refunds || []).reduce((sum, refund) => sum + (refund.amount || 0), 0);
+  return roundAmount(refunded, { decimals: getMinorUnits(this.currency) });
+});
+
+// Money actually taken from the customer: what was captured of an
+// authorization, or the whole amount of a payment charged straight away
+paymentSchema.virtual('captured_total').get(function() {
+  if (this.authorization?.status) return this.authorization.captured_amount || 0;
+  return ['approved', 'partially_refunded', 'refunded', 'disputed'].includes(this.payment_status)
+    ? this.total_amount
+    : 0;
+});
+
+// What can still be refunded: refunds never exceed what was captured
+paymentSchema.virtual('refundable_amount').get(function() {
+  const left = roundAmount(this.captured_total - this.refunded_amount, { decimals: getMinorUnits(this.currency) });
+  return Math.max(0, left);
+});
+
 // Middleware to log payment status changes
 paymentSchema.pre('save', function(next) {
   if (this.isModified('payment_status')) {
@@ -120,6 +186,36 @@ paymentSchema.statics.findByOrder = function(orderId) {
   return this.find({ order_id: orderId }).sort('-payment_date');
 };
 
+/**
+ * Claim open authorizations that lapse within the warning period and were not
+ * flagged yet. The claim sets authorization.expiry_flagged_at, so each is
+ * reported once even when several instances run the scheduler.
+ * @param {Date} [now] - Current time
+ * @param {Object} [options] - { warningHours, limit }
+ * @returns {Promise<Array<Payment>>} Claimed payments, soonest to lapse first
+ */
+paymentSchema.statics.claimExpiringAuthorizations = async function(now = new Date(), { warningHours = 24, limit = 50 } = {}) {
+  const lapsesBy = new Date(now.getTime() + warningHours * 60 * 60 * 1000);
+  const claimed = [];
+
+  while (claimed.length < limit) {
+    const payment = await this.findOneAndUpdate(
+      {
+        'authorization.status': 'open',
+        'authorization.expires_at': { $ne: null, $lte: lapsesBy },
+        'authorization.expiry_flagged_at': null
+      },
+      { $set: { 'authorization.expiry_flagged_at': now } },
+      { new: true, sort: { 'authorization.expires_at': 1 } }
+    );
+
+    if (!payment) break;
+    claimed.push(payment);
+  }
+
+  return claimed;
+};
+
 paymentSchema.statics.getTotalRevenue = function(startDate, endDate) {
   return this.aggregate([
     {
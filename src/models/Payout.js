@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const { nextNumber } = require('../services/documentNumbering');
+const { getBaseCurrency } = require('../modules/currency/service');
+const { roundLedger } = require('../modules/payouts/service');
+
+// A batch is created pending, optionally handed to the bank (processing),
+// then paid. Failed and cancelled batches release their entries so they are
+// picked up by the next batch.
+const PAYOUT_TRANSITIONS = {
+  pending: ['processing', 'paid', 'cancelled'],
+  processing: ['paid', 'failed'],
+  paid: [],
+  failed: [],
+  cancelled: []
+};
+
+const payoutHistorySchema = new Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: [true, 'Target status is required']
+  },
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const payoutSchema = new Schema({
+  number: {
+    type: String,
+    required: [true, 'Payout number is required'],
+    unique: true
+  },
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: [true, 'Currency is required']
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  // Ledger entries created up to this instant were considered for the batch
+  cutoff: {
+    type: Date,
+    required: [true, 'Cutoff is required']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(PAYOUT_TRANSITIONS),
+    default: 'pending'
+  },
+  // Bank transfer or provider reference, recorded when the payout is paid
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters'],
+    default: null
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: {
+    type: [payoutHistorySchema],
+    default: []
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+payoutSchema.index({ seller: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: -1 });
+
+// Run fn in a transaction with the driver's retry on transient errors
+async function inTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+payoutSchema.statics = {
+  /**
+   * Group every seller's unbatched ledger entries into a pending payout.
+   * Each batch is created in its own transaction together with the claim on
+   * its entries, so entries can never end up in two batches. Sellers whose
+   * balance is negative or below the minimum are skipped and roll over.
+   * @param {Object} [options]
+   * @param {Date} [options.cutoff] - Only entries created up to this date, defaults to now
+   * @param {number} [options.minimumAmount] - Smallest balance to pay out
+   * @param {ObjectId|string} [options.sellerId] - Only batch this seller
+   * @param {ObjectId} [actor] - Admin creating the batches
+   * @returns {Promise<Object>} { payouts, skipped }
+   */
+  async createBatches({ cutoff = new Date(), minimumAmount = 0, sellerId } = {}, actor = null) {
+    const Entry = mongoose.model('SellerLedgerEntry');
+    const match = { payout: null, createdAt: { $lte: cutoff } };
+    if (sellerId) match.seller = new mongoose.Types.ObjectId(sellerId);
+
+    const balances = await Entry.aggregate([
+      { $match: match },
+      { $group: { _id: '$seller', amount: { $sum: '$net' }, currency: { $first: '$currency' }, entries: { $push: '$_id' } } }
+    ]);
+
+    const payouts = [];
+    const skipped = [];
+
+    for (const balance of balances) {
+      const amount = roundLedger(balance.amount);
+      if (amount <= 0 || amount < minimumAmount) {
+        skipped.push({ seller: balance._id, amount, reason: amount <= 0 ? 'No positive balance' : 'Below payout minimum' });
+        continue;
+      }
+
+      try {
+        const payout = await inTransaction(async session => {
+          const [created] = await this.create([{
+            number: await nextNumber('payout', { session }),
+            seller: balance._id,
+            amount,
+            currency: balance.currency || getBaseCurrency(),
+            entryCount: balance.entries.length,
+            cutoff,
+            statusHistory: [{ from: null, to: 'pending', actor }],
+            createdBy: actor
+          }], { session });
+
+          const claim = await Entry.updateMany(
+            { _id: { $in: balance.entries }, payout: null },
+            { $set: { payout: created._id } },
+            { session }
+          );
+          if (claim.modifiedCount !== balance.entries.length) {
+            const err = new Error('Ledger entries were claimed by another payout');
+            err.code = 'PAYOUT_CONFLICT';
+            throw err;
+          }
+
+          return created;
+        });
+        payouts.push(payout);
+      } catch (error) {
+        if (error.code !== 'PAYOUT_CONFLICT') throw error;
+        skipped.push({ seller: balance._id, amount, reason: error.message });
+      }
+    }
+
+    return { payouts, skipped };
+  },
+
+  /**
+   * Move a payout to a new status. Paid stamps paidAt; failed and cancelled
+   * release the entries back to the seller's available balance.
+   * @param {ObjectId|string} payoutId - Payout ID
+   * @param {Object} update - { status, reference, note }
+   * @param {ObjectId} [actor] - Admin making the change
+   * @returns {Promise<Object>} { payout, previousStatus, releasedEntries }
+   * @throws {Error} PAYOUT_NOT_FOUND (404) or INVALID_PAYOUT_TRANSITION (400)
+   */
+  async updateStatus(payoutId, { status, reference, note }, actor = null) {
+    const Entry = mongoose.model('SellerLedgerEntry');
+
+    return inTransaction(async session => {
+      const payout = await this.findById(payoutId).session(session);
+      if (!payout) {
+        const err = new Error('Payout not found');
+        err.statusCode = 404;
+        err.code = 'PAYOUT_NOT_FOUND';
+        throw err;
+      }
+
+      const previousStatus = payout.status;
+      if (!PAYOUT_TRANSITIONS[previousStatus].includes(status)) {
+        const err = new Error(`Invalid payout status transition from ${previousStatus} to ${status}`);
+        err.statusCode = 400;
+        err.code = 'INVALID_PAYOUT_TRANSITION';
+        err.details = { allowedTransitions: PAYOUT_TRANSITIONS[previousStatus] };
+        throw err;
+      }
+
+      payout.status = status;
+      if (reference !== undefined) payout.reference = reference;
+      if (status === 'paid') payout.paidAt = new Date();
+      payout.statusHistory.push({ from: previousStatus, to: status, actor, note: note || null });
+
+      let releasedEntries = 0;
+      if (status === 'failed' || status === 'cancelled') {
+        const release = await Entry.updateMany(
+          { payout: payout._id },
+          { $set: { payout: null } },
+          { session }
+        );
+        releasedEntries = release.modifiedCount;
+      }
+
+      await payout.save({ session });
+      return { payout, previousStatus, releasedEntries };
+    });
+  },
+
+  /**
+   * Paginated payout listing
+   * @param {Object} filter - Mongo filter
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { payouts, total, page, pages }
+   */
+  async findPayouts(filter = {}, page = 1, limit = 20) {
+    const [payouts, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('seller', 'username email')
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { payouts, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('Payout', payoutSchema);
@@ -66,6 +66,26 @@ const productSchema = new Schema({
     type: Boolean,
     default: true
   },
+  // Selling beyond stock. Backorders wait for the next delivery; pre-orders
+  // wait for the release date even when stock is already there.
+  backorder: {
+    mode: {
+      type: String,
+      enum: ['none', 'backorder', 'preorder'],
+      default: 'none'
+    },
+    // Expected restock date for backorders, release date for pre-orders
+    availableAt: {
+      type: Date,
+      default: null
+    },
+    // Most units that may be waiting for stock at once; null = no cap
+    limit: {
+      type: Number,
+      min: [1, 'Backorder limit must be at least 1'],
+      default: null
+    }
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -414,8 +434,8 @@ productSchema.pre('save', async function(next) {
     }
 
     // 5. Availability Update
-    if (this.isModified('stockQuantity')) {
-      this.isAvailable = this.stockQuantity > 0;
+    if (this.isModified('stockQuantity') || this.isModified('backorder')) {
+      this.isAvailable = this.stockQuantity > 0 || this.backorder?.mode !== 'none';
     }
 
     next();
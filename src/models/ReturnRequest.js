@@ -60,6 +60,40 @@ const returnRequestSchema = new Schema({
       message: 'Refund amount must be positive for refund/store credit requests',
     },
   },
+  // Units sent back; empty when the whole order is returned
+  items: {
+    type: [{
+      _id: false,
+      idProduct: {
+        type: Schema.Types.ObjectId,
+        ref: 'Product',
+        required: [true, 'Product ID is required'],
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Quantity is required'],
+        min: [1, 'Quantity must be at least 1'],
+      },
+    }],
+    default: [],
+  },
+  // Whether the refund gives back the order's shipping cost too
+  includeShipping: {
+    type: Boolean,
+    default: false,
+  },
+  // Refund that paid this return back, see Order.refunds
+  refundId: {
+    type: String,
+    default: null,
+  },
+  // Set while the refund is paid out, so a concurrent request does not pay it
+  // again. Released when the refund fails; a claim left by a request that died
+  // after paying has to be checked against the payment and cleared by hand.
+  refundClaimedAt: {
+    type: Date,
+    default: null,
+  },
   exchangeProductId: {
     type: Schema.Types.ObjectId,
     ref: 'Product',
@@ -344,6 +378,36 @@ returnRequestSchema.statics = {
     return updatedReturnRequest;
   },
 
+  /**
+   * Claim a processing refund return request for paying it out. Only one
+   * request gets the claim until it is released or the refund is recorded.
+   * @param {String} id - Return request ID
+   * @param {Date} [now] - Claim time
+   * @returns {Promise<ReturnRequest|null>} The claimed return request, null when it is claimed or refunded already
+   */
+  claimRefund: async function(id, now = new Date()) {
+    return this.findOneAndUpdate(
+      {
+        _id: id,
+        status: 'processing',
+        returnType: 'refund',
+        refundId: null,
+        refundClaimedAt: null
+      },
+      { $set: { refundClaimedAt: now } },
+      { new: true }
+    );
+  },
+
+  /**
+   * Release a refund claim after the payout failed, so it can be retried
+   * @param {String} id - Return request ID
+   * @returns {Promise<Object>} Update result
+   */
+  releaseRefundClaim: async function(id) {
+    return this.updateOne({ _id: id, refundId: null }, { $set: { refundClaimedAt: null } });
+  },
+
   /**
    * Delete a return request
    * @param {String} id - Return request ID
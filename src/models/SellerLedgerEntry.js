@@ -0,0 +1,354 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const Product = require('./Products');
+const CommissionRule = require('./CommissionRule');
+const { getBaseCurrency } = require('../modules/currency/service');
+const { resolveCommissionRate, splitCommission, roundLedger } = require('../modules/payouts/service');
+
+const ENTRY_TYPES = ['sale', 'refund', 'return'];
+
+// One line of a seller's earnings. Sales are positive, refunds and returns
+// are negative entries pointing at the sale they reverse. Amounts are in
+// the base currency; net is what the seller is owed.
+const sellerLedgerEntrySchema = new Schema({
+  seller: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+  orderNumber: String,
+  subOrder: {
+    type: Schema.Types.ObjectId,
+    default: null
+  },
+  idProduct: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Quantity cannot be negative']
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: [true, 'Entry type is required']
+  },
+  // Sale being reversed by a refund or return entry
+  saleEntry: {
+    type: Schema.Types.ObjectId,
+    ref: 'SellerLedgerEntry',
+    default: null
+  },
+  gross: {
+    type: Number,
+    required: [true, 'Gross amount is required']
+  },
+  commissionRate: {
+    type: Number,
+    min: [0, 'Commission rate cannot be negative'],
+    max: [100, 'Commission rate cannot exceed 100'],
+    required: [true, 'Commission rate is required']
+  },
+  commissionSource: {
+    type: String,
+    enum: ['seller', 'category', 'default']
+  },
+  commission: {
+    type: Number,
+    required: [true, 'Commission is required']
+  },
+  net: {
+    type: Number,
+    required: [true, 'Net amount is required']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: [true, 'Currency is required']
+  },
+  // Provider refund id or return request id
+  reference: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Set once the entry is grouped into a payout batch
+  payout: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payout',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sellerLedgerEntrySchema.index({ seller: 1, createdAt: -1 });
+sellerLedgerEntrySchema.index({ seller: 1, payout: 1 });
+sellerLedgerEntrySchema.index({ order: 1, type: 1 });
+sellerLedgerEntrySchema.index({ order: 1, idProduct: 1 }, { unique: true, partialFilterExpression: { type: 'sale' } });
+
+sellerLedgerEntrySchema.statics = {
+  /**
+   * Record the seller's share of every item of a paid order. Each line is
+   * charged the commission rate in force when the order was paid.
+   * Idempotent: an order whose sales are already recorded is skipped.
+   * @param {Object} order - Paid order with items and subOrders
+   * @returns {Promise<Array>} Created sale entries
+   */
+  async recordSale(order) {
+    const subOrders = order.subOrders || [];
+    if (subOrders.length === 0) return [];
+    if (await this.exists({ order: order._id, type: 'sale' })) return [];
+
+    const productIds = subOrders.flatMap(subOrder => subOrder.items.map(item => item.idProduct));
+    const [rules, products] = await Promise.all([
+      CommissionRule.getRuleTable(),
+      Product.find({ _id: { $in: productIds } }).select('category').lean()
+    ]);
+    const categories = new Map(products.map(product => [product._id.toString(), [].concat(product.category || [])]));
+
+    const entries = subOrders.flatMap(subOrder => subOrder.items.map(item => {
+      const { rate, source } = resolveCommissionRate(
+        rules,
+        subOrder.seller,
+        categories.get(item.idProduct.toString())
+      );
+
+      return {
+        seller: subOrder.seller,
+        order: order._id,
+        orderNumber: order.orderNumber,
+        subOrder: subOrder._id,
+        idProduct: item.idProduct,
+        quantity: item.quantity,
+        type: 'sale',
+        commissionRate: rate,
+        commissionSource: source,
+        ...splitCommission(item.priceAtPurchase * item.quantity, rate),
+        currency: order.baseCurrency || getBaseCurrency(),
+        description: `Sale on order #${order.orderNumber || order._id}`
+      };
+    }));
+
+    return this.insertMany(entries);
+  },
+
+  /**
+   * Reverse the sales of an order after money went back to the customer.
+   * The refunded share of the order total is taken off every sale line, so
+   * sellers and the marketplace give back their part proportionally; a
+   * line-item refund reverses only the units it lists. A line is never
+   * reversed beyond what is left of it, so a return followed by a full refund
+   * only reverses the remainder.
+   * @param {Object} order - Order document
+   * @param {Object} reversal
+   * @param {number} [reversal.amount] - Refunded base-currency amount, defaults to the full total
+   * @param {string} reversal.type - refund or return
+   * @param {string} [reversal.reference] - Refund or return request id; repeated references are ignored
+   * @param {string} [reversal.reason] - Shown on the seller's statement
+   * @param {Array} [reversal.items] - Units refunded, [{ idProduct, quantity }]
+   * @returns {Promise<Array>} Created reversal entries
+   */
+  async recordReversal(order, { amount, type, reference = null, reason, items }) {
+    if (reference && await this.exists({ order: order._id, type, reference })) return [];
+
+    const sales = await this.find({ order: order._id, type: 'sale' }).lean();
+    if (sales.length === 0) return [];
+
+    const reversed = await this.aggregate([
+      { $match: { order: order._id, type: { $ne: 'sale' } } },
+      { $group: { _id: '$saleEntry', gross: { $sum: '$gross' }, commission: { $sum: '$commission' } } }
+    ]);
+    const reversedBySale = new Map(reversed.map(row => [row._id.toString(), row]));
+
+    const fraction = amount === undefined || amount >= order.total ? 1 : amount / order.total;
+    const label = type === 'return' ? 'Return' : 'Refund';
+
+    // Units left to reverse per product, for line-item refunds
+    const units = new Map();
+    for (const item of items || []) {
+      const productId = item.idProduct.toString();
+      units.set(productId, (units.get(productId) || 0) + item.quantity);
+    }
+
+    const entries = [];
+    for (const sale of sales) {
+      const previous = reversedBySale.get(sale._id.toString()) || { gross: 0, commission: 0 };
+      const remainingGross = roundLedger(sale.gross + previous.gross);
+      if (remainingGross <= 0) continue;
+
+      let gross;
+      let commission;
+      if (items?.length) {
+        const productId = sale.idProduct?.toString();
+        const quantity = Math.min(units.get(productId) || 0, sale.quantity);
+        if (quantity <= 0) continue;
+        units.set(productId, units.get(productId) - quantity);
+        gross = Math.min(roundLedger(sale.gross * quantity / sale.quantity), remainingGross);
+        commission = roundLedger(gross * sale.commissionRate / 100);
+      } else if (fraction === 1) {
+        gross = remainingGross;
+        commission = roundLedger(sale.commission + previous.commission);
+      } else {
+        gross = Math.min(roundLedger(sale.gross * fraction), remainingGross);
+        commission = roundLedger(gross * sale.commissionRate / 100);
+      }
+      if (gross <= 0) continue;
+
+      entries.push({
+        seller: sale.seller,
+        order: sale.order,
+        orderNumber: order.orderNumber || sale.orderNumber,
+        subOrder: sale.subOrder,
+        idProduct: sale.idProduct,
+        type,
+        saleEntry: sale._id,
+        gross: -gross,
+        commissionRate: sale.commissionRate,
+        commissionSource: sale.commissionSource,
+        commission: -commission,
+        net: -roundLedger(gross - commission),
+        currency: sale.currency,
+        reference,
+        description: `${label} on order #${order.orderNumber || order._id}${reason ? `: ${reason}` : ''}`.slice(0, 500)
+      });
+    }
+
+    return entries.length > 0 ? this.insertMany(entries) : [];
+  },
+
+  /**
+   * Current position of a seller
+   * @param {ObjectId|string} sellerId - Seller ID
+   * @returns {Promise<Object>} { currency, available, inPayout, paidOut, lifetime }
+   */
+  async getBalance(sellerId) {
+    const seller = new mongoose.Types.ObjectId(sellerId);
+    const Payout = mongoose.model('Payout');
+
+    const [[ledger], payouts] = await Promise.all([
+      this.aggregate([
+        { $match: { seller } },
+        {
+          $facet: {
+            unbatched: [
+              { $match: { payout: null } },
+              { $group: { _id: null, net: { $sum: '$net' }, entries: { $sum: 1 } } }
+            ],
+            lifetime: [
+              { $group: { _id: null, gross: { $sum: '$gross' }, commission: { $sum: '$commission' }, net: { $sum: '$net' } } }
+            ]
+          }
+        }
+      ]),
+      Payout.aggregate([
+        { $match: { seller } },
+        { $group: { _id: '$status', amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    const byStatus = new Map(payouts.map(row => [row._id, row.amount]));
+    const unbatched = ledger.unbatched[0] || { net: 0, entries: 0 };
+    const lifetime = ledger.lifetime[0] || { gross: 0, commission: 0, net: 0 };
+
+    return {
+      currency: getBaseCurrency(),
+      available: roundLedger(unbatched.net),
+      unbatchedEntries: unbatched.entries,
+      inPayout: roundLedger((byStatus.get('pending') || 0) + (byStatus.get('processing') || 0)),
+      paidOut: roundLedger(byStatus.get('paid') || 0),
+      lifetime: {
+        gross: roundLedger(lifetime.gross),
+        commission: roundLedger(lifetime.commission),
+        net: roundLedger(lifetime.net)
+      }
+    };
+  },
+
+  /**
+   * Statement of a seller's ledger over a period. The balance is what the
+   * seller is owed: earnings minus payouts marked as paid.
+   * @param {ObjectId|string} sellerId - Seller ID
+   * @param {Object} options
+   * @param {Date} options.from - Start of the period (inclusive)
+   * @param {Date} options.to - End of the period (exclusive)
+   * @param {string} [options.type] - Only list entries of this type
+   * @param {number} [options.page=1] - Page of entries
+   * @param {number} [options.limit=50] - Entries per page
+   * @returns {Promise<Object>} { period, currency, openingBalance, closingBalance, totals, payouts, entries, total, page, pages }
+   */
+  async getStatement(sellerId, { from, to, type, page = 1, limit = 50 }) {
+    const seller = new mongoose.Types.ObjectId(sellerId);
+    const Payout = mongoose.model('Payout');
+    const period = { $gte: from, $lt: to };
+    const entryFilter = { seller, createdAt: period, ...(type && { type }) };
+
+    const sumNet = async match => {
+      const [row] = await this.aggregate([{ $match: match }, { $group: { _id: null, net: { $sum: '$net' } } }]);
+      return row?.net || 0;
+    };
+    const sumPaid = async paidAt => {
+      const [row] = await Payout.aggregate([
+        { $match: { seller, status: 'paid', paidAt } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ]);
+      return row?.amount || 0;
+    };
+
+    const [earnedBefore, paidBefore, periodTotals, payouts, entries, total] = await Promise.all([
+      sumNet({ seller, createdAt: { $lt: from } }),
+      sumPaid({ $lt: from }),
+      this.aggregate([
+        { $match: { seller, createdAt: period } },
+        { $group: { _id: '$type', gross: { $sum: '$gross' }, commission: { $sum: '$commission' }, net: { $sum: '$net' } } }
+      ]),
+      Payout.find({ seller, status: 'paid', paidAt: period })
+        .select('number amount currency paidAt reference')
+        .sort({ paidAt: 1 })
+        .lean(),
+      this.find(entryFilter)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(entryFilter)
+    ]);
+
+    const byType = new Map(periodTotals.map(row => [row._id, row]));
+    const sumOf = field => roundLedger(periodTotals.reduce((sum, row) => sum + row[field], 0));
+    const paidOut = roundLedger(payouts.reduce((sum, payout) => sum + payout.amount, 0));
+    const openingBalance = roundLedger(earnedBefore - paidBefore);
+
+    return {
+      period: { from, to },
+      currency: getBaseCurrency(),
+      openingBalance,
+      closingBalance: roundLedger(openingBalance + sumOf('net') - paidOut),
+      totals: {
+        sales: roundLedger(byType.get('sale')?.gross || 0),
+        refunds: roundLedger(byType.get('refund')?.gross || 0),
+        returns: roundLedger(byType.get('return')?.gross || 0),
+        commission: sumOf('commission'),
+        net: sumOf('net'),
+        paidOut
+      },
+      payouts,
+      entries,
+      total,
+      page,
+      pages: Math.ceil(total / limit) || 1
+    };
+  }
+};
+
+module.exports = mongoose.model('SellerLedgerEntry', sellerLedgerEntrySchema);
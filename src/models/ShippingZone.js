@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const SHIPPING_METHODS = ['standard', 'express', 'overnight'];
+
+const regionSchema = new Schema({
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    minlength: [2, 'Country must be an ISO 3166-1 alpha-2 code'],
+    maxlength: [2, 'Country must be an ISO 3166-1 alpha-2 code']
+  },
+  // Empty = the whole country
+  states: {
+    type: [{ type: String, uppercase: true, trim: true }],
+    default: []
+  }
+}, { _id: false });
+
+const rateBracketSchema = new Schema({
+  maxWeight: {
+    type: Number,
+    required: [true, 'Bracket max weight is required'],
+    min: [0, 'Weight cannot be negative']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Bracket price is required'],
+    min: [0, 'Price cannot be negative']
+  }
+}, { _id: false });
+
+const methodRateSchema = new Schema({
+  method: {
+    type: String,
+    enum: SHIPPING_METHODS,
+    required: [true, 'Shipping method is required']
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Label cannot exceed 100 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // weight: actual kg; dimensional: the greater of actual and volumetric kg
+  rateBasis: {
+    type: String,
+    enum: ['weight', 'dimensional'],
+    default: 'weight'
+  },
+  dimensionalDivisor: {
+    type: Number,
+    min: [1, 'Divisor must be at least 1'],
+    default: 5000
+  },
+  rates: {
+    type: [rateBracketSchema],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'At least one rate bracket is required'
+    }
+  },
+  // Charged per started kg above the last bracket; without it heavier carts cannot use the method
+  additionalPerKg: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    default: null
+  },
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Threshold cannot be negative'],
+    default: null
+  },
+  // Business days from dispatch to delivery; unset falls back to the method default
+  transitDays: {
+    min: {
+      type: Number,
+      min: [0, 'Transit days cannot be negative']
+    },
+    max: {
+      type: Number,
+      min: [0, 'Transit days cannot be negative']
+    }
+  }
+}, { _id: false });
+
+const shippingZoneSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Zone name cannot exceed 100 characters']
+  },
+  regions: {
+    type: [regionSchema],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'Zone must contain at least one region'
+    }
+  },
+  methods: {
+    type: [methodRateSchema],
+    validate: {
+      validator: v => new Set(v.map(rate => rate.method)).size === v.length,
+      message: 'Each shipping method can only be configured once per zone'
+    }
+  },
+  // Breaks ties between zones that match an address equally well
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ 'regions.country': 1 });
+
+// Keep brackets sorted so the first bracket that fits is the cheapest
+shippingZoneSchema.pre('save', function(next) {
+  for (const rate of this.methods) {
+    rate.rates.sort((a, b) => a.maxWeight - b.maxWeight);
+  }
+  next();
+});
+
+shippingZoneSchema.statics = {
+  /**
+   * Find the zone serving an address. A zone listing the address's state
+   * beats one covering the whole country; ties go to the higher priority.
+   * @param {Object} address - Shipping address ({ country, state })
+   * @returns {Promise<Object|null>} Matching zone (lean) or null
+   */
+  async findForAddress(address) {
+    if (!address?.country) return null;
+
+    const country = address.country.trim().toUpperCase();
+    const state = address.state ? address.state.trim().toUpperCase() : null;
+
+    const zones = await this.find({ isActive: true, 'regions.country': country }).lean();
+
+    let best = null;
+    let bestScore = -1;
+    for (const zone of zones) {
+      for (const region of zone.regions) {
+        if (region.country !== country) continue;
+        if (region.states.length > 0 && !region.states.includes(state)) continue;
+
+        const score = region.states.length > 0 ? 1 : 0;
+        if (score > bestScore || (score === bestScore && zone.priority > best.priority)) {
+          best = zone;
+          bestScore = score;
+        }
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * Paginated zone listing for admins
+   * @param {Object} filter - Mongo filter
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { zones, total, page, pages }
+   */
+  async findZones(filter = {}, page = 1, limit = 20) {
+    const [zones, total] = await Promise.all([
+      this.find(filter)
+        .sort({ priority: -1, name: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { zones, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,422 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const SUBSCRIPTION_STATUSES = ['active', 'paused', 'past_due', 'cancelled'];
+
+// Renewals are attempted after a failed payment until this many attempts failed
+const getMaxPaymentAttempts = () => parseInt(process.env.SUBSCRIPTION_MAX_PAYMENT_ATTEMPTS, 10) || 3;
+const getRetryHours = () => parseInt(process.env.SUBSCRIPTION_RETRY_HOURS, 10) || 24;
+
+// How long a renewal may hold a subscription before another worker may pick it up
+const LOCK_MS = 10 * 60 * 1000;
+
+/**
+ * Date of the nth cycle after an anchor. Months are added on the calendar and
+ * clamped to the last day, so an anchor on the 31st renews on Feb 28 and
+ * then on Mar 31 again instead of drifting.
+ * @param {Date} anchor - First order date
+ * @param {Object} interval - { unit: 'day'|'week'|'month', count }
+ * @param {number} cycles - Number of intervals to add
+ * @returns {Date}
+ */
+function addIntervals(anchor, { unit, count }, cycles) {
+  const date = new Date(anchor);
+  if (unit === 'month') {
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + count * cycles);
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+    return date;
+  }
+
+  const days = unit === 'week' ? 7 * count : count;
+  date.setUTCDate(date.getUTCDate() + days * cycles);
+  return date;
+}
+
+const subscriptionItemSchema = new Schema({
+  idProduct: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product ID is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+const subscriptionSchema = new Schema({
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Customer is required']
+  },
+  items: {
+    type: [subscriptionItemSchema],
+    validate: {
+      validator: v => v.length > 0 && new Set(v.map(item => item.idProduct.toString())).size === v.length,
+      message: 'A subscription needs at least one item and each product only once'
+    }
+  },
+  interval: {
+    unit: {
+      type: String,
+      enum: ['day', 'week', 'month'],
+      required: [true, 'Interval unit is required']
+    },
+    count: {
+      type: Number,
+      min: [1, 'Interval must be at least 1'],
+      max: [52, 'Interval cannot exceed 52'],
+      required: [true, 'Interval count is required']
+    }
+  },
+  shippingAddress: {
+    type: {
+      street: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String
+    },
+    required: [true, 'Shipping address is required']
+  },
+  shippingMethod: {
+    type: String,
+    enum: ['standard', 'express', 'overnight'],
+    default: 'standard'
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['credit_card', 'paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery'],
+    required: [true, 'Payment method is required']
+  },
+  // Saved payment method renewals are charged with, for providers that need
+  // one (see PaymentProvider storedPaymentMethod): its token and the
+  // provider's customer it belongs to
+  paymentToken: {
+    type: String,
+    default: null
+  },
+  paymentCustomer: {
+    type: String,
+    default: null
+  },
+  // Presentment currency of the renewal orders; empty = base currency
+  currency: {
+    type: String,
+    uppercase: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: SUBSCRIPTION_STATUSES,
+    default: 'active'
+  },
+  // Renewal dates are computed from the anchor so month lengths do not drift them
+  anchorDate: {
+    type: Date,
+    required: [true, 'Anchor date is required']
+  },
+  cycle: {
+    type: Number,
+    default: 0
+  },
+  nextOrderDate: {
+    type: Date,
+    required: [true, 'Next order date is required']
+  },
+  skippedDates: {
+    type: [{
+      _id: false,
+      date: Date,
+      reason: String
+    }],
+    default: []
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  // Paused subscriptions with a resume date are resumed by the scheduler
+  resumeAt: {
+    type: Date,
+    default: null
+  },
+  lastOrder: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  lastOrderAt: {
+    type: Date,
+    default: null
+  },
+  orderCount: {
+    type: Number,
+    default: 0
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Next payment retry while past due; null once the retries are used up
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    code: String,
+    message: String,
+    at: Date
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ customer: 1, createdAt: -1 });
+subscriptionSchema.index({ status: 1, nextOrderDate: 1 });
+subscriptionSchema.index({ status: 1, nextAttemptAt: 1 });
+
+function stateError(message) {
+  const err = new Error(message);
+  err.statusCode = 409;
+  err.code = 'INVALID_SUBSCRIPTION_STATE';
+  return err;
+}
+
+subscriptionSchema.methods = {
+  /**
+   * Throw when a renewal is running or the subscription is not in one of the states
+   * @param {Array<string>} statuses - States the action is allowed in
+   * @param {string} action - Used in the error message
+   * @throws {Error} SUBSCRIPTION_RENEWING or INVALID_SUBSCRIPTION_STATE (409)
+   */
+  assertCanChange(statuses, action) {
+    if (this.lockedUntil && this.lockedUntil > new Date()) {
+      const err = new Error('The subscription is being renewed, try again shortly');
+      err.statusCode = 409;
+      err.code = 'SUBSCRIPTION_RENEWING';
+      throw err;
+    }
+    if (!statuses.includes(this.status)) {
+      throw stateError(`Cannot ${action} a subscription that is ${this.status}`);
+    }
+  },
+
+  /**
+   * Move to the first renewal date after now
+   * @param {Date} now - Current time
+   */
+  advance(now) {
+    do {
+      this.cycle += 1;
+      this.nextOrderDate = addIntervals(this.anchorDate, this.interval, this.cycle);
+    } while (this.nextOrderDate <= now);
+  },
+
+  /**
+   * Start a new schedule at a date, e.g. after the interval changed
+   * @param {Date} date - Next order date
+   */
+  reschedule(date) {
+    this.anchorDate = date;
+    this.cycle = 0;
+    this.nextOrderDate = date;
+  },
+
+  pause(resumeAt = null) {
+    this.assertCanChange(['active', 'past_due'], 'pause');
+    this.status = 'paused';
+    this.pausedAt = new Date();
+    this.resumeAt = resumeAt;
+    this.nextAttemptAt = null;
+  },
+
+  /**
+   * Reactivate a paused subscription. Renewal dates missed while paused are
+   * skipped, not ordered in a burst.
+   * @param {Date} [now] - Current time
+   */
+  resume(now = new Date()) {
+    this.assertCanChange(['paused'], 'resume');
+    this.status = 'active';
+    this.pausedAt = null;
+    this.resumeAt = null;
+    this.failedAttempts = 0;
+    if (this.nextOrderDate <= now) this.advance(now);
+  },
+
+  skip(now = new Date()) {
+    this.assertCanChange(['active'], 'skip');
+    this.skippedDates.push({ date: this.nextOrderDate, reason: 'Skipped by customer' });
+    this.advance(now > this.nextOrderDate ? now : this.nextOrderDate);
+  },
+
+  cancel(reason = null) {
+    this.assertCanChange(['active', 'paused', 'past_due'], 'cancel');
+    this.status = 'cancelled';
+    this.cancelledAt = new Date();
+    this.cancellationReason = reason;
+    this.nextAttemptAt = null;
+    this.resumeAt = null;
+  },
+
+  /**
+   * Book a successful renewal and schedule the next one
+   * @param {Object} order - Order placed for the renewal
+   * @param {Date} now - Renewal time
+   */
+  recordRenewal(order, now) {
+    this.status = 'active';
+    this.lastOrder = order._id;
+    this.lastOrderAt = now;
+    this.orderCount += 1;
+    this.failedAttempts = 0;
+    this.nextAttemptAt = null;
+    this.lastError = undefined;
+    this.lockedUntil = null;
+    this.advance(now);
+  },
+
+  /**
+   * Book a failed renewal. A declined payment makes the subscription past
+   * due and schedules a retry; any other failure (out of stock, no shipping)
+   * skips this renewal and keeps the subscription active.
+   * @param {Error} error - Renewal error
+   * @param {boolean} paymentFailed - Whether the payment was declined
+   * @param {Date} now - Renewal time
+   */
+  recordFailure(error, paymentFailed, now) {
+    this.lastError = { code: error.code || error.name, message: error.message, at: now };
+    this.lockedUntil = null;
+
+    if (paymentFailed) {
+      this.status = 'past_due';
+      this.failedAttempts += 1;
+      this.nextAttemptAt = this.failedAttempts < getMaxPaymentAttempts()
+        ? new Date(now.getTime() + getRetryHours() * 60 * 60 * 1000)
+        : null;
+      return;
+    }
+
+    this.skippedDates.push({ date: this.nextOrderDate, reason: error.message.slice(0, 200) });
+    this.advance(now);
+  }
+};
+
+subscriptionSchema.statics = {
+  /**
+   * Create a subscription whose first order is placed on startDate
+   * @param {ObjectId} customerId - Customer ID
+   * @param {Object} data - Validated subscription fields and optional startDate
+   * @returns {Promise<Subscription>}
+   */
+  async createSubscription(customerId, { startDate, ...data }) {
+    const first = startDate || new Date();
+    return this.create({
+      ...data,
+      customer: customerId,
+      anchorDate: first,
+      nextOrderDate: first
+    });
+  },
+
+  /**
+   * A customer's subscription
+   * @param {ObjectId|string} id - Subscription ID
+   * @param {ObjectId} customerId - Customer ID
+   * @returns {Promise<Subscription>}
+   * @throws {Error} SUBSCRIPTION_NOT_FOUND (404)
+   */
+  async findCustomerSubscription(id, customerId) {
+    const subscription = await this.findOne({ _id: id, customer: customerId });
+    if (!subscription) {
+      const err = new Error('Subscription not found');
+      err.statusCode = 404;
+      err.code = 'SUBSCRIPTION_NOT_FOUND';
+      throw err;
+    }
+    return subscription;
+  },
+
+  /**
+   * Paginated subscriptions of a customer
+   * @param {ObjectId} customerId - Customer ID
+   * @param {Object} [options] - { status, page, limit }
+   * @returns {Promise<Object>} { subscriptions, total, page, pages }
+   */
+  async findCustomerSubscriptions(customerId, { status, page = 1, limit = 10 } = {}) {
+    const filter = { customer: customerId };
+    if (status) filter.status = status;
+
+    const [subscriptions, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('items.idProduct', 'name price mainImage')
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { subscriptions, total, page, pages: Math.ceil(total / limit) || 1 };
+  },
+
+  /**
+   * Resume paused subscriptions whose resume date has passed
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of subscriptions resumed
+   */
+  async resumeDue(now) {
+    const due = await this.find({ status: 'paused', resumeAt: { $lte: now } });
+    for (const subscription of due) {
+      subscription.resume(now);
+      await subscription.save();
+    }
+    return due.length;
+  },
+
+  /**
+   * Claim the next subscription due for a renewal or a payment retry.
+   * The claim is a lock with a timeout, so several app instances can run
+   * the scheduler and a crashed renewal is retried later.
+   * @param {Date} now - Current time
+   * @returns {Promise<Subscription|null>}
+   */
+  async claimDue(now) {
+    return this.findOneAndUpdate(
+      {
+        $and: [
+          {
+            $or: [
+              { status: 'active', nextOrderDate: { $lte: now } },
+              { status: 'past_due', nextAttemptAt: { $lte: now } }
+            ]
+          },
+          { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+        ]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { new: true, sort: { nextOrderDate: 1 } }
+    );
+  }
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const taxRateSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Rate name is required'],
+    trim: true,
+    maxlength: [100, 'Rate name cannot exceed 100 characters']
+  },
+
+  // Jurisdiction - country is required, state and postal prefix narrow it down
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    uppercase: true,
+    trim: true,
+    minlength: [2, 'Country must be an ISO 3166-1 alpha-2 code'],
+    maxlength: [2, 'Country must be an ISO 3166-1 alpha-2 code']
+  },
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [50, 'State cannot exceed 50 characters'],
+    default: null
+  },
+  postalPrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: [10, 'Postal prefix cannot exceed 10 characters'],
+    default: null
+  },
+
+  taxClass: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'Tax class may only contain letters, digits, hyphens and underscores'],
+    maxlength: [30, 'Tax class cannot exceed 30 characters'],
+    default: 'standard'
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative'],
+    max: [100, 'Rate cannot exceed 100%']
+  },
+  taxShipping: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One rate per jurisdiction and class
+taxRateSchema.index(
+  { country: 1, state: 1, postalPrefix: 1, taxClass: 1 },
+  { unique: true }
+);
+
+/**
+ * How specific a rate is: postal prefix beats state beats country,
+ * and a longer postal prefix beats a shorter one
+ */
+taxRateSchema.virtual('specificity').get(function() {
+  return (this.postalPrefix ? 100 + this.postalPrefix.length : 0) + (this.state ? 10 : 0);
+});
+
+taxRateSchema.statics = {
+  /**
+   * Active rates that can apply to an address, most specific first
+   * @param {Object} address - Shipping address ({ country, state, postalCode })
+   * @returns {Promise<Array>} Matching rate documents
+   */
+  async findForAddress(address) {
+    if (!address?.country) return [];
+
+    const state = address.state ? address.state.trim().toUpperCase() : null;
+    const postalCode = (address.postalCode || '').replace(/\s+/g, '').toUpperCase();
+
+    const rates = await this.find({
+      country: address.country.trim().toUpperCase(),
+      isActive: true,
+      state: { $in: [null, state] }
+    });
+
+    return rates
+      .filter(rate => !rate.postalPrefix || postalCode.startsWith(rate.postalPrefix))
+      .sort((a, b) => b.specificity - a.specificity);
+  },
+
+  /**
+   * Paginated rate listing for admins
+   * @param {Object} filter - Mongo filter
+   * @param {number} page - Page number
+   * @param {number} limit - Page size
+   * @returns {Promise<Object>} { taxRates, total, page, pages }
+   */
+  async findTaxRates(filter = {}, page = 1, limit = 20) {
+    const [taxRates, total] = await Promise.all([
+      this.find(filter)
+        .sort({ country: 1, state: 1, postalPrefix: 1, taxClass: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { taxRates, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -988,9 +988,11 @@ userSchema.statics = {
       user.commerce.cart = [];
     }
 
-    // Check if product already exists in cart
+    // Check if the product is already in the cart in the same size and color
     const existingItemIndex = user.commerce.cart.findIndex(
-      item => item.product === productId
+      item => item.product?.toString() === productId.toString() &&
+        (item.size || null) === (options.size || null) &&
+        (item.color || null) === (options.color || null)
     );
 
     let updatedCart;
@@ -998,13 +1000,6 @@ userSchema.statics = {
       // Update quantity if item exists
       updatedCart = [...user.commerce.cart];
       updatedCart[existingItemIndex].quantity += quantity;
-      
-      if (options.size) {
-        updatedCart[existingItemIndex].size = options.size;
-      }
-      if (options.color) {
-        updatedCart[existingItemIndex].color = options.color;
-      }
     } else {
       // Add new item to cart
       const newItem = {
@@ -1224,6 +1219,27 @@ userSchema.statics = {
       message: 'Cart cleared',
       itemsRemoved: user.commerce.cart?.length || 0
     };
+  },
+
+  /**
+   * Decrypted name and email of a user, for notifications
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<Object|null>} { firstName, lastName, email }, null when the user does not exist
+   */
+  getContactDetails: async function(userId) {
+    const user = await this.findById(userId)
+      .select('encryptedData.firstName encryptedData.lastName encryptedData.email')
+      .lean();
+    if (!user) return null;
+
+    // Encrypted fields are stored JSON-quoted
+    const read = async field => field?.content ? (await decrypt(field)).slice(1, -1) : null;
+    const [firstName, lastName, email] = await Promise.all([
+      read(user.encryptedData?.firstName),
+      read(user.encryptedData?.lastName),
+      read(user.encryptedData?.email)
+    ]);
+    return { firstName, lastName, email };
   }
 };
 
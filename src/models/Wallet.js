@@ -0,0 +1,255 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+const WalletTransaction = require('./WalletTransaction');
+const { getBaseCurrency, getMinorUnits, roundAmount } = require('../modules/currency/service');
+
+// Store credit of a customer in the base currency. The balance is the sum of
+// the WalletTransaction entries and is kept here so it can be debited atomically.
+const walletSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: [true, 'Currency is required']
+  }
+}, {
+  timestamps: true
+});
+
+const round = amount => roundAmount(amount, { decimals: getMinorUnits(getBaseCurrency()) });
+
+// Run fn in the caller's session, or in a transaction of its own
+async function withSession(options, fn) {
+  if (options.session) return fn(options.session);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+walletSchema.statics = {
+  /**
+   * Add credit to a user's wallet. With a reference the call is idempotent:
+   * a second credit from the same source and reference returns the first.
+   * @param {ObjectId} userId - User ID
+   * @param {Object} credit
+   * @param {number} credit.amount - Positive amount in the base currency
+   * @param {string} credit.source - gift_card, return, order_refund or admin
+   * @param {string} [credit.reference] - Gift card, return request or refund id
+   * @param {Date} [credit.expiresAt] - When the unspent part of the credit expires
+   * @param {ObjectId} [credit.order] - Related order
+   * @param {string} [credit.description] - Shown in the wallet history
+   * @param {ObjectId} [credit.createdBy] - Admin who issued the credit
+   * @param {Object} [options] - { session }
+   * @returns {Promise<WalletTransaction>} The credit entry
+   */
+  async credit(userId, { amount, source, reference = null, expiresAt = null, order = null, description, createdBy = null }, options = {}) {
+    const value = round(amount);
+    if (!(value > 0)) throw new Error('Credit amount must be positive');
+
+    return withSession(options, async session => {
+      if (reference) {
+        const existing = await WalletTransaction.findOne({ user: userId, type: 'credit', source, reference }).session(session);
+        if (existing) return existing;
+      }
+
+      const wallet = await this.findOneAndUpdate(
+        { user: userId },
+        { $inc: { balance: value }, $setOnInsert: { currency: getBaseCurrency() } },
+        { upsert: true, new: true, session }
+      );
+
+      const [transaction] = await WalletTransaction.create([{
+        user: userId,
+        type: 'credit',
+        source,
+        amount: value,
+        currency: wallet.currency,
+        balanceAfter: round(wallet.balance),
+        remaining: value,
+        expiresAt,
+        order,
+        reference,
+        description,
+        createdBy
+      }], { session });
+
+      return transaction;
+    });
+  },
+
+  /**
+   * Spend from a user's wallet. Credits that expire first are used first.
+   * @param {ObjectId} userId - User ID
+   * @param {Object} debit
+   * @param {number} debit.amount - Positive amount in the base currency
+   * @param {string} debit.source - order or admin
+   * @param {ObjectId} [debit.order] - Order paid with the credit
+   * @param {string} [debit.reference] - Free reference
+   * @param {string} [debit.description] - Shown in the wallet history
+   * @param {ObjectId} [debit.createdBy] - Admin who made the debit
+   * @param {Object} [options] - { session }
+   * @returns {Promise<WalletTransaction>} The debit entry
+   * @throws {Error} INSUFFICIENT_WALLET_BALANCE (400) with the available balance
+   */
+  async debit(userId, { amount, source, order = null, reference = null, description, createdBy = null }, options = {}) {
+    const value = round(amount);
+    if (!(value > 0)) throw new Error('Debit amount must be positive');
+
+    return withSession(options, async session => {
+      await this.expireLapsed(userId, { session });
+
+      const wallet = await this.findOneAndUpdate(
+        { user: userId, balance: { $gte: value } },
+        { $inc: { balance: -value } },
+        { new: true, session }
+      );
+      if (!wallet) {
+        const current = await this.findOne({ user: userId }).session(session).lean();
+        const err = new Error('Insufficient wallet balance');
+        err.statusCode = 400;
+        err.code = 'INSUFFICIENT_WALLET_BALANCE';
+        err.balance = round(current?.balance || 0);
+        throw err;
+      }
+
+      const lots = await WalletTransaction.find({ user: userId, type: 'credit', remaining: { $gt: 0 } })
+        .sort({ createdAt: 1 })
+        .session(session);
+      const expiry = lot => lot.expiresAt ? lot.expiresAt.getTime() : Number.MAX_SAFE_INTEGER;
+      lots.sort((a, b) => expiry(a) - expiry(b));
+
+      let left = value;
+      for (const lot of lots) {
+        if (left <= 0) break;
+        const take = round(Math.min(lot.remaining, left));
+        await WalletTransaction.updateOne(
+          { _id: lot._id, remaining: { $gte: take } },
+          { $inc: { remaining: -take } },
+          { session }
+        );
+        left = round(left - take);
+      }
+
+      const [transaction] = await WalletTransaction.create([{
+        user: userId,
+        type: 'debit',
+        source,
+        amount: -value,
+        currency: wallet.currency,
+        balanceAfter: round(wallet.balance),
+        order,
+        reference,
+        description,
+        createdBy
+      }], { session });
+
+      return transaction;
+    });
+  },
+
+  /**
+   * Expire the unspent part of credits whose expiry date has passed. Runs
+   * before every debit and balance read, so no background job is needed.
+   * @param {ObjectId} userId - User ID
+   * @param {Object} [options] - { session, now }
+   * @returns {Promise<number>} Amount expired
+   */
+  async expireLapsed(userId, options = {}) {
+    const now = options.now || new Date();
+
+    return withSession(options, async session => {
+      const lots = await WalletTransaction.find({
+        user: userId,
+        type: 'credit',
+        remaining: { $gt: 0 },
+        expiresAt: { $lte: now }
+      }).session(session);
+
+      let expired = 0;
+      for (const lot of lots) {
+        const amount = lot.remaining;
+        const claim = await WalletTransaction.updateOne(
+          { _id: lot._id, remaining: amount },
+          { $set: { remaining: 0 } },
+          { session }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        const wallet = await this.findOneAndUpdate(
+          { user: userId },
+          { $inc: { balance: -amount } },
+          { new: true, session }
+        );
+
+        await WalletTransaction.create([{
+          user: userId,
+          type: 'expiration',
+          source: 'expiration',
+          amount: -amount,
+          currency: lot.currency,
+          balanceAfter: round(wallet.balance),
+          expiredCredit: lot._id,
+          description: `Credit from ${lot.createdAt.toISOString().slice(0, 10)} expired`
+        }], { session });
+        expired = round(expired + amount);
+      }
+
+      return expired;
+    });
+  },
+
+  /**
+   * Balance of a user after lapsed credits are expired, with the credits
+   * that will expire next
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<Object>} { balance, currency, expiring: [{ amount, expiresAt }] }
+   */
+  async getSummary(userId) {
+    await this.expireLapsed(userId);
+
+    const [wallet, expiring] = await Promise.all([
+      this.findOne({ user: userId }).lean(),
+      WalletTransaction.find({ user: userId, type: 'credit', remaining: { $gt: 0 }, expiresAt: { $ne: null } })
+        .select('remaining expiresAt')
+        .sort({ expiresAt: 1 })
+        .limit(10)
+        .lean()
+    ]);
+
+    return {
+      balance: round(wallet?.balance || 0),
+      currency: wallet?.currency || getBaseCurrency(),
+      expiring: expiring.map(lot => ({ amount: lot.remaining, expiresAt: lot.expiresAt }))
+    };
+  },
+
+  /**
+   * Current balance without expiring anything, for quick checks before checkout
+   * @param {ObjectId} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async getBalance(userId) {
+    const wallet = await this.findOne({ user: userId }).select('balance').lean();
+    return round(wallet?.balance || 0);
+  }
+};
+
+module.exports = mongoose.model('Wallet', walletSchema);
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One movement on a customer's wallet. Credits are positive and track how
+// much of them is still unspent (remaining), so expirations only take away
+// credit that was never used. Debits and expirations are negative.
+const walletTransactionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit', 'expiration'],
+    required: [true, 'Transaction type is required']
+  },
+  source: {
+    type: String,
+    enum: ['gift_card', 'return', 'order', 'order_refund', 'admin', 'expiration'],
+    required: [true, 'Source is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    required: [true, 'Currency is required']
+  },
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Balance after is required']
+  },
+  // Unspent part of a credit
+  remaining: {
+    type: Number,
+    min: [0, 'Remaining cannot be negative'],
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Credit lot an expiration entry expired
+  expiredCredit: {
+    type: Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  // Gift card id, return request id or provider refund id
+  reference: {
+    type: String,
+    default: null
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ user: 1, remaining: 1, expiresAt: 1 });
+walletTransactionSchema.index({ source: 1, reference: 1 });
+
+walletTransactionSchema.statics = {
+  /**
+   * Paginated wallet history of a user, newest first
+   * @param {ObjectId} userId - User ID
+   * @param {Object} [options] - { type, page, limit }
+   * @returns {Promise<Object>} { transactions, total, page, pages }
+   */
+  async findUserTransactions(userId, { type, page = 1, limit = 20 } = {}) {
+    const filter = { user: userId };
+    if (type) filter.type = type;
+
+    const [transactions, total] = await Promise.all([
+      this.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.countDocuments(filter)
+    ]);
+
+    return { transactions, total, page, pages: Math.ceil(total / limit) || 1 };
+  }
+};
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// How long a delivery may hold an event before a redelivery may process it again
+const LOCK_MS = 5 * 60 * 1000;
+
+const getRetentionDays = () => parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS, 10) || 30;
+
+// One document per provider event received, so redeliveries are applied once
+const webhookEventSchema = new Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required']
+  },
+  type: String,
+  status: {
+    type: String,
+    enum: ['processing', 'processed'],
+    default: 'processing'
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date,
+  // What the event changed, for support: payment, statuses, ignored reason
+  result: Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+webhookEventSchema.statics = {
+  /**
+   * Claim an event for processing. Fails for events already processed or
+   * being processed by another delivery; a claim left behind by a delivery
+   * that crashed can be taken over after a few minutes.
+   * @param {string} provider - Provider name, e.g. stripe
+   * @param {string} eventId - Provider event ID
+   * @param {string} [type] - Event type
+   * @returns {Promise<boolean>} Whether the caller should process the event
+   */
+  async claim(provider, eventId, type) {
+    try {
+      await this.create({
+        provider,
+        eventId,
+        type,
+        expiresAt: new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000)
+      });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const stale = await this.findOneAndUpdate(
+      { provider, eventId, status: 'processing', claimedAt: { $lt: new Date(Date.now() - LOCK_MS) } },
+      { $set: { claimedAt: new Date() } }
+    );
+    return !!stale;
+  },
+
+  /**
+   * Mark a claimed event as processed
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @param {Object} [result] - What the event changed
+   * @returns {Promise<void>}
+   */
+  async complete(provider, eventId, result = {}) {
+    await this.updateOne(
+      { provider, eventId },
+      { $set: { status: 'processed', processedAt: new Date(), result } }
+    );
+  },
+
+  /**
+   * Drop the claim of an event that failed, so the provider's retry processes it
+   * @param {string} provider - Provider name
+   * @param {string} eventId - Provider event ID
+   * @returns {Promise<void>}
+   */
+  async release(provider, eventId) {
+    await this.deleteOne({ provider, eventId, status: 'processing' });
+  }
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -8,6 +8,7 @@ const Joi = require('joi');
   image: Joi.string().regex(/\.(jpg|jpeg|png|webp|svg)$/i),
   isActive: Joi.boolean().default(true),
   displayOrder: Joi.number().min(0).default(0),
+  taxClass: Joi.string().lowercase().pattern(/^[a-z0-9_-]+$/).max(30).default('standard'),
   seo: Joi.object({
     metaTitle: Joi.string().max(60),
     metaDescription: Joi.string().max(160),
@@ -23,6 +24,7 @@ const updateSchema = Joi.object({
   image: Joi.string().uri().regex(/\.(jpg|jpeg|png|webp|svg)$/i),
   isActive: Joi.boolean(),
   displayOrder: Joi.number().min(0),
+  taxClass: Joi.string().lowercase().pattern(/^[a-z0-9_-]+$/).max(30),
   seo: Joi.object({
     metaTitle: Joi.string().max(60),
     metaDescription: Joi.string().max(160),
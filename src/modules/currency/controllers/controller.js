@@ -0,0 +1,276 @@
+const ExchangeRate = require('../../../models/ExchangeRate');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const mongoose = require('mongoose');
+const { getBaseCurrency, getMinorUnits, getRates } = require('../service');
+const { exchangeRateSchema, exchangeRateUpdateSchema, exchangeRateGetSchema } = require('../schemas');
+
+// Shape an exchange rate for API responses
+function formatRate(rate) {
+  return {
+    id: rate._id,
+    currency: rate.currency,
+    rate: rate.rate,
+    decimals: rate.decimals,
+    rounding: rate.rounding,
+    isActive: rate.isActive,
+    updatedAt: rate.updatedAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+class CurrencyController {
+  async getCurrencies(req, res) {
+    try {
+      const rates = await getRates();
+
+      res.status(200).json({
+        baseCurrency: getBaseCurrency(),
+        currencies: [...rates.entries()].map(([currency, rule]) => ({
+          currency,
+          rate: rule.rate,
+          decimals: rule.decimals,
+          rounding: rule.rounding
+        }))
+      });
+    } catch (error) {
+      logger.error(`Get currencies error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch currencies',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async addRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = exchangeRateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      // The base currency only carries rounding rules, its rate is always 1
+      if (value.currency === getBaseCurrency() && value.rate !== 1) {
+        return res.status(400).json({ error: 'The base currency must have a rate of 1' });
+      }
+
+      const rate = await ExchangeRate.create({
+        ...value,
+        decimals: value.decimals ?? getMinorUnits(value.currency),
+        updatedBy: req.user._id
+      });
+
+      await AuditLog.logAsync({
+        event: 'EXCHANGE_RATE_CREATED',
+        action: 'create',
+        entityType: 'exchange_rate',
+        entityId: rate._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: formatRate(rate)
+      });
+
+      res.status(201).json({
+        message: 'Exchange rate created successfully',
+        rate: formatRate(rate)
+      });
+    } catch (error) {
+      logger.error(`Exchange rate creation error: ${error.message}`, { stack: error.stack });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A rate for this currency already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create exchange rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getRates(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = exchangeRateGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const filter = {};
+      if (value.isActive !== undefined) filter.isActive = value.isActive;
+
+      const { rates, total, page, pages } = await ExchangeRate.findRates(filter, value.page, value.limit);
+
+      res.status(200).json({
+        baseCurrency: getBaseCurrency(),
+        count: rates.length,
+        total,
+        page,
+        pages,
+        rates: rates.map(formatRate)
+      });
+    } catch (error) {
+      logger.error(`Get exchange rates error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch exchange rates',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid exchange rate ID' });
+      }
+
+      const rate = await ExchangeRate.findById(req.params.id).lean();
+      if (!rate) {
+        return res.status(404).json({ error: 'Exchange rate not found' });
+      }
+
+      res.status(200).json({ rate: formatRate(rate) });
+    } catch (error) {
+      logger.error(`Get exchange rate error: ${error.message}`, { stack: error.stack, rateId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch exchange rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid exchange rate ID' });
+      }
+
+      const { error, value } = exchangeRateUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const rate = await ExchangeRate.findById(req.params.id);
+      if (!rate) {
+        return res.status(404).json({ error: 'Exchange rate not found' });
+      }
+
+      if (rate.currency === getBaseCurrency() && value.rate !== undefined && value.rate !== 1) {
+        return res.status(400).json({ error: 'The base currency must have a rate of 1' });
+      }
+
+      // Placed orders keep the rate they were charged at
+      const oldValues = formatRate(rate);
+      Object.assign(rate, value, { updatedBy: req.user._id });
+      await rate.save();
+
+      await AuditLog.logAsync({
+        event: 'EXCHANGE_RATE_UPDATED',
+        action: 'update',
+        entityType: 'exchange_rate',
+        entityId: rate._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          oldValues,
+          changedFields: Object.keys(value)
+        }
+      });
+
+      res.status(200).json({
+        message: 'Exchange rate updated successfully',
+        rate: formatRate(rate)
+      });
+    } catch (error) {
+      logger.error(`Exchange rate update error: ${error.message}`, { stack: error.stack, rateId: req.params.id });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update exchange rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async deleteRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid exchange rate ID' });
+      }
+
+      const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+      if (!rate) {
+        return res.status(404).json({ error: 'Exchange rate not found' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'EXCHANGE_RATE_DELETED',
+        action: 'delete',
+        entityType: 'exchange_rate',
+        entityId: rate._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: formatRate(rate)
+      });
+
+      res.status(200).json({
+        message: 'Exchange rate deleted successfully',
+        deletedId: rate._id
+      });
+    } catch (error) {
+      logger.error(`Exchange rate deletion error: ${error.message}`, { stack: error.stack, rateId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to delete exchange rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new CurrencyController();
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const currencyController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+
+router.get('/currencies', currencyController.getCurrencies);
+
+router.post('/rates/add', 
+  authenticate, 
+  currencyController.addRate
+);
+
+router.get('/rates/get', 
+  authenticate, 
+  currencyController.getRates
+);
+
+router.get('/rates/get/:id', 
+  authenticate, 
+  currencyController.getRate
+);
+
+router.put('/rates/update/:id', 
+  authenticate, 
+  currencyController.updateRate
+);
+
+router.delete('/rates/delete/:id', 
+  authenticate, 
+  currencyController.deleteRate
+);
+
+module.exports = router;
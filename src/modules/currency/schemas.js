@@ -0,0 +1,46 @@
+const Joi = require('joi');
+
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY'];
+
+const exchangeRateSchema = Joi.object({
+  currency: Joi.string().valid(...CURRENCIES).uppercase().required().messages({
+    'any.only': `Currency must be one of: ${CURRENCIES.join(', ')}`,
+    'any.required': 'Currency is required'
+  }),
+  rate: Joi.number().positive().required().messages({
+    'number.base': 'Rate must be a number',
+    'number.positive': 'Rate must be positive',
+    'any.required': 'Rate is required'
+  }),
+  decimals: Joi.number().integer().min(0).max(4).messages({
+    'number.min': 'Decimals cannot be negative',
+    'number.max': 'Decimals cannot exceed 4'
+  }),
+  rounding: Joi.string().valid('nearest', 'up', 'down').default('nearest').messages({
+    'any.only': 'Rounding must be one of: nearest, up, down'
+  }),
+  isActive: Joi.boolean().default(true)
+}).options({ abortEarly: false });
+
+const exchangeRateUpdateSchema = Joi.object({
+  rate: Joi.number().positive().messages({
+    'number.base': 'Rate must be a number',
+    'number.positive': 'Rate must be positive'
+  }),
+  decimals: Joi.number().integer().min(0).max(4).messages({
+    'number.min': 'Decimals cannot be negative',
+    'number.max': 'Decimals cannot exceed 4'
+  }),
+  rounding: Joi.string().valid('nearest', 'up', 'down').messages({
+    'any.only': 'Rounding must be one of: nearest, up, down'
+  }),
+  isActive: Joi.boolean()
+}).min(1).options({ abortEarly: false });
+
+const exchangeRateGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  isActive: Joi.boolean()
+});
+
+module.exports = { exchangeRateSchema, exchangeRateUpdateSchema, exchangeRateGetSchema };
@@ -0,0 +1,208 @@
+const ExchangeRate = require('../../models/ExchangeRate');
+
+/**
+ * Currency the catalogue, tax rates, shipping rates and order amounts are kept in
+ * @returns {string} ISO 4217 code (BASE_CURRENCY, default USD)
+ */
+function getBaseCurrency() {
+    return (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+}
+
+/**
+ * ISO 4217 minor units of a currency - what payment providers expect
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Number of decimals (0 for JPY, 2 for USD)
+ */
+function getMinorUnits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency })
+        .resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Amount in the smallest unit of the currency, e.g. cents
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Integer amount
+ */
+function toMinorUnits(amount, currency) {
+    return Math.round(amount * 10 ** getMinorUnits(currency));
+}
+
+/**
+ * Amount in major units from the smallest unit of the currency
+ * @param {number} amount - Integer amount, e.g. cents
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Amount in major units
+ */
+function fromMinorUnits(amount, currency) {
+    return amount / 10 ** getMinorUnits(currency);
+}
+
+/**
+ * Round an amount according to a currency's rule
+ * @param {number} amount - Amount to round
+ * @param {Object} rule - { decimals, rounding: 'nearest'|'up'|'down' }
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount, { decimals, rounding = 'nearest' }) {
+    const factor = 10 ** decimals;
+    // Strip float noise first so 1.005 * 100 does not round down to 100
+    const scaled = Math.round(amount * factor * 1e6) / 1e6;
+    const round = rounding === 'up' ? Math.ceil : rounding === 'down' ? Math.floor : Math.round;
+    return round(scaled) / factor;
+}
+
+/**
+ * Active rates including the base currency at rate 1
+ * @returns {Promise<Map<string, Object>>} { rate, decimals, rounding } per currency
+ */
+async function getRates() {
+    const base = getBaseCurrency();
+    const rates = await ExchangeRate.getRateTable();
+    const baseRule = rates.get(base);
+
+    rates.set(base, {
+        rate: 1,
+        decimals: baseRule?.decimals ?? getMinorUnits(base),
+        rounding: baseRule?.rounding || 'nearest'
+    });
+    return rates;
+}
+
+/**
+ * Look up the rate of a currency
+ * @param {Map} rates - Result of getRates
+ * @param {string} currency - ISO 4217 code
+ * @returns {Object} { rate, decimals, rounding }
+ * @throws {Error} CURRENCY_NOT_SUPPORTED when no active rate exists
+ */
+function getRate(rates, currency) {
+    const entry = rates.get(currency);
+    if (!entry) {
+        const err = new Error(`Currency ${currency} is not supported`);
+        err.statusCode = 400;
+        err.code = 'CURRENCY_NOT_SUPPORTED';
+        err.supportedCurrencies = [...rates.keys()];
+        throw err;
+    }
+    return entry;
+}
+
+/**
+ * Convert an amount between two currencies and round it with the target's rule
+ * @param {number} amount - Amount in the source currency
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @param {Map} rates - Result of getRates
+ * @returns {number} Converted amount
+ * @throws {Error} CURRENCY_NOT_SUPPORTED when either currency has no rate
+ */
+function convert(amount, from, to, rates) {
+    const target = getRate(rates, to);
+    if (from === to) return roundAmount(amount, target);
+    return roundAmount(amount / getRate(rates, from).rate * target.rate, target);
+}
+
+/**
+ * Price an order in the customer's presentment currency.
+ * Each unit price is converted and rounded on its own so line totals add up
+ * to the subtotal, then the total is rebuilt from the converted parts.
+ * @param {Object} amounts - Base-currency order amounts
+ * @param {Array} amounts.items - Order items ({ priceAtPurchase, quantity, effectiveQuantity })
+ * @param {number} amounts.discount - Order discount
+ * @param {number} amounts.shippingCost - Shipping after promotions
+ * @param {number} amounts.tax - Tax
+ * @param {boolean} amounts.pricesIncludeTax - Whether tax is part of the prices
+ * @param {string} [currency] - Presentment currency, defaults to the base currency
+ * @returns {Promise<Object>} { currency, baseCurrency, exchangeRate, items, totals }
+ * @throws {Error} CURRENCY_NOT_SUPPORTED when the currency has no active rate
+ */
+async function getPresentment({ items, discount, shippingCost, tax, pricesIncludeTax }, currency) {
+    const baseCurrency = getBaseCurrency();
+    const target = (currency || baseCurrency).toUpperCase();
+    const rates = await getRates();
+    const rule = getRate(rates, target);
+    const toTarget = amount => convert(amount, baseCurrency, target, rates);
+
+    const presentmentItems = items.map(item => ({
+        ...item,
+        presentmentPrice: toTarget(item.priceAtPurchase)
+    }));
+    const subtotal = roundAmount(presentmentItems.reduce((sum, item) =>
+        sum + item.presentmentPrice * (item.effectiveQuantity ?? item.quantity), 0), rule);
+
+    const totals = {
+        subtotal,
+        discount: toTarget(discount || 0),
+        shippingCost: toTarget(shippingCost || 0),
+        tax: toTarget(tax || 0)
+    };
+    totals.total = roundAmount(
+        totals.subtotal - totals.discount + totals.shippingCost + (pricesIncludeTax ? 0 : totals.tax),
+        { decimals: rule.decimals }
+    );
+
+    return {
+        currency: target,
+        baseCurrency,
+        exchangeRate: rule.rate,
+        items: presentmentItems,
+        totals
+    };
+}
+
+/**
+ * Convert a base-currency amount of an existing order with the rate it was placed at
+ * @param {Object} order - Order with currency, exchangeRate and presentmentTotals
+ * @param {number} amount - Base-currency amount, e.g. a refund
+ * @returns {number} Amount in the order's presentment currency
+ */
+function toOrderCurrency(order, amount) {
+    if (!order.presentmentTotals?.total || order.currency === order.baseCurrency) return amount;
+    if (amount === order.total) return order.presentmentTotals.total;
+
+    const factor = 10 ** getMinorUnits(order.currency);
+    return Math.round(amount * order.exchangeRate * factor) / factor;
+}
+
+/**
+ * Convert an amount in an order's presentment currency back to its base
+ * currency, e.g. a refund made at the provider
+ * @param {Object} order - Order with currency, exchangeRate and presentmentTotals
+ * @param {number} amount - Amount in the order's presentment currency
+ * @returns {number} Base-currency amount
+ */
+function fromOrderCurrency(order, amount) {
+    if (!order.presentmentTotals?.total || order.currency === order.baseCurrency) return amount;
+    if (amount === order.presentmentTotals.total) return order.total;
+
+    const factor = 10 ** getMinorUnits(order.baseCurrency || getBaseCurrency());
+    return Math.round(amount / order.exchangeRate * factor) / factor;
+}
+
+/**
+ * Amount with its currency symbol for emails and documents, e.g. "$12.50"
+ * @param {number} amount - Amount
+ * @param {string} [currency] - ISO 4217 code, defaults to USD
+ * @returns {string}
+ */
+function formatMoney(amount, currency) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency || 'USD'
+    }).format(amount || 0);
+}
+
+module.exports = {
+    getBaseCurrency,
+    getMinorUnits,
+    toMinorUnits,
+    fromMinorUnits,
+    roundAmount,
+    getRates,
+    convert,
+    getPresentment,
+    toOrderCurrency,
+    fromOrderCurrency,
+    formatMoney
+};
@@ -0,0 +1,430 @@
+const GuestCart = require('../../../models/GuestCart');
+const Order = require('../../../models/Order');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const { sendVerificationEmail, sendGuestOrderEmail, createChallenge } = require('../../../services/mailService');
+const { formatMoney } = require('../../currency/service');
+const { createOrderLookupToken, verifyOrderLookupToken, getOrderLookupUrl } = require('../service');
+const mongoose = require('mongoose');
+const {
+  cartAddSchema,
+  cartUpdateSchema,
+  emailSchema,
+  verifyEmailSchema,
+  checkoutSchema,
+  orderLookupSchema
+} = require('../schemas');
+
+// Shape a guest cart for API responses; the email itself is never sent back
+function formatCart(cart) {
+  return {
+    items: cart.items.map(item => ({
+      _id: item._id,
+      product: item.product,
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      addedAt: item.addedAt
+    })),
+    emailSet: !!cart.emailHash,
+    emailVerified: !!cart.emailVerifiedAt,
+    expiresAt: cart.expiresAt
+  };
+}
+
+// Shape a guest order for the lookup link: what the guest needs to follow it
+function formatGuestOrder(order) {
+  return {
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    items: order.items.map(item => ({
+      product: item.idProduct,
+      productName: item.productName,
+      quantity: item.quantity,
+      size: item.size,
+      color: item.color,
+      price: item.presentmentPrice ?? item.priceAtPurchase
+    })),
+    currency: order.currency,
+    totals: order.presentmentTotals?.total ? order.presentmentTotals : {
+      subtotal: order.subtotal,
+      discount: order.discount,
+      shippingCost: order.shippingCost,
+      tax: order.tax,
+      total: order.total
+    },
+    shippingAddress: order.shippingAddress,
+    shippingMethod: order.shippingMethod,
+    estimatedDelivery: order.estimatedDelivery,
+    shipments: (order.shipments || []).map(shipment => ({
+      status: shipment.status,
+      carrier: shipment.carrier || null,
+      trackingNumber: shipment.trackingNumber || null,
+      shippedAt: shipment.shippedAt || null,
+      deliveredAt: shipment.deliveredAt || null
+    })),
+    claimed: !!order.idCustomer,
+    createdAt: order.createdAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+class GuestController {
+  async createCart(req, res) {
+    try {
+      const { cart, token } = await GuestCart.createCart();
+
+      res.status(201).json({
+        message: 'Guest cart created',
+        guestToken: token,
+        cart: formatCart(cart)
+      });
+    } catch (error) {
+      logger.error(`Create guest cart error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to create guest cart');
+    }
+  }
+
+  async getCart(req, res) {
+    try {
+      await req.guestCart.populate('items.product', 'name price currency images isAvailable');
+      res.status(200).json({ cart: formatCart(req.guestCart) });
+    } catch (error) {
+      logger.error(`Get guest cart error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to fetch guest cart');
+    }
+  }
+
+  async addToCart(req, res) {
+    try {
+      const { error, value } = cartAddSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const cart = await GuestCart.addItem(req.guestCart, value.productId, value.quantity, {
+        size: value.size,
+        color: value.color
+      });
+      res.status(200).json({ message: 'Product added to cart', cart: formatCart(cart) });
+    } catch (error) {
+      logger.error(`Guest cart add error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to add product to cart');
+    }
+  }
+
+  async updateCartItem(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+        return res.status(400).json({ error: 'Invalid cart item ID' });
+      }
+
+      const { error, value } = cartUpdateSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const cart = await GuestCart.updateItem(req.guestCart, req.params.itemId, value.quantity);
+      res.status(200).json({ message: 'Cart item updated', cart: formatCart(cart) });
+    } catch (error) {
+      logger.error(`Guest cart update error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to update cart item');
+    }
+  }
+
+  async removeFromCart(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+        return res.status(400).json({ error: 'Invalid cart item ID' });
+      }
+
+      const cart = await GuestCart.removeItem(req.guestCart, req.params.itemId);
+      res.status(200).json({ message: 'Cart item removed', cart: formatCart(cart) });
+    } catch (error) {
+      logger.error(`Guest cart remove error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to remove cart item');
+    }
+  }
+
+  async setEmail(req, res) {
+    try {
+      const { error, value } = emailSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const code = createChallenge({ size: 16 });
+      const cart = await GuestCart.startEmailVerification(req.guestCart, value.email, code);
+      await sendVerificationEmail(value.email.toLowerCase(), code);
+
+      await AuditLog.logAsync({
+        event: 'GUEST_EMAIL_VERIFICATION',
+        action: 'create',
+        source: 'api',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: { guestCart: cart._id }
+      });
+
+      res.status(200).json({
+        message: 'Verification code sent',
+        expiresAt: cart.verification.expiresAt
+      });
+    } catch (error) {
+      logger.error(`Guest email error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to send verification code');
+    }
+  }
+
+  async verifyEmail(req, res) {
+    try {
+      const { error, value } = verifyEmailSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const cart = await GuestCart.verifyEmail(req.guestCart, value.code);
+
+      res.status(200).json({ message: 'Email verified', cart: formatCart(cart) });
+    } catch (error) {
+      logger.error(`Guest email verification error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to verify email');
+    }
+  }
+
+  async checkout(req, res) {
+    const cart = req.guestCart;
+
+    try {
+      const { error, value } = checkoutSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      if (cart.items.length === 0) {
+        return res.status(400).json({ error: 'Cannot create order with empty cart' });
+      }
+      if (!cart.emailVerifiedAt) {
+        return res.status(403).json({ error: 'Verify your email before placing the order', code: 'EMAIL_NOT_VERIFIED' });
+      }
+
+      const priced = await Order.priceCart(cart.items, { ...value, userId: null });
+      if (priced.outOfStockItems) {
+        return res.status(400).json({
+          error: 'Some items are out of stock',
+          outOfStockItems: priced.outOfStockItems
+        });
+      }
+
+      const { order, paymentResult } = await Order.createAndProcessOrder({
+        guest: {
+          email: cart.toObject().email,
+          emailHash: cart.emailHash,
+          verifiedAt: cart.emailVerifiedAt
+        },
+        guestCart: cart._id,
+        items: priced.presentment.items,
+        paymentMethod: value.paymentMethod,
+        shippingAddress: value.shippingAddress,
+        shippingMethod: priced.shippingMethod,
+        discount: priced.discount,
+        promotion: null,
+        estimatedDelivery: priced.estimatedDelivery,
+        subtotal: priced.subtotal,
+        tax: priced.tax,
+        taxBreakdown: priced.taxBreakdown,
+        shippingCost: priced.shippingCost,
+        total: priced.total,
+        baseCurrency: priced.presentment.baseCurrency,
+        currency: priced.presentment.currency,
+        exchangeRate: priced.presentment.exchangeRate,
+        presentmentTotals: priced.presentment.totals
+      }, value.paymentMethod, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        paymentToken: value.paymentToken,
+        allowApproval: true
+      });
+
+      const lookupToken = createOrderLookupToken(order._id);
+      const lookupUrl = getOrderLookupUrl(order._id, lookupToken);
+
+      // The order is placed either way; the link is also in the response
+      try {
+        await sendGuestOrderEmail(await GuestCart.readEmail(cart), {
+          orderNumber: order.orderNumber || order._id.toString(),
+          amount: formatMoney(order.presentmentTotals?.total ?? order.total, order.currency),
+          lookupUrl
+        });
+      } catch (mailError) {
+        logger.error(`Guest order confirmation for order ${order._id} failed: ${mailError.message}`);
+      }
+
+      await AuditLog.logAsync({
+        event: 'GUEST_ORDER_CREATE',
+        action: 'create',
+        entityType: 'order',
+        entityId: order._id,
+        source: 'api',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          totalAmount: order.total,
+          currency: order.currency,
+          presentmentTotal: order.presentmentTotals?.total,
+          itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+          paymentMethod: order.paymentMethod,
+          transactionId: order.transactionId
+        }
+      });
+
+      res.status(201).json({
+        message: 'Order created successfully',
+        order: formatGuestOrder(order),
+        lookupToken,
+        lookupUrl,
+        nextAction: paymentResult.pending ? paymentResult.nextAction : undefined
+      });
+    } catch (error) {
+      await AuditLog.logAsync({
+        event: 'GUEST_ORDER_CREATE',
+        action: 'create',
+        source: 'api',
+        status: 'failure',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          error: error.message,
+          code: error.code,
+          guestCart: cart._id,
+          paymentMethod: req.body.paymentMethod
+        }
+      });
+
+      logger.error(`Guest checkout error: ${error.message}`, { stack: error.stack });
+
+      if (error.code === 'INSUFFICIENT_STOCK') {
+        return res.status(409).json({
+          error: error.message,
+          code: error.code,
+          ...(error.shortages && { outOfStockItems: error.shortages })
+        });
+      }
+      if (error.code === 'SHIPPING_METHOD_UNAVAILABLE') {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+          availableMethods: error.availableMethods
+        });
+      }
+      if (error.code === 'CURRENCY_NOT_SUPPORTED') {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+          supportedCurrencies: error.supportedCurrencies
+        });
+      }
+      if (error.name === 'PaymentError') {
+        return res.status(402).json({
+          error: 'Payment processing failed',
+          code: 'PAYMENT_FAILED',
+          reason: error.code,
+          declineCode: error.declineCode,
+          nextAction: error.nextAction
+        });
+      }
+      handleError(res, error, 'Failed to create order');
+    }
+  }
+
+  async getOrder(req, res) {
+    try {
+      const { error, value } = orderLookupSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      // A bad link looks the same as a missing order
+      const { id } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(id) || !verifyOrderLookupToken(value.token, id)) {
+        return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+      }
+
+      const order = await Order.findGuestOrder(id);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found', code: 'ORDER_NOT_FOUND' });
+      }
+
+      res.status(200).json({ order: formatGuestOrder(order) });
+    } catch (error) {
+      logger.error(`Guest order lookup error: ${error.message}`, { stack: error.stack });
+      handleError(res, error, 'Failed to fetch order');
+    }
+  }
+
+  async claimOrders(req, res) {
+    try {
+      const user = await User.findById(req.user._id).select('+emailHash status').lean();
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (user.status !== 'active') {
+        return res.status(403).json({ error: 'Account is not active', code: 'ACCOUNT_NOT_ACTIVE' });
+      }
+
+      // The account's email was verified at registration, so its hash proves ownership
+      const orderIds = await Order.claimGuestOrders(user._id, user.emailHash);
+
+      await AuditLog.logAsync({
+        event: 'GUEST_ORDERS_CLAIMED',
+        action: 'update',
+        entityType: 'user',
+        entityId: user._id,
+        user: user._id,
+        source: 'api',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: { orderIds }
+      });
+
+      res.status(200).json({
+        message: orderIds.length > 0 ? 'Guest orders added to your account' : 'No guest orders to claim',
+        claimed: orderIds.length,
+        orderIds
+      });
+    } catch (error) {
+      logger.error(`Claim guest orders error: ${error.message}`, { stack: error.stack, userId: req.user?._id });
+      handleError(res, error, 'Failed to claim guest orders');
+    }
+  }
+}
+
+module.exports = new GuestController();
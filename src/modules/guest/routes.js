@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const guestController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+const { guestCart } = require('../../core/middlewares/guestCart');
+const { idempotency } = require('../../core/middlewares/idempotency');
+
+// Cart (identified by the X-Guest-Token header)
+router.post('/cart', 
+  guestController.createCart
+);
+
+router.get('/cart', 
+  guestCart(), 
+  guestController.getCart
+);
+
+router.post('/cart/add', 
+  guestCart(), 
+  guestController.addToCart
+);
+
+router.put('/cart/update/:itemId', 
+  guestCart(), 
+  guestController.updateCartItem
+);
+
+router.delete('/cart/remove/:itemId', 
+  guestCart(), 
+  guestController.removeFromCart
+);
+
+// Email the order is tied to
+router.post('/email', 
+  guestCart(), 
+  guestController.setEmail
+);
+
+router.post('/email/verify', 
+  guestCart(), 
+  guestController.verifyEmail
+);
+
+router.post('/checkout', 
+  guestCart(), 
+  idempotency(), 
+  guestController.checkout
+);
+
+// Signed lookup link from the confirmation email
+router.get('/orders/:id', 
+  guestController.getOrder
+);
+
+// Attach guest orders to the signed-in account with the same email
+router.post('/claim', 
+  authenticate, 
+  guestController.claimOrders
+);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const Joi = require('joi');
+const { createOrderSchema } = require('../orders/schemas');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const cartAddSchema = Joi.object({
+  productId: objectId.required().messages({
+    'string.pattern.base': 'Product ID must be a valid ObjectId',
+    'any.required': 'Product ID is required'
+  }),
+  quantity: Joi.number().integer().min(1).max(100).default(1).messages({
+    'number.base': 'Quantity must be a number',
+    'number.min': 'Quantity must be at least 1',
+    'number.max': 'Quantity cannot exceed 100'
+  }),
+  size: Joi.string().max(50).optional(),
+  color: Joi.string().max(50).optional()
+}).options({ abortEarly: false });
+
+const cartUpdateSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).max(100).required().messages({
+    'number.base': 'Quantity must be a number',
+    'number.min': 'Quantity must be at least 1',
+    'number.max': 'Quantity cannot exceed 100',
+    'any.required': 'Quantity is required'
+  })
+}).options({ abortEarly: false });
+
+const emailSchema = Joi.object({
+  email: Joi.string().trim().email().max(254).required().messages({
+    'string.email': 'Email must be a valid email address',
+    'string.empty': 'Email is required',
+    'any.required': 'Email is required'
+  })
+}).options({ abortEarly: false });
+
+const verifyEmailSchema = Joi.object({
+  code: Joi.string().trim().max(128).required().messages({
+    'string.empty': 'Verification code is required',
+    'any.required': 'Verification code is required'
+  })
+}).options({ abortEarly: false });
+
+// Same details as a customer order, without promotion codes or store credit
+const checkoutSchema = Joi.object({
+  shippingAddress: createOrderSchema.extract('shippingAddress'),
+
+  paymentMethod: Joi.string()
+    .valid('credit_card', 'paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery')
+    .required()
+    .messages({
+      'string.empty': 'Payment method is required',
+      'any.only': 'Payment method must be one of: credit_card, paypal, stripe, cod, bank_transfer, cash_on_delivery',
+      'any.required': 'Payment method is required'
+    }),
+
+  paymentToken: createOrderSchema.extract('paymentToken'),
+
+  shippingMethod: createOrderSchema.extract('shippingMethod'),
+
+  currency: createOrderSchema.extract('currency')
+}).options({ abortEarly: false });
+
+const orderLookupSchema = Joi.object({
+  token: Joi.string().max(2048).required().messages({
+    'string.empty': 'Lookup token is required',
+    'any.required': 'Lookup token is required'
+  })
+}).options({ abortEarly: false });
+
+module.exports = {
+  cartAddSchema,
+  cartUpdateSchema,
+  emailSchema,
+  verifyEmailSchema,
+  checkoutSchema,
+  orderLookupSchema
+};
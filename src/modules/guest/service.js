@@ -0,0 +1,59 @@
+const jwt = require('jsonwebtoken');
+
+const LOOKUP_AUDIENCE = 'guest-order';
+
+// Lookup links are signed with their own secret when one is set
+const getLookupSecret = () => process.env.GUEST_ORDER_SECRET || process.env.JWT_SECRET;
+const getLookupDays = () => parseInt(process.env.GUEST_ORDER_LINK_DAYS, 10) || 90;
+
+/**
+ * Sign the token of a guest order lookup link.
+ * Valid for GUEST_ORDER_LINK_DAYS days (default 90).
+ * @param {ObjectId} orderId - The order ID
+ * @returns {string} Signed token
+ */
+function createOrderLookupToken(orderId) {
+    return jwt.sign({}, getLookupSecret(), {
+        subject: orderId.toString(),
+        audience: LOOKUP_AUDIENCE,
+        expiresIn: `${getLookupDays()}d`,
+        algorithm: 'HS256'
+    });
+}
+
+/**
+ * Check a lookup token against the order it is used for
+ * @param {string} token - Token from createOrderLookupToken
+ * @param {ObjectId} orderId - The order ID
+ * @returns {boolean} false when the token is invalid, expired or for another order
+ */
+function verifyOrderLookupToken(token, orderId) {
+    try {
+        jwt.verify(token, getLookupSecret(), {
+            subject: orderId.toString(),
+            audience: LOOKUP_AUDIENCE,
+            algorithms: ['HS256']
+        });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Link a guest follows an order with; the page at GUEST_ORDER_URL calls
+ * GET /api/guest/orders/:id with the token
+ * @param {ObjectId} orderId - The order ID
+ * @param {string} token - Token from createOrderLookupToken
+ * @returns {string} URL
+ */
+function getOrderLookupUrl(orderId, token) {
+    const base = (process.env.GUEST_ORDER_URL || 'http://localhost:3000/guest/orders').replace(/\/$/, '');
+    return `${base}/${orderId}?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    createOrderLookupToken,
+    verifyOrderLookupToken,
+    getOrderLookupUrl
+};
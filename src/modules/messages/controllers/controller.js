@@ -0,0 +1,389 @@
+const MessageThread = require('../../../models/MessageThread');
+const Message = require('../../../models/Message');
+const Order = require('../../../models/Order');
+const ReturnRequest = require('../../../models/ReturnRequest');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const AttachmentStorage = require('../../../services/attachmentStorage');
+const logger = require('../../../services/logger');
+const { sendMessageNotificationEmail } = require('../../../services/mailService');
+const mongoose = require('mongoose');
+const {
+  threadGetSchema,
+  adminThreadGetSchema,
+  messageGetSchema,
+  messageSchema
+} = require('../schemas');
+
+// Side of the conversation the user is on
+const roleOf = user => user.role === 'admin' ? 'admin' : 'customer';
+
+// Shape a thread for API responses; each side only sees its own unread count
+function formatThread(thread, role) {
+  return {
+    id: thread._id,
+    subjectType: thread.subjectType,
+    subject: thread.subject,
+    order: thread.order,
+    customer: role === 'admin' ? thread.customer : undefined,
+    messageCount: thread.messageCount,
+    lastMessageAt: thread.lastMessageAt,
+    lastMessagePreview: thread.lastMessagePreview,
+    unread: thread.unread?.[role] || 0,
+    createdAt: thread.createdAt
+  };
+}
+
+// Shape a message for API responses; storage keys stay on the server
+function formatMessage(message) {
+  return {
+    id: message._id,
+    sender: message.sender,
+    senderRole: message.senderRole,
+    body: message.body,
+    internal: message.internal,
+    attachments: message.attachments.map(attachment => ({
+      id: attachment._id,
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      url: `/api/messages/attachment/${message._id}/${attachment._id}`
+    })),
+    createdAt: message.createdAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+function notFound(message) {
+  const err = new Error(message);
+  err.statusCode = 404;
+  return err;
+}
+
+/**
+ * The order or return request a thread is about. Customers only reach their
+ * own; anything else looks like it does not exist.
+ * @param {string} subjectType - order or returnRequest
+ * @param {string} id - Order or return request ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { order, customer, label }
+ * @throws {Error} 400 for an unknown type or ID, 404 when not found or not owned
+ */
+async function loadSubject(subjectType, id, user) {
+  if (!['order', 'returnRequest'].includes(subjectType) || !mongoose.Types.ObjectId.isValid(id)) {
+    const err = new Error('Invalid conversation subject');
+    err.statusCode = 400;
+    throw err;
+  }
+
+  let subject;
+  if (subjectType === 'order') {
+    const order = await Order.findById(id).select('idCustomer orderNumber').lean();
+    if (!order) throw notFound('Order not found');
+    subject = { order: order._id, customer: order.idCustomer, label: `order ${order.orderNumber || order._id}` };
+  } else {
+    const returnRequest = await ReturnRequest.findById(id).select('customerId orderId').lean();
+    if (!returnRequest) throw notFound('Return request not found');
+    subject = { order: returnRequest.orderId, customer: returnRequest.customerId, label: `return request ${returnRequest._id}` };
+  }
+
+  if (roleOf(user) === 'customer' && subject.customer?.toString() !== user._id.toString()) {
+    throw notFound(subjectType === 'order' ? 'Order not found' : 'Return request not found');
+  }
+  return subject;
+}
+
+/**
+ * Email the other side about a new message. Customers' messages go to
+ * SUPPORT_EMAIL. Failures are logged; the message is posted either way.
+ * @param {Object} thread - Thread the message was posted on
+ * @param {Object} message - Posted message
+ * @param {string} label - What the thread is about
+ */
+async function notifyRecipient(thread, message, label) {
+  try {
+    if (message.senderRole === 'customer') {
+      if (!process.env.SUPPORT_EMAIL) {
+        logger.warn(`SUPPORT_EMAIL not configured - no notification for message ${message._id}`);
+        return;
+      }
+      await sendMessageNotificationEmail(process.env.SUPPORT_EMAIL, {
+        subject: label,
+        sender: 'The customer',
+        preview: message.body.slice(0, 500)
+      });
+      return;
+    }
+
+    const customer = await User.getContactDetails(thread.customer);
+    await sendMessageNotificationEmail(customer?.email, {
+      name: customer?.firstName,
+      subject: `your ${label}`,
+      sender: 'Our support team',
+      preview: message.body.slice(0, 500)
+    });
+  } catch (error) {
+    logger.error(`Message notification for ${message._id} failed: ${error.message}`);
+  }
+}
+
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+class MessageController {
+  async getThreads(req, res) {
+    try {
+      const { error, value } = threadGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const [{ threads, total, page, pages }, unread] = await Promise.all([
+        MessageThread.findThreads({
+          ...value,
+          customer: req.user._id,
+          unreadBy: value.unread ? 'customer' : undefined
+        }),
+        MessageThread.getUnreadSummary('customer', req.user._id)
+      ]);
+
+      res.status(200).json({
+        count: threads.length,
+        total,
+        page,
+        pages,
+        unread,
+        threads: threads.map(thread => formatThread(thread, 'customer'))
+      });
+    } catch (error) {
+      logger.error(`Get message threads error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch conversations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getAdminThreads(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = adminThreadGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const [{ threads, total, page, pages }, unread] = await Promise.all([
+        MessageThread.findThreads({
+          ...value,
+          customer: value.customerId,
+          unreadBy: value.unread ? 'admin' : undefined
+        }),
+        MessageThread.getUnreadSummary('admin')
+      ]);
+
+      res.status(200).json({
+        count: threads.length,
+        total,
+        page,
+        pages,
+        unread,
+        threads: threads.map(thread => formatThread(thread, 'admin'))
+      });
+    } catch (error) {
+      logger.error(`Get admin message threads error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch conversations',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getUnread(req, res) {
+    try {
+      const role = roleOf(req.user);
+      const unread = await MessageThread.getUnreadSummary(role, role === 'customer' ? req.user._id : null);
+
+      res.status(200).json({ unread });
+    } catch (error) {
+      logger.error(`Get unread messages error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch unread messages',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getThread(req, res) {
+    try {
+      const { error, value } = messageGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { subjectType, id } = req.params;
+      const role = roleOf(req.user);
+      await loadSubject(subjectType, id, req.user);
+
+      const thread = await MessageThread.findOne({ subjectType, subject: id }).lean();
+      if (!thread) {
+        return res.status(200).json({ thread: null, count: 0, total: 0, page: 1, pages: 1, messages: [] });
+      }
+
+      const { messages, total, page, pages } = await Message.findThreadMessages(thread._id, {
+        ...value,
+        includeInternal: role === 'admin'
+      });
+
+      // Opening the thread reads it for this side
+      if (thread.unread[role] > 0) {
+        await MessageThread.markRead(thread._id, role);
+      }
+
+      res.status(200).json({
+        thread: formatThread(thread, role),
+        count: messages.length,
+        total,
+        page,
+        pages,
+        messages: messages.map(formatMessage)
+      });
+    } catch (error) {
+      logger.error(`Get message thread error: ${error.message}`, { stack: error.stack, subject: req.params.id });
+      handleError(res, error, 'Failed to fetch conversation');
+    }
+  }
+
+  async postMessage(req, res) {
+    const { error, value } = messageSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ errors: validationErrors(error) });
+    }
+
+    const role = roleOf(req.user);
+    if (value.internal && role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can write internal notes' });
+    }
+
+    let attachments = [];
+    try {
+      const { subjectType, id } = req.params;
+      const subject = await loadSubject(subjectType, id, req.user);
+
+      attachments = await AttachmentStorage.saveAll(value.attachments);
+      const thread = await MessageThread.findOrCreate(subjectType, id, subject);
+
+      let message;
+      try {
+        message = await Message.create({
+          thread: thread._id,
+          sender: req.user._id,
+          senderRole: role,
+          body: value.body,
+          internal: value.internal,
+          attachments
+        });
+      } catch (createError) {
+        await AttachmentStorage.removeAll(attachments);
+        throw createError;
+      }
+
+      const updated = await MessageThread.recordMessage(thread._id, message);
+      if (!message.internal) {
+        await notifyRecipient(updated, message, subject.label);
+      }
+
+      await AuditLog.logAsync({
+        event: 'MESSAGE_POSTED',
+        action: 'create',
+        entityType: 'message',
+        entityId: message._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          thread: thread._id,
+          subjectType,
+          subject: id,
+          senderRole: role,
+          internal: message.internal,
+          attachments: attachments.length
+        }
+      });
+
+      res.status(201).json({
+        message: message.internal ? 'Note added' : 'Message sent',
+        thread: formatThread(updated, role),
+        threadMessage: formatMessage(message)
+      });
+    } catch (error) {
+      logger.error(`Post message error: ${error.message}`, { stack: error.stack, subject: req.params.id });
+      handleError(res, error, 'Failed to send message');
+    }
+  }
+
+  async getAttachment(req, res) {
+    try {
+      const { messageId, attachmentId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(messageId) || !mongoose.Types.ObjectId.isValid(attachmentId)) {
+        return res.status(400).json({ error: 'Invalid attachment ID' });
+      }
+
+      const { message, attachment } = await Message.findAttachment(messageId, attachmentId);
+
+      // Customers only download from their own threads, never from internal notes
+      if (req.user.role !== 'admin') {
+        const thread = await MessageThread.findById(message.thread).select('customer').lean();
+        if (message.internal || thread?.customer.toString() !== req.user._id.toString()) {
+          return res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+        }
+      }
+
+      const stream = AttachmentStorage.createReadStream(attachment.storageKey);
+      stream.on('error', streamError => {
+        logger.error(`Attachment ${attachment.storageKey} could not be read: ${streamError.message}`);
+        if (!res.headersSent) {
+          res.status(404).json({ error: 'Attachment not found', code: 'ATTACHMENT_NOT_FOUND' });
+        } else {
+          res.destroy(streamError);
+        }
+      });
+      stream.once('open', () => {
+        res.set({
+          'Content-Type': attachment.contentType,
+          'Content-Length': attachment.size,
+          'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+        });
+        stream.pipe(res);
+      });
+    } catch (error) {
+      logger.error(`Get attachment error: ${error.message}`, { stack: error.stack, messageId: req.params.messageId });
+      handleError(res, error, 'Failed to fetch attachment');
+    }
+  }
+}
+
+module.exports = new MessageController();
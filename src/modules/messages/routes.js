@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const messageController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
+
+// Conversations
+router.get('/get', 
+  authenticate, 
+  messageController.getThreads
+);
+
+router.get('/admin-get', 
+  authenticate, 
+  messageController.getAdminThreads
+);
+
+router.get('/unread', 
+  authenticate, 
+  messageController.getUnread
+);
+
+// Messages of an order or return request (subjectType: order or returnRequest)
+router.get('/get/:subjectType/:id', 
+  authenticate, 
+  messageController.getThread
+);
+
+router.post('/add/:subjectType/:id', 
+  authenticate, 
+  idempotency(), 
+  messageController.postMessage
+);
+
+router.get('/attachment/:messageId/:attachmentId', 
+  authenticate, 
+  messageController.getAttachment
+);
+
+module.exports = router;
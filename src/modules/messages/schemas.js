@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const AttachmentStorage = require('../../services/attachmentStorage');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const threadGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  subjectType: Joi.string().valid('order', 'returnRequest'),
+  unread: Joi.boolean()
+});
+
+const adminThreadGetSchema = threadGetSchema.keys({
+  customerId: objectId.messages({
+    'string.pattern.base': 'Customer must be a valid ID'
+  })
+});
+
+const messageGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const attachmentSchema = Joi.object({
+  filename: Joi.string().trim().min(1).max(255).required().messages({
+    'any.required': 'Attachment file name is required'
+  }),
+  contentType: Joi.string().valid(...AttachmentStorage.allowedTypes).required().messages({
+    'any.only': `Attachments must be one of: ${AttachmentStorage.allowedTypes.join(', ')}`,
+    'any.required': 'Attachment content type is required'
+  }),
+  data: Joi.string().base64().required().messages({
+    'string.base64': 'Attachment data must be base64 encoded',
+    'any.required': 'Attachment data is required'
+  })
+});
+
+const messageSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required().messages({
+    'string.empty': 'Message is required',
+    'string.max': 'Message cannot exceed 5000 characters',
+    'any.required': 'Message is required'
+  }),
+  // Admins only: a note for the support team the customer never sees
+  internal: Joi.boolean().default(false),
+  attachments: Joi.array().items(attachmentSchema).max(3).default([]).messages({
+    'array.max': 'Cannot attach more than 3 files'
+  })
+}).options({ abortEarly: false });
+
+module.exports = {
+  threadGetSchema,
+  adminThreadGetSchema,
+  messageGetSchema,
+  messageSchema
+};
@@ -1,12 +1,114 @@
 const Order = require('../../../models/Order');
 const Product = require('../../../models/Products');
 const User = require('../../../models/User');
-const PaymentProcessor = require('../../payment/PaymentProcessor');
+const InventoryReservation = require('../../../services/inventoryReservation');
+const Invoice = require('../../../models/Invoice');
+const Wallet = require('../../../models/Wallet');
+const { renderInvoicePdf } = require('../../../services/invoicePdf');
 const AuditLog = require('../../../models/AuditLog');
 const logger = require('../../../services/logger');
 const mongoose = require('mongoose');
-const { createOrderSchema, getOrdersSchema, getAdminOrdersSchema, updateOrderSchema, cancelOrderSchema, updateAdminOrderSchema } = require('../schemas');
-const { calculateDeliveryDate, calculateShipping, calculateTax, validateAndApplyPromotion, updatePromotionUsage } = require('../service');
+const { createOrderSchema, quoteOrderSchema, getOrdersSchema, getAdminOrdersSchema, updateOrderSchema, cancelOrderSchema, updateAdminOrderSchema, getReservationsSchema, createShipmentSchema, updateShipmentSchema, getInvoiceSchema, getSellerOrdersSchema } = require('../schemas');
+const { calculateTax, validateAndApplyPromotion, updatePromotionUsage, quoteFingerprint, createQuoteToken, verifyQuoteToken } = require('../service');
+const { toMinorUnits } = require('../../currency/service');
+
+// Shape a shipment subdocument for API responses
+function formatShipment(shipment) {
+  return {
+    _id: shipment._id,
+    status: shipment.status,
+    carrier: shipment.carrier || null,
+    trackingNumber: shipment.trackingNumber || null,
+    items: shipment.items.map(line => ({
+      productId: line.idProduct,
+      quantity: line.quantity
+    })),
+    shippedAt: shipment.shippedAt || null,
+    deliveredAt: shipment.deliveredAt || null,
+    createdAt: shipment.createdAt
+  };
+}
+
+// Roles that sell on the marketplace and fulfil their own sub-orders
+const SELLER_ROLES = ['seller', 'vendor'];
+
+// Shape a seller's sub-order together with the parent order fields they need to ship it
+function formatSellerOrder(order, subOrder) {
+  const owned = new Set(subOrder.items.map(item => item.idProduct.toString()));
+  return {
+    _id: order._id,
+    subOrderId: subOrder._id,
+    number: `${order.orderNumber || order._id}-${subOrder.sequence}`,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    fulfillmentStatus: subOrder.fulfillmentStatus,
+    items: subOrder.items.map(item => ({
+      productId: item.idProduct,
+      quantity: item.quantity,
+      priceAtPurchase: item.priceAtPurchase
+    })),
+    subtotal: subOrder.subtotal,
+    shippingAddress: order.shippingAddress,
+    shippingMethod: order.shippingMethod,
+    estimatedDelivery: order.estimatedDelivery,
+    createdAt: order.createdAt,
+    ...(order.shipments && {
+      shipments: order.shipments
+        .filter(shipment => shipment.items.every(line => owned.has(line.idProduct.toString())))
+        .map(formatShipment)
+    })
+  };
+}
+
+// What a quote token holds the order to
+function quotedTotals(priced) {
+  return {
+    total: priced.total,
+    currency: priced.presentment.currency,
+    presentmentTotal: priced.presentment.totals.total
+  };
+}
+
+// Whether a fresh pricing still comes to what the customer was quoted
+function matchesQuote(quoted, current, baseCurrency) {
+  return current.currency === quoted.currency &&
+    toMinorUnits(current.total, baseCurrency) === toMinorUnits(quoted.total, baseCurrency) &&
+    toMinorUnits(current.presentmentTotal, current.currency) === toMinorUnits(quoted.presentmentTotal, current.currency);
+}
+
+function formatQuote(priced, expiresAt) {
+  const { presentment } = priced;
+  return {
+    items: presentment.items.map(item => ({
+      idProduct: item.idProduct,
+      name: item.productName,
+      quantity: item.quantity,
+      effectiveQuantity: item.effectiveQuantity,
+      size: item.size,
+      color: item.color,
+      availability: item.availability,
+      originalPrice: item.originalPrice,
+      priceAtPurchase: item.priceAtPurchase,
+      presentmentPrice: item.presentmentPrice,
+      subtotal: item.subtotal,
+      appliedCampaigns: item.appliedCampaigns
+    })),
+    subtotal: priced.subtotal,
+    discount: priced.discount,
+    promotion: priced.promotionDetails,
+    shippingMethod: priced.shippingMethod,
+    shippingCost: priced.shippingCost,
+    estimatedDelivery: priced.estimatedDelivery,
+    tax: priced.tax,
+    taxBreakdown: priced.taxBreakdown,
+    total: priced.total,
+    baseCurrency: presentment.baseCurrency,
+    currency: presentment.currency,
+    exchangeRate: presentment.exchangeRate,
+    presentmentTotals: presentment.totals,
+    expiresAt
+  };
+}
 
 class OrderController {//total number problem in createOrder
 
@@ -14,7 +116,7 @@ class OrderController {//total number problem in createOrder
   async createOrder(req, res) {
     try {
         const userId = req.user._id;
-        const { shippingAddress, paymentMethod, shippingMethod, promotionCode } = req.body;
+        const { shippingAddress, paymentMethod, paymentToken, shippingMethod, walletAmount, quoteToken } = req.body;
 
         // Validate request body against schema
         const { error } = createOrderSchema.validate(req.body);
@@ -34,10 +136,16 @@ class OrderController {//total number problem in createOrder
             return res.status(400).json({ error: 'Cannot create order with empty cart' });
         }
 
+        // A quote only holds for the cart and details it was made for
+        const quoted = quoteToken
+            ? verifyQuoteToken(quoteToken, userId, quoteFingerprint(cart.items, req.body))
+            : null;
+
         // Process cart items and calculate order details
-        const { orderItems, subtotal, outOfStockItems } = await Order.processCartItems(cart.items);
-        
-        if (outOfStockItems.length > 0) {
+        const priced = await Order.priceCart(cart.items, { ...req.body, userId });
+        const { outOfStockItems } = priced;
+
+        if (outOfStockItems) {
             await AuditLog.logAsync({
                 event: 'ORDER_CREATE',
                 user: userId,
@@ -63,62 +171,77 @@ class OrderController {//total number problem in createOrder
             });
         }
 
-        // Calculate shipping cost
-        const shippingCost = await calculateShipping(shippingMethod);
-        const deliveryDate = calculateDeliveryDate(new Date(), shippingMethod);
+        if (priced.promotionError) {
+            return res.status(400).json({ error: priced.promotionError });
+        }
 
-        // Handle promotion code
-        const promotionResult = await Order.applyPromotionCode(
-            promotionCode,
-            userId,
-            orderItems,
+        const {
             subtotal,
-            shippingCost
-        );
+            shippingCost: finalShippingCost,
+            estimatedDelivery,
+            discount,
+            promotionDetails,
+            tax,
+            taxBreakdown,
+            total,
+            presentment
+        } = priced;
 
-        if (promotionResult.error) {
-            return res.status(400).json({ error: promotionResult.error });
+        // A quoted order is placed at the quoted price or not at all
+        if (quoted) {
+            const current = quotedTotals(priced);
+            if (!matchesQuote(quoted, current, presentment.baseCurrency)) {
+                const { token, expiresAt } = createQuoteToken(userId, quoteFingerprint(cart.items, req.body), current);
+                return res.status(409).json({
+                    error: 'Prices changed since the quote',
+                    code: 'QUOTE_CHANGED',
+                    quote: formatQuote(priced, expiresAt),
+                    quoteToken: token
+                });
+            }
         }
 
-        const { discount, promotionDetails, finalShippingCost } = promotionResult;
-
-        // Calculate final totals including tax
-        const { tax, total } = await Order.calculateFinalTotals(
-            subtotal,
-            discount,
-            shippingAddress,
-            finalShippingCost
-        );
-        
-        console.log(1);
+        // Store credit covers the whole order with the wallet method, or up to
+        // the requested amount; the debit itself happens in the transaction
+        const walletShare = paymentMethod === 'wallet' ? total : Math.min(walletAmount || 0, total);
+        if (walletShare > 0) {
+            const balance = await Wallet.getBalance(userId);
+            if (balance < walletShare) {
+                return res.status(400).json({
+                    error: 'Insufficient wallet balance',
+                    code: 'INSUFFICIENT_WALLET_BALANCE',
+                    balance,
+                    required: walletShare
+                });
+            }
+        }
 
-        // Create and process the order
+        // Create the order, reserve stock, clear the cart and charge in one transaction
         const { order, paymentResult } = await Order.createAndProcessOrder({
             idCustomer: userId,
-            items: orderItems,
+            items: presentment.items,
             paymentMethod,
             shippingAddress,
             shippingMethod,
             discount,
             promotion: promotionDetails,
-            estimatedDelivery: deliveryDate,
+            estimatedDelivery,
             subtotal,
             tax,
+            taxBreakdown,
             shippingCost: finalShippingCost,
-            total
-        }, paymentMethod);
-
-        console.log(1);
-
-        // Finalize the order (update user, inventory, etc.)
-        await Order.finalizeOrder(
-            order._id,
-            userId,
-            orderItems,
-            paymentResult,
-            paymentMethod,
-            promotionCode
-        );
+            total,
+            baseCurrency: presentment.baseCurrency,
+            currency: presentment.currency,
+            exchangeRate: presentment.exchangeRate,
+            presentmentTotals: presentment.totals,
+            walletAmount: walletShare
+        }, paymentMethod, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            paymentToken,
+            allowApproval: true
+        });
 
         // Create audit log
         await AuditLog.logAsync({
@@ -132,8 +255,12 @@ class OrderController {//total number problem in createOrder
             metadata: {
                 orderId: order._id,
                 totalAmount: order.total,
+                currency: order.currency,
+                presentmentTotal: order.presentmentTotals?.total,
                 itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
                 paymentMethod: order.paymentMethod,
+                walletAmount: order.walletPayment?.amount,
+                quoted: !!quoted,
                 transactionId: order.transactionId,
                 products: order.items.map(item => ({
                     productId: item.idProduct,
@@ -151,14 +278,25 @@ class OrderController {//total number problem in createOrder
                 orderNumber: order.orderNumber,
                 status: order.status,
                 total: order.total,
+                baseCurrency: order.baseCurrency,
+                currency: order.currency,
+                presentmentTotals: order.presentmentTotals,
                 estimatedDelivery: order.estimatedDelivery,
                 paymentMethod: order.paymentMethod,
                 paymentStatus: order.paymentStatus,
+                walletPayment: order.walletPayment?.amount ? order.walletPayment : undefined,
+                items: order.items.map(item => ({
+                    idProduct: item.idProduct,
+                    quantity: item.quantity,
+                    availability: item.availability
+                })),
                 appliedDiscounts: {
                     campaigns: order.appliedCampaigns,
                     promotion: order.promotion
                 }
-            }
+            },
+            // Set when the customer still has to approve the payment at the provider
+            nextAction: paymentResult.pending ? paymentResult.nextAction : undefined
         });
     } catch (error) {
         await AuditLog.logAsync({
@@ -171,16 +309,121 @@ class OrderController {//total number problem in createOrder
             userAgent: req.get('User-Agent')?.slice(0, 200) || '',
             metadata: {
                 error: error.message,
+                code: error.code,
                 shippingAddress: req.body.shippingAddress,
                 paymentMethod: req.body.paymentMethod
             }
         });
 
         logger.error(`Error creating order: ${error.message}`, { error });
+
+        if (error.code === 'INSUFFICIENT_STOCK') {
+            return res.status(409).json({
+                error: error.message,
+                code: error.code,
+                ...(error.shortages && { outOfStockItems: error.shortages })
+            });
+        }
+        if (error.code === 'INSUFFICIENT_WALLET_BALANCE') {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                balance: error.balance
+            });
+        }
+        if (error.code === 'SHIPPING_METHOD_UNAVAILABLE') {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                availableMethods: error.availableMethods
+            });
+        }
+        if (error.code === 'CURRENCY_NOT_SUPPORTED') {
+            return res.status(400).json({
+                error: error.message,
+                code: error.code,
+                supportedCurrencies: error.supportedCurrencies
+            });
+        }
+        if (['INVALID_QUOTE', 'QUOTE_EXPIRED', 'QUOTE_MISMATCH'].includes(error.code)) {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
+        if (error.name === 'PaymentError') {
+            return res.status(402).json({
+                error: 'Payment processing failed',
+                code: 'PAYMENT_FAILED',
+                reason: error.code,
+                declineCode: error.declineCode,
+                nextAction: error.nextAction
+            });
+        }
         res.status(500).json({ error: 'Failed to create order' });
     }
   }
 
+  async quoteOrder(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const { error } = quoteOrderSchema.validate(req.body);
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }));
+        return res.status(400).json({ errors });
+      }
+
+      const cart = await User.getCartItems(userId);
+      if (!cart?.items || cart.items.length === 0) {
+        return res.status(400).json({ error: 'Cannot quote an empty cart' });
+      }
+
+      const priced = await Order.priceCart(cart.items, { ...req.body, userId });
+      if (priced.outOfStockItems) {
+        return res.status(400).json({
+          error: 'Some items are out of stock',
+          outOfStockItems: priced.outOfStockItems
+        });
+      }
+      if (priced.promotionError) {
+        return res.status(400).json({ error: priced.promotionError });
+      }
+
+      const { token, expiresAt } = createQuoteToken(
+        userId,
+        quoteFingerprint(cart.items, req.body),
+        quotedTotals(priced)
+      );
+
+      res.status(200).json({
+        quote: formatQuote(priced, expiresAt),
+        quoteToken: token
+      });
+    } catch (error) {
+      logger.error(`Quote order error: ${error.message}`, { stack: error.stack, userId: req.user?._id });
+
+      if (error.code === 'SHIPPING_METHOD_UNAVAILABLE') {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+          availableMethods: error.availableMethods
+        });
+      }
+      if (error.code === 'CURRENCY_NOT_SUPPORTED') {
+        return res.status(400).json({
+          error: error.message,
+          code: error.code,
+          supportedCurrencies: error.supportedCurrencies
+        });
+      }
+      res.status(500).json({
+        error: 'Failed to quote order',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   async getOrders(req, res) {
     try {
       const userId = req.user._id;
@@ -205,6 +448,8 @@ class OrderController {//total number problem in createOrder
         orderNumber: order.orderNumber || `ORD-${order._id.toString().slice(-6).toUpperCase()}`,
         status: order.status,
         total: order.total,
+        currency: order.currency,
+        presentmentTotal: order.presentmentTotals?.total ?? order.total,
         estimatedDelivery: order.estimatedDelivery,
         paymentMethod: order.paymentMethod,
         createdAt: order.createdAt,
@@ -288,9 +533,17 @@ class OrderController {//total number problem in createOrder
         updatedAt: order.updatedAt,
         estimatedDelivery: order.estimatedDelivery,
         subtotal: order.subtotal,
+        discount: order.discount || 0,
         tax: order.tax,
+        taxBreakdown: order.taxBreakdown,
         shippingCost: order.shippingCost,
         total: order.total,
+        refundedAmount: order.refundedAmount || 0,
+        refunds: order.refunds,
+        baseCurrency: order.baseCurrency,
+        currency: order.currency,
+        exchangeRate: order.exchangeRate,
+        presentmentTotals: order.presentmentTotals,
         shippingAddress: order.shippingAddress,
         shippingMethod: order.shippingMethod,
         items: order.items.map(item => ({
@@ -303,10 +556,28 @@ class OrderController {//total number problem in createOrder
             stock: item.idProduct.stock
           } : null,
           quantity: item.quantity,
+          refundedQuantity: item.refundedQuantity || 0,
           priceAtPurchase: item.priceAtPurchase,
+          presentmentPrice: item.presentmentPrice,
           subtotal: item.subtotal
         })),
-        history: order.history || []
+        fulfillmentStatus: order.fulfillmentStatus,
+        // Per-seller progress of the combined order
+        subOrders: (order.subOrders || []).map(subOrder => ({
+          number: `${order.orderNumber || order._id}-${subOrder.sequence}`,
+          seller: subOrder.seller,
+          fulfillmentStatus: subOrder.fulfillmentStatus,
+          items: subOrder.items.map(item => ({ productId: item.idProduct, quantity: item.quantity }))
+        })),
+        shipments: (order.shipments || []).map(formatShipment),
+        statusHistory: (order.statusHistory || []).map(entry => ({
+          from: entry.from,
+          to: entry.to,
+          actor: entry.actor,
+          actorType: entry.actorType,
+          reason: entry.reason,
+          timestamp: entry.timestamp
+        }))
       };
   
       // Audit log
@@ -357,6 +628,128 @@ class OrderController {//total number problem in createOrder
     }
   }
 
+  async getInvoices(req, res) {
+    try {
+      const orderId = req.params.id;
+      const userId = req.user._id;
+
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ error: 'Invalid order ID' });
+      }
+
+      const order = await Order.findById(orderId).select('idCustomer orderNumber').lean();
+      if (!order || (req.user.role !== 'admin' && order.idCustomer?.toString() !== userId.toString())) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      const documents = await Invoice.findForOrder(orderId);
+
+      res.status(200).json({
+        orderId: order._id,
+        orderNumber: order.orderNumber || null,
+        documents: documents.map(document => ({
+          _id: document._id,
+          type: document.type,
+          number: document.number,
+          issuedAt: document.issuedAt,
+          total: document.total,
+          currency: document.currency,
+          relatedInvoiceNumber: document.relatedInvoiceNumber,
+          reason: document.reason
+        }))
+      });
+    } catch (error) {
+      console.error(`Error fetching invoices: ${error.message}`);
+      res.status(500).json({ 
+        error: 'Failed to fetch invoices',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getInvoicePdf(req, res) {
+    try {
+      const orderId = req.params.id;
+      const userId = req.user._id;
+
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ error: 'Invalid order ID' });
+      }
+
+      const { error, value } = getInvoiceSchema.validate(req.query);
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }));
+        return res.status(400).json({ errors });
+      }
+
+      const order = await Order.findById(orderId).select('idCustomer paymentStatus').lean();
+      if (!order || (req.user.role !== 'admin' && order.idCustomer?.toString() !== userId.toString())) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+
+      let document;
+      if (value.number) {
+        document = await Invoice.findOne({ order: orderId, number: value.number }).lean();
+        if (!document) {
+          return res.status(404).json({ error: 'Document not found' });
+        }
+      } else {
+        if (!['authorized', 'partially_captured', 'completed', 'partially_refunded', 'refunded', 'disputed'].includes(order.paymentStatus)) {
+          return res.status(409).json({ 
+            error: 'Invoice is only available for paid orders',
+            code: 'INVOICE_NOT_AVAILABLE'
+          });
+        }
+        // Issued at checkout; this covers orders where that step failed
+        document = await Invoice.issueForOrder(orderId);
+      }
+
+      await AuditLog.logAsync({
+        event: 'ORDER_INVOICE_ACCESS',
+        user: userId,
+        action: 'read',
+        source: 'api',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        entityType: 'order',
+        entityId: order._id,
+        metadata: {
+          orderId: order._id,
+          documentType: document.type,
+          documentNumber: document.number
+        }
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${document.number}.pdf"`);
+      renderInvoicePdf(document).pipe(res);
+    } catch (error) {
+      await AuditLog.logAsync({
+        event: 'ORDER_INVOICE_ACCESS',
+        user: req.user?._id,
+        action: 'read',
+        source: 'api',
+        status: 'failure',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          error: error.message,
+          orderId: req.params.id
+        }
+      });
+
+      console.error(`Error rendering invoice: ${error.message}`);
+      res.status(500).json({ 
+        error: 'Failed to generate invoice',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   async getAdminOrders(req, res) {
     try {
         // Check ownership or admin role
@@ -433,6 +826,7 @@ class OrderController {//total number problem in createOrder
             orderNumber: order.orderNumber,
             status: order.status,
             total: order.total,
+            refundedAmount: order.refundedAmount || 0,
             estimatedDelivery: order.estimatedDelivery,
             paymentMethod: order.paymentMethod,
             paymentStatus: order.paymentStatus,
@@ -526,17 +920,13 @@ class OrderController {//total number problem in createOrder
     }
   }
 
-  async cancelOrder(req, res) {
+  async getReservations(req, res) {
     try {
-        const userId = req.user._id;
-        const orderId = req.params.id;
-
-        // Validate order ID
-        if (!mongoose.Types.ObjectId.isValid(orderId)) {
-            return res.status(400).json({ error: 'Invalid order ID' });
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to view stock reservations' });
         }
 
-        const { error } = cancelOrderSchema.validate(req.body);
+        const { error, value } = getReservationsSchema.validate(req.query);
         if (error) {
             const errors = error.details.map(detail => ({
                 field: detail.path.join('.'),
@@ -545,151 +935,73 @@ class OrderController {//total number problem in createOrder
             return res.status(400).json({ errors });
         }
 
-        // Find order and verify ownership (done in cancelOrderinstatic)
-        let order;
-        try {
-            order = await Order.cancelOrder(
-                orderId,
-                userId,
-                req.body.cancellationReason
-            );
-        } catch (dbError) {
-            await AuditLog.logAsync({
-                event: 'USER_ORDER_UPDATE',
-                user: userId,
-                action: 'cancel',
-                source: 'web',
-                status: 'failure',
-                ip: req.ip,
-                userAgent: req.get('User-Agent')?.slice(0, 200) || '',
-                metadata: {
-                    error: dbError.message,
-                    orderId: orderId
-                }
-            });
-            
-            return res.status(404).json({ 
-                error: dbError.message 
-            });
-        }
-
-        // Process refund if order was paid
-        let refundResult = null;
-        if (order.paymentStatus === 'completed') {
-            try {
-                refundResult = await PaymentProcessor.refund(order);
-
-                // Log successful refund
-                await AuditLog.logAsync({
-                    event: 'PAYMENT_REFUND',
-                    user: userId,
-                    action: 'refund',
-                    source: 'web',
-                    status: 'success',
-                    ip: req.ip,
-                    userAgent: req.get('User-Agent')?.slice(0, 200) || '',
-                    metadata: {
-                        orderId: order._id,
-                        paymentId: order.paymentId,
-                        amount: order.total,
-                        refundId: refundResult.paymentRecord.refunds[0].processor_refund_id
-                    }
-                });
-            } catch (refundError) {
-                // Log failed refund attempt
-                await AuditLog.logAsync({
-                    event: 'PAYMENT_REFUND',
-                    user: userId,
-                    action: 'refund',
-                    source: 'web',
-                    status: 'failure',
-                    ip: req.ip,
-                    userAgent: req.get('User-Agent')?.slice(0, 200) || '',
-                    metadata: {
-                        orderId: order._id,
-                        paymentId: order.paymentId,
-                        error: refundError.message
-                    }
-                });
+        const reservations = await InventoryReservation.listReservations({ productId: value.productId });
 
-                console.error('Refund failed:', refundError);
+        // Per-product totals make it easy to compare against stockQuantity
+        const heldByProduct = {};
+        for (const reservation of reservations) {
+            for (const line of reservation.items) {
+                heldByProduct[line.productId] = (heldByProduct[line.productId] || 0) + line.quantity;
             }
         }
 
-        // Enhanced audit log
         await AuditLog.logAsync({
-            event: 'USER_ORDER_UPDATE',
-            user: userId,
-            action: 'cancel',
-            source: 'web',
+            event: 'ADMIN_RESERVATIONS_ACCESS',
+            user: req.user._id,
+            action: 'read',
+            source: 'api',
             status: 'success',
             ip: req.ip,
             userAgent: req.get('User-Agent')?.slice(0, 200) || '',
             metadata: {
-                orderId: order._id,
-                newValues: {
-                    status: order.status,
-                    cancellationReason: order.cancellationReason,
-                    cancelledAt: order.cancelledAt
-                },
-                refundProcessed: !!refundResult,
-                refundId: refundResult?.paymentRecord?.refunds[0]?.processor_refund_id
+                reservationCount: reservations.length,
+                productId: value.productId || null
             }
         });
 
-        // Formatted response
         res.status(200).json({
-            message: 'Order cancelled successfully',
-            refundProcessed: !!refundResult,
-            refundId: refundResult?.paymentRecord?.refunds[0]?.processor_refund_id,
-            order: {
-                _id: order._id,
-                status: order.status,
-                cancellationReason: order.cancellationReason,
-                cancelledAt: order.cancelledAt,
-                updatedAt: order.updatedAt
-            }
+            reservations,
+            count: reservations.length,
+            heldByProduct,
+            ttlSeconds: InventoryReservation.ttlSeconds
         });
-
     } catch (error) {
         await AuditLog.logAsync({
-            event: 'USER_ORDER_UPDATE',
+            event: 'ADMIN_RESERVATIONS_ACCESS',
             user: req.user?._id,
-            action: 'cancel',
-            source: 'web',
+            action: 'read',
+            source: 'api',
             status: 'failure',
             ip: req.ip,
             userAgent: req.get('User-Agent')?.slice(0, 200) || '',
             metadata: {
                 error: error.message,
-                orderId: req.params.id,
-                updateData: req.body
+                queryParams: req.query
             }
         });
 
-        console.error(`[User] Error cancelling order: ${error.message}`);
+        console.error(`[Admin] Error fetching reservations: ${error.message}`);
         res.status(500).json({ 
-            error: 'Failed to cancel order',
+            error: 'Failed to fetch reservations',
             details: process.env.NODE_ENV === 'development' ? error.message : undefined
         });
     }
   }
 
-  async updateAdminOrders(req, res) {
+  async createShipment(req, res) {
     try {
         const orderId = req.params.id;
         const adminId = req.user._id;
-        
-        // Check ownership or admin role
+
         if (req.user.role !== 'admin') {
-            throw new Error('Not authorized to get all orders', 403);
+            return res.status(403).json({ error: 'Not authorized to manage shipments' });
         }
 
         if (!mongoose.Types.ObjectId.isValid(orderId)) {
             return res.status(400).json({ error: 'Invalid order ID' });
         }
 
-        const { error } = updateAdminOrderSchema.validate(req.body);
+        const { error, value } = createShipmentSchema.validate(req.body);
         if (error) {
             const errors = error.details.map(detail => ({
                 field: detail.path.join('.'),
@@ -698,7 +1010,681 @@ class OrderController {//total number problem in createOrder
             return res.status(400).json({ errors });
         }
 
-        const order = await Order.findById(orderId);
+        const { order, shipment, capture } = await Order.createShipment(orderId, {
+            ...value,
+            items: value.items.map(line => ({ idProduct: line.productId, quantity: line.quantity }))
+        }, adminId);
+
+        await AuditLog.logAsync({
+            event: 'ADMIN_SHIPMENT_CREATE',
+            user: adminId,
+            action: 'create',
+            source: 'web',
+            status: 'success',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            entityType: 'order',
+            entityId: order._id,
+            metadata: {
+                orderId: order._id,
+                shipmentId: shipment._id,
+                capturedAmount: capture?.amount,
+                items: value.items,
+                carrier: shipment.carrier,
+                trackingNumber: shipment.trackingNumber,
+                orderStatus: order.status,
+                fulfillmentStatus: order.fulfillmentStatus
+            }
+        });
+
+        res.status(201).json({
+            message: 'Shipment created successfully',
+            shipment: formatShipment(shipment),
+            order: {
+                _id: order._id,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                fulfillmentStatus: order.fulfillmentStatus
+            }
+        });
+    } catch (error) {
+        await AuditLog.logAsync({
+            event: 'ADMIN_SHIPMENT_CREATE',
+            user: req.user?._id,
+            action: 'create',
+            source: 'web',
+            status: 'failure',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            metadata: {
+                error: error.message,
+                code: error.code,
+                orderId: req.params.id,
+                shipmentData: req.body
+            }
+        });
+
+        // The shipment is not recorded when its payment cannot be captured
+        if (error.name === 'PaymentError') {
+            return res.status(402).json({
+                error: 'Payment capture failed',
+                code: 'PAYMENT_CAPTURE_FAILED',
+                reason: error.code,
+                declineCode: error.declineCode
+            });
+        }
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                ...(error.code && { code: error.code }),
+                ...(error.details && { details: error.details })
+            });
+        }
+
+        console.error(`[Admin] Error creating shipment: ${error.message}`);
+        res.status(500).json({ 
+            error: 'Failed to create shipment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async updateShipment(req, res) {
+    try {
+        const { id: orderId, shipmentId } = req.params;
+        const adminId = req.user._id;
+
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to manage shipments' });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(shipmentId)) {
+            return res.status(400).json({ error: 'Invalid order or shipment ID' });
+        }
+
+        const { error, value } = updateShipmentSchema.validate(req.body);
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            return res.status(400).json({ errors });
+        }
+
+        const { order, shipment, capture } = await Order.updateShipment(orderId, shipmentId, value, adminId);
+
+        await AuditLog.logAsync({
+            event: 'ADMIN_SHIPMENT_UPDATE',
+            user: adminId,
+            action: 'update',
+            source: 'web',
+            status: 'success',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            entityType: 'order',
+            entityId: order._id,
+            metadata: {
+                orderId: order._id,
+                shipmentId: shipment._id,
+                capturedAmount: capture?.amount,
+                changes: value,
+                orderStatus: order.status,
+                fulfillmentStatus: order.fulfillmentStatus
+            }
+        });
+
+        res.status(200).json({
+            message: 'Shipment updated successfully',
+            shipment: formatShipment(shipment),
+            order: {
+                _id: order._id,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                fulfillmentStatus: order.fulfillmentStatus
+            }
+        });
+    } catch (error) {
+        await AuditLog.logAsync({
+            event: 'ADMIN_SHIPMENT_UPDATE',
+            user: req.user?._id,
+            action: 'update',
+            source: 'web',
+            status: 'failure',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            metadata: {
+                error: error.message,
+                code: error.code,
+                orderId: req.params.id,
+                shipmentId: req.params.shipmentId,
+                updateData: req.body
+            }
+        });
+
+        // The shipment is not recorded when its payment cannot be captured
+        if (error.name === 'PaymentError') {
+            return res.status(402).json({
+                error: 'Payment capture failed',
+                code: 'PAYMENT_CAPTURE_FAILED',
+                reason: error.code,
+                declineCode: error.declineCode
+            });
+        }
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                ...(error.code && { code: error.code })
+            });
+        }
+
+        console.error(`[Admin] Error updating shipment: ${error.message}`);
+        res.status(500).json({ 
+            error: 'Failed to update shipment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async getSellerOrders(req, res) {
+    try {
+        if (!SELLER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Not authorized' });
+        }
+
+        const { error, value } = getSellerOrdersSchema.validate(req.query);
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            return res.status(400).json({ errors });
+        }
+
+        const { orders, total, page, pages } = await Order.findSellerOrders(req.user._id, value);
+
+        res.status(200).json({
+            count: orders.length,
+            total,
+            page,
+            pages,
+            orders: orders.map(order => formatSellerOrder(order, order.subOrders[0]))
+        });
+    } catch (error) {
+        logger.error(`Get seller orders error: ${error.message}`, { stack: error.stack, sellerId: req.user?._id });
+        res.status(500).json({
+            error: 'Failed to fetch orders',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async getSellerOrder(req, res) {
+    try {
+        if (!SELLER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Not authorized' });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const order = await Order.findOne({ _id: req.params.id, status: { $ne: 'pending' } }).lean();
+        const subOrder = order?.subOrders.find(sub => sub.seller.toString() === req.user._id.toString());
+        if (!subOrder) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        res.status(200).json({ order: formatSellerOrder(order, subOrder) });
+    } catch (error) {
+        logger.error(`Get seller order error: ${error.message}`, { stack: error.stack, orderId: req.params.id });
+        res.status(500).json({
+            error: 'Failed to fetch order',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async createSellerShipment(req, res) {
+    try {
+        const orderId = req.params.id;
+        const sellerId = req.user._id;
+
+        if (!SELLER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Not authorized to manage shipments' });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const { error, value } = createShipmentSchema.validate(req.body);
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            return res.status(400).json({ errors });
+        }
+
+        const { order, subOrder, shipment, capture } = await Order.createSellerShipment(orderId, sellerId, {
+            ...value,
+            items: value.items.map(line => ({ idProduct: line.productId, quantity: line.quantity }))
+        });
+
+        await AuditLog.logAsync({
+            event: 'SELLER_SHIPMENT_CREATE',
+            user: sellerId,
+            action: 'create',
+            source: 'web',
+            status: 'success',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            entityType: 'order',
+            entityId: order._id,
+            metadata: {
+                orderId: order._id,
+                subOrderId: subOrder._id,
+                shipmentId: shipment._id,
+                capturedAmount: capture?.amount,
+                items: value.items,
+                carrier: shipment.carrier,
+                trackingNumber: shipment.trackingNumber,
+                fulfillmentStatus: subOrder.fulfillmentStatus
+            }
+        });
+
+        res.status(201).json({
+            message: 'Shipment created successfully',
+            shipment: formatShipment(shipment),
+            order: {
+                _id: order._id,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                fulfillmentStatus: subOrder.fulfillmentStatus
+            }
+        });
+    } catch (error) {
+        await AuditLog.logAsync({
+            event: 'SELLER_SHIPMENT_CREATE',
+            user: req.user?._id,
+            action: 'create',
+            source: 'web',
+            status: 'failure',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            metadata: {
+                error: error.message,
+                code: error.code,
+                orderId: req.params.id,
+                shipmentData: req.body
+            }
+        });
+
+        // The shipment is not recorded when its payment cannot be captured
+        if (error.name === 'PaymentError') {
+            return res.status(402).json({
+                error: 'Payment capture failed',
+                code: 'PAYMENT_CAPTURE_FAILED',
+                reason: error.code,
+                declineCode: error.declineCode
+            });
+        }
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                ...(error.code && { code: error.code }),
+                ...(error.details && { details: error.details })
+            });
+        }
+
+        logger.error(`Seller shipment creation error: ${error.message}`, { stack: error.stack, orderId: req.params.id });
+        res.status(500).json({
+            error: 'Failed to create shipment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async updateSellerShipment(req, res) {
+    try {
+        const { id: orderId, shipmentId } = req.params;
+        const sellerId = req.user._id;
+
+        if (!SELLER_ROLES.includes(req.user.role)) {
+            return res.status(403).json({ error: 'Not authorized to manage shipments' });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(orderId) || !mongoose.Types.ObjectId.isValid(shipmentId)) {
+            return res.status(400).json({ error: 'Invalid order or shipment ID' });
+        }
+
+        const { error, value } = updateShipmentSchema.validate(req.body);
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            return res.status(400).json({ errors });
+        }
+
+        const { order, subOrder, shipment, capture } = await Order.updateSellerShipment(orderId, sellerId, shipmentId, value);
+
+        await AuditLog.logAsync({
+            event: 'SELLER_SHIPMENT_UPDATE',
+            user: sellerId,
+            action: 'update',
+            source: 'web',
+            status: 'success',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            entityType: 'order',
+            entityId: order._id,
+            metadata: {
+                orderId: order._id,
+                subOrderId: subOrder._id,
+                shipmentId: shipment._id,
+                capturedAmount: capture?.amount,
+                changes: value,
+                fulfillmentStatus: subOrder.fulfillmentStatus
+            }
+        });
+
+        res.status(200).json({
+            message: 'Shipment updated successfully',
+            shipment: formatShipment(shipment),
+            order: {
+                _id: order._id,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                fulfillmentStatus: subOrder.fulfillmentStatus
+            }
+        });
+    } catch (error) {
+        await AuditLog.logAsync({
+            event: 'SELLER_SHIPMENT_UPDATE',
+            user: req.user?._id,
+            action: 'update',
+            source: 'web',
+            status: 'failure',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            metadata: {
+                error: error.message,
+                code: error.code,
+                orderId: req.params.id,
+                shipmentId: req.params.shipmentId,
+                updateData: req.body
+            }
+        });
+
+        // The shipment is not recorded when its payment cannot be captured
+        if (error.name === 'PaymentError') {
+            return res.status(402).json({
+                error: 'Payment capture failed',
+                code: 'PAYMENT_CAPTURE_FAILED',
+                reason: error.code,
+                declineCode: error.declineCode
+            });
+        }
+
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                error: error.message,
+                ...(error.code && { code: error.code })
+            });
+        }
+
+        logger.error(`Seller shipment update error: ${error.message}`, { stack: error.stack, orderId: req.params.id });
+        res.status(500).json({
+            error: 'Failed to update shipment',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async cancelOrder(req, res) {
+    try {
+        const userId = req.user._id;
+        const orderId = req.params.id;
+
+        // Validate order ID
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const { error } = cancelOrderSchema.validate(req.body);
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            return res.status(400).json({ errors });
+        }
+
+        // Find order and verify ownership (done in cancelOrderinstatic). The
+        // payment authorization is released, or a payment taken in full
+        // refunded, before the order is cancelled; when that fails the order
+        // stays as it was and the customer can try again.
+        let order;
+        let voidResult = null;
+        let refundResult = null;
+        try {
+            ({ order, voided: voidResult, refunded: refundResult } = await Order.cancelOrder(
+                orderId,
+                userId,
+                req.body.cancellationReason
+            ));
+        } catch (dbError) {
+            if (dbError.code === 'PAYMENT_VOID_FAILED' || dbError.code === 'PAYMENT_REFUND_FAILED') {
+                const voiding = dbError.code === 'PAYMENT_VOID_FAILED';
+                await AuditLog.logAsync({
+                    event: voiding ? 'PAYMENT_VOID' : 'PAYMENT_REFUND',
+                    user: userId,
+                    action: voiding ? 'payment' : 'refund',
+                    source: 'web',
+                    status: 'failure',
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+                    metadata: {
+                        orderId: orderId,
+                        reason: dbError.reason,
+                        error: dbError.details
+                    }
+                });
+            }
+
+            await AuditLog.logAsync({
+                event: 'USER_ORDER_UPDATE',
+                user: userId,
+                action: 'cancel',
+                source: 'web',
+                status: 'failure',
+                ip: req.ip,
+                userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+                metadata: {
+                    error: dbError.message,
+                    orderId: orderId
+                }
+            });
+            
+            return res.status(dbError.statusCode || 404).json({ 
+                error: dbError.message,
+                ...(dbError.code && { code: dbError.code }),
+                ...(dbError.reason && { reason: dbError.reason }),
+                ...(dbError.details && { details: dbError.details })
+            });
+        }
+
+        if (voidResult) {
+            await AuditLog.logAsync({
+                event: 'PAYMENT_VOID',
+                user: userId,
+                action: 'payment',
+                source: 'web',
+                status: 'success',
+                ip: req.ip,
+                userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+                metadata: {
+                    orderId: order._id,
+                    paymentId: order.paymentId,
+                    capturedAmount: voidResult.paymentRecord.authorization.captured_amount
+                }
+            });
+        }
+        if (refundResult) {
+            await AuditLog.logAsync({
+                event: 'PAYMENT_REFUND',
+                user: userId,
+                action: 'refund',
+                source: 'web',
+                status: 'success',
+                ip: req.ip,
+                userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+                metadata: {
+                    orderId: order._id,
+                    paymentId: order.paymentId,
+                    amount: refundResult.breakdown.amount,
+                    refundId: refundResult.id,
+                    walletRefund: refundResult.walletTransaction?.amount
+                }
+            });
+        }
+
+        // Enhanced audit log
+        await AuditLog.logAsync({
+            event: 'USER_ORDER_UPDATE',
+            user: userId,
+            action: 'cancel',
+            source: 'web',
+            status: 'success',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            metadata: {
+                orderId: order._id,
+                newValues: {
+                    status: order.status,
+                    cancellationReason: order.cancellationReason,
+                    cancelledAt: order.cancelledAt
+                },
+                voidProcessed: !!voidResult,
+                refundProcessed: !!refundResult,
+                refundId: refundResult?.id
+            }
+        });
+
+        // Formatted response
+        res.status(200).json({
+            message: 'Order cancelled successfully',
+            voidProcessed: !!voidResult,
+            refundProcessed: !!refundResult,
+            refundId: refundResult?.id,
+            order: {
+                _id: order._id,
+                status: order.status,
+                cancellationReason: order.cancellationReason,
+                cancelledAt: order.cancelledAt,
+                updatedAt: order.updatedAt
+            }
+        });
+
+    } catch (error) {
+        await AuditLog.logAsync({
+            event: 'USER_ORDER_UPDATE',
+            user: req.user?._id,
+            action: 'cancel',
+            source: 'web',
+            status: 'failure',
+            ip: req.ip,
+            userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+            metadata: {
+                error: error.message,
+                orderId: req.params.id,
+                updateData: req.body
+            }
+        });
+
+        console.error(`[User] Error cancelling order: ${error.message}`);
+        res.status(500).json({ 
+            error: 'Failed to cancel order',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+  }
+
+  async reorderOrder(req, res) {
+    try {
+      const orderId = req.params.id;
+      const userId = req.user._id;
+
+      if (!mongoose.Types.ObjectId.isValid(orderId)) {
+        return res.status(400).json({ error: 'Invalid order ID' });
+      }
+
+      const result = await Order.reorder(orderId, userId);
+
+      await AuditLog.logAsync({
+        event: 'ORDER_REORDER',
+        action: 'update',
+        entityType: 'order',
+        entityId: orderId,
+        user: userId,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          added: result.added.length,
+          unavailable: result.unavailable.length,
+          capped: result.capped.length,
+          repriced: result.repriced.length
+        }
+      });
+
+      res.status(200).json({
+        message: result.added.length > 0
+          ? 'Items added to cart'
+          : 'None of the items can be ordered again',
+        ...result
+      });
+    } catch (error) {
+      logger.error(`Reorder error: ${error.message}`, { stack: error.stack, orderId: req.params.id });
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      res.status(500).json({
+        error: 'Failed to reorder',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateAdminOrders(req, res) {
+    try {
+        const orderId = req.params.id;
+        const adminId = req.user._id;
+        
+        // Check ownership or admin role
+        if (req.user.role !== 'admin') {
+            throw new Error('Not authorized to get all orders', 403);
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({ error: 'Invalid order ID' });
+        }
+
+        const { error } = updateAdminOrderSchema.validate(req.body);
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+            return res.status(400).json({ errors });
+        }
+
+        const order = await Order.findById(orderId);
         if (!order) {
             return res.status(404).json({ error: 'Order not found' });
         }
@@ -711,50 +1697,91 @@ class OrderController {//total number problem in createOrder
             shippingMethod: order.shippingMethod
         };
 
-        // Validate status transitions unless forceUpdate is true
-        if (req.body.status && !req.body.forceUpdate) {
-            const validTransitions = {
-                pending: ['processing', 'cancelled'],
-                processing: ['shipped', 'cancelled'],
-                shipped: ['delivered'],
-                delivered: ['refunded'],
-                cancelled: [],
-                refunded: []
-            };
-
-            if (!validTransitions[order.status].includes(req.body.status)) {
-                return res.status(400).json({ 
-                    error: `Invalid status transition from ${order.status} to ${req.body.status}`,
-                    solution: 'Set forceUpdate=true to override'
-                });
-            }
-        }
+        const { status: newStatus, statusReason, forceUpdate, ...updates } = req.body;
+        const statusChanged = newStatus && newStatus !== order.status;
 
-        // Process refund if status changed to refunded
-        if (req.body.status === 'refunded') {
-            const refundResult = await PaymentService.processRefund({
-                orderId: order._id,
-                amount: order.total,
-                adminId: adminId
+        // Validate status transitions unless forceUpdate is true
+        if (statusChanged && !forceUpdate && !Order.canTransition(order.status, newStatus)) {
+            return res.status(400).json({ 
+                error: `Invalid status transition from ${order.status} to ${newStatus}`,
+                code: 'INVALID_STATUS_TRANSITION',
+                allowedTransitions: Order.getAllowedTransitions(order.status),
+                solution: 'Set forceUpdate=true to override'
             });
+        }
 
-            if (!refundResult.success) {
+        // Refund whatever earlier refunds, e.g. for returns, left of the order
+        if (statusChanged && newStatus === 'refunded' && (order.refundedAmount || 0) < order.total) {
+            try {
+                await order.refundPayment({
+                    reason: statusReason || 'Refunded by admin'
+                });
+            } catch (refundError) {
                 return res.status(402).json({
                     error: 'Refund processing failed',
-                    details: refundResult.message
+                    code: 'PAYMENT_REFUND_FAILED',
+                    reason: refundError.code,
+                    details: refundError.message
                 });
             }
-            req.body.paymentStatus = 'refunded';
         }
 
-        // Update order
-        Object.assign(order, req.body);
-        
-        // Track admin who made the change
-        order.updatedBy = adminId;
-        order.adminNotes = req.body.adminNotes || order.adminNotes;
-        
-        const updatedOrder = await order.save();
+        const applyUpdates = target => {
+            Object.assign(target, updates);
+
+            // Track admin who made the change
+            target.updatedBy = adminId;
+            target.adminNotes = req.body.adminNotes || target.adminNotes;
+        };
+        const transition = {
+            actor: adminId,
+            actorType: 'admin',
+            reason: statusReason || req.body.adminNotes || null,
+            force: !!forceUpdate
+        };
+
+        // Shipping captures what is left of the payment authorization. The
+        // capture runs after the transition, so the order counts as shipped as
+        // a whole; nothing is saved on failure. Cancelling gives back the
+        // payment, stock, promotion use and store credit like a customer
+        // cancel (see Order.cancelWithPayment).
+        let capture = null;
+        let cancelled = null;
+        let updatedOrder;
+        if (statusChanged && newStatus === 'cancelled') {
+            try {
+                cancelled = await Order.cancelWithPayment({ _id: order._id }, transition, applyUpdates);
+                updatedOrder = cancelled.order;
+            } catch (cancelError) {
+                if (!cancelError.statusCode) throw cancelError;
+                return res.status(cancelError.statusCode).json({
+                    error: cancelError.message,
+                    code: cancelError.code,
+                    reason: cancelError.reason,
+                    details: cancelError.details
+                });
+            }
+        } else {
+            applyUpdates(order);
+            if (statusChanged) {
+                order.transitionTo(newStatus, transition);
+            }
+
+            if (statusChanged && newStatus === 'shipped') {
+                try {
+                    capture = await order.capturePayment();
+                } catch (paymentError) {
+                    return res.status(402).json({
+                        error: 'Payment capture failed',
+                        code: 'PAYMENT_CAPTURE_FAILED',
+                        reason: paymentError.code,
+                        details: paymentError.message
+                    });
+                }
+            }
+
+            updatedOrder = await order.save();
+        }
 
         // Create admin-specific audit log
         await AuditLog.logAsync({
@@ -775,7 +1802,11 @@ class OrderController {//total number problem in createOrder
                     shippingMethod: updatedOrder.shippingMethod,
                     adminNotes: updatedOrder.adminNotes
                 },
-                forceUpdateUsed: req.body.forceUpdate || false
+                statusReason: statusReason || null,
+                forceUpdateUsed: forceUpdate || false,
+                capturedAmount: capture?.amount,
+                voidProcessed: !!cancelled?.voided,
+                refundId: cancelled?.refunded?.id
             }
         });
 
@@ -792,6 +1823,7 @@ class OrderController {//total number problem in createOrder
             updatedAt: updatedOrder.updatedAt,
             updatedBy: updatedOrder.updatedBy,
             adminNotes: updatedOrder.adminNotes,
+            statusHistory: updatedOrder.statusHistory,
             items: updatedOrder.items.map(item => ({
                 productId: item.idProduct,
                 quantity: item.quantity,
@@ -807,7 +1839,9 @@ class OrderController {//total number problem in createOrder
         res.status(200).json({
             message: 'Order updated successfully by admin',
             order: formattedOrder,
-            refundProcessed: req.body.status === 'refunded'
+            refundProcessed: (statusChanged && newStatus === 'refunded') || !!cancelled?.refunded,
+            capturedAmount: capture?.amount,
+            voidProcessed: !!cancelled?.voided
         });
 
     } catch (error) {
@@ -2,12 +2,19 @@ const express = require('express');
 const router = express.Router();
 const orderController = require('./controllers/controller');
 const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
 
 router.post('/add', 
   authenticate, 
+  idempotency(), 
   orderController.createOrder
 );
 
+router.post('/quote', 
+  authenticate, 
+  orderController.quoteOrder
+);
+
 router.get('/get', 
   authenticate, 
   orderController.getOrders
@@ -23,13 +30,66 @@ router.get('/admin-get',
   orderController.getAdminOrders
 );
 
+router.get('/admin-reservations', 
+  authenticate, 
+  orderController.getReservations
+);
+
+router.get('/invoices/:id', 
+  authenticate, 
+  orderController.getInvoices
+);
+
+router.get('/invoice/:id', 
+  authenticate, 
+  orderController.getInvoicePdf
+);
+
+router.post('/admin-shipments/:id', 
+  authenticate, 
+  orderController.createShipment
+);
+
+router.put('/admin-shipments/:id/:shipmentId', 
+  authenticate, 
+  orderController.updateShipment
+);
+
+router.get('/seller-get', 
+  authenticate, 
+  orderController.getSellerOrders
+);
+
+router.get('/seller-get/:id', 
+  authenticate, 
+  orderController.getSellerOrder
+);
+
+router.post('/seller-shipments/:id', 
+  authenticate, 
+  orderController.createSellerShipment
+);
+
+router.put('/seller-shipments/:id/:shipmentId', 
+  authenticate, 
+  orderController.updateSellerShipment
+);
+
 router.put('/cancel/:id', 
   authenticate, 
+  idempotency(), 
   orderController.cancelOrder
 );
 
+router.post('/:id/reorder', 
+  authenticate, 
+  idempotency(), 
+  orderController.reorderOrder
+);
+
 router.put('/admin-update/:id', 
   authenticate, 
+  idempotency(), 
   orderController.updateAdminOrders
 );
 
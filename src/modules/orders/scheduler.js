@@ -0,0 +1,218 @@
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const Payment = require('../../models/Payments');
+const GuestCart = require('../../models/GuestCart');
+const AuditLog = require('../../models/AuditLog');
+const logger = require('../../services/logger');
+const { sendPaymentReminderEmail } = require('../../services/mailService');
+const { formatMoney, getMinorUnits, roundAmount } = require('../currency/service');
+
+class OrderScheduler {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.ORDER_SCHEDULER_INTERVAL, 10) || 300;
+    this.batchSize = parseInt(process.env.ORDER_SCHEDULER_BATCH, 10) || 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run the scheduler every ORDER_SCHEDULER_INTERVAL seconds.
+   * Setting the interval to 0 disables it on this instance.
+   */
+  start() {
+    if (this.timer || process.env.ORDER_SCHEDULER_INTERVAL === '0') return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalSeconds * 1000);
+    this.timer.unref();
+    logger.info(`Order scheduler running every ${this.intervalSeconds}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // A slow run must not overlap with the next one on the same instance
+    if (this.running) return;
+    this.running = true;
+    try {
+      await this.runDue();
+    } catch (err) {
+      logger.error(`Order scheduler run failed: ${err.message}`, { stack: err.stack });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Allocate arrived stock to up to batchSize backordered orders and
+   * release the complete ones for fulfillment, flag payment authorizations
+   * about to lapse, then warn about and cancel unpaid pending orders
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { allocated, released, flagged, reminded, expired }
+   */
+  async runDue(now = new Date()) {
+    const { allocated, released } = await this.releaseBackorders(now);
+    const flagged = await this.flagExpiringAuthorizations(now);
+
+    // ORDER_PAYMENT_TIMEOUT_HOURS=0 keeps unpaid orders open indefinitely
+    if (process.env.ORDER_PAYMENT_TIMEOUT_HOURS === '0') {
+      return { allocated, released, flagged, reminded: 0, expired: 0 };
+    }
+
+    const reminded = await this.sendPaymentReminders(now);
+    const expired = await this.expireUnpaidOrders(now);
+    return { allocated, released, flagged, reminded, expired };
+  }
+
+  async releaseBackorders(now) {
+    const { allocated, released } = await Order.releaseBackorders(now, { limit: this.batchSize });
+
+    for (const order of released) {
+      await AuditLog.logAsync({
+        event: 'ORDER_BACKORDER_RELEASED',
+        action: 'update',
+        entityType: 'order',
+        entityId: order._id,
+        user: order.idCustomer,
+        source: 'system',
+        userAgent: 'order-scheduler',
+        status: 'success',
+        metadata: {
+          orderNumber: order.orderNumber,
+          items: order.items
+            .filter(item => item.availability?.allocatedAt)
+            .map(item => ({ idProduct: item.idProduct, quantity: item.quantity, type: item.availability.type }))
+        }
+      });
+    }
+
+    if (allocated || released.length) {
+      logger.info(`Order scheduler: ${allocated} backordered lines allocated, ${released.length} orders released`);
+    }
+    return { allocated, released: released.length };
+  }
+
+  /**
+   * Flag payment authorizations that lapse within
+   * PAYMENT_AUTHORIZATION_WARNING_HOURS (default 24) with money still to
+   * capture, so the order can be shipped or the customer asked to pay again.
+   * Each authorization is flagged once.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of authorizations flagged
+   */
+  async flagExpiringAuthorizations(now) {
+    const payments = await Payment.claimExpiringAuthorizations(now, {
+      warningHours: parseInt(process.env.PAYMENT_AUTHORIZATION_WARNING_HOURS, 10) || 24,
+      limit: this.batchSize
+    });
+
+    for (const payment of payments) {
+      const { amount, captured_amount: captured, currency, expires_at: expiresAt } = payment.authorization;
+      logger.warn(`Payment authorization of order ${payment.order_id} lapses at ${expiresAt.toISOString()}`);
+
+      await AuditLog.logAsync({
+        event: 'PAYMENT_AUTHORIZATION_EXPIRING',
+        action: 'payment',
+        entityType: 'Payment',
+        entityId: payment._id,
+        source: 'system',
+        userAgent: 'order-scheduler',
+        status: 'warning',
+        metadata: {
+          orderId: payment.order_id,
+          provider: payment.provider,
+          expiresAt,
+          remaining: roundAmount(amount - captured, { decimals: getMinorUnits(currency) }),
+          currency
+        }
+      });
+    }
+
+    return payments.length;
+  }
+
+  /**
+   * Email customers whose unpaid orders are about to expire. An order is
+   * claimed before the email is sent and not retried if sending fails.
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of reminders sent
+   */
+  async sendPaymentReminders(now) {
+    const orders = await Order.claimPaymentReminders(now, { limit: this.batchSize });
+    let sent = 0;
+
+    for (const order of orders) {
+      const expiresAt = Order.getPaymentDeadline(order);
+      let error = null;
+
+      try {
+        const customer = order.idCustomer
+          ? await User.getContactDetails(order.idCustomer)
+          : { email: await GuestCart.readEmail(order.guest) };
+        await sendPaymentReminderEmail(customer?.email, {
+          name: customer?.firstName,
+          orderNumber: order.orderNumber || order._id.toString(),
+          amount: formatMoney(order.presentmentTotals?.total ?? order.total, order.currency),
+          expiresAt
+        });
+        sent++;
+      } catch (err) {
+        error = err.message;
+        logger.error(`Payment reminder for order ${order._id} failed: ${err.message}`);
+      }
+
+      await AuditLog.logAsync({
+        event: 'ORDER_PAYMENT_REMINDER',
+        action: 'other',
+        entityType: 'order',
+        entityId: order._id,
+        user: order.idCustomer,
+        source: 'system',
+        userAgent: 'order-scheduler',
+        status: error ? 'failure' : 'success',
+        metadata: { orderNumber: order.orderNumber, expiresAt, error }
+      });
+    }
+
+    return sent;
+  }
+
+  /**
+   * Cancel unpaid orders past their payment deadline
+   * @param {Date} now - Current time
+   * @returns {Promise<number>} Number of orders cancelled
+   */
+  async expireUnpaidOrders(now) {
+    const expired = await Order.expireUnpaidOrders(now, { limit: this.batchSize });
+
+    for (const order of expired) {
+      await AuditLog.logAsync({
+        event: 'ORDER_PAYMENT_TIMEOUT',
+        action: 'cancel',
+        entityType: 'order',
+        entityId: order._id,
+        user: order.idCustomer,
+        source: 'system',
+        userAgent: 'order-scheduler',
+        status: 'success',
+        metadata: {
+          orderNumber: order.orderNumber,
+          cancellationReason: order.cancellationReason,
+          paymentMethod: order.paymentMethod,
+          total: order.total,
+          promotion: order.promotion?.code,
+          walletRefund: order.walletPayment?.amount || 0
+        }
+      });
+    }
+
+    if (expired.length) {
+      logger.info(`Order scheduler: ${expired.length} unpaid orders cancelled after the payment timeout`);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = new OrderScheduler();
@@ -37,23 +37,65 @@ const createOrderSchema = Joi.object({
   }),
 
   paymentMethod: Joi.string()
-    .valid('credit_card', 'paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery')
+    .valid('credit_card', 'paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery', 'wallet')
     .required()
     .messages({
       'string.empty': 'Payment method is required',
-      'any.only': 'Payment method must be one of: credit_card, paypal, bank_transfer, cash_on_delivery',
+      'any.only': 'Payment method must be one of: credit_card, paypal, bank_transfer, cash_on_delivery, wallet',
       'any.required': 'Payment method is required'
     }),
 
+  // Provider token of the payment method: a card payment method ID or an
+  // approved PayPal order ID. The mock provider reads its scenario from it.
+  paymentToken: Joi.string()
+    .max(255)
+    .optional()
+    .messages({
+      'string.max': 'Payment token cannot exceed 255 characters'
+    }),
+
+  // Store credit to spend (base currency); the payment method pays the rest.
+  // With paymentMethod 'wallet' the whole order is paid from the wallet.
+  walletAmount: Joi.number()
+    .positive()
+    .when('paymentMethod', { is: 'wallet', then: Joi.forbidden() })
+    .messages({
+      'number.positive': 'Wallet amount must be positive',
+      'any.unknown': 'Wallet amount is not needed when paying with the wallet'
+    }),
+
   // Add shippingMethod validation
   shippingMethod: Joi.string()
-    .valid('standard', 'express', 'next_day')
+    .valid('standard', 'express', 'overnight')
     .default('standard')
     .messages({
-      'any.only': 'Shipping method must be one of: standard, express, next_day'
+      'any.only': 'Shipping method must be one of: standard, express, overnight'
+    }),
+
+  // Presentment currency; it must have an active exchange rate
+  currency: Joi.string()
+    .length(3)
+    .uppercase()
+    .optional()
+    .messages({
+      'string.length': 'Currency must be an ISO 4217 code'
+    }),
+
+  // Token from POST /quote; the order is placed at the quoted price or not at all
+  quoteToken: Joi.string()
+    .max(2048)
+    .optional()
+    .messages({
+      'string.max': 'Quote token is too long'
     })
 }).options({ abortEarly: false });
 
+// Same details as an order; payment is chosen when the order is placed
+const quoteOrderSchema = createOrderSchema.fork(
+  ['paymentMethod', 'walletAmount'],
+  schema => schema.optional()
+);
+
 const getOrdersSchema = Joi.object({
   page: Joi.number().integer().min(1).default(1).messages({
     'number.base': 'Page must be a number',
@@ -69,6 +111,7 @@ const getOrdersSchema = Joi.object({
   status: Joi.string()
     .valid(
       'pending',
+      'backordered',
       'processing',
       'shipped',
       'delivered',
@@ -77,7 +120,7 @@ const getOrdersSchema = Joi.object({
     )
     .optional()
     .messages({
-      'any.only': 'Status must be one of: pending, processing, shipped, delivered, cancelled, refunded'
+      'any.only': 'Status must be one of: pending, backordered, processing, shipped, delivered, cancelled, refunded'
     }),
   sortBy: Joi.string()
     .valid('createdAt', 'total', 'estimatedDelivery')
@@ -108,6 +151,7 @@ const getAdminOrdersSchema = Joi.object({
   status: Joi.string()
       .valid(
           'pending',
+          'backordered',
           'processing',
           'shipped',
           'delivered',
@@ -116,7 +160,7 @@ const getAdminOrdersSchema = Joi.object({
       )
       .optional()
       .messages({
-          'any.only': 'Status must be one of: pending, processing, shipped, delivered, cancelled, refunded'
+          'any.only': 'Status must be one of: pending, backordered, processing, shipped, delivered, cancelled, refunded'
       }),
   idCustomer: Joi.string()
       .pattern(/^[0-9a-fA-F]{24}$/)
@@ -175,9 +219,9 @@ const updateOrderSchema = Joi.object({
     'object.base': 'Shipping address must be an object'
   }),
   shippingMethod: Joi.string()
-    .valid('standard', 'express', 'next_day')
+    .valid('standard', 'express', 'overnight')
     .messages({
-      'any.only': 'Shipping method must be one of: standard, express, next_day'
+      'any.only': 'Shipping method must be one of: standard, express, overnight'
     })
 }).min(1).options({ abortEarly: false });
 
@@ -194,9 +238,9 @@ const cancelOrderSchema = Joi.object({
 
 const updateAdminOrderSchema = Joi.object({
   status: Joi.string()
-    .valid('pending', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded')
+    .valid('pending', 'backordered', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded')
     .messages({
-      'any.only': 'Status must be one of: pending, processing, shipped, delivered, cancelled, refunded'
+      'any.only': 'Status must be one of: pending, backordered, processing, shipped, delivered, cancelled, refunded'
     }),
   paymentStatus: Joi.string()
     .valid('pending', 'completed', 'failed', 'refunded')
@@ -213,17 +257,96 @@ const updateAdminOrderSchema = Joi.object({
     'object.base': 'Shipping address must be an object'
   }),
   shippingMethod: Joi.string()
-    .valid('standard', 'express', 'next_day')
+    .valid('standard', 'express', 'overnight')
     .messages({
-      'any.only': 'Shipping method must be one of: standard, express, next_day'
+      'any.only': 'Shipping method must be one of: standard, express, overnight'
     }),
   adminNotes: Joi.string().max(1000).optional().messages({
     'string.max': 'Admin notes cannot exceed 1000 characters'
   }),
+  statusReason: Joi.string().max(500).optional().messages({
+    'string.max': 'Status reason cannot exceed 500 characters'
+  }),
   forceUpdate: Joi.boolean().default(false).messages({
     'boolean.base': 'Force update must be a boolean'
   })
 }).min(1).options({ abortEarly: false });
 
-module.exports = { createOrderSchema, getOrdersSchema, getAdminOrdersSchema, updateOrderSchema,
-   cancelOrderSchema, updateAdminOrderSchema };
\ No newline at end of file
+const createShipmentSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    productId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+      'string.pattern.base': 'Product ID must be a valid ObjectId',
+      'any.required': 'Product ID is required'
+    }),
+    quantity: Joi.number().integer().min(1).required().messages({
+      'number.base': 'Quantity must be a number',
+      'number.min': 'Quantity must be at least 1',
+      'any.required': 'Quantity is required'
+    })
+  })).min(1).required().messages({
+    'array.min': 'Shipment must contain at least one item',
+    'any.required': 'Shipment items are required'
+  }),
+  carrier: Joi.string().max(100).optional().messages({
+    'string.max': 'Carrier cannot exceed 100 characters'
+  }),
+  trackingNumber: Joi.string().max(100).optional().messages({
+    'string.max': 'Tracking number cannot exceed 100 characters'
+  }),
+  status: Joi.string()
+    .valid('pending', 'shipped')
+    .default('pending')
+    .messages({
+      'any.only': 'Status must be one of: pending, shipped'
+    }),
+  notes: Joi.string().max(500).optional().messages({
+    'string.max': 'Notes cannot exceed 500 characters'
+  })
+}).options({ abortEarly: false });
+
+const updateShipmentSchema = Joi.object({
+  carrier: Joi.string().max(100).messages({
+    'string.max': 'Carrier cannot exceed 100 characters'
+  }),
+  trackingNumber: Joi.string().max(100).messages({
+    'string.max': 'Tracking number cannot exceed 100 characters'
+  }),
+  status: Joi.string()
+    .valid('shipped', 'delivered')
+    .messages({
+      'any.only': 'Status must be one of: shipped, delivered'
+    }),
+  notes: Joi.string().max(500).messages({
+    'string.max': 'Notes cannot exceed 500 characters'
+  })
+}).min(1).options({ abortEarly: false });
+
+const getSellerOrdersSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  fulfillmentStatus: Joi.string()
+    .valid('unfulfilled', 'partially_shipped', 'shipped', 'partially_delivered', 'delivered')
+    .optional()
+    .messages({
+      'any.only': 'Fulfillment status must be one of: unfulfilled, partially_shipped, shipped, partially_delivered, delivered'
+    })
+});
+
+const getInvoiceSchema = Joi.object({
+  number: Joi.string().max(50).optional().messages({
+    'string.max': 'Document number cannot exceed 50 characters'
+  })
+}).options({ abortEarly: false });
+
+const getReservationsSchema = Joi.object({
+  productId: Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'Product ID must be a valid ObjectId'
+    })
+}).options({ abortEarly: false });
+
+module.exports = { createOrderSchema, quoteOrderSchema, getOrdersSchema, getAdminOrdersSchema, updateOrderSchema,
+   cancelOrderSchema, updateAdminOrderSchema, getReservationsSchema, createShipmentSchema, updateShipmentSchema, getInvoiceSchema,
+   getSellerOrdersSchema };
\ No newline at end of file
@@ -1,82 +1,15 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const PromotionCode = require('../../models/PromotionCode');
 const Order = require('../../models/Order');
 const Product = require('../../models/Products');
 const logger = require('../../services/logger');
+const { calculateTax } = require('../tax/service');
+const { calculateShipping, getShippingQuote } = require('../shipping/service');
+const { getBaseCurrency } = require('../currency/service');
 
-/**
- * Calculate tax based on subtotal and shipping address
- * @param {number} subtotal - Order subtotal amount
- * @param {object} shippingAddress - Customer shipping address
- * @returns {Promise<number>} Calculated tax amount
- */
-async function calculateTax(subtotal, shippingAddress) {
-    try {
-        // Simplified example - 10% flat tax
-        const taxRate = 0.1;
-        const taxAmount = subtotal * taxRate;
-
-        logger.debug(`Calculated tax: ${taxAmount} for subtotal: ${subtotal}`);
-        return taxAmount;
-    } catch (error) {
-        logger.error(`Tax calculation failed: ${error.message}`);
-        throw new Error('Tax calculation service unavailable');
-    }
-}
-
-/**
- * Calculate shipping costs based on method
- * @param {string} shippingMethod - Selected shipping method
- * @returns {Promise<number>} Shipping cost
- */
-async function calculateShipping(shippingMethod) {
-    const shippingRates = {
-        standard: 5.99,
-        express: 15.99,
-        overnight: 25.99
-    };
-
-    if (!shippingRates.hasOwnProperty(shippingMethod)) {
-        logger.warn(`Unknown shipping method: ${shippingMethod}, using standard`);
-        return shippingRates.standard;
-    }
-
-    return shippingRates[shippingMethod];
-}
-
-/**
- * Calculates the delivery date based on order date and shipping method
- * @param {Date|string} orderDate - The date the order was placed
- * @param {'standard'|'express'|'overnight'} shippingMethod - Shipping method
- * @returns {string} ISO string of the delivery date
- * @throws {Error} If invalid orderDate is provided
- */
-function calculateDeliveryDate(orderDate, shippingMethod) {
-    const parsedDate = new Date(orderDate);
-    if (isNaN(parsedDate.getTime())) {
-        throw new Error('Invalid order date provided');
-    }
-
-    const DELIVERY_DAYS = {
-        standard: 5,
-        express: 3,
-        overnight: 1
-    };
-
-    const daysToAdd = DELIVERY_DAYS[shippingMethod] || DELIVERY_DAYS.standard;
-
-    const deliveryDate = new Date(parsedDate);
-    let businessDaysAdded = 0;
-
-    while (businessDaysAdded < daysToAdd) {
-        deliveryDate.setDate(deliveryDate.getDate() + 1);
-        const dayOfWeek = deliveryDate.getDay();
-        if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-            businessDaysAdded++;
-        }
-    }
-
-    return deliveryDate.toISOString();
-}
+const QUOTE_AUDIENCE = 'order-quote';
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'postalCode', 'country'];
 
 async function validateAndApplyPromotion(promotionCode, userId, cartItems, subtotal) {
     if (!promotionCode) {
@@ -188,7 +121,15 @@ async function validateAndApplyPromotion(promotionCode, userId, cartItems, subto
     };
 }
 
-async function updatePromotionUsage(promotionId) {
+/**
+ * Record one use of a promotion code
+ * @param {ObjectId} promotionId - Promotion code ID
+ * @param {ObjectId} userId - Customer who used the code
+ * @param {Object} [options] - Query options
+ * @param {ClientSession} [options.session] - MongoDB session for transactional writes
+ * @returns {Promise<void>}
+ */
+async function updatePromotionUsage(promotionId, userId, options = {}) {
     if (!promotionId) return;
 
     await PromotionCode.findByIdAndUpdate(
@@ -197,14 +138,129 @@ async function updatePromotionUsage(promotionId) {
             $inc: { usageCount: 1 },
             $addToSet: { usedBy: userId }
         },
-        { new: true }
+        { new: true, session: options.session }
     );
 }
 
+/**
+ * Give back the use of a promotion code when its order is cancelled unpaid
+ * @param {ObjectId} promotionId - Promotion code ID
+ * @param {ObjectId} userId - Customer who used the code
+ * @param {Object} [options] - { session }
+ */
+async function releasePromotionUsage(promotionId, userId, options = {}) {
+    if (!promotionId) return;
+
+    await PromotionCode.updateOne(
+        { _id: promotionId, usageCount: { $gt: 0 } },
+        {
+            $inc: { usageCount: -1 },
+            $pull: { usedBy: userId }
+        },
+        { session: options.session }
+    );
+}
+
+// Quotes are signed with their own secret when one is set
+const getQuoteSecret = () => process.env.ORDER_QUOTE_SECRET || process.env.JWT_SECRET;
+const getQuoteTtl = () => parseInt(process.env.ORDER_QUOTE_TTL, 10) || 900;
+
+function quoteError(message, statusCode, code) {
+    const err = new Error(message);
+    err.statusCode = statusCode;
+    err.code = code;
+    return err;
+}
+
+/**
+ * Fingerprint of what a quote prices: the cart lines and the checkout
+ * details that change the price. Payment details are left out.
+ * @param {Array} cartItems - Cart items ({ product, quantity, size, color })
+ * @param {Object} details - { shippingAddress, shippingMethod, promotionCode, currency }
+ * @returns {string} Hex SHA-256 digest
+ */
+function quoteFingerprint(cartItems, { shippingAddress, shippingMethod, promotionCode, currency }) {
+    const lines = cartItems.map(item => [
+        String(item.product?._id ?? item.product),
+        item.quantity,
+        item.size || null,
+        item.color || null
+    ]);
+
+    return crypto.createHash('sha256').update(JSON.stringify([
+        lines,
+        ADDRESS_FIELDS.map(field => shippingAddress?.[field] ?? null),
+        shippingMethod || 'standard',
+        promotionCode || null,
+        (currency || getBaseCurrency()).toUpperCase()
+    ])).digest('hex');
+}
+
+/**
+ * Sign a quote so the order can later be held to its price.
+ * Valid for ORDER_QUOTE_TTL seconds (default 900).
+ * @param {ObjectId} userId - Customer the quote is for
+ * @param {string} fingerprint - quoteFingerprint of the quoted cart and details
+ * @param {Object} quoted - { total, currency, presentmentTotal }: base total and
+ * the total in the presentment currency
+ * @returns {Object} { token, expiresAt }
+ */
+function createQuoteToken(userId, fingerprint, { total, currency, presentmentTotal }) {
+    const ttl = getQuoteTtl();
+    const token = jwt.sign(
+        { fingerprint, total, currency, presentmentTotal },
+        getQuoteSecret(),
+        {
+            subject: userId.toString(),
+            audience: QUOTE_AUDIENCE,
+            expiresIn: ttl,
+            algorithm: 'HS256'
+        }
+    );
+    return { token, expiresAt: new Date(Date.now() + ttl * 1000) };
+}
+
+/**
+ * Check a quote token against the customer and what is being ordered
+ * @param {string} token - Token from createQuoteToken
+ * @param {ObjectId} userId - Customer placing the order
+ * @param {string} fingerprint - quoteFingerprint of the current cart and details
+ * @returns {Object} The quoted { total, currency, presentmentTotal }
+ * @throws {Error} INVALID_QUOTE (400), QUOTE_EXPIRED (409), QUOTE_MISMATCH (409)
+ */
+function verifyQuoteToken(token, userId, fingerprint) {
+    let payload;
+    try {
+        payload = jwt.verify(token, getQuoteSecret(), {
+            subject: userId.toString(),
+            audience: QUOTE_AUDIENCE,
+            algorithms: ['HS256']
+        });
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            throw quoteError('Quote has expired', 409, 'QUOTE_EXPIRED');
+        }
+        throw quoteError('Invalid quote token', 400, 'INVALID_QUOTE');
+    }
+
+    if (payload.fingerprint !== fingerprint) {
+        throw quoteError('Cart or checkout details changed since the quote', 409, 'QUOTE_MISMATCH');
+    }
+    return {
+        total: payload.total,
+        currency: payload.currency,
+        presentmentTotal: payload.presentmentTotal
+    };
+}
+
 module.exports = {
     calculateTax,
     calculateShipping,
-    calculateDeliveryDate,
+    getShippingQuote,
     validateAndApplyPromotion,
-    updatePromotionUsage
+    updatePromotionUsage,
+    releasePromotionUsage,
+    quoteFingerprint,
+    createQuoteToken,
+    verifyQuoteToken
 };
\ No newline at end of file
@@ -1,45 +1,335 @@
 // services/payment/PaymentProcessor.js
 
-// This section requires special configuration. I added fake and real process methods.
-// For real usage, you must replace the fakeProcess and fakeRefund methods with actual implementations.
+// Payment methods are routed to providers by PAYMENT_PROVIDERS. Out of the box
+// card and PayPal payments go to the local mock provider; set them to stripe
+// and paypal to charge for real.
 const StripeProvider = require('./providers/StripeProvider');
 const PayPalProvider = require('./providers/PayPalProvider');
 const CODProvider = require('./providers/CODProvider');
+const MockProvider = require('./providers/MockProvider');
 const PaymentError = require('./PaymentError');
 const Payment = require('../../models/Payments');
+const Invoice = require('../../models/Invoice');
+const SellerLedgerEntry = require('../../models/SellerLedgerEntry');
+const Wallet = require('../../models/Wallet');
 const logger = require('../../services/logger');
+const { getBaseCurrency, getMinorUnits, roundAmount, toOrderCurrency } = require('../currency/service');
+
+/**
+ * The order as the customer is charged for it: amounts and unit prices in
+ * the presentment currency. Orders placed before multi-currency support
+ * are charged as stored. Store credit paid from the wallet is taken off
+ * the total and reported as walletAmount.
+ * @param {Object} order - Order document or plain object
+ * @returns {Object} Plain order with presentment amounts and currency
+ */
+function toCharge(order) {
+  const plain = order.toObject ? order.toObject() : order;
+  const charge = !plain.presentmentTotals?.total
+    ? { ...plain, currency: plain.currency || 'USD' }
+    : {
+      ...plain,
+      ...plain.presentmentTotals,
+      items: plain.items.map(item => ({
+        ...item,
+        priceAtPurchase: item.presentmentPrice ?? item.priceAtPurchase
+      }))
+    };
+
+  if (!plain.walletPayment?.amount) return { ...charge, walletAmount: 0 };
+
+  const walletAmount = plain.presentmentTotals?.total
+    ? plain.walletPayment.presentmentAmount
+    : plain.walletPayment.amount;
+  return {
+    ...charge,
+    walletAmount,
+    total: roundAmount(charge.total - walletAmount, { decimals: getMinorUnits(charge.currency) })
+  };
+}
+
+/**
+ * Part of a base-currency refund that goes back to the wallet: store credit
+ * used at checkout is returned in proportion to the amount refunded, and the
+ * refund that completes the order returns whatever earlier ones left
+ * @param {Object} order - Order with walletPayment and refundedAmount
+ * @param {number} amount - Refund in the base currency
+ * @returns {number} Wallet share in the base currency
+ */
+function walletRefundShare(order, amount) {
+  const paid = order.walletPayment?.amount || 0;
+  if (!paid) return 0;
+  const decimals = getMinorUnits(order.baseCurrency || getBaseCurrency());
+  const refunded = order.refundedAmount || 0;
+  const returned = refunded > 0 ? roundAmount(refunded * paid / order.total, { decimals }) : 0;
+  if (refunded + amount >= order.total) return roundAmount(paid - returned, { decimals });
+  return roundAmount(amount * paid / order.total, { decimals });
+}
+
+/**
+ * Share of an order given back when its authorization is released: all of it
+ * when nothing was captured, otherwise what the captures left
+ * @param {Object} order - Order document
+ * @param {Object} payment - Payment with its closed authorization
+ * @returns {Object} { id, released } - reference of the release and its base-currency amount
+ */
+function releaseOf(order, payment) {
+  const { authorization } = payment;
+  const decimals = getMinorUnits(order.baseCurrency || getBaseCurrency());
+  const capturedShare = authorization.amount > 0 ? authorization.captured_amount / authorization.amount : 0;
+  return {
+    id: `void:${payment.payment_id}`,
+    released: capturedShare > 0 ? roundAmount(order.total * (1 - capturedShare), { decimals }) : order.total
+  };
+}
+
+// Provider implementations PAYMENT_PROVIDERS can name
+const PROVIDER_CLASSES = {
+  stripe: StripeProvider,
+  paypal: PayPalProvider,
+  cod: CODProvider,
+  mock: MockProvider
+};
+
+// Routing used in development and tests when PAYMENT_PROVIDERS is not set
+const DEVELOPMENT_PROVIDERS = 'credit_card:mock,stripe:mock,paypal:mock,cod:cod,cash_on_delivery:cod';
+
+/**
+ * Payment method to provider routing from PAYMENT_PROVIDERS, a comma separated
+ * list of method:provider pairs. Only development and tests fall back to the
+ * mock provider; elsewhere the routing must be configured.
+ * @returns {Object} Provider name by payment method
+ * @throws {PaymentError} PAYMENT_PROVIDERS_NOT_CONFIGURED
+ */
+function getProviderConfig() {
+  let config = process.env.PAYMENT_PROVIDERS;
+  if (!config) {
+    if (!['development', 'test'].includes(process.env.NODE_ENV)) {
+      const configError = new PaymentError('PAYMENT_PROVIDERS is not set');
+      configError.code = 'PAYMENT_PROVIDERS_NOT_CONFIGURED';
+      throw configError;
+    }
+    config = DEVELOPMENT_PROVIDERS;
+  }
+
+  return Object.fromEntries(
+    config
+      .split(',')
+      .map(pair => pair.split(':').map(part => part.trim()))
+      .filter(([method, name]) => method && name)
+  );
+}
+
+/**
+ * Make sure the provider took or reserved what the order costs. A payment
+ * token can name a transaction the storefront created (an approved PayPal
+ * order), so its amount is checked; on a mismatch a capture is given back and
+ * an authorization released.
+ * @param {PaymentProvider} provider - Provider that captured or authorized
+ * @param {Object} charge - Result of toCharge
+ * @param {Object} result - Provider result with status captured or authorized
+ * @throws {PaymentError} PAYMENT_AMOUNT_MISMATCH
+ */
+async function checkAmount(provider, charge, result) {
+  const decimals = getMinorUnits(charge.currency);
+  const captured = result.status === 'captured';
+  const amount = roundAmount(captured ? result.capturedAmount : result.amount, { decimals });
+  if (result.currency === charge.currency && amount === roundAmount(charge.total, { decimals })) return;
+
+  const giveBack = captured
+    ? provider.refund(result.transactionId, {
+      amount: result.capturedAmount,
+      currency: result.currency,
+      reason: 'Amount does not match the order'
+    })
+    : provider.void(result.transactionId);
+  await giveBack.catch(giveBackError => {
+    logger.error(`Could not give back mismatched payment ${result.transactionId} - release it manually: ${giveBackError.message}`);
+  });
+  const mismatchError = new PaymentError(
+    `${captured ? 'Captured' : 'Authorized'} ${amount} ${result.currency}, order total is ${charge.total} ${charge.currency}`,
+    provider.name,
+    charge.total
+  );
+  mismatchError.code = 'PAYMENT_AMOUNT_MISMATCH';
+  throw mismatchError;
+}
+
+/**
+ * Share of the order that has shipped: the value of the shipped lines over
+ * the value of all lines, at the prices charged. Shipping, tax and discounts
+ * are spread over the shipments in the same proportion. An order that is
+ * shipped or delivered as a whole counts as fully shipped, with or without
+ * shipments.
+ * @param {Object} order - Order document with shipments
+ * @param {Object} charge - Result of toCharge
+ * @returns {number} Between 0 and 1
+ */
+function shippedShare(order, charge) {
+  if (['shipped', 'delivered'].includes(order.status)) return 1;
+
+  const shipped = new Map();
+  for (const shipment of order.shipments || []) {
+    if (shipment.status !== 'shipped' && shipment.status !== 'delivered') continue;
+    for (const line of shipment.items) {
+      const productId = line.idProduct.toString();
+      shipped.set(productId, (shipped.get(productId) || 0) + line.quantity);
+    }
+  }
+
+  let ordered = 0;
+  let sent = 0;
+  for (const item of charge.items) {
+    const productId = item.idProduct.toString();
+    const quantity = Math.min(item.quantity, shipped.get(productId) || 0);
+    shipped.set(productId, (shipped.get(productId) || 0) - quantity);
+    ordered += item.priceAtPurchase * item.quantity;
+    sent += item.priceAtPurchase * quantity;
+  }
+  return ordered > 0 ? Math.min(sent / ordered, 1) : 1;
+}
+
+/**
+ * Payment of an order whose authorization can still be captured or voided
+ * @param {Object} order - Order document with paymentId
+ * @returns {Promise<Object>} Payment document
+ * @throws {PaymentError} AUTHORIZATION_NOT_OPEN
+ */
+async function findOpenAuthorization(order) {
+  const payment = order.paymentId ? await Payment.findById(order.paymentId) : null;
+  if (payment?.authorization?.status !== 'open') {
+    const stateError = new PaymentError('Order has no open payment authorization', order.paymentMethod, order.total);
+    stateError.code = 'AUTHORIZATION_NOT_OPEN';
+    throw stateError;
+  }
+  return payment;
+}
+
+/**
+ * Error for a provider result that did not end as asked
+ * @param {Object} result - Provider result
+ * @param {boolean} capture - Whether a capture was asked for
+ * @param {string} paymentMethod - Payment method or provider name
+ * @param {number} amount - Amount charged
+ * @returns {PaymentError} PAYMENT_NOT_CAPTURED or PAYMENT_NOT_AUTHORIZED
+ */
+function notCompleted(result, capture, paymentMethod, amount) {
+  const statusError = new PaymentError(
+    `Payment was not ${capture ? 'captured' : 'authorized'} (${result.status})`,
+    paymentMethod,
+    amount
+  );
+  statusError.code = capture ? 'PAYMENT_NOT_CAPTURED' : 'PAYMENT_NOT_AUTHORIZED';
+  return statusError;
+}
 
 class PaymentProcessor {
   constructor() {
-    this.providers = {
-      stripe: new StripeProvider(),
-      paypal: new PayPalProvider(),
-      cod: new CODProvider()
-    };
+    this.providerClasses = { ...PROVIDER_CLASSES };
+    // Providers are created on first use, so unused ones need no credentials
+    this.providers = new Map();
+  }
+
+  /**
+   * Make a provider implementation available to PAYMENT_PROVIDERS
+   * @param {string} name - Name used in PAYMENT_PROVIDERS
+   * @param {Function} ProviderClass - PaymentProvider subclass
+   */
+  registerProvider(name, ProviderClass) {
+    this.providerClasses[name] = ProviderClass;
+    this.providers.delete(name);
   }
 
-  async process(order, additionalData = {}) {
+  /**
+   * Charge an order through its payment provider and record the Payment
+   * @param {Object} order - Order document
+   * @param {Object} [additionalData] - Billing address, ip, user agent, payment token, etc.;
+   * customerReference and offSession charge a saved payment method without the customer
+   * With allowApproval, a payment the customer still has to act on (approval
+   * at PayPal, a 3-D Secure challenge) does not fail the checkout: the Payment
+   * is recorded as created and the result is pending with the provider's
+   * nextAction; completeApproved finishes it.
+   * @param {Object} [options] - Query options
+   * @param {ClientSession} [options.session] - MongoDB session for transactional writes
+   * @returns {Promise<Object>} Payment result
+   */
+  async process(order, additionalData = {}, options = {}) {
+    return this.placePayment(order, additionalData, options, true);
+  }
+
+  /**
+   * Reserve the order total with its payment provider and record the Payment
+   * as authorized, with the authorization and when it lapses. The money is
+   * taken with capture as the order ships, or released with void.
+   * @param {Object} order - Order document
+   * @param {Object} [additionalData] - As for process, including allowApproval
+   * @param {Object} [options] - As for process
+   * @returns {Promise<Object>} Payment result
+   */
+  async authorize(order, additionalData = {}, options = {}) {
+    return this.placePayment(order, additionalData, options, false);
+  }
+
+  // process and authorize: capture says whether the money is taken straight away
+  async placePayment(order, additionalData, options, capture) {
     try {
-      logger.info('Processing payment for order:', { orderId: order._id, paymentMethod: order.paymentMethod });
+      logger.info('Processing payment for order:', { orderId: order._id, paymentMethod: order.paymentMethod, capture });
 
       // Validate required fields
       if (!order._id) throw new Error('Order ID is required');
-      if (!order.idCustomer) throw new Error('Customer ID is required');
+      if (!order.idCustomer && !order.guest?.emailHash) throw new Error('Customer ID is required');
       if (!order.paymentMethod) throw new Error('Payment method is required');
       if (!order.total || order.total <= 0) throw new Error('Invalid order total');
 
+      const charge = toCharge(order);
       const provider = this.getProvider(order.paymentMethod);
-      const result = await provider.fakeProcess(order);
+      const result = await provider.authorize(charge, {
+        capture,
+        paymentToken: additionalData.paymentToken,
+        customerReference: additionalData.customerReference,
+        offSession: additionalData.offSession,
+        reference: order._id.toString()
+      });
+
+      const approval = result.status === 'requires_action' && additionalData.allowApproval;
+
+      // Nobody is there to act on it and the order is rolled back, so the transaction is released
+      if (result.status === 'requires_action' && !approval) {
+        await provider.void(result.transactionId).catch(voidError => {
+          logger.warn(`Could not release authorization ${result.transactionId}: ${voidError.message}`);
+        });
+        const actionError = new PaymentError('Payment requires customer authentication', order.paymentMethod, order.total);
+        actionError.code = 'PAYMENT_ACTION_REQUIRED';
+        actionError.nextAction = result.nextAction;
+        throw actionError;
+      }
+      if (!approval && result.status !== (capture ? 'captured' : 'authorized')) {
+        throw notCompleted(result, capture, order.paymentMethod, order.total);
+      }
+      if (!approval) {
+        await checkAmount(provider, charge, result);
+      }
       
       // Create payment record in database
       const paymentRecord = new Payment({
         order_id: order._id,
-        customer_id: order.idCustomer,
+        customer_id: order.idCustomer || undefined,
+        guest_email_hash: order.idCustomer ? undefined : order.guest.emailHash,
         payment_id: result.transactionId,
-        payment_status: 'approved',
+        payment_status: approval ? 'created' : capture ? 'approved' : 'authorized',
         payment_method: order.paymentMethod,
-        total_amount: order.total,
-        currency: order.currency || 'USD',
+        provider: provider.name,
+        total_amount: charge.total,
+        currency: charge.currency,
+        ...(!capture && {
+          authorization: {
+            amount: charge.total,
+            currency: charge.currency,
+            captured_amount: 0,
+            status: approval ? 'pending' : 'open',
+            expires_at: result.expiresAt || null
+          }
+        }),
         description: `Payment for order #${order.orderNumber || order._id}`,
         processor_response: result.rawResponse,
         billing_address: additionalData.billingAddress || null,
@@ -50,11 +340,15 @@ class PaymentProcessor {
         }
       });
 
-      await paymentRecord.save();
+      await paymentRecord.save({ session: options.session });
       logger.info('Payment successfully processed', { paymentId: paymentRecord._id });
 
       return {
-        success: true,
+        success: !approval,
+        pending: approval,
+        nextAction: approval ? result.nextAction : null,
+        status: result.status,
+        provider: provider.name,
         transactionId: result.transactionId,
         rawResponse: result.rawResponse,
         paymentId: paymentRecord._id,
@@ -71,7 +365,7 @@ class PaymentProcessor {
             customer_id: order.idCustomer,
             payment_status: 'failed',
             payment_method: order.paymentMethod,
-            total_amount: order.total,
+            total_amount: toCharge(order).total,
             currency: order.currency || 'USD',
             description: `Failed payment attempt for order #${order.orderNumber || order._id}`,
             processor_response: { error: error.message }
@@ -89,40 +383,415 @@ class PaymentProcessor {
     }
   }
 
+  /**
+   * Complete a payment the customer approved at the provider or passed the
+   * challenge of (see process with allowApproval, and the provider's
+   * completeAction): captures it, or authorizes it when the Payment was
+   * placed with authorize. Does not touch the Payment or the order.
+   * @param {Object} order - Order document the payment is for
+   * @param {Object} payment - Payment record, status created
+   * @returns {Promise<Object>} Provider result, captured, authorized or pending
+   * @throws {PaymentError} PAYMENT_ACTION_REQUIRED with nextAction while the
+   * customer is not done, or when the provider declines or does not complete
+   */
+  async completeApproved(order, payment) {
+    const provider = payment.provider
+      ? this.getProviderByName(payment.provider)
+      : this.getProvider(order.paymentMethod);
+    const charge = toCharge(order);
+    const capture = !payment.authorization?.status;
+
+    const result = await provider.completeAction(payment.payment_id, charge, {
+      capture,
+      reference: order._id.toString()
+    });
+
+    // Some funding sources settle later; the capture webhook finishes those
+    if (result.status === 'pending') return result;
+    if (result.status === 'requires_action') {
+      const actionError = new PaymentError('Payment requires customer authentication', order.paymentMethod, order.total);
+      actionError.code = 'PAYMENT_ACTION_REQUIRED';
+      actionError.nextAction = result.nextAction;
+      throw actionError;
+    }
+    if (result.status !== (capture ? 'captured' : 'authorized')) {
+      throw notCompleted(result, capture, provider.name, charge.total);
+    }
+    await checkAmount(provider, charge, result);
+    return result;
+  }
+
+  /**
+   * Take money from the open authorization of an order and record it on the
+   * Payment. The Payment becomes approved with the first capture; the
+   * authorization closes with a final capture or once it is used up.
+   * @param {Object} order - Order document with paymentId
+   * @param {Object} [captureData] - { amount, final, reference }; amount is in
+   * the authorization's currency and defaults to what is left, final (default
+   * true) releases the rest, reference says what the capture is for
+   * @returns {Promise<Object>} Provider result with amount (this capture),
+   * capturedAmount (all captures), remaining, final and paymentRecord
+   * @throws {PaymentError} AUTHORIZATION_NOT_OPEN, INVALID_CAPTURE_AMOUNT or the provider's error
+   */
+  async capture(order, { amount, final = true, reference } = {}) {
+    try {
+      const payment = await findOpenAuthorization(order);
+      const { authorization } = payment;
+      const decimals = getMinorUnits(authorization.currency);
+      const left = roundAmount(authorization.amount - authorization.captured_amount, { decimals });
+      const captureAmount = amount === undefined ? left : roundAmount(amount, { decimals });
+      if (captureAmount <= 0 || captureAmount > left) {
+        const amountError = new PaymentError(`Capture amount must be between 0 and ${left}`, order.paymentMethod, order.total);
+        amountError.code = 'INVALID_CAPTURE_AMOUNT';
+        throw amountError;
+      }
+
+      const provider = payment.provider
+        ? this.getProviderByName(payment.provider)
+        : this.getProvider(order.paymentMethod);
+      const result = await provider.capture(payment.payment_id, {
+        amount: captureAmount,
+        currency: authorization.currency,
+        final
+      });
+
+      const now = new Date();
+      const capturedAmount = roundAmount(authorization.captured_amount + captureAmount, { decimals });
+      const closed = final || capturedAmount >= authorization.amount;
+      payment.captures.push({
+        amount: captureAmount,
+        currency: authorization.currency,
+        reference: reference ? reference.toString() : undefined,
+        captured_at: now
+      });
+      authorization.captured_amount = capturedAmount;
+      if (closed) {
+        authorization.status = 'captured';
+        authorization.closed_at = now;
+      }
+      if (payment.payment_status === 'authorized') {
+        payment.payment_status = 'approved';
+      }
+      await payment.save();
+      logger.info('Payment captured', { paymentId: payment._id, amount: captureAmount, capturedAmount, final: closed });
+
+      return {
+        ...result,
+        amount: captureAmount,
+        capturedAmount,
+        remaining: closed ? 0 : roundAmount(authorization.amount - capturedAmount, { decimals }),
+        final: closed,
+        paymentRecord: payment
+      };
+    } catch (error) {
+      logger.error('Payment capture failed:', error);
+      throw PaymentError.fromError(error, order.paymentMethod, order.total);
+    }
+  }
+
+  /**
+   * Capture what has shipped of an order and is not captured yet (see
+   * shippedShare). Once everything has shipped the rest is captured and the
+   * authorization closes. Providers that capture only once (Stripe) take the
+   * whole authorization with the first shipment.
+   * @param {Object} order - Order document with its shipments
+   * @param {Object} [options] - { reference }, e.g. the shipment ID
+   * @returns {Promise<Object|null>} Result of capture, null when nothing new has shipped
+   * @throws {PaymentError} As capture
+   */
+  async captureShipped(order, { reference } = {}) {
+    const payment = await findOpenAuthorization(order);
+    const { authorization } = payment;
+    const provider = payment.provider
+      ? this.getProviderByName(payment.provider)
+      : this.getProvider(order.paymentMethod);
+
+    const share = shippedShare(order, toCharge(order));
+    const due = share >= 1
+      ? authorization.amount
+      : roundAmount(authorization.amount * share, { decimals: getMinorUnits(authorization.currency) });
+    if (due <= authorization.captured_amount) return null;
+
+    if (!provider.multipleCaptures || share >= 1) {
+      return this.capture(order, { reference });
+    }
+    return this.capture(order, { amount: due - authorization.captured_amount, final: false, reference });
+  }
+
+  /**
+   * Release what is left of the open authorization of an order. Money
+   * already captured stays captured; a Payment with nothing captured becomes
+   * voided. The released share is booked back with bookRelease, unless the
+   * provider's webhook closed the authorization first and booked it already.
+   * @param {Object} order - Order document with paymentId
+   * @returns {Promise<Object>} Provider result with paymentRecord, released
+   * (base-currency share of the order given back), walletTransaction and creditNote
+   * @throws {PaymentError} AUTHORIZATION_NOT_OPEN or the provider's error
+   */
+  async void(order) {
+    let payment;
+    let result;
+    let closed;
+    try {
+      payment = await findOpenAuthorization(order);
+      const provider = payment.provider
+        ? this.getProviderByName(payment.provider)
+        : this.getProvider(order.paymentMethod);
+      result = await provider.void(payment.payment_id);
+
+      const { authorization } = payment;
+      closed = await Payment.findOneAndUpdate(
+        { _id: payment._id, 'authorization.status': 'open' },
+        {
+          $set: {
+            'authorization.status': authorization.captured_amount > 0 ? 'captured' : 'voided',
+            'authorization.closed_at': new Date(),
+            ...(payment.payment_status === 'authorized' && { payment_status: 'voided' })
+          }
+        },
+        { new: true }
+      );
+      payment = closed || await Payment.findById(payment._id);
+      logger.info('Payment authorization released', { paymentId: payment._id, capturedAmount: authorization.captured_amount });
+    } catch (error) {
+      logger.error('Payment void failed:', error);
+      throw PaymentError.fromError(error, order.paymentMethod, order.total);
+    }
+
+    const booked = closed
+      ? await this.bookRelease(order, payment)
+      : { ...releaseOf(order, payment), walletTransaction: null, creditNote: null };
+    return { ...result, ...booked, paymentRecord: payment };
+  }
+
+  /**
+   * Book back the share of an order whose authorization was released, by a
+   * void or at the provider. The order was invoiced and its sellers credited
+   * at checkout, so it is booked like a refund: the store credit spent on it
+   * returns to the wallet, a credit note is issued and the sellers' earnings
+   * are reversed. Called once per authorization, by whoever closed it.
+   * The authorization is released already, so failures are logged, not thrown.
+   * @param {Object} order - Order document
+   * @param {Object} payment - Payment with its closed authorization
+   * @returns {Promise<Object>} { id, released, walletTransaction, creditNote }
+   */
+  async bookRelease(order, payment) {
+    const { id: reference, released } = releaseOf(order, payment);
+
+    let walletTransaction = null;
+    let creditNote = null;
+    if (released > 0) {
+      const walletShare = walletRefundShare(order, released);
+      try {
+        if (walletShare > 0) {
+          walletTransaction = await Wallet.credit(order.idCustomer, {
+            amount: walletShare,
+            source: 'order_refund',
+            reference,
+            order: order._id,
+            description: `Payment released for order #${order.orderNumber || order._id}`
+          });
+        }
+      } catch (walletError) {
+        logger.error('Failed to return store credit of a released payment - credit it manually', {
+          orderId: order._id,
+          amount: walletShare,
+          error: walletError.message
+        });
+      }
+
+      try {
+        creditNote = await Invoice.issueCreditNote(order, {
+          amount: released,
+          reason: 'Payment authorization released',
+          refundId: reference
+        });
+      } catch (creditNoteError) {
+        logger.error('Failed to issue credit note - issue it manually', {
+          orderId: order._id,
+          refundId: reference,
+          error: creditNoteError.message
+        });
+      }
+
+      try {
+        await SellerLedgerEntry.recordReversal(order, {
+          amount: released,
+          type: 'refund',
+          reference,
+          reason: 'Payment authorization released'
+        });
+      } catch (ledgerError) {
+        logger.error('Failed to reverse seller earnings - adjust the ledger manually', {
+          orderId: order._id,
+          refundId: reference,
+          error: ledgerError.message
+        });
+      }
+    }
+
+    return { id: reference, released, walletTransaction, creditNote };
+  }
+
+  /**
+   * Refund an order, record it on the Payment and issue a credit note. The
+   * share paid with store credit is credited back to the customer's wallet
+   * and only the rest goes through the provider, never more than was
+   * captured and not refunded yet. Use Order#refundPayment, which also
+   * records the refund on the order.
+   * @param {Object} order - Order document
+   * @param {Object} [refundData] - { amount, reason, returnRequest, breakdown };
+   * amount is in the order's base currency and defaults to what is left of the
+   * total; breakdown is the line-item split from Order#calculateRefund
+   * @returns {Promise<Object>} Provider response with paymentRecord, walletTransaction and creditNote
+   * @throws {PaymentError} INVALID_REFUND_AMOUNT when the amount is not positive or more than is
+   * left of the order, REFUND_EXCEEDS_CAPTURED when the payment does not hold that much
+   */
   async refund(order, refundData = {}) {
     try {
       logger.info('Processing refund for order:', { orderId: order._id, paymentId: order.paymentId });
 
-      if (!order.paymentId) throw new Error('Payment ID is required');
+      const decimals = getMinorUnits(order.baseCurrency || getBaseCurrency());
+      const left = roundAmount(order.total - (order.refundedAmount || 0), { decimals });
+      const refundAmount = roundAmount(refundData.amount ?? left, { decimals });
+      if (!(refundAmount > 0) || refundAmount > left) {
+        const amountError = new PaymentError(`Refund amount must be between 0 and ${left}`, order.paymentMethod, order.total);
+        amountError.code = 'INVALID_REFUND_AMOUNT';
+        throw amountError;
+      }
+      const walletShare = walletRefundShare(order, refundAmount);
+      const providerAmount = roundAmount(refundAmount - walletShare, { decimals });
 
-      const provider = this.getProvider(order.paymentMethod);
-      const result = await provider.fakeRefund(order);
-
-      // Update payment record with refund information
-      const payment = await Payment.findOne({ _id: order.paymentId });
-      if (!payment) {
-        throw new Error('Original payment record not found');
-      }
-
-      // Add refund details
-      const refundAmount = refundData.amount || order.total;
-      payment.refunds.push({
-        amount: refundAmount,
-        currency: 'USD',
-        reason: refundData.reason || 'Customer request',
-        processed_at: new Date(),
-        processor_refund_id: result.id
-      });
+      let result = { id: null };
+      let payment = null;
+      if (providerAmount > 0) {
+        if (!order.paymentId) throw new Error('Payment ID is required');
 
-      // Update payment status based on refund amount
-      payment.payment_status = refundAmount === order.total ? 'refunded' : 'partially_refunded';
+        payment = await Payment.findOne({ _id: order.paymentId });
+        if (!payment) {
+          throw new Error('Original payment record not found');
+        }
 
-      await payment.save();
-      logger.info('Refund successfully processed', { paymentId: payment._id, refundAmount });
+        // The provider refunds in the currency the customer paid
+        const charge = toCharge(order);
+        let chargeRefund = refundAmount === order.total ? charge.total : toOrderCurrency(order, providerAmount);
+
+        // Conversion rounding may go past the captured balance by a minor unit
+        const refundable = payment.refundable_amount;
+        const minorUnit = 1 / 10 ** getMinorUnits(charge.currency);
+        if (chargeRefund > refundable) {
+          if (chargeRefund - refundable > minorUnit + Number.EPSILON) {
+            const exceededError = new PaymentError(
+              `Refund of ${chargeRefund} ${charge.currency} exceeds the ${refundable} captured and not refunded`,
+              order.paymentMethod,
+              refundAmount
+            );
+            exceededError.code = 'REFUND_EXCEEDS_CAPTURED';
+            throw exceededError;
+          }
+          chargeRefund = refundable;
+        }
+
+        // Refund through the provider that took the payment, even if the routing changed since
+        const provider = payment.provider
+          ? this.getProviderByName(payment.provider)
+          : this.getProvider(order.paymentMethod);
+        const refund = await provider.refund(payment.payment_id, {
+          amount: chargeRefund,
+          currency: charge.currency,
+          reason: refundData.reason
+        });
+        result = { ...refund, id: refund.refundId };
+
+        // Add refund details, unless the provider's webhook recorded the refund first
+        const entry = {
+          amount: chargeRefund,
+          currency: charge.currency,
+          reason: refundData.reason || 'Customer request',
+          processed_at: new Date(),
+          processor_refund_id: result.id,
+          return_request: refundData.returnRequest || undefined
+        };
+        payment = await Payment.findOneAndUpdate(
+          { _id: payment._id, 'refunds.processor_refund_id': { $ne: result.id } },
+          { $push: { refunds: entry } },
+          { new: true }
+        ) || await Payment.findOneAndUpdate(
+          { _id: payment._id, 'refunds.processor_refund_id': result.id },
+          {
+            $set: {
+              'refunds.$.reason': entry.reason,
+              ...(entry.return_request && { 'refunds.$.return_request': entry.return_request })
+            }
+          },
+          { new: true }
+        );
+
+        // Refunded once nothing captured is left and nothing more can be captured
+        if (payment.payment_status !== 'disputed') {
+          payment.payment_status = payment.refundable_amount <= 0 && payment.authorization?.status !== 'open'
+            ? 'refunded'
+            : 'partially_refunded';
+        }
+
+        await payment.save();
+      }
+
+      let walletTransaction = null;
+      if (walletShare > 0) {
+        walletTransaction = await Wallet.credit(order.idCustomer, {
+          amount: walletShare,
+          source: 'order_refund',
+          reference: result.id,
+          order: order._id,
+          description: `Refund for order #${order.orderNumber || order._id}`
+        });
+      }
+
+      const refundId = result.id || walletTransaction._id.toString();
+      logger.info('Refund successfully processed', { paymentId: payment?._id, refundAmount, walletShare });
+
+      // The money has moved, so a failed credit note must not fail the refund
+      let creditNote = null;
+      try {
+        creditNote = await Invoice.issueCreditNote(order, {
+          amount: refundAmount,
+          reason: refundData.reason || 'Customer request',
+          refundId,
+          returnRequest: refundData.returnRequest,
+          breakdown: refundData.breakdown
+        });
+      } catch (creditNoteError) {
+        logger.error('Failed to issue credit note - issue it manually', {
+          orderId: order._id,
+          refundId,
+          error: creditNoteError.message
+        });
+      }
+
+      try {
+        // A return's reversal is keyed by the return request, so it is made once
+        await SellerLedgerEntry.recordReversal(order, {
+          amount: refundAmount,
+          type: refundData.returnRequest ? 'return' : 'refund',
+          reference: refundData.returnRequest ? refundData.returnRequest.toString() : refundId,
+          reason: refundData.reason,
+          items: refundData.breakdown?.items
+        });
+      } catch (ledgerError) {
+        logger.error('Failed to reverse seller earnings - adjust the ledger manually', {
+          orderId: order._id,
+          refundId,
+          error: ledgerError.message
+        });
+      }
 
       return {
         ...result,
-        paymentRecord: payment
+        id: refundId,
+        paymentRecord: payment,
+        walletTransaction,
+        creditNote
       };
     } catch (error) {
       logger.error('Refund processing failed:', error);
@@ -134,12 +803,107 @@ class PaymentProcessor {
     }
   }
 
+  /**
+   * Reverse a charge whose order was never committed. No Payment record is
+   * touched because the one written during checkout was rolled back.
+   * Never throws - a failed reversal is logged for manual follow-up.
+   * @param {Object} order - Order document that was charged
+   * @param {Object} paymentResult - Result returned by process() or authorize();
+   * an authorized one is voided rather than refunded
+   * @returns {Promise<Object|null>} Provider refund or void response, null on failure
+   */
+  async compensate(order, paymentResult) {
+    try {
+      const provider = paymentResult.provider
+        ? this.getProviderByName(paymentResult.provider)
+        : this.getProvider(order.paymentMethod);
+      const charge = toCharge(order);
+      const result = paymentResult.status === 'authorized'
+        ? await provider.void(paymentResult.transactionId)
+        : await provider.refund(paymentResult.transactionId, {
+          amount: charge.total,
+          currency: charge.currency,
+          reason: 'Checkout rolled back'
+        });
+
+      logger.warn('Payment reversed after failed checkout', {
+        orderId: order._id,
+        transactionId: paymentResult.transactionId,
+        refundId: result.refundId
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Payment reversal failed - manual refund required', {
+        orderId: order._id,
+        transactionId: paymentResult.transactionId,
+        amount: toCharge(order).total,
+        currency: order.currency,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Give back a payment the customer completed at the provider for an order
+   * that was cancelled meanwhile, e.g. a challenge passed after the payment
+   * timeout: an authorization is voided and a capture refunded (see
+   * compensate). Transactions that hold no money are left to lapse. Never
+   * throws.
+   * @param {Object} order - Cancelled order
+   * @param {Object} payment - Its Payment, still waiting for the customer
+   * @returns {Promise<Object|null>} Provider void or refund response, null when nothing was held
+   */
+  async releaseAbandoned(order, payment) {
+    try {
+      const provider = payment.provider
+        ? this.getProviderByName(payment.provider)
+        : this.getProvider(order.paymentMethod);
+      const { status } = await provider.getStatus(payment.payment_id);
+      if (status !== 'authorized' && status !== 'captured') return null;
+      return this.compensate(order, { provider: provider.name, transactionId: payment.payment_id, status });
+    } catch (error) {
+      logger.error('Could not check an abandoned payment - manual review required', {
+        orderId: order._id,
+        transactionId: payment.payment_id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Provider configured for a payment method
+   * @param {string} method - Order payment method
+   * @returns {PaymentProvider}
+   * @throws {PaymentError} UNSUPPORTED_PAYMENT_METHOD when no provider is configured for the method
+   */
   getProvider(method) {
-    const provider = this.providers[method];
-    if (!provider) {
-      throw new PaymentError(`Unsupported payment method: ${method}`);
+    const name = getProviderConfig()[method];
+    if (!name) {
+      const methodError = new PaymentError(`Unsupported payment method: ${method}`);
+      methodError.code = 'UNSUPPORTED_PAYMENT_METHOD';
+      throw methodError;
+    }
+    return this.getProviderByName(name, method);
+  }
+
+  /**
+   * Provider instance by implementation name, created on first use
+   * @param {string} name - stripe, paypal, cod, mock or a registered name
+   * @param {string} [method] - Payment method, for error reporting
+   * @returns {PaymentProvider}
+   */
+  getProviderByName(name, method) {
+    if (!this.providers.has(name)) {
+      const ProviderClass = this.providerClasses[name];
+      if (!ProviderClass) {
+        throw new PaymentError(`Unknown payment provider: ${name}`, method);
+      }
+      this.providers.set(name, new ProviderClass());
     }
-    return provider;
+    return this.providers.get(name);
   }
 }
 
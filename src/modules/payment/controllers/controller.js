@@ -0,0 +1,155 @@
+const WebhookEvent = require('../../../models/WebhookEvent');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const PaymentProcessor = require('../PaymentProcessor');
+const { completeApprovedPayment, handleStripeEvent, handlePayPalEvent } = require('../service');
+const { paymentReturnSchema } = require('../schemas');
+
+/**
+ * Apply a verified provider event once. Redeliveries of an event already
+ * applied are acknowledged without doing anything; a failure releases the
+ * event and answers 500 so the provider retries it.
+ */
+async function processEvent(req, res, provider, event, eventType, handler) {
+  const claimed = await WebhookEvent.claim(provider, event.id, eventType);
+  if (!claimed) {
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  let result;
+  try {
+    result = await handler(event);
+  } catch (error) {
+    await WebhookEvent.release(provider, event.id);
+    throw error;
+  }
+  await WebhookEvent.complete(provider, event.id, result);
+
+  if (result.payment) {
+    await AuditLog.logAsync({
+      event: 'PAYMENT_WEBHOOK',
+      action: 'payment',
+      entityType: 'Payment',
+      entityId: result.payment,
+      source: 'system',
+      status: 'info',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+      metadata: {
+        provider,
+        eventId: event.id,
+        eventType,
+        order: result.order,
+        paymentStatus: result.paymentStatus
+      }
+    });
+  } else {
+    logger.info(`Webhook event ${event.id} ignored: ${result.ignored}`);
+  }
+
+  res.status(200).json({ received: true });
+}
+
+class PaymentWebhookController {
+  async stripeWebhook(req, res) {
+    let event;
+    try {
+      event = PaymentProcessor.getProviderByName('stripe').constructEvent(req.body, req.get('Stripe-Signature'));
+    } catch (error) {
+      if (error.code === 'WEBHOOK_NOT_CONFIGURED') {
+        logger.error(`Stripe webhook rejected: ${error.message}`);
+        return res.status(503).json({ error: 'Webhook is not configured', code: error.code });
+      }
+      logger.warn(`Stripe webhook signature rejected: ${error.message}`);
+      return res.status(400).json({ error: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    try {
+      await processEvent(req, res, 'stripe', event, event.type, handleStripeEvent);
+    } catch (error) {
+      logger.error(`Stripe webhook error: ${error.message}`, { eventId: event.id, stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to process webhook event',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async paypalWebhook(req, res) {
+    let event;
+    try {
+      event = PaymentProcessor.getProviderByName('paypal').constructEvent(req.body, req.headers);
+    } catch (error) {
+      if (error.code === 'WEBHOOK_NOT_CONFIGURED') {
+        logger.error(`PayPal webhook rejected: ${error.message}`);
+        return res.status(503).json({ error: 'Webhook is not configured', code: error.code });
+      }
+      logger.warn(`PayPal webhook signature rejected: ${error.message}`);
+      return res.status(400).json({ error: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' });
+    }
+
+    try {
+      await processEvent(req, res, 'paypal', event, event.event_type, handlePayPalEvent);
+    } catch (error) {
+      logger.error(`PayPal webhook error: ${error.message}`, { eventId: event.id, stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to process webhook event',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // The customer is back from approving the payment at the provider
+  async paymentReturn(req, res) {
+    try {
+      const { error, value } = paymentReturnSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({
+          errors: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        });
+      }
+
+      const result = await completeApprovedPayment(value.token);
+      if (!result.payment) {
+        return res.status(404).json({ error: 'No payment is waiting for this approval', code: 'PAYMENT_NOT_FOUND' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'PAYMENT_APPROVAL_RETURN',
+        action: 'payment',
+        entityType: 'Payment',
+        entityId: result.payment,
+        source: 'api',
+        status: ['approved', 'authorized'].includes(result.paymentStatus) ? 'success' : 'info',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: { order: result.order, paymentStatus: result.paymentStatus }
+      });
+
+      res.status(200).json({
+        orderId: result.order,
+        paymentStatus: result.paymentStatus
+      });
+    } catch (error) {
+      logger.error(`Payment return error: ${error.message}`, { stack: error.stack });
+      if (error.name === 'PaymentError') {
+        return res.status(402).json({
+          error: 'Payment processing failed',
+          code: 'PAYMENT_FAILED',
+          reason: error.code,
+          declineCode: error.declineCode,
+          nextAction: error.nextAction
+        });
+      }
+      res.status(500).json({
+        error: 'Failed to complete the payment',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new PaymentWebhookController();
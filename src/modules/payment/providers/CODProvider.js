@@ -1,17 +1,61 @@
 // services/payment/providers/CODProvider.js
-class CODProvider {
-  async fakeProcess() {
-    // Simulate successful payment for COD
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+// Cash on delivery: nothing to call, the courier collects the money
+class CODProvider extends PaymentProvider {
+  constructor() {
+    super('cod', { recurring: true });
+  }
+
+  async authorize(charge, { capture = false } = {}) {
+    return {
+      transactionId: `COD-${crypto.randomUUID()}`,
+      status: capture ? 'captured' : 'authorized',
+      amount: charge.total,
+      capturedAmount: capture ? charge.total : 0,
+      refundedAmount: 0,
+      currency: charge.currency,
+      nextAction: null,
+      // The courier collects on delivery, so nothing lapses
+      expiresAt: null,
+      rawResponse: { status: 'success' }
+    };
+  }
+
+  async capture(transactionId, { amount, currency } = {}) {
     return {
-      transactionId: `COD-${Date.now()}`,
+      transactionId,
+      status: 'captured',
+      amount,
+      capturedAmount: amount,
+      refundedAmount: 0,
+      currency,
+      nextAction: null,
       rawResponse: { status: 'success' }
     };
   }
 
-  async fakeRefund() {
-    // COD doesn't support refunds in this flow
-    return { status: 'not_supported' };
+  async void(transactionId) {
+    return {
+      transactionId,
+      status: 'voided',
+      nextAction: null,
+      rawResponse: { status: 'success' }
+    };
+  }
+
+  // The money is paid back by hand, so the refund stays pending
+  async refund(transactionId, { amount, currency } = {}) {
+    return {
+      refundId: `COD-REFUND-${crypto.randomUUID()}`,
+      transactionId,
+      amount,
+      currency,
+      status: 'pending',
+      rawResponse: { status: 'manual' }
+    };
   }
 }
 
-module.exports = CODProvider;
\ No newline at end of file
+module.exports = CODProvider;
@@ -0,0 +1,257 @@
+// services/payment/providers/MockProvider.js
+const { randomUUID } = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+const { getMinorUnits, roundAmount } = require('../../currency/service');
+
+// Payment tokens that pick a scenario; any other token (or none) is approved
+const SCENARIOS = {
+  mock_decline: 'decline',
+  mock_insufficient_funds: 'insufficient_funds',
+  mock_timeout: 'timeout',
+  mock_3ds: 'challenge',
+  mock_3ds_fail: 'challenge_failed',
+  mock_approval: 'approval',
+  mock_capture_decline: 'capture_decline'
+};
+
+const getTimeoutMs = () => parseInt(process.env.MOCK_PAYMENT_TIMEOUT_MS, 10) || 0;
+
+// How long an authorization can be captured, like a card authorization
+const getAuthorizationHours = () => parseInt(process.env.MOCK_AUTHORIZATION_HOURS, 10) || 168;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Local provider that never leaves the process. Outcomes depend only on the
+ * payment token, so every payment path can be exercised offline:
+ *
+ * - mock_decline / mock_insufficient_funds: authorize is declined
+ * - mock_timeout: authorize fails with PROVIDER_TIMEOUT after MOCK_PAYMENT_TIMEOUT_MS
+ * - mock_3ds: authorize needs a 3-D Secure challenge, settled with completeChallenge;
+ *   completeAction passes it, as if the customer was back from it
+ * - mock_3ds_fail: the same, but completeAction fails the challenge
+ * - mock_approval: authorize sends the customer away to approve, like PayPal;
+ *   once approved (completeChallenge), authorize with the transaction ID as
+ *   payment token finishes it. completeAction does both
+ * - mock_capture_decline: authorize succeeds, capture is declined
+ *
+ * Captures can be partial and repeated until the authorization is used up or
+ * a capture is final, for MOCK_AUTHORIZATION_HOURS after it was authorized.
+ * Transactions live in memory, so they are gone after a restart; IDs are
+ * random so they never collide with payments recorded before.
+ */
+class MockProvider extends PaymentProvider {
+  constructor() {
+    super('mock', { recurring: true });
+    this.reset();
+  }
+
+  // Forget all transactions
+  reset() {
+    this.transactions = new Map();
+  }
+
+  nextId(prefix) {
+    return `${prefix}_${randomUUID()}`;
+  }
+
+  round(amount, currency) {
+    return roundAmount(amount, { decimals: getMinorUnits(currency) });
+  }
+
+  find(transactionId) {
+    const transaction = this.transactions.get(transactionId);
+    if (!transaction) {
+      throw this.error(`Unknown transaction ${transactionId}`, 'TRANSACTION_NOT_FOUND');
+    }
+    return transaction;
+  }
+
+  result(transaction) {
+    return {
+      transactionId: transaction.id,
+      status: transaction.status,
+      amount: transaction.amount,
+      capturedAmount: transaction.capturedAmount,
+      refundedAmount: transaction.refundedAmount,
+      currency: transaction.currency,
+      nextAction: transaction.status === 'requires_action'
+        ? transaction.scenario === 'approval'
+          ? { type: 'approval', url: `mock://approve/${transaction.id}` }
+          : { type: 'three_d_secure', url: `mock://3ds/${transaction.id}` }
+        : null,
+      expiresAt: ['authorized', 'partially_captured'].includes(transaction.status) ? transaction.expiresAt : null,
+      rawResponse: { ...transaction, refunds: [...transaction.refunds] }
+    };
+  }
+
+  async authorize(charge, { capture = false, paymentToken, reference } = {}) {
+    // The token of an approved transaction completes it
+    if (this.transactions.has(paymentToken)) {
+      return this.completeApproved(paymentToken, capture);
+    }
+
+    const scenario = SCENARIOS[paymentToken] || 'approve';
+
+    if (scenario === 'timeout') {
+      await wait(getTimeoutMs());
+      throw this.error('Payment provider did not respond in time', 'PROVIDER_TIMEOUT');
+    }
+    if (scenario === 'decline' || scenario === 'insufficient_funds') {
+      throw this.error('Payment was declined', 'PAYMENT_DECLINED', {
+        declineCode: scenario === 'decline' ? 'card_declined' : 'insufficient_funds'
+      });
+    }
+
+    const amount = this.round(charge.total, charge.currency);
+    const transaction = {
+      id: this.nextId('mock_txn'),
+      reference: reference || null,
+      scenario,
+      status: 'authorized',
+      amount,
+      capturedAmount: 0,
+      refundedAmount: 0,
+      currency: charge.currency,
+      captureOnChallenge: capture,
+      expiresAt: null,
+      refunds: []
+    };
+    this.transactions.set(transaction.id, transaction);
+
+    if (['challenge', 'challenge_failed', 'approval'].includes(scenario)) {
+      transaction.status = 'requires_action';
+    } else if (capture) {
+      transaction.capturedAmount = amount;
+      transaction.status = 'captured';
+    } else {
+      this.startAuthorization(transaction);
+    }
+
+    return this.result(transaction);
+  }
+
+  /**
+   * Settle the 3-D Secure challenge of a mock_3ds authorization, as the
+   * customer's bank would, or the approval of a mock_approval one, as the
+   * customer would
+   * @param {string} transactionId - Transaction waiting for the challenge
+   * @param {boolean} [passed=true] - Whether the customer passed it
+   * @returns {Object} Result with status authorized/captured, pending
+   * (approved, waiting for authorize), or declined
+   */
+  completeChallenge(transactionId, passed = true) {
+    const transaction = this.find(transactionId);
+    if (transaction.status !== 'requires_action') {
+      throw this.error('Transaction is not waiting for a challenge', 'INVALID_TRANSACTION_STATE');
+    }
+
+    if (!passed) {
+      transaction.status = 'declined';
+    } else if (transaction.scenario === 'approval') {
+      transaction.status = 'pending';
+    } else if (transaction.captureOnChallenge) {
+      transaction.capturedAmount = transaction.amount;
+      transaction.status = 'captured';
+    } else {
+      this.startAuthorization(transaction);
+    }
+    return this.result(transaction);
+  }
+
+  // The customer is back: the challenge is passed (failed for mock_3ds_fail) or the payment approved
+  async completeAction(transactionId, charge, { capture = false } = {}) {
+    const transaction = this.find(transactionId);
+    if (transaction.status === 'requires_action') {
+      this.completeChallenge(transactionId, transaction.scenario !== 'challenge_failed');
+    }
+    if (transaction.status === 'pending') {
+      return this.completeApproved(transactionId, capture);
+    }
+    return this.result(transaction);
+  }
+
+  startAuthorization(transaction) {
+    transaction.status = 'authorized';
+    transaction.expiresAt = new Date(Date.now() + getAuthorizationHours() * 60 * 60 * 1000);
+  }
+
+  completeApproved(transactionId, capture) {
+    const transaction = this.find(transactionId);
+    if (transaction.status !== 'pending') {
+      throw this.error(`Cannot complete a ${transaction.status} transaction`, 'INVALID_TRANSACTION_STATE');
+    }
+
+    if (capture) {
+      transaction.capturedAmount = transaction.amount;
+      transaction.status = 'captured';
+    } else {
+      this.startAuthorization(transaction);
+    }
+    return this.result(transaction);
+  }
+
+  async capture(transactionId, { amount, final = true } = {}) {
+    const transaction = this.find(transactionId);
+    if (!['authorized', 'partially_captured'].includes(transaction.status)) {
+      throw this.error(`Cannot capture a ${transaction.status} transaction`, 'INVALID_TRANSACTION_STATE');
+    }
+    if (transaction.scenario === 'capture_decline' || transaction.expiresAt < new Date()) {
+      throw this.error('Capture was declined', 'PAYMENT_DECLINED', { declineCode: 'authorization_expired' });
+    }
+
+    const remaining = this.round(transaction.amount - transaction.capturedAmount, transaction.currency);
+    const captureAmount = amount === undefined ? remaining : this.round(amount, transaction.currency);
+    if (captureAmount <= 0 || captureAmount > remaining) {
+      throw this.error(`Capture amount must be between 0 and ${remaining}`, 'INVALID_CAPTURE_AMOUNT');
+    }
+
+    transaction.capturedAmount = this.round(transaction.capturedAmount + captureAmount, transaction.currency);
+    transaction.status = final || transaction.capturedAmount === transaction.amount
+      ? 'captured'
+      : 'partially_captured';
+    return this.result(transaction);
+  }
+
+  async void(transactionId) {
+    const transaction = this.find(transactionId);
+    if (!['requires_action', 'authorized', 'partially_captured'].includes(transaction.status)) {
+      throw this.error(`Cannot void a ${transaction.status} transaction`, 'INVALID_TRANSACTION_STATE');
+    }
+
+    // After a partial capture only the rest of the authorization is released
+    transaction.status = transaction.capturedAmount > 0 ? 'captured' : 'voided';
+    return this.result(transaction);
+  }
+
+  async refund(transactionId, { amount, reason } = {}) {
+    const transaction = this.find(transactionId);
+    const refundable = this.round(transaction.capturedAmount - transaction.refundedAmount, transaction.currency);
+    const refundAmount = amount === undefined ? refundable : this.round(amount, transaction.currency);
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw this.error(`Refund amount must be between 0 and ${refundable}`, 'INVALID_REFUND_AMOUNT');
+    }
+
+    const refund = { id: this.nextId('mock_refund'), amount: refundAmount, reason: reason || null };
+    transaction.refunds.push(refund);
+    transaction.refundedAmount = this.round(transaction.refundedAmount + refundAmount, transaction.currency);
+    transaction.status = transaction.refundedAmount === transaction.capturedAmount ? 'refunded' : 'partially_refunded';
+
+    return {
+      refundId: refund.id,
+      transactionId: transaction.id,
+      amount: refundAmount,
+      currency: transaction.currency,
+      status: 'succeeded',
+      rawResponse: refund
+    };
+  }
+
+  async getStatus(transactionId) {
+    return this.result(this.find(transactionId));
+  }
+}
+
+MockProvider.SCENARIOS = Object.keys(SCENARIOS);
+
+module.exports = MockProvider;
@@ -1,8 +1,34 @@
 // services/payment/providers/PayPalProvider.js
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
 const paypal = require('@paypal/checkout-server-sdk');
+const PaymentProvider = require('./PaymentProvider');
+const { getMinorUnits, roundAmount } = require('../../currency/service');
 
-class PayPalProvider {
+// How far a webhook's transmission time may be from ours before it is refused as a replay
+const WEBHOOK_TOLERANCE_MS = 5 * 60 * 1000;
+
+// PayPal takes amounts as strings with the currency's decimals (none for JPY)
+const money = (value, currency) => ({
+  value: value.toFixed(getMinorUnits(currency)),
+  currency_code: currency
+});
+
+const sum = (list = [], status) => list
+  .filter(entry => !status || status.includes(entry.status))
+  .reduce((total, entry) => total + parseFloat(entry.amount.value), 0);
+
+/**
+ * PayPal Orders v2. The transaction ID is the PayPal order ID: the buyer
+ * approves the order on PayPal and the storefront passes its ID as the
+ * payment token. Without a token an order is created and returned with
+ * status requires_action and the approval link; PayPal sends the buyer back
+ * to PAYPAL_RETURN_URL (or PAYPAL_CANCEL_URL) with the order ID as token.
+ */
+class PayPalProvider extends PaymentProvider {
   constructor() {
+    super('paypal');
     this.environment = new paypal.core.SandboxEnvironment(
       process.env.PAYPAL_CLIENT_ID,
       process.env.PAYPAL_SECRET
@@ -10,91 +36,264 @@ class PayPalProvider {
     this.client = new paypal.core.PayPalHttpClient(this.environment);
   }
 
-  async process(order) {
-    const request = new paypal.orders.OrdersCreateRequest();
-    request.prefer("return=representation");
-    request.requestBody(this.createOrderRequestBody(order));
-
-    const response = await this.client.execute(request);
-    const captureResponse = await this.captureOrder(response.result.id);
-
-    return {
-      transactionId: captureResponse.result.id,
-      rawResponse: captureResponse.result
-    };
-  }
+  // PayPal refuses an order whose breakdown does not add up to its amount:
+  // items are the lines as priced (effectiveQuantity units at the rounded unit
+  // price), tax counts only when it comes on top of the prices, and the
+  // discount takes the rest (promotions, store credit and rounding).
+  createOrderRequestBody(order, intent = 'CAPTURE') {
+    const decimals = getMinorUnits(order.currency);
+    const round = value => roundAmount(value, { decimals });
+    const items = order.items
+      .map(item => ({
+        name: `Product ${item.idProduct}`,
+        unit_amount: round(item.priceAtPurchase),
+        quantity: item.effectiveQuantity ?? item.quantity
+      }))
+      .filter(item => item.quantity > 0);
+    const itemTotal = round(items.reduce((total, item) => total + item.unit_amount * item.quantity, 0));
+    const shipping = round(order.shippingCost || 0);
+    const taxTotal = order.taxBreakdown?.pricesIncludeTax ? 0 : round(order.tax || 0);
+    const adjustment = round(itemTotal + shipping + taxTotal - order.total);
 
-  createOrderRequestBody(order) {
     return {
-      intent: 'CAPTURE',
+      intent,
+      ...(process.env.PAYPAL_RETURN_URL && {
+        application_context: {
+          return_url: process.env.PAYPAL_RETURN_URL,
+          cancel_url: process.env.PAYPAL_CANCEL_URL || process.env.PAYPAL_RETURN_URL,
+          user_action: intent === 'CAPTURE' ? 'PAY_NOW' : 'CONTINUE'
+        }
+      }),
       purchase_units: [{
+        reference_id: order._id.toString(),
         amount: {
-          currency_code: 'USD',
-          value: order.total.toFixed(2),
+          ...money(order.total, order.currency),
           breakdown: {
-            item_total: { value: order.subtotal.toFixed(2), currency_code: 'USD' },
-            shipping: { value: order.shippingCost.toFixed(2), currency_code: 'USD' },
-            tax_total: { value: order.tax.toFixed(2), currency_code: 'USD' }
+            item_total: money(itemTotal, order.currency),
+            shipping: money(shipping, order.currency),
+            tax_total: money(taxTotal, order.currency),
+            discount: money(Math.max(adjustment, 0), order.currency),
+            // Rounding that leaves the parts short of the amount
+            ...(adjustment < 0 && { handling: money(-adjustment, order.currency) })
           }
         },
-        items: order.items.map(item => ({
-          name: `Product ${item.idProduct}`,
-          unit_amount: { value: item.priceAtPurchase.toFixed(2), currency_code: 'USD' },
-          quantity: item.quantity
+        items: items.map(item => ({
+          ...item,
+          unit_amount: money(item.unit_amount, order.currency)
         }))
       }]
     };
   }
 
-  async captureOrder(orderId) {
-    const request = new paypal.orders.OrdersCaptureRequest(orderId);
-    return await this.client.execute(request);
+  async execute(request) {
+    try {
+      return (await this.client.execute(request)).result;
+    } catch (error) {
+      if (error.statusCode === 422) {
+        throw this.error(error.message, 'PAYMENT_DECLINED', { declineCode: 'unprocessable' });
+      }
+      if (!error.statusCode) {
+        throw this.error('PayPal did not respond in time', 'PROVIDER_TIMEOUT');
+      }
+      throw this.error(error.message, 'PROVIDER_ERROR');
+    }
   }
 
-  async fakeProcess(order) {
-    // Simulate a successful PayPal payment
-    const fakeTransactionId = `fake_paypal_${Date.now()}`;
+  result(order) {
+    const unit = order.purchase_units?.[0] || {};
+    const payments = unit.payments || {};
+    const authorization = payments.authorizations?.[0];
+    const currency = unit.amount?.currency_code;
+    const amount = parseFloat(unit.amount?.value || 0);
+    const capturedAmount = sum(payments.captures, ['COMPLETED', 'PARTIALLY_REFUNDED', 'REFUNDED']);
+    const refundedAmount = sum(payments.refunds, ['COMPLETED']);
+
+    let status;
+    if (['CREATED', 'SAVED', 'PAYER_ACTION_REQUIRED'].includes(order.status)) {
+      status = 'requires_action';
+    } else if (order.status === 'APPROVED') {
+      status = 'pending';
+    } else if (order.status === 'VOIDED' || authorization?.status === 'VOIDED') {
+      status = capturedAmount > 0 ? 'captured' : 'voided';
+    } else if (refundedAmount > 0) {
+      status = refundedAmount >= capturedAmount ? 'refunded' : 'partially_refunded';
+    } else if (authorization?.status === 'PARTIALLY_CAPTURED') {
+      status = 'partially_captured';
+    } else if (capturedAmount > 0) {
+      status = 'captured';
+    } else if (authorization?.status === 'DENIED' || payments.captures?.some(entry => entry.status === 'DECLINED')) {
+      status = 'declined';
+    } else {
+      status = authorization ? 'authorized' : 'pending';
+    }
+
+    const approve = order.links?.find(link => ['approve', 'payer-action'].includes(link.rel));
     return {
-      transactionId: fakeTransactionId,
-      rawResponse: {
-        id: fakeTransactionId,
-        status: 'COMPLETED',
-        purchase_units: [{
-          amount: {
-            currency_code: 'USD',
-            value: order.total.toFixed(2),
-            breakdown: {
-              item_total: { value: order.subtotal.toFixed(2), currency_code: 'USD' },
-              shipping: { value: order.shippingCost.toFixed(2), currency_code: 'USD' },
-              tax_total: { value: order.tax.toFixed(2), currency_code: 'USD' }
-            }
-          },
-          items: order.items.map(item => ({
-            name: `Product ${item.idProduct}`,
-            unit_amount: { value: item.priceAtPurchase.toFixed(2), currency_code: 'USD' },
-            quantity: item.quantity
-          }))
-        }]
-      }
+      transactionId: order.id,
+      status,
+      amount,
+      capturedAmount,
+      refundedAmount,
+      currency,
+      nextAction: status === 'requires_action' && approve ? { type: 'approval', url: approve.href } : null,
+      expiresAt: ['authorized', 'partially_captured'].includes(status) && authorization?.expiration_time
+        ? new Date(authorization.expiration_time)
+        : null,
+      rawResponse: order
     };
   }
 
-  async fakeRefund(order) {
-    // Simulate a successful PayPal refund
+  async getOrder(orderId) {
+    return this.execute(new paypal.orders.OrdersGetRequest(orderId));
+  }
+
+  async authorize(charge, { capture = false, paymentToken } = {}) {
+    if (!paymentToken) {
+      const request = new paypal.orders.OrdersCreateRequest();
+      request.prefer('return=representation');
+      request.requestBody(this.createOrderRequestBody(charge, capture ? 'CAPTURE' : 'AUTHORIZE'));
+      return this.result(await this.execute(request));
+    }
+
+    const request = capture
+      ? new paypal.orders.OrdersCaptureRequest(paymentToken)
+      : new paypal.orders.OrdersAuthorizeRequest(paymentToken);
+    request.prefer('return=representation');
+    request.requestBody({});
+    const order = await this.execute(request);
+
+    const result = this.result(order);
+    if (result.status === 'declined') {
+      throw this.error('PayPal declined the payment', 'PAYMENT_DECLINED', { declineCode: 'declined' });
+    }
+    return result;
+  }
+
+  async capture(transactionId, { amount, currency, final = true } = {}) {
+    const authorization = (await this.getOrder(transactionId)).purchase_units?.[0]?.payments?.authorizations?.[0];
+    if (!authorization) {
+      throw this.error('PayPal order has no authorization to capture', 'INVALID_TRANSACTION_STATE');
+    }
+
+    const request = new paypal.payments.AuthorizationsCaptureRequest(authorization.id);
+    request.prefer('return=representation');
+    request.requestBody({
+      ...(amount !== undefined && { amount: money(amount, currency) }),
+      final_capture: final
+    });
+    await this.execute(request);
+    return this.getStatus(transactionId);
+  }
+
+  async void(transactionId) {
+    const authorization = (await this.getOrder(transactionId)).purchase_units?.[0]?.payments?.authorizations?.[0];
+    if (!authorization) {
+      throw this.error('PayPal order has no authorization to void', 'INVALID_TRANSACTION_STATE');
+    }
+
+    await this.execute(new paypal.payments.AuthorizationsVoidRequest(authorization.id));
+    return this.getStatus(transactionId);
+  }
+
+  // Refunds go against the latest completed capture of the order
+  async refund(transactionId, { amount, currency, reason } = {}) {
+    const captures = (await this.getOrder(transactionId)).purchase_units?.[0]?.payments?.captures || [];
+    const captureEntry = [...captures].reverse().find(entry => ['COMPLETED', 'PARTIALLY_REFUNDED'].includes(entry.status));
+    if (!captureEntry) {
+      throw this.error('PayPal order has no capture to refund', 'INVALID_TRANSACTION_STATE');
+    }
+
+    const request = new paypal.payments.CapturesRefundRequest(captureEntry.id);
+    request.prefer('return=representation');
+    request.requestBody({
+      ...(amount !== undefined && { amount: money(amount, currency) }),
+      ...(reason && { note_to_payer: reason.slice(0, 255) })
+    });
+    const refund = await this.execute(request);
+    if (['CANCELLED', 'FAILED'].includes(refund.status)) {
+      throw this.error(`PayPal refund ${refund.status.toLowerCase()}`, 'REFUND_FAILED');
+    }
+
     return {
-      id: `fake_refund_${Date.now()}`,
-      status: 'COMPLETED',
-      amount: {
-        value: order.total.toFixed(2),
-        currency_code: 'USD'
-      },
-      links: [{
-        href: 'https://api.sandbox.paypal.com/fake-refund',
-        rel: 'self',
-        method: 'GET'
-      }]
+      refundId: refund.id,
+      transactionId,
+      amount: parseFloat(refund.amount?.value ?? amount),
+      currency: refund.amount?.currency_code || currency,
+      status: refund.status === 'COMPLETED' ? 'succeeded' : 'pending',
+      rawResponse: refund
     };
   }
+
+  async getStatus(transactionId) {
+    return this.result(await this.getOrder(transactionId));
+  }
+
+  /**
+   * PayPal order a capture belongs to, for webhook events about captures
+   * @param {string} captureId - PayPal capture ID
+   * @returns {Promise<string|null>} PayPal order ID
+   */
+  async getCaptureOrderId(captureId) {
+    const captureEntry = await this.execute(new paypal.payments.CapturesGetRequest(captureId));
+    return captureEntry.supplementary_data?.related_ids?.order_id || null;
+  }
+
+  // Certificates PayPal signs webhooks with, read once from PAYPAL_WEBHOOK_CERT_PATH.
+  // The file may hold several, so a new certificate can be added before PayPal switches.
+  getWebhookCertificates() {
+    if (!this.webhookCertificates) {
+      const pem = fs.readFileSync(process.env.PAYPAL_WEBHOOK_CERT_PATH, 'utf8');
+      this.webhookCertificates = (pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+        .map(certificate => new crypto.X509Certificate(certificate));
+    }
+    return this.webhookCertificates;
+  }
+
+  /**
+   * Verify a webhook delivery and parse it. The signature covers the
+   * transmission ID and time, PAYPAL_WEBHOOK_ID and the CRC32 of the body,
+   * and is checked against the locally configured certificates rather than
+   * the certificate URL sent with the request.
+   * @param {Buffer} payload - Raw request body, exactly as received
+   * @param {Object} headers - PAYPAL-TRANSMISSION-ID, -TIME, -SIG and PAYPAL-AUTH-ALGO, lowercased
+   * @returns {Object} PayPal event
+   * @throws {PaymentError} WEBHOOK_NOT_CONFIGURED or INVALID_SIGNATURE
+   */
+  constructEvent(payload, headers) {
+    if (!process.env.PAYPAL_WEBHOOK_ID || !process.env.PAYPAL_WEBHOOK_CERT_PATH) {
+      throw this.error('PAYPAL_WEBHOOK_ID and PAYPAL_WEBHOOK_CERT_PATH must be set', 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    const transmissionId = headers['paypal-transmission-id'];
+    const transmissionTime = headers['paypal-transmission-time'];
+    const signature = headers['paypal-transmission-sig'];
+    if (!transmissionId || !transmissionTime || !signature) {
+      throw this.error('Missing PayPal transmission headers', 'INVALID_SIGNATURE');
+    }
+    if (headers['paypal-auth-algo'] !== 'SHA256withRSA') {
+      throw this.error(`Unsupported signature algorithm ${headers['paypal-auth-algo']}`, 'INVALID_SIGNATURE');
+    }
+    if (!(Math.abs(Date.now() - Date.parse(transmissionTime)) <= WEBHOOK_TOLERANCE_MS)) {
+      throw this.error('Transmission time is outside the tolerance', 'INVALID_SIGNATURE');
+    }
+
+    const message = `${transmissionId}|${transmissionTime}|${process.env.PAYPAL_WEBHOOK_ID}|${zlib.crc32(payload)}`;
+    const now = new Date();
+    const valid = this.getWebhookCertificates().some(certificate =>
+      new Date(certificate.validFrom) <= now
+      && new Date(certificate.validTo) >= now
+      && crypto.verify('sha256', Buffer.from(message), certificate.publicKey, Buffer.from(signature, 'base64'))
+    );
+    if (!valid) {
+      throw this.error('Signature does not match any configured certificate', 'INVALID_SIGNATURE');
+    }
+
+    try {
+      return JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+      throw this.error('Webhook body is not valid JSON', 'INVALID_SIGNATURE');
+    }
+  }
 }
 
-module.exports = PayPalProvider;
\ No newline at end of file
+module.exports = PayPalProvider;
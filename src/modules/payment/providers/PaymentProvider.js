@@ -0,0 +1,153 @@
+// services/payment/providers/PaymentProvider.js
+const PaymentError = require('../PaymentError');
+
+// Normalized transaction states every provider reports
+const PAYMENT_STATUSES = [
+  'requires_action',
+  'pending',
+  'authorized',
+  'partially_captured',
+  'captured',
+  'voided',
+  'partially_refunded',
+  'refunded',
+  'declined'
+];
+
+/**
+ * Contract every payment provider implements. Amounts are in the charge
+ * currency's major units (e.g. 12.50 EUR); providers convert to their own
+ * format. Operations the provider cannot perform throw
+ * PAYMENT_OPERATION_NOT_SUPPORTED.
+ *
+ * Operations on a transaction resolve to a normalized result:
+ * { transactionId, status, amount, capturedAmount, refundedAmount, currency, nextAction, expiresAt, rawResponse }
+ * where status is one of PAYMENT_STATUSES. While the transaction is
+ * authorized (or partially captured), expiresAt is when the authorization
+ * lapses, or null if it does not. While it is requires_action,
+ * nextAction says what the customer has to do: { type: 'approval', url }
+ * to approve the payment on the provider's page, or another type (e.g.
+ * three_d_secure) for a challenge within the payment; completeAction
+ * finishes it once the customer is back. Refunds resolve to
+ * { refundId, transactionId, amount, currency, status, rawResponse } with
+ * status succeeded or pending. Declines and provider failures
+ * reject with a PaymentError carrying a code (PAYMENT_DECLINED, PROVIDER_TIMEOUT, ...).
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name, stored on Payment records
+   * @param {Object} [options]
+   * @param {boolean} [options.multipleCaptures=true] - Whether an authorization
+   * can be captured in several parts; providers that capture once release the
+   * rest with the first capture
+   * @param {boolean} [options.recurring=false] - Whether it can charge without
+   * the customer present, e.g. for subscription renewals
+   * @param {boolean} [options.storedPaymentMethod=false] - Whether such charges
+   * need a saved payment method: its token and the provider's customer reference
+   */
+  constructor(name, { multipleCaptures = true, recurring = false, storedPaymentMethod = false } = {}) {
+    this.name = name;
+    this.multipleCaptures = multipleCaptures;
+    this.recurring = recurring;
+    this.storedPaymentMethod = storedPaymentMethod;
+  }
+
+  /**
+   * Reserve the charge amount, or charge it straight away with capture
+   * @param {Object} charge - Order in its presentment currency (see PaymentProcessor)
+   * @param {Object} [options]
+   * @param {boolean} [options.capture=false] - Capture in the same call
+   * @param {string} [options.paymentToken] - Provider token of the payment method
+   * @param {string} [options.customerReference] - Provider's customer the saved payment method belongs to
+   * @param {boolean} [options.offSession=false] - The customer is not present, e.g. a subscription renewal
+   * @param {string} [options.reference] - Our reference, the order ID
+   * @returns {Promise<Object>} Result with status authorized, captured or requires_action
+   */
+  async authorize(charge, options = {}) {
+    throw this.unsupported('authorize');
+  }
+
+  /**
+   * Finish a requires_action transaction once the customer approved it or
+   * passed its challenge. By default authorize is called with the transaction
+   * ID as payment token, which completes an approval.
+   * @param {string} transactionId - Provider transaction ID
+   * @param {Object} charge - Order in its presentment currency
+   * @param {Object} [options]
+   * @param {boolean} [options.capture=false] - Capture rather than authorize
+   * @param {string} [options.reference] - Our reference, the order ID
+   * @returns {Promise<Object>} Result with status authorized, captured,
+   * pending, or still requires_action when the customer is not done
+   */
+  async completeAction(transactionId, charge, options = {}) {
+    return this.authorize(charge, { ...options, paymentToken: transactionId });
+  }
+
+  /**
+   * Capture an authorization in full or in part
+   * @param {string} transactionId - Provider transaction ID
+   * @param {Object} [options]
+   * @param {number} [options.amount] - Amount to capture, defaults to what is left
+   * @param {string} [options.currency] - Charge currency
+   * @param {boolean} [options.final=true] - Release the rest of the authorization
+   * @returns {Promise<Object>} Result with status captured or partially_captured
+   */
+  async capture(transactionId, options = {}) {
+    throw this.unsupported('capture');
+  }
+
+  /**
+   * Release an authorization that was not captured
+   * @param {string} transactionId - Provider transaction ID
+   * @returns {Promise<Object>} Result with status voided
+   */
+  async void(transactionId) {
+    throw this.unsupported('void');
+  }
+
+  /**
+   * Give back captured money in full or in part
+   * @param {string} transactionId - Provider transaction ID
+   * @param {Object} options
+   * @param {number} options.amount - Amount to refund
+   * @param {string} options.currency - Charge currency
+   * @param {string} [options.reason] - Why the money is returned
+   * @returns {Promise<Object>} Refund result
+   */
+  async refund(transactionId, options = {}) {
+    throw this.unsupported('refund');
+  }
+
+  /**
+   * Current state of a transaction at the provider
+   * @param {string} transactionId - Provider transaction ID
+   * @returns {Promise<Object>} Result
+   */
+  async getStatus(transactionId) {
+    throw this.unsupported('getStatus');
+  }
+
+  unsupported(operation) {
+    const err = new PaymentError(`${this.name} does not support ${operation}`, this.name);
+    err.code = 'PAYMENT_OPERATION_NOT_SUPPORTED';
+    return err;
+  }
+
+  /**
+   * Error for a failed provider call
+   * @param {string} message - What went wrong
+   * @param {string} code - PAYMENT_DECLINED, PROVIDER_TIMEOUT, ...
+   * @param {Object} [details] - Extra fields, e.g. declineCode
+   * @returns {PaymentError}
+   */
+  error(message, code, details = {}) {
+    const err = new PaymentError(message, this.name);
+    err.code = code;
+    Object.assign(err, details);
+    return err;
+  }
+}
+
+PaymentProvider.PAYMENT_STATUSES = PAYMENT_STATUSES;
+
+module.exports = PaymentProvider;
@@ -1,57 +1,179 @@
 // services/payment/providers/StripeProvider.js
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const PaymentProvider = require('./PaymentProvider');
+const { toMinorUnits, fromMinorUnits } = require('../../currency/service');
 
-class StripeProvider {
-  async process(order) {
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(order.total * 100),
-      currency: 'usd',
-      metadata: { orderId: order._id.toString() },
-      description: `Order #${order.orderNumber}`,
-      capture_method: 'automatic' // Auto-capture payments
-    });
+// Card authorizations lapse after 7 days unless the charge says otherwise
+const AUTHORIZATION_DAYS = 7;
 
-    const confirmedIntent = await stripe.paymentIntents.confirm(paymentIntent.id);
-    
-    if (confirmedIntent.status !== 'succeeded') {
-      throw new Error(`Stripe payment failed: ${confirmedIntent.last_payment_error?.message || 'Unknown error'}`);
+// PaymentIntent states in the provider contract's terms
+const INTENT_STATUSES = {
+  requires_payment_method: 'declined',
+  requires_confirmation: 'pending',
+  requires_action: 'requires_action',
+  processing: 'pending',
+  requires_capture: 'authorized',
+  canceled: 'voided',
+  succeeded: 'captured'
+};
+
+class StripeProvider extends PaymentProvider {
+  constructor() {
+    super('stripe', { multipleCaptures: false, recurring: true, storedPaymentMethod: true });
+  }
+
+  // Card errors are declines; anything that never got an answer is a timeout
+  wrapError(error) {
+    if (error.type === 'StripeCardError') {
+      return this.error(error.message, 'PAYMENT_DECLINED', { declineCode: error.decline_code || error.code });
+    }
+    if (error.type === 'StripeConnectionError') {
+      return this.error('Stripe did not respond in time', 'PROVIDER_TIMEOUT');
     }
+    return this.error(error.message, 'PROVIDER_ERROR');
+  }
+
+  result(intent) {
+    const currency = intent.currency.toUpperCase();
+    let status = INTENT_STATUSES[intent.status] || 'pending';
+    const refunded = intent.latest_charge?.amount_refunded || 0;
+    if (status === 'captured' && refunded > 0) {
+      status = refunded >= intent.amount_received ? 'refunded' : 'partially_refunded';
+    }
+    const captureBefore = intent.latest_charge?.payment_method_details?.card?.capture_before;
 
     return {
-      transactionId: confirmedIntent.id,
-      rawResponse: confirmedIntent
+      transactionId: intent.id,
+      status,
+      amount: fromMinorUnits(intent.amount, currency),
+      capturedAmount: fromMinorUnits(intent.amount_received || 0, currency),
+      refundedAmount: fromMinorUnits(refunded, currency),
+      currency,
+      // Stripe.js completes a challenge in the page with the client secret
+      nextAction: intent.next_action
+        ? {
+          type: intent.next_action.type,
+          url: intent.next_action.redirect_to_url?.url || null,
+          clientSecret: intent.client_secret
+        }
+        : null,
+      expiresAt: status === 'authorized'
+        ? new Date(captureBefore ? captureBefore * 1000 : (intent.created + AUTHORIZATION_DAYS * 24 * 60 * 60) * 1000)
+        : null,
+      rawResponse: intent
     };
   }
 
-  async refund(order) {
-    return await stripe.refunds.create({
-      payment_intent: order.transactionId,
-      amount: Math.round(order.total * 100)
-    });
+  async authorize(charge, { capture = false, paymentToken, customerReference, offSession = false, reference } = {}) {
+    try {
+      const intent = await stripe.paymentIntents.create({
+        amount: toMinorUnits(charge.total, charge.currency),
+        currency: charge.currency.toLowerCase(),
+        payment_method: paymentToken,
+        customer: customerReference,
+        confirm: !!paymentToken,
+        off_session: offSession || undefined,
+        capture_method: capture ? 'automatic' : 'manual',
+        metadata: { orderId: reference || charge._id.toString() },
+        description: `Order #${charge.orderNumber || charge._id}`,
+        expand: ['latest_charge']
+      });
+      return this.result(intent);
+    } catch (error) {
+      throw this.wrapError(error);
+    }
   }
 
-  async fakeProcess(order) {
-    // Simulate a successful payment with a fake transaction ID
-    return {
-      transactionId: `fake_stripe_${Date.now()}`,
-      rawResponse: {
-        status: 'succeeded',
-        amount: Math.round(order.total * 100),
-        currency: 'usd',
-        metadata: { orderId: order._id.toString() }
+  // The customer confirms a challenge with Stripe.js, so the intent only needs reading back
+  async completeAction(transactionId) {
+    return this.getStatus(transactionId);
+  }
+
+  // Stripe captures once; whatever is not captured is released
+  async capture(transactionId, { amount, currency } = {}) {
+    try {
+      const intent = await stripe.paymentIntents.capture(
+        transactionId,
+        amount === undefined ? {} : { amount_to_capture: toMinorUnits(amount, currency) }
+      );
+      return this.result(intent);
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  async void(transactionId) {
+    try {
+      return this.result(await stripe.paymentIntents.cancel(transactionId));
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  async refund(transactionId, { amount, currency, reason } = {}) {
+    try {
+      const refund = await stripe.refunds.create({
+        payment_intent: transactionId,
+        ...(amount !== undefined && { amount: toMinorUnits(amount, currency) }),
+        metadata: { reason: reason || '' }
+      });
+      if (refund.status === 'failed' || refund.status === 'canceled') {
+        throw this.error(`Stripe refund ${refund.status}`, 'REFUND_FAILED');
       }
-    };
+
+      return {
+        refundId: refund.id,
+        transactionId,
+        amount: fromMinorUnits(refund.amount, refund.currency.toUpperCase()),
+        currency: refund.currency.toUpperCase(),
+        status: refund.status === 'succeeded' ? 'succeeded' : 'pending',
+        rawResponse: refund
+      };
+    } catch (error) {
+      throw error.name === 'PaymentError' ? error : this.wrapError(error);
+    }
   }
 
-  async fakeRefund(order) {
-    // Simulate a successful refund
-    return {
-      id: `fake_refund_${Date.now()}`,
-      payment_intent: order.transactionId,
-      amount: Math.round(order.total * 100),
-      status: 'succeeded'
-    };
+  async getStatus(transactionId) {
+    try {
+      const intent = await stripe.paymentIntents.retrieve(transactionId, { expand: ['latest_charge'] });
+      return this.result(intent);
+    } catch (error) {
+      throw this.wrapError(error);
+    }
+  }
+
+  /**
+   * Verify a webhook delivery against STRIPE_WEBHOOK_SECRET and parse it
+   * @param {Buffer} payload - Raw request body, exactly as received
+   * @param {string} signature - Stripe-Signature header
+   * @returns {Object} Stripe event
+   * @throws {PaymentError} WEBHOOK_NOT_CONFIGURED or INVALID_SIGNATURE
+   */
+  constructEvent(payload, signature) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) {
+      throw this.error('STRIPE_WEBHOOK_SECRET is not set', 'WEBHOOK_NOT_CONFIGURED');
+    }
+    try {
+      return stripe.webhooks.constructEvent(payload, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    } catch (error) {
+      throw this.error(error.message, 'INVALID_SIGNATURE');
+    }
+  }
+
+  /**
+   * Refunds of a charge, for events that do not embed them
+   * @param {string} chargeId - Stripe charge ID
+   * @returns {Promise<Array>} Stripe refund objects
+   */
+  async listRefunds(chargeId) {
+    try {
+      const refunds = await stripe.refunds.list({ charge: chargeId, limit: 100 });
+      return refunds.data;
+    } catch (error) {
+      throw this.wrapError(error);
+    }
   }
 }
 
-module.exports = StripeProvider;
\ No newline at end of file
+module.exports = StripeProvider;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const paymentController = require('./controllers/controller');
+
+// Customer back from approving a payment at the provider
+router.post('/return', 
+  paymentController.paymentReturn
+);
+
+// Provider webhooks: authenticated by signature, the body arrives raw (see app.js)
+router.post('/webhooks/stripe', 
+  paymentController.stripeWebhook
+);
+
+router.post('/webhooks/paypal', 
+  paymentController.paypalWebhook
+);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const Joi = require('joi');
+
+// PayPal appends the order ID to the return URL as ?token=; after a challenge
+// the storefront sends the transaction ID, e.g. the PaymentIntent ID
+const paymentReturnSchema = Joi.object({
+  token: Joi.string().trim().max(255).required().messages({
+    'string.empty': 'Payment token is required',
+    'string.max': 'Payment token cannot exceed 255 characters',
+    'any.required': 'Payment token is required'
+  })
+}).options({ abortEarly: false });
+
+module.exports = {
+  paymentReturnSchema
+};
@@ -0,0 +1,414 @@
+const Payment = require('../../models/Payments');
+const Order = require('../../models/Order');
+const PaymentProcessor = require('./PaymentProcessor');
+const { fromMinorUnits, fromOrderCurrency } = require('../currency/service');
+
+// Order paymentStatus that follows from a Payment status
+const ORDER_PAYMENT_STATUSES = {
+    created: 'pending',
+    pending: 'pending',
+    authorized: 'authorized',
+    approved: 'completed',
+    voided: 'voided',
+    failed: 'failed',
+    partially_refunded: 'partially_refunded',
+    refunded: 'refunded',
+    disputed: 'disputed'
+};
+
+// PaymentIntent events: the status they set and the statuses they may replace.
+// Events arrive out of order, so a late success never undoes a refund or dispute.
+// A created payment already waits for the customer's challenge, so
+// payment_intent.requires_action has nothing to change.
+const INTENT_EVENTS = {
+    'payment_intent.processing': { status: 'pending', from: ['created'] },
+    'payment_intent.succeeded': { status: 'approved', from: ['created', 'pending', 'failed'] },
+    'payment_intent.payment_failed': { status: 'failed', from: ['created', 'pending'] },
+    // An authorized payment is voided instead, see releaseAuthorization
+    'payment_intent.canceled': { status: 'failed', from: ['created', 'pending'] }
+};
+
+// PayPal capture events, in the same terms
+const PAYPAL_CAPTURE_EVENTS = {
+    'PAYMENT.CAPTURE.PENDING': { status: 'pending', from: ['created'] },
+    'PAYMENT.CAPTURE.COMPLETED': { status: 'approved', from: ['created', 'pending', 'failed'] },
+    'PAYMENT.CAPTURE.DENIED': { status: 'failed', from: ['created', 'pending'] },
+    'PAYMENT.CAPTURE.DECLINED': { status: 'failed', from: ['created', 'pending'] }
+};
+
+// Refunds may follow any successful payment, but do not end a dispute
+const REFUNDABLE_STATUSES = ['created', 'pending', 'approved', 'partially_refunded'];
+
+// Failures that end this approval; anything else is retried
+const DECLINE_CODES = ['PAYMENT_DECLINED', 'PAYMENT_NOT_CAPTURED', 'PAYMENT_NOT_AUTHORIZED', 'PAYMENT_AMOUNT_MISMATCH'];
+
+/**
+ * An approved or authorized payment completes the order that was waiting for
+ * it. If the payment timeout cancelled the order in the meantime, the money
+ * is given back or the authorization released.
+ * @param {Object} payment - Approved or authorized payment
+ * @returns {Promise<void>}
+ */
+async function settlePaidOrder(payment) {
+    if (await Order.completePayment(payment.order_id, ORDER_PAYMENT_STATUSES[payment.payment_status])) return;
+
+    const order = await Order.findById(payment.order_id);
+    if (order?.cancellationReason === 'payment_timeout') {
+        await PaymentProcessor.compensate(order, {
+            provider: payment.provider,
+            transactionId: payment.payment_id,
+            status: payment.payment_status === 'authorized' ? 'authorized' : 'captured'
+        });
+    }
+}
+
+/**
+ * Move a payment to a new status if it is in one of the expected ones, and
+ * mirror it on the order
+ * @param {Object} filter - Payment query, e.g. { payment_id }
+ * @param {string} status - New Payment status
+ * @param {Array<string>} from - Statuses the payment may currently have
+ * @param {Object} [set] - Other fields to set with the status
+ * @returns {Promise<Object|null>} Updated payment, null when nothing matched
+ */
+async function updatePaymentStatus(filter, status, from, set = {}) {
+    const payment = await Payment.findOneAndUpdate(
+        { ...filter, payment_status: { $in: from } },
+        { $set: { ...set, payment_status: status } },
+        { new: true }
+    );
+    if (!payment) return null;
+
+    if (status === 'approved' || status === 'authorized') {
+        await settlePaidOrder(payment);
+    } else {
+        await Order.updateOne(
+            { _id: payment.order_id },
+            { $set: { paymentStatus: ORDER_PAYMENT_STATUSES[status] } }
+        );
+    }
+    return payment;
+}
+
+/**
+ * Status of a payment once nothing holds it any more: refunded, partially
+ * refunded or approved, from the refunds recorded on it
+ * @param {Object} payment - Payment document
+ * @returns {string} Payment status
+ */
+function settledStatus(payment) {
+    if (payment.refunded_amount <= 0) return 'approved';
+    return payment.refundable_amount <= 0 ? 'refunded' : 'partially_refunded';
+}
+
+/**
+ * Add a refund made at the provider to the payment, and to the order's
+ * refunded balance. Both writes are conditional on the refund ID, like those
+ * of PaymentProcessor.refund and Order#refundPayment, so a refund made here
+ * is counted once whichever side records it first.
+ * @param {Object} payment - Payment document
+ * @param {Object} refund - Payment refund entry
+ * @returns {Promise<void>}
+ */
+async function recordRefund(payment, refund) {
+    await Payment.updateOne(
+        { _id: payment._id, 'refunds.processor_refund_id': { $ne: refund.processor_refund_id } },
+        { $push: { refunds: refund } }
+    );
+
+    const order = await Order.findById(payment.order_id).select('total currency baseCurrency exchangeRate presentmentTotals');
+    if (!order) return;
+    const amount = fromOrderCurrency(order, refund.amount);
+    await Order.updateOne(
+        { _id: order._id, 'refunds.refundId': { $ne: refund.processor_refund_id } },
+        {
+            $push: {
+                refunds: {
+                    amount,
+                    refundId: refund.processor_refund_id,
+                    reason: refund.reason?.slice(0, 500),
+                    refundedAt: refund.processed_at
+                }
+            },
+            $inc: { refundedAmount: amount }
+        }
+    );
+}
+
+/**
+ * Void a payment whose authorization the provider released, e.g. because it
+ * lapsed, and release its order. The claim is atomic, so a void made through
+ * PaymentProcessor.void at the same time books the release once.
+ * @param {Object} filter - Payment query, e.g. { payment_id }
+ * @returns {Promise<Object|null>} Voided payment, null when no open authorization matched
+ */
+async function releaseAuthorization(filter) {
+    const payment = await Payment.findOneAndUpdate(
+        { ...filter, payment_status: 'authorized', 'authorization.status': 'open' },
+        {
+            $set: {
+                payment_status: 'voided',
+                'authorization.status': 'voided',
+                'authorization.closed_at': new Date()
+            }
+        },
+        { new: true }
+    );
+    if (payment) await Order.releaseVoidedPayment(payment);
+    return payment;
+}
+
+function result(payment, ignored) {
+    return payment
+        ? { payment: payment._id, order: payment.order_id, paymentStatus: payment.payment_status }
+        : { ignored };
+}
+
+/**
+ * Complete a payment the customer approved at the provider, or whose
+ * challenge (3-D Secure) they passed, and its order: checkout payments are
+ * authorized, to be captured as the order ships, and payments taken in full
+ * are captured. Runs when the customer comes back from the provider and for
+ * the provider's webhook; whichever comes first completes it. A decline
+ * marks the payment failed, and the customer may approve it again with
+ * another funding source until the order's payment timeout; a customer not
+ * done yet leaves it waiting.
+ * @param {string} transactionId - Provider transaction ID (PayPal order, PaymentIntent)
+ * @returns {Promise<Object>} { payment, order, paymentStatus } or { ignored }
+ */
+async function completeApprovedPayment(transactionId) {
+    const payment = await Payment.findOneAndUpdate(
+        { payment_id: transactionId, payment_status: { $in: ['created', 'failed'] } },
+        { $set: { payment_status: 'pending' } },
+        { new: true }
+    );
+    if (!payment) {
+        const existing = await Payment.findOne({ payment_id: transactionId });
+        return result(existing, `No payment waits for approval of ${transactionId}`);
+    }
+
+    // The order was cancelled while the customer was away; whatever the
+    // provider holds by now is given back
+    const order = await Order.findById(payment.order_id);
+    if (order?.status !== 'pending') {
+        if (order) await PaymentProcessor.releaseAbandoned(order, payment);
+        return result(await updatePaymentStatus({ _id: payment._id }, 'failed', ['pending']));
+    }
+
+    let completed;
+    try {
+        completed = await PaymentProcessor.completeApproved(order, payment);
+    } catch (error) {
+        if (DECLINE_CODES.includes(error.code)) {
+            await updatePaymentStatus({ _id: payment._id }, 'failed', ['pending']);
+        } else {
+            await Payment.updateOne({ _id: payment._id, payment_status: 'pending' }, { $set: { payment_status: 'created' } });
+        }
+        throw error;
+    }
+
+    // Some funding sources settle later; the capture webhook finishes those
+    if (completed.status === 'pending') return result(payment);
+
+    const authorized = completed.status === 'authorized';
+    const updated = await updatePaymentStatus(
+        { _id: payment._id },
+        authorized ? 'authorized' : 'approved',
+        ['pending'],
+        {
+            processor_response: completed.rawResponse,
+            ...(authorized && {
+                'authorization.status': 'open',
+                'authorization.expires_at': completed.expiresAt || null
+            })
+        }
+    );
+    return result(updated || await Payment.findById(payment._id));
+}
+
+async function applyIntentEvent(event) {
+    const intent = event.data.object;
+    const { status, from } = INTENT_EVENTS[event.type];
+
+    if (event.type === 'payment_intent.canceled') {
+        const voided = await releaseAuthorization({ payment_id: intent.id });
+        if (voided) return result(voided);
+    }
+
+    const payment = await updatePaymentStatus({ payment_id: intent.id }, status, from);
+    if (payment) return result(payment);
+
+    const existing = await Payment.findOne({ payment_id: intent.id });
+    return result(null, existing ? `Payment is already ${existing.payment_status}` : `No payment matches ${event.type}`);
+}
+
+// Record every refund of the charge once, whether it was made here or in the Stripe dashboard
+async function applyChargeRefunded(event) {
+    const charge = event.data.object;
+    const payment = await Payment.findOne({ payment_id: charge.payment_intent });
+    if (!payment) return result(null, `No payment matches ${event.type}`);
+
+    const currency = charge.currency.toUpperCase();
+    const refunds = charge.refunds?.data
+        || await PaymentProcessor.getProviderByName('stripe').listRefunds(charge.id);
+
+    for (const refund of refunds.filter(entry => ['succeeded', 'pending'].includes(entry.status))) {
+        await recordRefund(payment, {
+            amount: fromMinorUnits(refund.amount, currency),
+            currency,
+            reason: refund.metadata?.reason || refund.reason || 'Refunded in Stripe',
+            processed_at: new Date(refund.created * 1000),
+            processor_refund_id: refund.id
+        });
+    }
+
+    const updated = await updatePaymentStatus(
+        { _id: payment._id },
+        charge.refunded ? 'refunded' : 'partially_refunded',
+        REFUNDABLE_STATUSES
+    );
+    return result(updated || await Payment.findById(payment._id));
+}
+
+async function applyDisputeEvent(event) {
+    const dispute = event.data.object;
+    const payment = await Payment.findOne({ payment_id: dispute.payment_intent });
+    if (!payment) return result(null, `No payment matches ${event.type}`);
+
+    const currency = dispute.currency.toUpperCase();
+    const details = {
+        'dispute.dispute_id': dispute.id,
+        'dispute.status': dispute.status,
+        'dispute.reason': dispute.reason,
+        'dispute.amount': fromMinorUnits(dispute.amount, currency),
+        'dispute.currency': currency,
+        'dispute.opened_at': payment.dispute?.opened_at || new Date(dispute.created * 1000)
+    };
+
+    if (event.type === 'charge.dispute.closed') {
+        details['dispute.closed_at'] = new Date();
+    }
+
+    // A lost dispute keeps the payment disputed: the bank took the money back
+    let updated = null;
+    if (event.type === 'charge.dispute.created') {
+        updated = await updatePaymentStatus(
+            { _id: payment._id },
+            'disputed',
+            [...REFUNDABLE_STATUSES, 'refunded', 'disputed'],
+            details
+        );
+    } else if (event.type === 'charge.dispute.closed' && dispute.status !== 'lost') {
+        updated = await updatePaymentStatus({ _id: payment._id }, settledStatus(payment), ['disputed'], details);
+    }
+
+    return result(updated || await Payment.findByIdAndUpdate(payment._id, { $set: details }, { new: true }));
+}
+
+async function applyPayPalCaptureEvent(event) {
+    const orderId = event.resource.supplementary_data?.related_ids?.order_id;
+    const { status, from } = PAYPAL_CAPTURE_EVENTS[event.event_type];
+
+    const payment = orderId && await updatePaymentStatus({ payment_id: orderId }, status, from);
+    if (payment) return result(payment);
+
+    const existing = orderId && await Payment.findOne({ payment_id: orderId });
+    return result(null, existing ? `Payment is already ${existing.payment_status}` : `No payment matches ${event.event_type}`);
+}
+
+// Refunds and reversals point at their capture; the payment is found through its PayPal order
+async function applyPayPalRefundEvent(event) {
+    const refund = event.resource;
+    const captureId = refund.links?.find(link => link.rel === 'up')?.href.split('/').pop();
+    const orderId = captureId && await PaymentProcessor.getProviderByName('paypal').getCaptureOrderId(captureId);
+    const payment = orderId && await Payment.findOne({ payment_id: orderId });
+    if (!payment) return result(null, `No payment matches ${event.event_type}`);
+
+    const amount = Math.abs(parseFloat(refund.amount?.value || 0));
+    const currency = refund.amount?.currency_code || payment.currency;
+
+    // A reversal is money the buyer's bank or PayPal took back, like a lost dispute
+    if (event.event_type === 'PAYMENT.CAPTURE.REVERSED') {
+        const now = new Date();
+        const updated = await updatePaymentStatus(
+            { _id: payment._id },
+            'disputed',
+            [...REFUNDABLE_STATUSES, 'refunded', 'disputed'],
+            {
+                'dispute.dispute_id': refund.id,
+                'dispute.status': 'reversed',
+                'dispute.reason': refund.reason_code || refund.note_to_payer || null,
+                'dispute.amount': amount,
+                'dispute.currency': currency,
+                'dispute.opened_at': payment.dispute?.opened_at || now,
+                'dispute.closed_at': now
+            }
+        );
+        return result(updated || payment);
+    }
+
+    await recordRefund(payment, {
+        amount,
+        currency,
+        reason: refund.note_to_payer || 'Refunded in PayPal',
+        processed_at: new Date(refund.create_time || Date.now()),
+        processor_refund_id: refund.id
+    });
+
+    const refunded = await Payment.findById(payment._id);
+    const updated = await updatePaymentStatus({ _id: payment._id }, settledStatus(refunded), REFUNDABLE_STATUSES);
+    return result(updated || refunded);
+}
+
+/**
+ * Apply a verified Stripe event to the Payment it concerns and the linked
+ * order's paymentStatus. Handles payment_intent.*, charge.refunded and
+ * charge.dispute.*; payment_intent.amount_capturable_updated completes an
+ * authorization the customer confirmed after a challenge (see
+ * completeApprovedPayment). Other events, and events for payments this store
+ * did not record, are ignored.
+ * @param {Object} event - Event from StripeProvider.constructEvent
+ * @returns {Promise<Object>} { payment, order, paymentStatus } or { ignored }
+ */
+async function handleStripeEvent(event) {
+    if (event.type === 'payment_intent.amount_capturable_updated') return applyApproval(event.data.object.id);
+    if (INTENT_EVENTS[event.type]) return applyIntentEvent(event);
+    if (event.type === 'charge.refunded') return applyChargeRefunded(event);
+    if (event.type.startsWith('charge.dispute.')) return applyDisputeEvent(event);
+    return { ignored: `Unhandled event type ${event.type}` };
+}
+
+// A declined capture is final for this approval; retrying the event would not change it
+async function applyApproval(transactionId) {
+    try {
+        return await completeApprovedPayment(transactionId);
+    } catch (error) {
+        if (!DECLINE_CODES.includes(error.code)) throw error;
+        const payment = await Payment.findOne({ payment_id: transactionId });
+        return result(payment, error.message);
+    }
+}
+
+/**
+ * Apply a verified PayPal event. CHECKOUT.ORDER.APPROVED authorizes or
+ * captures the approved order (see completeApprovedPayment); PAYMENT.CAPTURE.* events
+ * update the Payment and the linked order like their Stripe counterparts.
+ * Other events are ignored.
+ * @param {Object} event - Event from PayPalProvider.constructEvent
+ * @returns {Promise<Object>} { payment, order, paymentStatus } or { ignored }
+ */
+async function handlePayPalEvent(event) {
+    const type = event.event_type;
+    if (type === 'CHECKOUT.ORDER.APPROVED') return applyApproval(event.resource.id);
+    if (PAYPAL_CAPTURE_EVENTS[type]) return applyPayPalCaptureEvent(event);
+    if (type === 'PAYMENT.CAPTURE.REFUNDED' || type === 'PAYMENT.CAPTURE.REVERSED') {
+        return applyPayPalRefundEvent(event);
+    }
+    return { ignored: `Unhandled event type ${type}` };
+}
+
+module.exports = {
+    completeApprovedPayment,
+    handleStripeEvent,
+    handlePayPalEvent
+};
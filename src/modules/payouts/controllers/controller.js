@@ -0,0 +1,594 @@
+const CommissionRule = require('../../../models/CommissionRule');
+const SellerLedgerEntry = require('../../../models/SellerLedgerEntry');
+const Payout = require('../../../models/Payout');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const mongoose = require('mongoose');
+const { getDefaultCommissionRate, getPayoutMinimum } = require('../service');
+const {
+  commissionRuleSchema,
+  commissionRuleUpdateSchema,
+  commissionRuleGetSchema,
+  balanceGetSchema,
+  statementGetSchema,
+  payoutCreateSchema,
+  payoutUpdateSchema,
+  payoutGetSchema
+} = require('../schemas');
+
+const SELLER_ROLES = ['seller', 'vendor'];
+
+// Shape a commission rule for API responses
+function formatRule(rule) {
+  return {
+    id: rule._id,
+    scope: rule.scope,
+    seller: rule.seller,
+    category: rule.category,
+    rate: rule.rate,
+    note: rule.note,
+    isActive: rule.isActive,
+    updatedAt: rule.updatedAt
+  };
+}
+
+// Shape a payout for API responses
+function formatPayout(payout) {
+  return {
+    id: payout._id,
+    number: payout.number,
+    seller: payout.seller,
+    amount: payout.amount,
+    currency: payout.currency,
+    entryCount: payout.entryCount,
+    cutoff: payout.cutoff,
+    status: payout.status,
+    reference: payout.reference,
+    paidAt: payout.paidAt,
+    createdAt: payout.createdAt
+  };
+}
+
+// Shape a ledger entry for statements
+function formatEntry(entry) {
+  return {
+    id: entry._id,
+    type: entry.type,
+    order: entry.order,
+    orderNumber: entry.orderNumber,
+    subOrder: entry.subOrder,
+    idProduct: entry.idProduct,
+    quantity: entry.quantity,
+    gross: entry.gross,
+    commissionRate: entry.commissionRate,
+    commission: entry.commission,
+    net: entry.net,
+    currency: entry.currency,
+    reference: entry.reference,
+    description: entry.description,
+    payout: entry.payout,
+    createdAt: entry.createdAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+// Sellers see their own ledger, admins pick a seller with sellerId
+function resolveSellerId(req, sellerId) {
+  if (req.user.role === 'admin') {
+    return sellerId ? { sellerId } : { status: 400, error: 'sellerId is required' };
+  }
+  if (!SELLER_ROLES.includes(req.user.role)) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  if (sellerId && sellerId !== req.user._id.toString()) {
+    return { status: 403, error: 'Not authorized' };
+  }
+  return { sellerId: req.user._id };
+}
+
+class PayoutsController {
+  async getBalance(req, res) {
+    try {
+      const { error, value } = balanceGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const seller = resolveSellerId(req, value.sellerId);
+      if (seller.error) {
+        return res.status(seller.status).json({ error: seller.error });
+      }
+
+      const balance = await SellerLedgerEntry.getBalance(seller.sellerId);
+
+      res.status(200).json({
+        seller: seller.sellerId,
+        payoutMinimum: getPayoutMinimum(),
+        ...balance
+      });
+    } catch (error) {
+      logger.error(`Get seller balance error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch balance',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getStatement(req, res) {
+    try {
+      const { error, value } = statementGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const seller = resolveSellerId(req, value.sellerId);
+      if (seller.error) {
+        return res.status(seller.status).json({ error: seller.error });
+      }
+
+      // Defaults to the current calendar month (UTC) up to now
+      const now = new Date();
+      const from = value.from || new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      const to = value.to || now;
+      if (from >= to) {
+        return res.status(400).json({ error: 'The statement period is empty' });
+      }
+
+      const statement = await SellerLedgerEntry.getStatement(seller.sellerId, {
+        from,
+        to,
+        type: value.type,
+        page: value.page,
+        limit: value.limit
+      });
+
+      res.status(200).json({
+        seller: seller.sellerId,
+        ...statement,
+        count: statement.entries.length,
+        entries: statement.entries.map(formatEntry)
+      });
+    } catch (error) {
+      logger.error(`Get seller statement error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch statement',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getSellerPayouts(req, res) {
+    try {
+      if (!SELLER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = payoutGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const filter = { seller: req.user._id };
+      if (value.status) filter.status = value.status;
+
+      const { payouts, total, page, pages } = await Payout.findPayouts(filter, value.page, value.limit);
+
+      res.status(200).json({
+        count: payouts.length,
+        total,
+        page,
+        pages,
+        payouts: payouts.map(formatPayout)
+      });
+    } catch (error) {
+      logger.error(`Get seller payouts error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch payouts',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async createPayouts(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = payoutCreateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { payouts, skipped } = await Payout.createBatches({
+        cutoff: value.cutoff || new Date(),
+        minimumAmount: value.minimumAmount ?? getPayoutMinimum(),
+        sellerId: value.sellerId
+      }, req.user._id);
+
+      await AuditLog.logAsync({
+        event: 'PAYOUT_BATCH_CREATED',
+        action: 'create',
+        entityType: 'payout',
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          payouts: payouts.map(payout => ({ id: payout._id, number: payout.number, seller: payout.seller, amount: payout.amount })),
+          skipped: skipped.length
+        }
+      });
+
+      res.status(201).json({
+        message: `${payouts.length} payout(s) created`,
+        payouts: payouts.map(formatPayout),
+        skipped
+      });
+    } catch (error) {
+      logger.error(`Payout batch creation error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to create payouts',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getPayouts(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = payoutGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const filter = {};
+      if (value.status) filter.status = value.status;
+      if (value.sellerId) filter.seller = value.sellerId;
+
+      const { payouts, total, page, pages } = await Payout.findPayouts(filter, value.page, value.limit);
+
+      res.status(200).json({
+        count: payouts.length,
+        total,
+        page,
+        pages,
+        payouts: payouts.map(formatPayout)
+      });
+    } catch (error) {
+      logger.error(`Get payouts error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch payouts',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getPayout(req, res) {
+    try {
+      if (req.user.role !== 'admin' && !SELLER_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid payout ID' });
+      }
+
+      // Sellers only see their own payouts; anything else is reported as missing
+      const filter = { _id: req.params.id };
+      if (req.user.role !== 'admin') filter.seller = req.user._id;
+
+      const payout = await Payout.findOne(filter).lean();
+      if (!payout) {
+        return res.status(404).json({ error: 'Payout not found' });
+      }
+
+      const entries = await SellerLedgerEntry.find({ payout: payout._id }).sort({ createdAt: 1 }).lean();
+
+      res.status(200).json({
+        payout: {
+          ...formatPayout(payout),
+          statusHistory: payout.statusHistory,
+          entries: entries.map(formatEntry)
+        }
+      });
+    } catch (error) {
+      logger.error(`Get payout error: ${error.message}`, { stack: error.stack, payoutId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch payout',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updatePayout(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid payout ID' });
+      }
+
+      const { error, value } = payoutUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { payout, previousStatus, releasedEntries } = await Payout.updateStatus(req.params.id, value, req.user._id);
+
+      await AuditLog.logAsync({
+        event: value.status === 'paid' ? 'PAYOUT_PAID' : 'PAYOUT_STATUS_UPDATED',
+        action: 'update',
+        entityType: 'payout',
+        entityId: payout._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          number: payout.number,
+          seller: payout.seller,
+          amount: payout.amount,
+          from: previousStatus,
+          to: payout.status,
+          reference: payout.reference,
+          releasedEntries
+        }
+      });
+
+      res.status(200).json({
+        message: `Payout marked as ${payout.status}`,
+        payout: formatPayout(payout),
+        releasedEntries
+      });
+    } catch (error) {
+      logger.error(`Payout update error: ${error.message}`, { stack: error.stack, payoutId: req.params.id });
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: error.code,
+          details: error.details
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update payout',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async addCommissionRule(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = commissionRuleSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const rule = await CommissionRule.create({ ...value, updatedBy: req.user._id });
+
+      await AuditLog.logAsync({
+        event: 'COMMISSION_RULE_CREATED',
+        action: 'create',
+        entityType: 'commission_rule',
+        entityId: rule._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: formatRule(rule)
+      });
+
+      res.status(201).json({
+        message: 'Commission rule created successfully',
+        rule: formatRule(rule)
+      });
+    } catch (error) {
+      logger.error(`Commission rule creation error: ${error.message}`, { stack: error.stack });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: `A commission rule for this ${req.body.scope} already exists` });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create commission rule',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getCommissionRules(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = commissionRuleGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const filter = {};
+      if (value.scope) filter.scope = value.scope;
+      if (value.seller) filter.seller = value.seller;
+      if (value.category) filter.category = value.category;
+      if (value.isActive !== undefined) filter.isActive = value.isActive;
+
+      const { rules, total, page, pages } = await CommissionRule.findRules(filter, value.page, value.limit);
+
+      res.status(200).json({
+        defaultRate: getDefaultCommissionRate(),
+        count: rules.length,
+        total,
+        page,
+        pages,
+        rules: rules.map(formatRule)
+      });
+    } catch (error) {
+      logger.error(`Get commission rules error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch commission rules',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getCommissionRule(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid commission rule ID' });
+      }
+
+      const rule = await CommissionRule.findById(req.params.id)
+        .populate('seller', 'username email')
+        .populate('category', 'name')
+        .lean();
+      if (!rule) {
+        return res.status(404).json({ error: 'Commission rule not found' });
+      }
+
+      res.status(200).json({ rule: formatRule(rule) });
+    } catch (error) {
+      logger.error(`Get commission rule error: ${error.message}`, { stack: error.stack, ruleId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch commission rule',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateCommissionRule(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid commission rule ID' });
+      }
+
+      const { error, value } = commissionRuleUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const rule = await CommissionRule.findById(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Commission rule not found' });
+      }
+
+      // Recorded sales keep the rate they were charged at
+      const oldValues = formatRule(rule);
+      Object.assign(rule, value, { updatedBy: req.user._id });
+      await rule.save();
+
+      await AuditLog.logAsync({
+        event: 'COMMISSION_RULE_UPDATED',
+        action: 'update',
+        entityType: 'commission_rule',
+        entityId: rule._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          oldValues,
+          changedFields: Object.keys(value)
+        }
+      });
+
+      res.status(200).json({
+        message: 'Commission rule updated successfully',
+        rule: formatRule(rule)
+      });
+    } catch (error) {
+      logger.error(`Commission rule update error: ${error.message}`, { stack: error.stack, ruleId: req.params.id });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update commission rule',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async deleteCommissionRule(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid commission rule ID' });
+      }
+
+      const rule = await CommissionRule.findByIdAndDelete(req.params.id);
+      if (!rule) {
+        return res.status(404).json({ error: 'Commission rule not found' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'COMMISSION_RULE_DELETED',
+        action: 'delete',
+        entityType: 'commission_rule',
+        entityId: rule._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: formatRule(rule)
+      });
+
+      res.status(200).json({
+        message: 'Commission rule deleted successfully',
+        deletedId: rule._id
+      });
+    } catch (error) {
+      logger.error(`Commission rule deletion error: ${error.message}`, { stack: error.stack, ruleId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to delete commission rule',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new PayoutsController();
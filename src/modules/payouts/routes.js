@@ -0,0 +1,71 @@
+const express = require('express');
+const router = express.Router();
+const payoutsController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
+
+// Seller ledger
+router.get('/balance', 
+  authenticate, 
+  payoutsController.getBalance
+);
+
+router.get('/statements', 
+  authenticate, 
+  payoutsController.getStatement
+);
+
+router.get('/seller-get', 
+  authenticate, 
+  payoutsController.getSellerPayouts
+);
+
+// Payout batches
+router.post('/add', 
+  authenticate, 
+  idempotency(), 
+  payoutsController.createPayouts
+);
+
+router.get('/get', 
+  authenticate, 
+  payoutsController.getPayouts
+);
+
+router.get('/get/:id', 
+  authenticate, 
+  payoutsController.getPayout
+);
+
+router.put('/update/:id', 
+  authenticate, 
+  payoutsController.updatePayout
+);
+
+// Commission rules
+router.post('/commissions/add', 
+  authenticate, 
+  payoutsController.addCommissionRule
+);
+
+router.get('/commissions/get', 
+  authenticate, 
+  payoutsController.getCommissionRules
+);
+
+router.get('/commissions/get/:id', 
+  authenticate, 
+  payoutsController.getCommissionRule
+);
+
+router.put('/commissions/update/:id', 
+  authenticate, 
+  payoutsController.updateCommissionRule
+);
+
+router.delete('/commissions/delete/:id', 
+  authenticate, 
+  payoutsController.deleteCommissionRule
+);
+
+module.exports = router;
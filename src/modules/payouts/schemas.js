@@ -0,0 +1,119 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const commissionRuleSchema = Joi.object({
+  scope: Joi.string().valid('seller', 'category').required().messages({
+    'any.only': 'Scope must be one of: seller, category',
+    'any.required': 'Scope is required'
+  }),
+  seller: objectId.when('scope', {
+    is: 'seller',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Seller must be a valid ID',
+    'any.required': 'Seller is required for seller rules',
+    'any.unknown': 'Seller is only allowed for seller rules'
+  }),
+  category: objectId.when('scope', {
+    is: 'category',
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'string.pattern.base': 'Category must be a valid ID',
+    'any.required': 'Category is required for category rules',
+    'any.unknown': 'Category is only allowed for category rules'
+  }),
+  rate: Joi.number().min(0).max(100).required().messages({
+    'number.base': 'Rate must be a number',
+    'number.min': 'Rate cannot be negative',
+    'number.max': 'Rate cannot exceed 100',
+    'any.required': 'Rate is required'
+  }),
+  note: Joi.string().trim().max(255).allow(''),
+  isActive: Joi.boolean().default(true)
+}).options({ abortEarly: false });
+
+const commissionRuleUpdateSchema = Joi.object({
+  rate: Joi.number().min(0).max(100).messages({
+    'number.base': 'Rate must be a number',
+    'number.min': 'Rate cannot be negative',
+    'number.max': 'Rate cannot exceed 100'
+  }),
+  note: Joi.string().trim().max(255).allow(''),
+  isActive: Joi.boolean()
+}).min(1).options({ abortEarly: false });
+
+const commissionRuleGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  scope: Joi.string().valid('seller', 'category'),
+  seller: objectId,
+  category: objectId,
+  isActive: Joi.boolean()
+});
+
+// Admins may look at any seller through sellerId
+const balanceGetSchema = Joi.object({
+  sellerId: objectId.messages({
+    'string.pattern.base': 'Seller must be a valid ID'
+  })
+});
+
+const statementGetSchema = Joi.object({
+  sellerId: objectId.messages({
+    'string.pattern.base': 'Seller must be a valid ID'
+  }),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('from'))
+  }).messages({
+    'date.greater': 'To must be after from'
+  }),
+  type: Joi.string().valid('sale', 'refund', 'return').messages({
+    'any.only': 'Type must be one of: sale, refund, return'
+  }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const payoutCreateSchema = Joi.object({
+  cutoff: Joi.date().iso().max('now').messages({
+    'date.max': 'Cutoff cannot be in the future'
+  }),
+  minimumAmount: Joi.number().min(0).messages({
+    'number.min': 'Minimum amount cannot be negative'
+  }),
+  sellerId: objectId.messages({
+    'string.pattern.base': 'Seller must be a valid ID'
+  })
+}).options({ abortEarly: false });
+
+const payoutUpdateSchema = Joi.object({
+  status: Joi.string().valid('processing', 'paid', 'failed', 'cancelled').required().messages({
+    'any.only': 'Status must be one of: processing, paid, failed, cancelled',
+    'any.required': 'Status is required'
+  }),
+  reference: Joi.string().trim().max(100),
+  note: Joi.string().trim().max(500).allow('')
+}).options({ abortEarly: false });
+
+const payoutGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('pending', 'processing', 'paid', 'failed', 'cancelled'),
+  sellerId: objectId
+});
+
+module.exports = {
+  commissionRuleSchema,
+  commissionRuleUpdateSchema,
+  commissionRuleGetSchema,
+  balanceGetSchema,
+  statementGetSchema,
+  payoutCreateSchema,
+  payoutUpdateSchema,
+  payoutGetSchema
+};
@@ -0,0 +1,68 @@
+const { getBaseCurrency, getMinorUnits, roundAmount } = require('../currency/service');
+
+/**
+ * Commission kept by the marketplace when no seller or category rule applies
+ * @returns {number} Percentage (DEFAULT_COMMISSION_RATE, default 10)
+ */
+function getDefaultCommissionRate() {
+    const rate = parseFloat(process.env.DEFAULT_COMMISSION_RATE);
+    return Number.isFinite(rate) ? rate : 10;
+}
+
+/**
+ * Smallest balance paid out in a batch; lower balances roll over to the next one
+ * @returns {number} Amount in the base currency (PAYOUT_MINIMUM_AMOUNT, default 0)
+ */
+function getPayoutMinimum() {
+    const amount = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT);
+    return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * Round a ledger amount to the minor units of the base currency
+ * @param {number} amount - Amount in the base currency
+ * @returns {number} Rounded amount
+ */
+function roundLedger(amount) {
+    return roundAmount(amount, { decimals: getMinorUnits(getBaseCurrency()) });
+}
+
+/**
+ * Pick the commission rate for a line. A seller rule wins over a category
+ * rule, and the first of the product's categories with a rule is used.
+ * @param {Object} rules - Result of CommissionRule.getRuleTable
+ * @param {ObjectId|string} sellerId - Seller of the line
+ * @param {Array} categoryIds - Categories of the product
+ * @returns {Object} { rate, source: 'seller'|'category'|'default' }
+ */
+function resolveCommissionRate(rules, sellerId, categoryIds = []) {
+    const sellerRate = rules.sellers.get(sellerId.toString());
+    if (sellerRate !== undefined) return { rate: sellerRate, source: 'seller' };
+
+    for (const categoryId of categoryIds) {
+        const categoryRate = rules.categories.get(categoryId.toString());
+        if (categoryRate !== undefined) return { rate: categoryRate, source: 'category' };
+    }
+
+    return { rate: getDefaultCommissionRate(), source: 'default' };
+}
+
+/**
+ * Split a line amount into the marketplace commission and the seller's share
+ * @param {number} gross - Line amount in the base currency
+ * @param {number} rate - Commission percentage
+ * @returns {Object} { gross, commission, net }
+ */
+function splitCommission(gross, rate) {
+    const amount = roundLedger(gross);
+    const commission = roundLedger(amount * rate / 100);
+    return { gross: amount, commission, net: roundLedger(amount - commission) };
+}
+
+module.exports = {
+    getDefaultCommissionRate,
+    getPayoutMinimum,
+    roundLedger,
+    resolveCommissionRate,
+    splitCommission
+};
@@ -107,6 +107,7 @@ class ProductController {
                     discountedPrice: savedProduct.discountedPrice,
                     categories: savedProduct.categories,
                     stockQuantity: savedProduct.stockQuantity,
+                    backorder: savedProduct.backorder,
                     status: savedProduct.status,
                     isAvailable: savedProduct.isAvailable,
                     sku: savedProduct.sku,
@@ -237,6 +238,7 @@ class ProductController {
           currency: product.currency,
           categories: product.categories,
           stockQuantity: product.stockQuantity,
+          backorder: product.backorder,
           sku: product.sku,
           slug: product.slug,
           images: product.images,
@@ -619,6 +621,7 @@ class ProductController {
             price: updatedProduct.price,
             category: updatedProduct.category,
             stockQuantity: updatedProduct.stockQuantity,
+            backorder: updatedProduct.backorder,
             status: updatedProduct.status,
             createdAt: updatedProduct.createdAt,
             updatedAt: updatedProduct.updatedAt,
@@ -147,6 +147,20 @@ const PRODUCT_STATUSES = [
 // Currency options
 const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CNY'];
 
+// Selling beyond stock; pre-orders need a release date
+const backorderValidation = Joi.object({
+  mode: Joi.string().valid('none', 'backorder', 'preorder').default('none').messages({
+    'any.only': 'Backorder mode must be one of: none, backorder, preorder'
+  }),
+  availableAt: Joi.date().iso().allow(null).when('mode', {
+    is: 'preorder',
+    then: Joi.date().iso().required()
+  }).messages({
+    'any.required': 'Pre-orders need a release date (availableAt)'
+  }),
+  limit: Joi.number().integer().min(1).allow(null).messages(messages.number)
+});
+
 // Main Product Schema
 const productSchema = Joi.object({
   // Core Product Information
@@ -178,6 +192,7 @@ const productSchema = Joi.object({
 
   // Inventory & Availability
   stockQuantity: stockValidation.required(),
+  backorder: backorderValidation,
   isAvailable: Joi.boolean()
     .default(true)
     .messages(messages.boolean),
@@ -284,6 +299,7 @@ const productUpdateSchema = Joi.object({
   description: Joi.string().trim().min(10).max(2000),
   price: Joi.number().min(0).precision(2),
   stockQuantity: Joi.number().integer().min(0),
+  backorder: backorderValidation,
   category: Joi.string().pattern(/^[0-9a-fA-F]{24}$/), // Assuming MongoDB ObjectId
   status: Joi.string().valid('draft', 'published', 'archived'),
   specifications: Joi.array().items(
@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const promotionCodeController = require('./controllers/controller');
 const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
 //const { validate } = require('../../../middleware/validate');
 
 router.post('/add', 
   authenticate, 
+  idempotency(), 
   promotionCodeController.addPromotionCode
 );
 
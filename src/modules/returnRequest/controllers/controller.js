@@ -3,9 +3,12 @@ const Order = require('../../../models/Order');
 const Product = require('../../../models/Products');
 const User = require('../../../models/User');
 const AuditLog = require('../../../models/AuditLog');
+const SellerLedgerEntry = require('../../../models/SellerLedgerEntry');
+const Wallet = require('../../../models/Wallet');
 const logger = require('../../../services/logger');
 const mongoose = require('mongoose');
 const { returnRequestSchema, returnRequestCustomerUpdateSchema, returnRequestAdminUpdateSchema } = require('../schemas');
+const { getCreditExpiryDate } = require('../../wallet/service');
 
 class ReturnRequestController {
 
@@ -54,20 +57,22 @@ class ReturnRequestController {
         throw authError;
       }
 
+      // Items of an order may be returned in several requests, one at a time
       const returnRequestExists = await ReturnRequest.findOne({
         customerId: req.user._id,
         orderId: value.orderId,
+        status: { $in: ['pending', 'approved', 'processing'] }
       });
       
       if (returnRequestExists) {
-        const existsError = new Error('Return request already exists for this order');
+        const existsError = new Error('An open return request already exists for this order');
         existsError.statusCode = 409;
         throw existsError;
       }
       // Verify order exists, belongs to customer, and is eligible for return
       const order = await Order.findOne({
         _id: value.orderId
-      }).select('totalAmount items orderDate status');
+      }).select('items orderDate status subtotal discount shippingCost tax taxBreakdown total refundedAmount refunds baseCurrency');
   
       if (!order) {
         const orderError = new Error('Order not found, not owned by customer, or not eligible for return');
@@ -107,16 +112,12 @@ class ReturnRequestController {
         }
       }
   
-      // Calculate refund amount if not provided and needed
+      // What the returned units are worth; also checks them against what is left to refund
+      const items = value.items?.map(item => ({ idProduct: item.productId, quantity: item.quantity }));
       let refundAmount = value.refundAmount;
-      if ((value.returnType === 'refund' || value.returnType === 'store_credit') && !refundAmount) {
-        // Calculate based on returnable items (simplified example)
-        refundAmount = order.items.reduce((total, item) => {
-          return total + (item.price * item.quantity);
-        }, 0);
-        
-        // Ensure refund doesn't exceed order total
-        refundAmount = Math.min(refundAmount, order.totalAmount);
+      if (value.returnType === 'refund' || value.returnType === 'store_credit') {
+        const { amount } = order.calculateRefund({ items, includeShipping: value.includeShipping });
+        refundAmount = refundAmount ? Math.min(refundAmount, amount) : amount;
       }
 
       // Create the return request with schema-compatible data
@@ -128,6 +129,8 @@ class ReturnRequestController {
         returnType: value.returnType,
         returnShippingMethod: value.returnShippingMethod || 'customer',
         returnLabelProvided: value.returnLabelProvided || false,
+        items: items || [],
+        includeShipping: value.includeShipping || false,
         status: 'pending',
         ...(value.returnType === 'exchange' && { 
           exchangeProductId: value.exchangeProductId,
@@ -673,8 +676,106 @@ class ReturnRequestController {
         throw err;
       }
   
+      // Store credit is granted on approval. It is credited before the status
+      // changes so a failure leaves the request pending; a retry does not
+      // credit twice because the credit is keyed on the return request.
+      const creditApproved = value.status === 'approved' &&
+        currentReturnRequest.status === 'pending' &&
+        currentReturnRequest.returnType === 'store_credit';
+      const creditAmount = value.refundAmount ?? currentReturnRequest.refundAmount;
+      let walletTransaction = null;
+      if (creditApproved && creditAmount > 0) {
+        walletTransaction = await Wallet.credit(currentReturnRequest.customerId, {
+          amount: creditAmount,
+          source: 'return',
+          reference: currentReturnRequest._id.toString(),
+          order: currentReturnRequest.orderId,
+          expiresAt: getCreditExpiryDate(),
+          description: 'Store credit for return',
+          createdBy: req.user._id
+        });
+      }
+
+      // Refunds are paid out when the return is marked refunded, before the
+      // status changes, so a failed refund leaves the request processing. The
+      // return request is claimed first so concurrent requests do not both
+      // pay, and the order records the refund against it, so a retry does not
+      // pay twice.
+      let refund = null;
+      const refundDue = value.status === 'refunded' &&
+        currentReturnRequest.status === 'processing' &&
+        currentReturnRequest.returnType === 'refund';
+      if (refundDue) {
+        const claimed = await ReturnRequest.claimRefund(currentReturnRequest._id);
+        const order = await Order.findById(currentReturnRequest.orderId);
+        if (!order) {
+          if (claimed) await ReturnRequest.releaseRefundClaim(currentReturnRequest._id);
+          const err = new Error('Order of the return request not found');
+          err.statusCode = 404;
+          throw err;
+        }
+
+        // A claim held by another request is fine once its refund is on the order
+        const findRefund = () => order.refunds.find(entry => entry.returnRequest?.equals(currentReturnRequest._id));
+        if (!claimed && !findRefund()) {
+          const err = new Error('The refund of this return request is already being processed');
+          err.statusCode = 409;
+          err.details = { code: 'REFUND_IN_PROGRESS' };
+          throw err;
+        }
+
+        let result = null;
+        if (claimed) {
+          try {
+            const hasItems = currentReturnRequest.items.length > 0;
+            result = await order.refundPayment({
+              items: hasItems ? currentReturnRequest.items : undefined,
+              includeShipping: currentReturnRequest.includeShipping,
+              amount: hasItems ? undefined : currentReturnRequest.refundAmount,
+              reason: currentReturnRequest.reason,
+              returnRequest: currentReturnRequest._id
+            });
+          } catch (refundError) {
+            // Nothing was paid, so the refund may be retried
+            await ReturnRequest.releaseRefundClaim(currentReturnRequest._id);
+            if (refundError.name === 'PaymentError') {
+              refundError.statusCode = 402;
+              refundError.details = { code: refundError.code };
+            }
+            throw refundError;
+          }
+        }
+
+        // The money has moved, so the claim is kept even if the order cannot be saved
+        if (result) await order.save();
+        refund = findRefund();
+      }
+
       // Update return request
-      const updatedReturnRequest = await ReturnRequest.updateAdminReturnRequest(req.params.id, value);
+      const updatedReturnRequest = await ReturnRequest.updateAdminReturnRequest(req.params.id, {
+        ...value,
+        ...(refund && { refundId: refund.refundId, refundAmount: refund.amount })
+      });
+
+      // Money going back to the customer for a return comes out of the sellers' earnings.
+      // Store credit is given on approval, refunds once they are paid out.
+      const resolved = updatedReturnRequest.status !== currentReturnRequest.status &&
+        (['refunded', 'completed'].includes(updatedReturnRequest.status) || creditApproved);
+      if (resolved && updatedReturnRequest.returnType !== 'exchange' && updatedReturnRequest.refundAmount > 0) {
+        try {
+          const order = await Order.findById(updatedReturnRequest.orderId);
+          if (order) {
+            await SellerLedgerEntry.recordReversal(order, {
+              amount: updatedReturnRequest.refundAmount,
+              type: 'return',
+              reference: updatedReturnRequest._id.toString(),
+              reason: updatedReturnRequest.reason
+            });
+          }
+        } catch (ledgerError) {
+          logger.error(`[${transactionId}] Failed to reverse seller earnings for return ${updatedReturnRequest._id}: ${ledgerError.message}`);
+        }
+      }
   
       // Create audit log
       await AuditLog.logAsync({
@@ -702,6 +803,8 @@ class ReturnRequestController {
             adminNotes: updatedReturnRequest.adminNotes
           },
           changedFields: Object.keys(value),
+          walletTransaction: walletTransaction?._id,
+          refundId: refund?.refundId,
           transactionId,
           updateType: 'admin'
         }
@@ -717,7 +820,22 @@ class ReturnRequestController {
             status: updatedReturnRequest.status,
             returnType: updatedReturnRequest.returnType,
             refundAmount: updatedReturnRequest.refundAmount,
-            adminNotes: updatedReturnRequest.adminNotes
+            adminNotes: updatedReturnRequest.adminNotes,
+            ...(walletTransaction && {
+              storeCredit: {
+                amount: walletTransaction.amount,
+                expiresAt: walletTransaction.expiresAt
+              }
+            }),
+            ...(refund && {
+              refund: {
+                id: refund.refundId,
+                amount: refund.amount,
+                items: refund.items,
+                shipping: refund.shipping,
+                tax: refund.tax
+              }
+            })
           },
           _links: {
             self: { href: `/api/v1/admin/returns/${updatedReturnRequest._id}` },
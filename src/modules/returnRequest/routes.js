@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const returnRequestController = require('./controllers/controller');
 const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
 //const { validate } = require('../../../middleware/validate');
 
 router.post('/add', 
   authenticate, 
+  idempotency(), 
   returnRequestController.createReturnRequest
 );
 
@@ -26,6 +28,7 @@ router.put('/update/:id',
 
 router.put('/update-admin/:id', 
   authenticate, 
+  idempotency(), 
   returnRequestController.reviewAndUpdateReturnRequest
 );
 
@@ -36,6 +36,19 @@ const joiObjectId = Joi.string().custom(objectIdValidator, 'ObjectId validation'
       'string.valid': 'Shipping method must be one of customer, merchant, or pickup'
     }),
     returnLabelProvided: Joi.boolean().default(false),
+    // Units sent back; without them the whole order is returned
+    items: Joi.array().items(Joi.object({
+      productId: joiObjectId.required().messages({
+        'any.required': 'Product ID is required for each returned item'
+      }),
+      quantity: Joi.number().integer().min(1).required().messages({
+        'any.required': 'Quantity is required for each returned item',
+        'number.min': 'Quantity must be at least 1'
+      })
+    })).min(1).messages({
+      'array.min': 'At least one item must be returned'
+    }),
+    includeShipping: Joi.boolean().default(false),
     exchangeProductId: Joi.when('returnType', {
       is: 'exchange',
       then: joiObjectId.required().messages({
@@ -87,6 +100,11 @@ const joiObjectId = Joi.string().custom(objectIdValidator, 'ObjectId validation'
       .messages({
         'any.unknown': 'Refund amount cannot be updated by customers'
       }),
+
+    items: Joi.forbidden()
+      .messages({
+        'any.unknown': 'Returned items cannot be changed after submission'
+      }),
       
     adminNotes: Joi.forbidden()
       .messages({
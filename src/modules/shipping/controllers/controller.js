@@ -0,0 +1,523 @@
+const ShippingZone = require('../../../models/ShippingZone');
+const HolidayCalendar = require('../../../models/HolidayCalendar');
+const Order = require('../../../models/Order');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const mongoose = require('mongoose');
+const { quoteShipping } = require('../service');
+const {
+  shippingZoneSchema,
+  shippingZoneUpdateSchema,
+  shippingZoneGetSchema,
+  holidayCalendarSchema,
+  holidayCalendarUpdateSchema,
+  holidayCalendarGetSchema,
+  shippingQuoteSchema
+} = require('../schemas');
+
+// Shape a zone for API responses
+function formatZone(zone) {
+  return {
+    id: zone._id,
+    name: zone.name,
+    regions: zone.regions,
+    methods: zone.methods,
+    priority: zone.priority,
+    isActive: zone.isActive,
+    updatedAt: zone.updatedAt
+  };
+}
+
+// Shape a holiday calendar for API responses
+function formatCalendar(calendar) {
+  return {
+    id: calendar._id,
+    country: calendar.country,
+    name: calendar.name,
+    holidays: calendar.holidays,
+    isActive: calendar.isActive,
+    updatedAt: calendar.updatedAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+class ShippingController {
+  async getQuote(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const { error, value } = shippingQuoteSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const cart = await User.getCartItems(userId, { commerce: 1 });
+      if (!cart?.items || cart.items.length === 0) {
+        return res.status(400).json({ error: 'Cannot quote shipping for an empty cart' });
+      }
+
+      // Same pricing as checkout, so free-shipping thresholds see campaign prices
+      const { orderItems, subtotal, outOfStockItems } = await Order.processCartItems(cart.items);
+      if (orderItems.length === 0) {
+        return res.status(400).json({ error: 'No items in the cart can be shipped', outOfStockItems });
+      }
+
+      const { zone, methods } = await quoteShipping({
+        items: orderItems,
+        shippingAddress: value.shippingAddress,
+        subtotal
+      });
+
+      res.status(200).json({
+        zone,
+        subtotal,
+        methods,
+        outOfStockItems
+      });
+    } catch (error) {
+      logger.error(`Shipping quote error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to quote shipping',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async addZone(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = shippingZoneSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const zone = await ShippingZone.create({ ...value, createdBy: req.user._id });
+
+      await AuditLog.logAsync({
+        event: 'SHIPPING_ZONE_CREATED',
+        action: 'create',
+        entityType: 'shipping_zone',
+        entityId: zone._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          name: zone.name,
+          countries: zone.regions.map(region => region.country),
+          methods: zone.methods.map(method => method.method)
+        }
+      });
+
+      res.status(201).json({
+        message: 'Shipping zone created successfully',
+        zone: formatZone(zone)
+      });
+    } catch (error) {
+      logger.error(`Shipping zone creation error: ${error.message}`, { stack: error.stack });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A shipping zone with this name already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create shipping zone',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getZones(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = shippingZoneGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const filter = {};
+      if (value.country) filter['regions.country'] = value.country;
+      if (value.isActive !== undefined) filter.isActive = value.isActive;
+
+      const { zones, total, page, pages } = await ShippingZone.findZones(filter, value.page, value.limit);
+
+      res.status(200).json({
+        count: zones.length,
+        total,
+        page,
+        pages,
+        zones: zones.map(formatZone)
+      });
+    } catch (error) {
+      logger.error(`Get shipping zones error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch shipping zones',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getZone(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid shipping zone ID' });
+      }
+
+      const zone = await ShippingZone.findById(req.params.id).lean();
+      if (!zone) {
+        return res.status(404).json({ error: 'Shipping zone not found' });
+      }
+
+      res.status(200).json({ zone: formatZone(zone) });
+    } catch (error) {
+      logger.error(`Get shipping zone error: ${error.message}`, { stack: error.stack, zoneId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch shipping zone',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateZone(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid shipping zone ID' });
+      }
+
+      const { error, value } = shippingZoneUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const zone = await ShippingZone.findById(req.params.id);
+      if (!zone) {
+        return res.status(404).json({ error: 'Shipping zone not found' });
+      }
+
+      Object.assign(zone, value);
+      await zone.save();
+
+      await AuditLog.logAsync({
+        event: 'SHIPPING_ZONE_UPDATED',
+        action: 'update',
+        entityType: 'shipping_zone',
+        entityId: zone._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          name: zone.name,
+          changedFields: Object.keys(value)
+        }
+      });
+
+      res.status(200).json({
+        message: 'Shipping zone updated successfully',
+        zone: formatZone(zone)
+      });
+    } catch (error) {
+      logger.error(`Shipping zone update error: ${error.message}`, { stack: error.stack, zoneId: req.params.id });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A shipping zone with this name already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update shipping zone',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async deleteZone(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid shipping zone ID' });
+      }
+
+      const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+      if (!zone) {
+        return res.status(404).json({ error: 'Shipping zone not found' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'SHIPPING_ZONE_DELETED',
+        action: 'delete',
+        entityType: 'shipping_zone',
+        entityId: zone._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: { name: zone.name }
+      });
+
+      res.status(200).json({
+        message: 'Shipping zone deleted successfully',
+        deletedId: zone._id
+      });
+    } catch (error) {
+      logger.error(`Shipping zone deletion error: ${error.message}`, { stack: error.stack, zoneId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to delete shipping zone',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async addHolidayCalendar(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = holidayCalendarSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const calendar = await HolidayCalendar.create({ ...value, updatedBy: req.user._id });
+
+      await AuditLog.logAsync({
+        event: 'HOLIDAY_CALENDAR_CREATED',
+        action: 'create',
+        entityType: 'holiday_calendar',
+        entityId: calendar._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          country: calendar.country,
+          holidays: calendar.holidays.length
+        }
+      });
+
+      res.status(201).json({
+        message: 'Holiday calendar created successfully',
+        calendar: formatCalendar(calendar)
+      });
+    } catch (error) {
+      logger.error(`Holiday calendar creation error: ${error.message}`, { stack: error.stack });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A holiday calendar for this country already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create holiday calendar',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getHolidayCalendars(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = holidayCalendarGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const filter = {};
+      if (value.country) filter.country = value.country;
+      if (value.isActive !== undefined) filter.isActive = value.isActive;
+
+      const { calendars, total, page, pages } = await HolidayCalendar.findCalendars(filter, value.page, value.limit);
+
+      res.status(200).json({
+        count: calendars.length,
+        total,
+        page,
+        pages,
+        calendars: calendars.map(formatCalendar)
+      });
+    } catch (error) {
+      logger.error(`Get holiday calendars error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch holiday calendars',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getHolidayCalendar(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid holiday calendar ID' });
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id).lean();
+      if (!calendar) {
+        return res.status(404).json({ error: 'Holiday calendar not found' });
+      }
+
+      res.status(200).json({ calendar: formatCalendar(calendar) });
+    } catch (error) {
+      logger.error(`Get holiday calendar error: ${error.message}`, { stack: error.stack, calendarId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch holiday calendar',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateHolidayCalendar(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid holiday calendar ID' });
+      }
+
+      const { error, value } = holidayCalendarUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const calendar = await HolidayCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({ error: 'Holiday calendar not found' });
+      }
+
+      Object.assign(calendar, value, { updatedBy: req.user._id });
+      await calendar.save();
+
+      await AuditLog.logAsync({
+        event: 'HOLIDAY_CALENDAR_UPDATED',
+        action: 'update',
+        entityType: 'holiday_calendar',
+        entityId: calendar._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          country: calendar.country,
+          changedFields: Object.keys(value)
+        }
+      });
+
+      res.status(200).json({
+        message: 'Holiday calendar updated successfully',
+        calendar: formatCalendar(calendar)
+      });
+    } catch (error) {
+      logger.error(`Holiday calendar update error: ${error.message}`, { stack: error.stack, calendarId: req.params.id });
+
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update holiday calendar',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async deleteHolidayCalendar(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid holiday calendar ID' });
+      }
+
+      // Orders keep the estimate they were placed with
+      const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({ error: 'Holiday calendar not found' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'HOLIDAY_CALENDAR_DELETED',
+        action: 'delete',
+        entityType: 'holiday_calendar',
+        entityId: calendar._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: { country: calendar.country }
+      });
+
+      res.status(200).json({
+        message: 'Holiday calendar deleted successfully',
+        deletedId: calendar._id
+      });
+    } catch (error) {
+      logger.error(`Holiday calendar deletion error: ${error.message}`, { stack: error.stack, calendarId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to delete holiday calendar',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new ShippingController();
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+
+router.post('/quote', 
+  authenticate, 
+  shippingController.getQuote
+);
+
+router.post('/zones/add', 
+  authenticate, 
+  shippingController.addZone
+);
+
+router.get('/zones/get', 
+  authenticate, 
+  shippingController.getZones
+);
+
+router.get('/zones/get/:id', 
+  authenticate, 
+  shippingController.getZone
+);
+
+router.put('/zones/update/:id', 
+  authenticate, 
+  shippingController.updateZone
+);
+
+router.delete('/zones/delete/:id', 
+  authenticate, 
+  shippingController.deleteZone
+);
+
+router.post('/holidays/add', 
+  authenticate, 
+  shippingController.addHolidayCalendar
+);
+
+router.get('/holidays/get', 
+  authenticate, 
+  shippingController.getHolidayCalendars
+);
+
+router.get('/holidays/get/:id', 
+  authenticate, 
+  shippingController.getHolidayCalendar
+);
+
+router.put('/holidays/update/:id', 
+  authenticate, 
+  shippingController.updateHolidayCalendar
+);
+
+router.delete('/holidays/delete/:id', 
+  authenticate, 
+  shippingController.deleteHolidayCalendar
+);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+const Joi = require('joi');
+
+const SHIPPING_METHODS = ['standard', 'express', 'overnight'];
+
+const regionSchema = Joi.object({
+  country: Joi.string().length(2).uppercase().required().messages({
+    'string.length': 'Country must be an ISO 3166-1 alpha-2 code',
+    'any.required': 'Country is required'
+  }),
+  states: Joi.array().items(Joi.string().max(50).uppercase()).default([])
+});
+
+const methodRateSchema = Joi.object({
+  method: Joi.string().valid(...SHIPPING_METHODS).required().messages({
+    'any.only': `Shipping method must be one of: ${SHIPPING_METHODS.join(', ')}`,
+    'any.required': 'Shipping method is required'
+  }),
+  label: Joi.string().max(100),
+  isActive: Joi.boolean().default(true),
+  rateBasis: Joi.string().valid('weight', 'dimensional').default('weight').messages({
+    'any.only': 'Rate basis must be one of: weight, dimensional'
+  }),
+  dimensionalDivisor: Joi.number().min(1).default(5000),
+  rates: Joi.array().items(Joi.object({
+    maxWeight: Joi.number().min(0).required(),
+    price: Joi.number().min(0).required()
+  })).min(1).required().messages({
+    'array.min': 'At least one rate bracket is required',
+    'any.required': 'Rate brackets are required'
+  }),
+  additionalPerKg: Joi.number().min(0).allow(null).default(null),
+  freeShippingThreshold: Joi.number().min(0).allow(null).default(null),
+  transitDays: Joi.object({
+    min: Joi.number().integer().min(0).required(),
+    max: Joi.number().integer().min(Joi.ref('min')).required().messages({
+      'number.min': 'Maximum transit days cannot be less than the minimum'
+    })
+  })
+});
+
+const shippingZoneSchema = Joi.object({
+  name: Joi.string().max(100).required().messages({
+    'string.empty': 'Zone name is required',
+    'string.max': 'Zone name cannot exceed 100 characters',
+    'any.required': 'Zone name is required'
+  }),
+  regions: Joi.array().items(regionSchema).min(1).required().messages({
+    'array.min': 'Zone must contain at least one region',
+    'any.required': 'Regions are required'
+  }),
+  methods: Joi.array().items(methodRateSchema).unique('method').default([]).messages({
+    'array.unique': 'Each shipping method can only be configured once per zone'
+  }),
+  priority: Joi.number().integer().default(0),
+  isActive: Joi.boolean().default(true)
+}).options({ abortEarly: false });
+
+const shippingZoneUpdateSchema = Joi.object({
+  name: Joi.string().max(100).messages({
+    'string.max': 'Zone name cannot exceed 100 characters'
+  }),
+  regions: Joi.array().items(regionSchema).min(1).messages({
+    'array.min': 'Zone must contain at least one region'
+  }),
+  methods: Joi.array().items(methodRateSchema).unique('method').messages({
+    'array.unique': 'Each shipping method can only be configured once per zone'
+  }),
+  priority: Joi.number().integer(),
+  isActive: Joi.boolean()
+}).min(1).options({ abortEarly: false });
+
+const shippingZoneGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  country: Joi.string().length(2).uppercase(),
+  isActive: Joi.boolean()
+});
+
+const holidaySchema = Joi.object({
+  date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+    'string.pattern.base': 'Holiday date must be formatted YYYY-MM-DD',
+    'any.required': 'Holiday date is required'
+  }),
+  name: Joi.string().max(100)
+});
+
+const holidayCalendarSchema = Joi.object({
+  country: Joi.string().length(2).uppercase().required().messages({
+    'string.length': 'Country must be an ISO 3166-1 alpha-2 code',
+    'any.required': 'Country is required'
+  }),
+  name: Joi.string().max(100),
+  holidays: Joi.array().items(holidaySchema).default([]),
+  isActive: Joi.boolean().default(true)
+}).options({ abortEarly: false });
+
+const holidayCalendarUpdateSchema = Joi.object({
+  name: Joi.string().max(100),
+  holidays: Joi.array().items(holidaySchema),
+  isActive: Joi.boolean()
+}).min(1).options({ abortEarly: false });
+
+const holidayCalendarGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  country: Joi.string().length(2).uppercase(),
+  isActive: Joi.boolean()
+});
+
+const shippingQuoteSchema = Joi.object({
+  shippingAddress: Joi.object({
+    street: Joi.string(),
+    city: Joi.string(),
+    state: Joi.string().allow(''),
+    postalCode: Joi.string().allow(''),
+    country: Joi.string().required().messages({
+      'string.empty': 'Country is required',
+      'any.required': 'Country is required'
+    })
+  }).required().messages({
+    'object.base': 'Shipping address must be an object',
+    'any.required': 'Shipping address is required'
+  })
+}).options({ abortEarly: false });
+
+module.exports = {
+  shippingZoneSchema,
+  shippingZoneUpdateSchema,
+  shippingZoneGetSchema,
+  holidayCalendarSchema,
+  holidayCalendarUpdateSchema,
+  holidayCalendarGetSchema,
+  shippingQuoteSchema
+};
@@ -0,0 +1,305 @@
+const ShippingZone = require('../../models/ShippingZone');
+const HolidayCalendar = require('../../models/HolidayCalendar');
+const Product = require('../../models/Products');
+const logger = require('../../services/logger');
+
+// Used while no zone has been configured at all, so a fresh install can still check out
+const DEFAULT_RATES = {
+    standard: 5.99,
+    express: 15.99,
+    overnight: 25.99
+};
+
+// Business days in transit when the zone does not say otherwise
+const DEFAULT_TRANSIT_DAYS = {
+    standard: { min: 3, max: 5 },
+    express: { min: 2, max: 3 },
+    overnight: { min: 1, max: 1 }
+};
+
+const DEFAULT_HANDLING_DAYS = 1;
+
+const METHOD_LABELS = {
+    standard: 'Standard',
+    express: 'Express',
+    overnight: 'Overnight'
+};
+
+// Conversion of product dimension units to centimetres
+const CM_PER_UNIT = { cm: 1, mm: 0.1, m: 100, in: 2.54 };
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Calendar dates are handled as YYYY-MM-DD strings and stepped in UTC so
+// the server time zone never shifts a day
+const addDays = (date, days) => {
+    const next = new Date(`${date}T00:00:00.000Z`);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next.toISOString().slice(0, 10);
+};
+
+const isBusinessDay = (date, holidays) => {
+    const weekday = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !holidays.has(date);
+};
+
+const nextBusinessDay = (date, holidays) => {
+    let day = addDays(date, 1);
+    while (!isBusinessDay(day, holidays)) day = addDays(day, 1);
+    return day;
+};
+
+const addBusinessDays = (date, count, holidays) => {
+    let day = date;
+    for (let i = 0; i < count; i++) day = nextBusinessDay(day, holidays);
+    return day;
+};
+
+/**
+ * Current date and HH:MM in the dispatch warehouse's time zone
+ * @param {Date} now - Instant to convert
+ * @returns {{ date: string, time: string }}
+ */
+function getDispatchClock(now) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+        timeZone: process.env.DISPATCH_TIMEZONE || 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+
+    return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+/**
+ * Estimate dispatch and delivery dates in business days.
+ *
+ * Orders placed before the cutoff on a business day of the origin country
+ * start handling that day, so zero handling days means same-day dispatch;
+ * later orders start on the next business day. Handling days skip the
+ * origin country's holidays, transit days skip the destination country's.
+ * @param {Object} params
+ * @param {number} params.handlingDays - Longest handlingTime in the cart
+ * @param {{min: number, max: number}} params.transitDays - Transit range for the method
+ * @param {string} params.destinationCountry - ISO alpha-2 code
+ * @param {Map<string, Set<string>>} params.holidays - Result of HolidayCalendar.getHolidaySets
+ * @param {Date} [params.now] - Order time, defaults to now
+ * @returns {Object} { dispatchBy, min, max } as Dates (UTC midnight)
+ */
+function estimateDelivery({ handlingDays, transitDays, destinationCountry, holidays, now = new Date() }) {
+    const origin = (process.env.SHIPPING_ORIGIN_COUNTRY || 'US').toUpperCase();
+    const originHolidays = holidays.get(origin) || new Set();
+    const destinationHolidays = holidays.get((destinationCountry || '').toUpperCase()) || new Set();
+    const cutoff = process.env.DISPATCH_CUTOFF_TIME || '14:00';
+
+    const clock = getDispatchClock(now);
+    let dispatchDay = clock.date;
+    if (!isBusinessDay(dispatchDay, originHolidays) || clock.time >= cutoff) {
+        dispatchDay = nextBusinessDay(dispatchDay, originHolidays);
+    }
+    dispatchDay = addBusinessDays(dispatchDay, handlingDays, originHolidays);
+
+    const toDate = date => new Date(`${date}T00:00:00.000Z`);
+    return {
+        dispatchBy: toDate(dispatchDay),
+        min: toDate(addBusinessDays(dispatchDay, transitDays.min, destinationHolidays)),
+        max: toDate(addBusinessDays(dispatchDay, transitDays.max, destinationHolidays))
+    };
+}
+
+/**
+ * Actual and volumetric weight of the items that are not shipped for free
+ * @param {Array} items - Order items ({ idProduct, quantity, priceAtPurchase })
+ * @returns {Promise<Object>} { actualWeight, volume, chargeableItems, totalItems, handlingDays }
+ */
+async function measureItems(items) {
+    const products = await Product.find({ _id: { $in: items.map(item => item.idProduct) } })
+        .select('weight dimensions shippingInfo')
+        .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    let actualWeight = 0;
+    let volume = 0;
+    let chargeableItems = 0;
+    let handlingDays = 0;
+
+    for (const item of items) {
+        const product = productMap.get(item.idProduct.toString());
+        if (!product) continue;
+
+        handlingDays = Math.max(handlingDays, product.shippingInfo?.handlingTime ?? DEFAULT_HANDLING_DAYS);
+        if (product.shippingInfo?.isFreeShipping) continue;
+
+        chargeableItems += item.quantity;
+        actualWeight += (product.shippingInfo?.weight ?? product.weight ?? 0) * item.quantity;
+
+        const { length, width, height, unit = 'cm' } = product.dimensions || {};
+        if (length && width && height) {
+            const factor = CM_PER_UNIT[unit] || 1;
+            volume += length * width * height * factor ** 3 * item.quantity;
+        }
+    }
+
+    return { actualWeight, volume, chargeableItems, totalItems: items.length, handlingDays };
+}
+
+/**
+ * Price one method of a zone for a measured cart
+ * @param {Object} methodRate - Zone method configuration
+ * @param {Object} measurement - Result of measureItems
+ * @param {number} subtotal - Merchandise subtotal used for free-shipping thresholds
+ * @returns {Object} Quote for the method
+ */
+function priceMethod(methodRate, measurement, subtotal) {
+    const dimensionalWeight = measurement.volume / (methodRate.dimensionalDivisor || 5000);
+    const billableWeight = round2(methodRate.rateBasis === 'dimensional'
+        ? Math.max(measurement.actualWeight, dimensionalWeight)
+        : measurement.actualWeight);
+
+    const quote = {
+        method: methodRate.method,
+        label: methodRate.label || METHOD_LABELS[methodRate.method],
+        available: true,
+        price: 0,
+        freeShipping: false,
+        billableWeight,
+        actualWeight: round2(measurement.actualWeight),
+        dimensionalWeight: round2(dimensionalWeight),
+        reason: null
+    };
+
+    if (measurement.chargeableItems === 0) {
+        return { ...quote, freeShipping: true, reason: 'All items ship free' };
+    }
+
+    const brackets = [...methodRate.rates].sort((a, b) => a.maxWeight - b.maxWeight);
+    const bracket = brackets.find(rate => billableWeight <= rate.maxWeight);
+    let price;
+
+    if (bracket) {
+        price = bracket.price;
+    } else if (methodRate.additionalPerKg != null) {
+        const last = brackets[brackets.length - 1];
+        price = last.price + Math.ceil(billableWeight - last.maxWeight) * methodRate.additionalPerKg;
+    } else {
+        return { ...quote, available: false, price: null, reason: 'Cart exceeds the maximum weight for this method' };
+    }
+
+    if (methodRate.freeShippingThreshold != null && subtotal >= methodRate.freeShippingThreshold) {
+        return { ...quote, freeShipping: true, reason: `Free shipping on orders over ${methodRate.freeShippingThreshold}` };
+    }
+
+    return { ...quote, price: round2(price) };
+}
+
+/**
+ * Quote every shipping method for a cart and destination, with a
+ * delivery estimate for each available one.
+ * Methods that exist but cannot be used (inactive, over weight) are
+ * returned with available=false and a reason.
+ * @param {Object} params
+ * @param {Array} params.items - Order items ({ idProduct, quantity, priceAtPurchase })
+ * @param {Object} params.shippingAddress - Destination ({ country, state, postalCode })
+ * @param {number} params.subtotal - Merchandise subtotal
+ * @param {Date} [params.now] - Order time for the delivery estimate
+ * @returns {Promise<Object>} { zone, methods }
+ */
+async function quoteShipping({ items, shippingAddress, subtotal, now = new Date() }) {
+    const [zone, measurement, holidays] = await Promise.all([
+        ShippingZone.findForAddress(shippingAddress),
+        measureItems(items),
+        HolidayCalendar.getHolidaySets([process.env.SHIPPING_ORIGIN_COUNTRY || 'US', shippingAddress?.country])
+    ]);
+
+    const withEstimate = (quote, transitDays) => quote.available
+        ? {
+            ...quote,
+            estimatedDelivery: estimateDelivery({
+                handlingDays: measurement.handlingDays,
+                transitDays: transitDays || DEFAULT_TRANSIT_DAYS[quote.method],
+                destinationCountry: shippingAddress?.country,
+                holidays,
+                now
+            })
+        }
+        : { ...quote, estimatedDelivery: null };
+
+    if (!zone) {
+        const zonesConfigured = await ShippingZone.exists({ isActive: true });
+        if (zonesConfigured) {
+            return { zone: null, methods: [] };
+        }
+
+        return {
+            zone: null,
+            methods: Object.entries(DEFAULT_RATES).map(([method, price]) => withEstimate({
+                method,
+                label: METHOD_LABELS[method],
+                available: true,
+                price,
+                freeShipping: false,
+                billableWeight: null,
+                actualWeight: null,
+                dimensionalWeight: null,
+                reason: null
+            }))
+        };
+    }
+
+    const methods = zone.methods.map(methodRate => withEstimate(methodRate.isActive
+        ? priceMethod(methodRate, measurement, subtotal)
+        : {
+            method: methodRate.method,
+            label: methodRate.label || METHOD_LABELS[methodRate.method],
+            available: false,
+            price: null,
+            reason: 'Method not offered in this zone'
+        }, methodRate.transitDays?.min != null ? methodRate.transitDays : null));
+
+    logger.debug(`Quoted ${methods.length} shipping methods for zone ${zone.name}`);
+    return { zone: { _id: zone._id, name: zone.name }, methods };
+}
+
+/**
+ * Quote for the method chosen at checkout
+ * @param {string} shippingMethod - Selected shipping method
+ * @param {Object} params - Same as quoteShipping
+ * @returns {Promise<Object>} Method quote including price and estimatedDelivery
+ * @throws {Error} SHIPPING_METHOD_UNAVAILABLE when the method cannot ship this cart
+ */
+async function getShippingQuote(shippingMethod, params) {
+    const { methods } = await quoteShipping(params);
+    const quote = methods.find(method => method.method === shippingMethod);
+
+    if (!quote || !quote.available) {
+        const err = new Error(quote?.reason || `Shipping method ${shippingMethod} is not available for this address`);
+        err.statusCode = 400;
+        err.code = 'SHIPPING_METHOD_UNAVAILABLE';
+        err.availableMethods = methods.filter(method => method.available).map(method => method.method);
+        throw err;
+    }
+
+    return quote;
+}
+
+/**
+ * Shipping cost for the method chosen at checkout
+ * @param {string} shippingMethod - Selected shipping method
+ * @param {Object} params - Same as quoteShipping
+ * @returns {Promise<number>} Shipping cost
+ * @throws {Error} SHIPPING_METHOD_UNAVAILABLE when the method cannot ship this cart
+ */
+async function calculateShipping(shippingMethod, params) {
+    const quote = await getShippingQuote(shippingMethod, params);
+    return quote.price;
+}
+
+module.exports = {
+    estimateDelivery,
+    quoteShipping,
+    getShippingQuote,
+    calculateShipping
+};
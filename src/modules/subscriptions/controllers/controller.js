@@ -0,0 +1,330 @@
+const Subscription = require('../../../models/Subscription');
+const Order = require('../../../models/Order');
+const Product = require('../../../models/Products');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const mongoose = require('mongoose');
+const {
+  subscriptionSchema,
+  subscriptionUpdateSchema,
+  subscriptionGetSchema,
+  subscriptionPauseSchema,
+  subscriptionCancelSchema
+} = require('../schemas');
+const { assertRenewablePayment } = require('../service');
+
+// Shape a subscription for API responses
+function formatSubscription(subscription) {
+  return {
+    id: subscription._id,
+    status: subscription.status,
+    items: subscription.items,
+    interval: subscription.interval,
+    shippingAddress: subscription.shippingAddress,
+    shippingMethod: subscription.shippingMethod,
+    paymentMethod: subscription.paymentMethod,
+    currency: subscription.currency,
+    nextOrderDate: subscription.status === 'cancelled' ? null : subscription.nextOrderDate,
+    resumeAt: subscription.resumeAt,
+    skippedDates: subscription.skippedDates,
+    orderCount: subscription.orderCount,
+    lastOrder: subscription.lastOrder,
+    lastOrderAt: subscription.lastOrderAt,
+    failedAttempts: subscription.failedAttempts,
+    nextAttemptAt: subscription.nextAttemptAt,
+    lastError: subscription.lastError?.message ? subscription.lastError : null,
+    cancelledAt: subscription.cancelledAt,
+    createdAt: subscription.createdAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+// IDs of the given products that do not exist
+async function findMissingProducts(items) {
+  const ids = items.map(item => item.idProduct);
+  const products = await Product.find({ _id: { $in: ids } }).select('_id').lean();
+  const found = new Set(products.map(product => product._id.toString()));
+  return ids.filter(id => !found.has(id));
+}
+
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+/**
+ * Load the customer's subscription, apply a state change, save and audit it
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.event - Audit event
+ * @param {string} options.action - Audit action
+ * @param {Function} options.apply - Receives the subscription and changes it
+ * @param {string} options.message - Success message
+ */
+async function changeSubscription(req, res, { event, action, apply, message }) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid subscription ID' });
+    }
+
+    const subscription = await Subscription.findCustomerSubscription(req.params.id, req.user._id);
+    const previousStatus = subscription.status;
+    const metadata = apply(subscription) || {};
+    await subscription.save();
+
+    await AuditLog.logAsync({
+      event,
+      action,
+      entityType: 'subscription',
+      entityId: subscription._id,
+      user: req.user._id,
+      source: 'web',
+      status: 'success',
+      ip: req.ip,
+      userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+      metadata: {
+        from: previousStatus,
+        to: subscription.status,
+        nextOrderDate: subscription.nextOrderDate,
+        ...metadata
+      }
+    });
+
+    res.status(200).json({
+      message,
+      subscription: formatSubscription(subscription)
+    });
+  } catch (error) {
+    logger.error(`${event} error: ${error.message}`, { stack: error.stack, subscriptionId: req.params.id });
+    handleError(res, error, 'Failed to update subscription');
+  }
+}
+
+class SubscriptionController {
+  async createSubscription(req, res) {
+    try {
+      const { error, value } = subscriptionSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const missing = await findMissingProducts(value.items);
+      if (missing.length > 0) {
+        return res.status(400).json({ error: 'Some products do not exist', missingProducts: missing });
+      }
+
+      assertRenewablePayment(value);
+      const subscription = await Subscription.createSubscription(req.user._id, value);
+
+      await AuditLog.logAsync({
+        event: 'SUBSCRIPTION_CREATED',
+        action: 'create',
+        entityType: 'subscription',
+        entityId: subscription._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          items: value.items,
+          interval: subscription.interval,
+          paymentMethod: subscription.paymentMethod,
+          nextOrderDate: subscription.nextOrderDate
+        }
+      });
+
+      res.status(201).json({
+        message: 'Subscription created successfully',
+        subscription: formatSubscription(subscription)
+      });
+    } catch (error) {
+      logger.error(`Subscription creation error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      handleError(res, error, 'Failed to create subscription');
+    }
+  }
+
+  async getSubscriptions(req, res) {
+    try {
+      const { error, value } = subscriptionGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { subscriptions, total, page, pages } = await Subscription.findCustomerSubscriptions(req.user._id, value);
+
+      res.status(200).json({
+        count: subscriptions.length,
+        total,
+        page,
+        pages,
+        subscriptions: subscriptions.map(formatSubscription)
+      });
+    } catch (error) {
+      logger.error(`Get subscriptions error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch subscriptions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getSubscription(req, res) {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid subscription ID' });
+      }
+
+      const subscription = await Subscription.findCustomerSubscription(req.params.id, req.user._id);
+      const orders = await Order.find({ subscription: subscription._id, idCustomer: req.user._id })
+        .select('orderNumber status total currency presentmentTotals.total createdAt')
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .lean();
+
+      res.status(200).json({
+        subscription: {
+          ...formatSubscription(subscription),
+          recentOrders: orders.map(order => ({
+            _id: order._id,
+            orderNumber: order.orderNumber,
+            status: order.status,
+            total: order.presentmentTotals?.total ?? order.total,
+            currency: order.currency,
+            createdAt: order.createdAt
+          }))
+        }
+      });
+    } catch (error) {
+      logger.error(`Get subscription error: ${error.message}`, { stack: error.stack, subscriptionId: req.params.id });
+      handleError(res, error, 'Failed to fetch subscription');
+    }
+  }
+
+  async updateSubscription(req, res) {
+    const { error, value } = subscriptionUpdateSchema.validate(req.body, { stripUnknown: true });
+    if (error) {
+      return res.status(400).json({ errors: validationErrors(error) });
+    }
+
+    try {
+      const missing = value.items ? await findMissingProducts(value.items) : [];
+      if (missing.length > 0) {
+        return res.status(400).json({ error: 'Some products do not exist', missingProducts: missing });
+      }
+    } catch (lookupError) {
+      logger.error(`Subscription product lookup error: ${lookupError.message}`, { stack: lookupError.stack });
+      return handleError(res, lookupError, 'Failed to update subscription');
+    }
+
+    return changeSubscription(req, res, {
+      event: 'SUBSCRIPTION_UPDATED',
+      action: 'update',
+      message: 'Subscription updated successfully',
+      apply: subscription => {
+        subscription.assertCanChange(['active', 'paused', 'past_due'], 'change');
+
+        const { nextOrderDate, ...fields } = value;
+        // A saved payment method belongs to the payment method it was saved for
+        if (value.paymentMethod && value.paymentMethod !== subscription.paymentMethod) {
+          subscription.paymentToken = null;
+          subscription.paymentCustomer = null;
+        }
+        Object.assign(subscription, fields);
+        if (value.paymentMethod || value.paymentToken || value.paymentCustomer) {
+          assertRenewablePayment(subscription);
+        }
+
+        // A new interval or date starts a new schedule from the next order
+        if (nextOrderDate || value.interval) {
+          subscription.reschedule(nextOrderDate || subscription.nextOrderDate);
+        }
+
+        // A new payment method is retried on the next scheduler run
+        if (subscription.status === 'past_due' && (value.paymentMethod || value.paymentToken)) {
+          subscription.status = 'active';
+          subscription.failedAttempts = 0;
+          subscription.nextAttemptAt = null;
+        }
+
+        return { changedFields: Object.keys(value) };
+      }
+    });
+  }
+
+  async pauseSubscription(req, res) {
+    const { error, value } = subscriptionPauseSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ errors: validationErrors(error) });
+    }
+
+    return changeSubscription(req, res, {
+      event: 'SUBSCRIPTION_PAUSED',
+      action: 'update',
+      message: 'Subscription paused',
+      apply: subscription => {
+        subscription.pause(value.resumeAt || null);
+        return { resumeAt: subscription.resumeAt };
+      }
+    });
+  }
+
+  async resumeSubscription(req, res) {
+    return changeSubscription(req, res, {
+      event: 'SUBSCRIPTION_RESUMED',
+      action: 'update',
+      message: 'Subscription resumed',
+      apply: subscription => subscription.resume()
+    });
+  }
+
+  async skipSubscription(req, res) {
+    return changeSubscription(req, res, {
+      event: 'SUBSCRIPTION_SKIPPED',
+      action: 'update',
+      message: 'Next order skipped',
+      apply: subscription => {
+        const skipped = subscription.nextOrderDate;
+        subscription.skip();
+        return { skippedDate: skipped };
+      }
+    });
+  }
+
+  async cancelSubscription(req, res) {
+    const { error, value } = subscriptionCancelSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ errors: validationErrors(error) });
+    }
+
+    return changeSubscription(req, res, {
+      event: 'SUBSCRIPTION_CANCELLED',
+      action: 'cancel',
+      message: 'Subscription cancelled',
+      apply: subscription => {
+        subscription.cancel(value.reason || null);
+        return { reason: subscription.cancellationReason };
+      }
+    });
+  }
+}
+
+module.exports = new SubscriptionController();
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const subscriptionController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
+
+router.post('/add', 
+  authenticate, 
+  idempotency(), 
+  subscriptionController.createSubscription
+);
+
+router.get('/get', 
+  authenticate, 
+  subscriptionController.getSubscriptions
+);
+
+router.get('/get/:id', 
+  authenticate, 
+  subscriptionController.getSubscription
+);
+
+router.put('/update/:id', 
+  authenticate, 
+  subscriptionController.updateSubscription
+);
+
+router.put('/pause/:id', 
+  authenticate, 
+  subscriptionController.pauseSubscription
+);
+
+router.put('/resume/:id', 
+  authenticate, 
+  subscriptionController.resumeSubscription
+);
+
+router.put('/skip/:id', 
+  authenticate, 
+  subscriptionController.skipSubscription
+);
+
+router.put('/cancel/:id', 
+  authenticate, 
+  subscriptionController.cancelSubscription
+);
+
+module.exports = router;
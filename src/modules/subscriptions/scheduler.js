@@ -0,0 +1,70 @@
+const Subscription = require('../../models/Subscription');
+const logger = require('../../services/logger');
+const { renewSubscription } = require('./service');
+
+class SubscriptionScheduler {
+  constructor() {
+    this.intervalSeconds = parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL, 10) || 300;
+    this.batchSize = parseInt(process.env.SUBSCRIPTION_SCHEDULER_BATCH, 10) || 50;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run the scheduler every SUBSCRIPTION_SCHEDULER_INTERVAL seconds.
+   * Setting the interval to 0 disables it on this instance.
+   */
+  start() {
+    if (this.timer || process.env.SUBSCRIPTION_SCHEDULER_INTERVAL === '0') return;
+
+    this.timer = setInterval(() => this.tick(), this.intervalSeconds * 1000);
+    this.timer.unref();
+    logger.info(`Subscription scheduler running every ${this.intervalSeconds}s`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    // A slow run must not overlap with the next one on the same instance
+    if (this.running) return;
+    this.running = true;
+    try {
+      await this.runDue();
+    } catch (err) {
+      logger.error(`Subscription scheduler run failed: ${err.message}`, { stack: err.stack });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Resume paused subscriptions that are due and renew up to batchSize
+   * subscriptions. The rest are picked up by the next run.
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object>} { resumed, renewed, failed }
+   */
+  async runDue(now = new Date()) {
+    const resumed = await Subscription.resumeDue(now);
+    let renewed = 0;
+    let failed = 0;
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const subscription = await Subscription.claimDue(now);
+      if (!subscription) break;
+
+      const result = await renewSubscription(subscription, now);
+      if (result.renewed) renewed++;
+      else failed++;
+    }
+
+    if (resumed || renewed || failed) {
+      logger.info(`Subscription scheduler: ${resumed} resumed, ${renewed} renewed, ${failed} failed`);
+    }
+    return { resumed, renewed, failed };
+  }
+}
+
+module.exports = new SubscriptionScheduler();
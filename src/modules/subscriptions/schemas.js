@@ -0,0 +1,139 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const PAYMENT_METHODS = ['credit_card', 'paypal', 'stripe', 'cod', 'bank_transfer', 'cash_on_delivery'];
+
+const addressSchema = Joi.object({
+  street: Joi.string().required().messages({
+    'string.empty': 'Street is required',
+    'any.required': 'Street is required'
+  }),
+  city: Joi.string().required().messages({
+    'string.empty': 'City is required',
+    'any.required': 'City is required'
+  }),
+  state: Joi.string().required().messages({
+    'string.empty': 'State is required',
+    'any.required': 'State is required'
+  }),
+  postalCode: Joi.string().required().messages({
+    'string.empty': 'Postal code is required',
+    'any.required': 'Postal code is required'
+  }),
+  country: Joi.string().required().messages({
+    'string.empty': 'Country is required',
+    'any.required': 'Country is required'
+  })
+}).messages({
+  'object.base': 'Shipping address must be an object'
+});
+
+const itemsSchema = Joi.array().items(Joi.object({
+  idProduct: objectId.required().messages({
+    'string.pattern.base': 'Product ID must be a valid ID',
+    'any.required': 'Product ID is required'
+  }),
+  quantity: Joi.number().integer().min(1).max(100).required().messages({
+    'number.min': 'Quantity must be at least 1',
+    'number.max': 'Quantity cannot exceed 100',
+    'any.required': 'Quantity is required'
+  })
+})).min(1).max(50).unique('idProduct').messages({
+  'array.min': 'At least one item is required',
+  'array.max': 'A subscription cannot have more than 50 items',
+  'array.unique': 'Each product can only be listed once'
+});
+
+const intervalSchema = Joi.object({
+  unit: Joi.string().valid('day', 'week', 'month').required().messages({
+    'any.only': 'Interval unit must be one of: day, week, month',
+    'any.required': 'Interval unit is required'
+  }),
+  count: Joi.number().integer().min(1).max(52).default(1).messages({
+    'number.min': 'Interval must be at least 1',
+    'number.max': 'Interval cannot exceed 52'
+  })
+});
+
+const subscriptionSchema = Joi.object({
+  items: itemsSchema.required(),
+  interval: intervalSchema.required().messages({
+    'any.required': 'Interval is required'
+  }),
+  shippingAddress: addressSchema.required().messages({
+    'any.required': 'Shipping address is required'
+  }),
+  shippingMethod: Joi.string().valid('standard', 'express', 'overnight').default('standard').messages({
+    'any.only': 'Shipping method must be one of: standard, express, overnight'
+  }),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).required().messages({
+    'any.only': `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`,
+    'any.required': 'Payment method is required'
+  }),
+  paymentToken: Joi.string().trim().max(255).messages({
+    'string.max': 'Payment token cannot exceed 255 characters'
+  }),
+  paymentCustomer: Joi.string().trim().max(255).messages({
+    'string.max': 'Payment customer cannot exceed 255 characters'
+  }),
+  currency: Joi.string().length(3).uppercase().messages({
+    'string.length': 'Currency must be an ISO 4217 code'
+  }),
+  // First order date, defaults to now
+  startDate: Joi.date().iso().min('now').messages({
+    'date.min': 'Start date cannot be in the past'
+  })
+}).options({ abortEarly: false });
+
+const subscriptionUpdateSchema = Joi.object({
+  items: itemsSchema,
+  interval: intervalSchema,
+  shippingAddress: addressSchema,
+  shippingMethod: Joi.string().valid('standard', 'express', 'overnight').messages({
+    'any.only': 'Shipping method must be one of: standard, express, overnight'
+  }),
+  paymentMethod: Joi.string().valid(...PAYMENT_METHODS).messages({
+    'any.only': `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+  }),
+  paymentToken: Joi.string().trim().max(255).messages({
+    'string.max': 'Payment token cannot exceed 255 characters'
+  }),
+  paymentCustomer: Joi.string().trim().max(255).messages({
+    'string.max': 'Payment customer cannot exceed 255 characters'
+  }),
+  currency: Joi.string().length(3).uppercase().allow(null).messages({
+    'string.length': 'Currency must be an ISO 4217 code'
+  }),
+  nextOrderDate: Joi.date().iso().min('now').messages({
+    'date.min': 'Next order date cannot be in the past'
+  })
+}).min(1).options({ abortEarly: false });
+
+const subscriptionGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  status: Joi.string().valid('active', 'paused', 'past_due', 'cancelled').messages({
+    'any.only': 'Status must be one of: active, paused, past_due, cancelled'
+  })
+});
+
+const subscriptionPauseSchema = Joi.object({
+  resumeAt: Joi.date().iso().greater('now').messages({
+    'date.greater': 'Resume date must be in the future'
+  })
+});
+
+const subscriptionCancelSchema = Joi.object({
+  reason: Joi.string().trim().max(500).messages({
+    'string.max': 'Reason cannot exceed 500 characters'
+  })
+});
+
+module.exports = {
+  subscriptionSchema,
+  subscriptionUpdateSchema,
+  subscriptionGetSchema,
+  subscriptionPauseSchema,
+  subscriptionCancelSchema
+};
@@ -0,0 +1,187 @@
+const Order = require('../../models/Order');
+const AuditLog = require('../../models/AuditLog');
+const logger = require('../../services/logger');
+const { getShippingQuote } = require('../shipping/service');
+const { getPresentment } = require('../currency/service');
+const PaymentProcessor = require('../payment/PaymentProcessor');
+
+/**
+ * Whether a checkout failed because the payment was declined, as opposed to
+ * a stock, shipping or database problem
+ * @param {Error} error - Error thrown by Order.createAndProcessOrder
+ * @returns {boolean}
+ */
+function isPaymentFailure(error) {
+    return error.name === 'PaymentError' && error.code !== 'CHECKOUT_FAILED';
+}
+
+/**
+ * Check that renewals can be charged with a payment method while the
+ * customer is away: a provider must be routed for it and able to charge
+ * without them, and providers that charge a saved payment method need its
+ * token and customer reference.
+ * @param {Object} payment - { paymentMethod, paymentToken, paymentCustomer }
+ * @throws {Error} PAYMENT_METHOD_NOT_RENEWABLE or PAYMENT_TOKEN_REQUIRED (400)
+ */
+function assertRenewablePayment({ paymentMethod, paymentToken, paymentCustomer }) {
+    let provider = null;
+    try {
+        provider = PaymentProcessor.getProvider(paymentMethod);
+    } catch (error) {
+        if (error.code !== 'UNSUPPORTED_PAYMENT_METHOD') throw error;
+    }
+
+    if (!provider?.recurring) {
+        const err = new Error(`Subscriptions cannot be paid with ${paymentMethod}`);
+        err.statusCode = 400;
+        err.code = 'PAYMENT_METHOD_NOT_RENEWABLE';
+        throw err;
+    }
+    if (provider.storedPaymentMethod && !(paymentToken && paymentCustomer)) {
+        const err = new Error(`Subscriptions paid with ${paymentMethod} need a saved payment method (paymentToken and paymentCustomer)`);
+        err.statusCode = 400;
+        err.code = 'PAYMENT_TOKEN_REQUIRED';
+        throw err;
+    }
+}
+
+/**
+ * Price the subscription's items like a cart and place the order through
+ * the regular checkout. Campaign prices in force on the renewal date apply;
+ * promotion codes do not.
+ * @param {Object} subscription - Subscription document
+ * @returns {Promise<Object>} Result of Order.createAndProcessOrder
+ * @throws {Error} ITEMS_UNAVAILABLE when an item cannot be ordered, or any checkout error
+ */
+async function placeSubscriptionOrder(subscription) {
+    const { orderItems, subtotal, outOfStockItems } = await Order.processCartItems(
+        subscription.items.map(item => ({ product: item.idProduct, quantity: item.quantity }))
+    );
+
+    if (outOfStockItems.length > 0) {
+        const err = new Error(`Some items are unavailable: ${outOfStockItems.map(item => item.name || item.productId).join(', ')}`);
+        err.code = 'ITEMS_UNAVAILABLE';
+        err.outOfStockItems = outOfStockItems;
+        throw err;
+    }
+
+    const { shippingAddress, shippingMethod, paymentMethod } = subscription;
+    const { price: shippingCost, estimatedDelivery } = await getShippingQuote(shippingMethod, {
+        items: orderItems,
+        shippingAddress,
+        subtotal
+    });
+
+    const { tax, total, taxBreakdown } = await Order.calculateFinalTotals(
+        subtotal,
+        0,
+        shippingAddress,
+        shippingCost,
+        orderItems
+    );
+
+    const presentment = await getPresentment({
+        items: orderItems,
+        discount: 0,
+        shippingCost,
+        tax,
+        pricesIncludeTax: taxBreakdown.pricesIncludeTax
+    }, subscription.currency);
+
+    return Order.createAndProcessOrder({
+        idCustomer: subscription.customer,
+        subscription: subscription._id,
+        items: presentment.items,
+        paymentMethod,
+        shippingAddress,
+        shippingMethod,
+        discount: 0,
+        estimatedDelivery,
+        subtotal,
+        tax,
+        taxBreakdown,
+        shippingCost,
+        total,
+        baseCurrency: presentment.baseCurrency,
+        currency: presentment.currency,
+        exchangeRate: presentment.exchangeRate,
+        presentmentTotals: presentment.totals
+    }, paymentMethod, {
+        userAgent: 'subscription-scheduler',
+        paymentToken: subscription.paymentToken || undefined,
+        customerReference: subscription.paymentCustomer || undefined,
+        offSession: true
+    });
+}
+
+/**
+ * Place the renewal order of a claimed subscription and book the outcome.
+ * Never throws - failures are stored on the subscription.
+ * @param {Object} subscription - Subscription document claimed by Subscription.claimDue
+ * @param {Date} [now] - Renewal time
+ * @returns {Promise<Object>} { renewed, order, error }
+ */
+async function renewSubscription(subscription, now = new Date()) {
+    try {
+        const { order } = await placeSubscriptionOrder(subscription);
+        subscription.recordRenewal(order, now);
+        await subscription.save();
+
+        await AuditLog.logAsync({
+            event: 'SUBSCRIPTION_RENEWED',
+            action: 'create',
+            entityType: 'subscription',
+            entityId: subscription._id,
+            user: subscription.customer,
+            source: 'system',
+            userAgent: 'subscription-scheduler',
+            status: 'success',
+            metadata: {
+                orderId: order._id,
+                total: order.total,
+                nextOrderDate: subscription.nextOrderDate
+            }
+        });
+
+        logger.info(`Subscription ${subscription._id} renewed with order ${order._id}`);
+        return { renewed: true, order };
+    } catch (error) {
+        const paymentFailed = isPaymentFailure(error);
+        subscription.recordFailure(error, paymentFailed, now);
+        await subscription.save().catch(saveError => {
+            logger.error(`Failed to record renewal failure of subscription ${subscription._id}: ${saveError.message}`);
+        });
+
+        await AuditLog.logAsync({
+            event: paymentFailed ? 'SUBSCRIPTION_PAST_DUE' : 'SUBSCRIPTION_RENEWAL_SKIPPED',
+            action: 'create',
+            entityType: 'subscription',
+            entityId: subscription._id,
+            user: subscription.customer,
+            source: 'system',
+            userAgent: 'subscription-scheduler',
+            status: 'failure',
+            metadata: {
+                error: error.message,
+                code: error.code,
+                failedAttempts: subscription.failedAttempts,
+                nextAttemptAt: subscription.nextAttemptAt,
+                nextOrderDate: subscription.nextOrderDate
+            }
+        });
+
+        logger.warn(`Subscription ${subscription._id} renewal failed: ${error.message}`, {
+            code: error.code,
+            paymentFailed,
+            status: subscription.status
+        });
+        return { renewed: false, error };
+    }
+}
+
+module.exports = {
+    assertRenewablePayment,
+    isPaymentFailure,
+    placeSubscriptionOrder,
+    renewSubscription
+};
@@ -0,0 +1,253 @@
+const TaxRate = require('../../../models/TaxRate');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const mongoose = require('mongoose');
+const { taxRateSchema, taxRateUpdateSchema, taxRateGetSchema } = require('../schemas');
+
+// Shape a tax rate for API responses
+function formatTaxRate(taxRate) {
+  return {
+    id: taxRate._id,
+    name: taxRate.name,
+    country: taxRate.country,
+    state: taxRate.state,
+    postalPrefix: taxRate.postalPrefix,
+    taxClass: taxRate.taxClass,
+    rate: taxRate.rate,
+    taxShipping: taxRate.taxShipping,
+    isActive: taxRate.isActive,
+    updatedAt: taxRate.updatedAt
+  };
+}
+
+class TaxController {
+  async addTaxRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = taxRateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }));
+        return res.status(400).json({ errors });
+      }
+
+      const taxRate = await TaxRate.create({ ...value, createdBy: req.user._id });
+
+      await AuditLog.logAsync({
+        event: 'TAX_RATE_CREATED',
+        action: 'create',
+        entityType: 'tax_rate',
+        entityId: taxRate._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: formatTaxRate(taxRate)
+      });
+
+      res.status(201).json({
+        message: 'Tax rate created successfully',
+        taxRate: formatTaxRate(taxRate)
+      });
+    } catch (error) {
+      logger.error(`Tax rate creation error: ${error.message}`, { stack: error.stack });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A rate for this jurisdiction and tax class already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to create tax rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getTaxRates(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = taxRateGetSchema.validate(req.query);
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }));
+        return res.status(400).json({ errors });
+      }
+
+      const filter = {};
+      if (value.country) filter.country = value.country;
+      if (value.state) filter.state = value.state;
+      if (value.taxClass) filter.taxClass = value.taxClass;
+      if (value.isActive !== undefined) filter.isActive = value.isActive;
+
+      const { taxRates, total, page, pages } = await TaxRate.findTaxRates(filter, value.page, value.limit);
+
+      res.status(200).json({
+        count: taxRates.length,
+        total,
+        page,
+        pages,
+        taxRates: taxRates.map(formatTaxRate)
+      });
+    } catch (error) {
+      logger.error(`Get tax rates error: ${error.message}`, { stack: error.stack });
+      res.status(500).json({
+        error: 'Failed to fetch tax rates',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getTaxRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid tax rate ID' });
+      }
+
+      const taxRate = await TaxRate.findById(req.params.id).lean();
+      if (!taxRate) {
+        return res.status(404).json({ error: 'Tax rate not found' });
+      }
+
+      res.status(200).json({ taxRate: formatTaxRate(taxRate) });
+    } catch (error) {
+      logger.error(`Get tax rate error: ${error.message}`, { stack: error.stack, taxRateId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch tax rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateTaxRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid tax rate ID' });
+      }
+
+      const { error, value } = taxRateUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        const errors = error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }));
+        return res.status(400).json({ errors });
+      }
+
+      const taxRate = await TaxRate.findById(req.params.id);
+      if (!taxRate) {
+        return res.status(404).json({ error: 'Tax rate not found' });
+      }
+
+      const oldValues = formatTaxRate(taxRate);
+      Object.assign(taxRate, value);
+      await taxRate.save();
+
+      await AuditLog.logAsync({
+        event: 'TAX_RATE_UPDATED',
+        action: 'update',
+        entityType: 'tax_rate',
+        entityId: taxRate._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          oldValues,
+          changedFields: Object.keys(value)
+        }
+      });
+
+      res.status(200).json({
+        message: 'Tax rate updated successfully',
+        taxRate: formatTaxRate(taxRate)
+      });
+    } catch (error) {
+      logger.error(`Tax rate update error: ${error.message}`, { stack: error.stack, taxRateId: req.params.id });
+
+      if (error.code === 11000) {
+        return res.status(409).json({ error: 'A rate for this jurisdiction and tax class already exists' });
+      }
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to update tax rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async deleteTaxRate(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid tax rate ID' });
+      }
+
+      // Past orders keep their stored breakdown, so rates can be removed outright
+      const taxRate = await TaxRate.findByIdAndDelete(req.params.id);
+      if (!taxRate) {
+        return res.status(404).json({ error: 'Tax rate not found' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'TAX_RATE_DELETED',
+        action: 'delete',
+        entityType: 'tax_rate',
+        entityId: taxRate._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: formatTaxRate(taxRate)
+      });
+
+      res.status(200).json({
+        message: 'Tax rate deleted successfully',
+        deletedId: taxRate._id
+      });
+    } catch (error) {
+      logger.error(`Tax rate deletion error: ${error.message}`, { stack: error.stack, taxRateId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to delete tax rate',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = new TaxController();
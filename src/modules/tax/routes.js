@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const taxController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+
+router.post('/add', 
+  authenticate, 
+  taxController.addTaxRate
+);
+
+router.get('/get', 
+  authenticate, 
+  taxController.getTaxRates
+);
+
+router.get('/get/:id', 
+  authenticate, 
+  taxController.getTaxRate
+);
+
+router.put('/update/:id', 
+  authenticate, 
+  taxController.updateTaxRate
+);
+
+router.delete('/delete/:id', 
+  authenticate, 
+  taxController.deleteTaxRate
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const Joi = require('joi');
+
+const taxRateSchema = Joi.object({
+  name: Joi.string().max(100).required().messages({
+    'string.empty': 'Rate name is required',
+    'string.max': 'Rate name cannot exceed 100 characters',
+    'any.required': 'Rate name is required'
+  }),
+  country: Joi.string().length(2).uppercase().required().messages({
+    'string.length': 'Country must be an ISO 3166-1 alpha-2 code',
+    'any.required': 'Country is required'
+  }),
+  state: Joi.string().max(50).uppercase().allow(null).default(null).messages({
+    'string.max': 'State cannot exceed 50 characters'
+  }),
+  postalPrefix: Joi.string().max(10).uppercase().allow(null).default(null).messages({
+    'string.max': 'Postal prefix cannot exceed 10 characters'
+  }),
+  taxClass: Joi.string().lowercase().pattern(/^[a-z0-9_-]+$/).max(30).default('standard').messages({
+    'string.pattern.base': 'Tax class may only contain letters, digits, hyphens and underscores',
+    'string.max': 'Tax class cannot exceed 30 characters'
+  }),
+  rate: Joi.number().min(0).max(100).required().messages({
+    'number.base': 'Rate must be a number',
+    'number.min': 'Rate cannot be negative',
+    'number.max': 'Rate cannot exceed 100%',
+    'any.required': 'Rate is required'
+  }),
+  taxShipping: Joi.boolean().default(false),
+  isActive: Joi.boolean().default(true)
+}).options({ abortEarly: false });
+
+const taxRateUpdateSchema = Joi.object({
+  name: Joi.string().max(100).messages({
+    'string.max': 'Rate name cannot exceed 100 characters'
+  }),
+  country: Joi.string().length(2).uppercase().messages({
+    'string.length': 'Country must be an ISO 3166-1 alpha-2 code'
+  }),
+  state: Joi.string().max(50).uppercase().allow(null).messages({
+    'string.max': 'State cannot exceed 50 characters'
+  }),
+  postalPrefix: Joi.string().max(10).uppercase().allow(null).messages({
+    'string.max': 'Postal prefix cannot exceed 10 characters'
+  }),
+  taxClass: Joi.string().lowercase().pattern(/^[a-z0-9_-]+$/).max(30).messages({
+    'string.pattern.base': 'Tax class may only contain letters, digits, hyphens and underscores',
+    'string.max': 'Tax class cannot exceed 30 characters'
+  }),
+  rate: Joi.number().min(0).max(100).messages({
+    'number.base': 'Rate must be a number',
+    'number.min': 'Rate cannot be negative',
+    'number.max': 'Rate cannot exceed 100%'
+  }),
+  taxShipping: Joi.boolean(),
+  isActive: Joi.boolean()
+}).min(1).options({ abortEarly: false });
+
+const taxRateGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  country: Joi.string().length(2).uppercase(),
+  state: Joi.string().max(50).uppercase(),
+  taxClass: Joi.string().lowercase().max(30),
+  isActive: Joi.boolean()
+});
+
+module.exports = { taxRateSchema, taxRateUpdateSchema, taxRateGetSchema };
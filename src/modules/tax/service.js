@@ -0,0 +1,137 @@
+const TaxRate = require('../../models/TaxRate');
+const Category = require('../../models/Category');
+const Product = require('../../models/Products');
+const logger = require('../../services/logger');
+
+const DEFAULT_TAX_CLASS = 'standard';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+/**
+ * Whether catalogue prices already contain tax (PRICES_INCLUDE_TAX=true)
+ * @returns {boolean}
+ */
+function pricesIncludeTax() {
+    return process.env.PRICES_INCLUDE_TAX === 'true';
+}
+
+/**
+ * Tax owed on an amount at a given rate
+ * @param {number} amount - Net amount (exclusive) or gross amount (inclusive)
+ * @param {number} rate - Rate in percent
+ * @param {boolean} inclusive - Whether amount already contains the tax
+ * @returns {number} Tax amount rounded to cents
+ */
+function taxOn(amount, rate, inclusive) {
+    if (!rate || amount <= 0) return 0;
+    return inclusive
+        ? round2(amount - amount / (1 + rate / 100))
+        : round2(amount * rate / 100);
+}
+
+/**
+ * Resolve the tax class of each product from its categories.
+ * The first category with a non-standard class wins.
+ * @param {Array} productIds - Product IDs
+ * @returns {Promise<Map<string, string>>} Tax class per product ID
+ */
+async function getTaxClasses(productIds) {
+    const products = await Product.find({ _id: { $in: productIds } }).select('categories').lean();
+    const categoryIds = [...new Set(products.flatMap(product => (product.categories || []).map(String)))];
+    const categories = await Category.find({ _id: { $in: categoryIds } }).select('taxClass').lean();
+    const classByCategory = new Map(categories.map(category => [category._id.toString(), category.taxClass || DEFAULT_TAX_CLASS]));
+
+    return new Map(products.map(product => {
+        const taxClass = (product.categories || [])
+            .map(categoryId => classByCategory.get(categoryId.toString()))
+            .find(cls => cls && cls !== DEFAULT_TAX_CLASS);
+        return [product._id.toString(), taxClass || DEFAULT_TAX_CLASS];
+    }));
+}
+
+/**
+ * Pick the most specific rate for a tax class, falling back to the
+ * standard class when the jurisdiction has no rate for it
+ * @param {Array} rates - Rates from TaxRate.findForAddress, most specific first
+ * @param {string} taxClass - Tax class
+ * @returns {Object|null} Rate document
+ */
+function pickRate(rates, taxClass) {
+    return rates.find(rate => rate.taxClass === taxClass)
+        || rates.find(rate => rate.taxClass === DEFAULT_TAX_CLASS)
+        || null;
+}
+
+/**
+ * Calculate tax for an order, line by line.
+ *
+ * The discount is spread over the lines in proportion to their amount
+ * before tax is applied. Shipping is taxed only when the standard rate of
+ * the jurisdiction has taxShipping set. With inclusive pricing, tax is
+ * extracted from the amounts instead of added on top.
+ * @param {Object} params
+ * @param {Array} params.items - Order items ({ idProduct, quantity, priceAtPurchase })
+ * @param {Object} params.shippingAddress - Destination ({ country, state, postalCode })
+ * @param {number} [params.discount=0] - Order-level discount
+ * @param {number} [params.shippingCost=0] - Shipping charged
+ * @returns {Promise<Object>} { tax, pricesIncludeTax, lines, shipping }
+ */
+async function calculateTax({ items, shippingAddress, discount = 0, shippingCost = 0 }) {
+    try {
+        const inclusive = pricesIncludeTax();
+        const [rates, classes] = await Promise.all([
+            TaxRate.findForAddress(shippingAddress),
+            getTaxClasses(items.map(item => item.idProduct))
+        ]);
+
+        const subtotal = items.reduce((sum, item) => sum + item.priceAtPurchase * item.quantity, 0);
+        const cappedDiscount = Math.min(discount, subtotal);
+        let discountLeft = round2(cappedDiscount);
+
+        const lines = items.map((item, index) => {
+            const amount = round2(item.priceAtPurchase * item.quantity);
+            const lineDiscount = index === items.length - 1
+                ? discountLeft
+                : round2(subtotal > 0 ? cappedDiscount * amount / subtotal : 0);
+            discountLeft = round2(discountLeft - lineDiscount);
+
+            const taxClass = classes.get(item.idProduct.toString()) || DEFAULT_TAX_CLASS;
+            const rate = pickRate(rates, taxClass);
+            const taxableAmount = round2(amount - lineDiscount);
+
+            return {
+                idProduct: item.idProduct,
+                taxClass,
+                taxableAmount,
+                rate: rate ? rate.rate : 0,
+                tax: taxOn(taxableAmount, rate?.rate, inclusive),
+                jurisdiction: rate ? rate.name : null
+            };
+        });
+
+        const shippingRate = pickRate(rates, DEFAULT_TAX_CLASS);
+        const shippingTaxable = !!shippingRate?.taxShipping && shippingCost > 0;
+        const shipping = {
+            taxable: shippingTaxable,
+            taxableAmount: shippingTaxable ? round2(shippingCost) : 0,
+            rate: shippingTaxable ? shippingRate.rate : 0,
+            tax: shippingTaxable ? taxOn(shippingCost, shippingRate.rate, inclusive) : 0,
+            jurisdiction: shippingTaxable ? shippingRate.name : null
+        };
+
+        const tax = round2(lines.reduce((sum, line) => sum + line.tax, 0) + shipping.tax);
+
+        logger.debug(`Calculated tax: ${tax} for ${items.length} lines shipping to ${shippingAddress?.country}`);
+        return { tax, pricesIncludeTax: inclusive, lines, shipping };
+    } catch (error) {
+        logger.error(`Tax calculation failed: ${error.message}`);
+        throw new Error('Tax calculation service unavailable');
+    }
+}
+
+module.exports = {
+    DEFAULT_TAX_CLASS,
+    pricesIncludeTax,
+    getTaxClasses,
+    calculateTax
+};
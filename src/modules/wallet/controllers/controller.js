@@ -0,0 +1,409 @@
+const Wallet = require('../../../models/Wallet');
+const WalletTransaction = require('../../../models/WalletTransaction');
+const GiftCard = require('../../../models/GiftCard');
+const User = require('../../../models/User');
+const AuditLog = require('../../../models/AuditLog');
+const logger = require('../../../services/logger');
+const mongoose = require('mongoose');
+const {
+  transactionGetSchema,
+  redeemSchema,
+  adjustSchema,
+  giftCardSchema,
+  giftCardUpdateSchema,
+  giftCardGetSchema
+} = require('../schemas');
+
+// Shape a wallet transaction for API responses
+function formatTransaction(transaction) {
+  return {
+    id: transaction._id,
+    type: transaction.type,
+    source: transaction.source,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    balanceAfter: transaction.balanceAfter,
+    remaining: transaction.type === 'credit' ? transaction.remaining : undefined,
+    expiresAt: transaction.expiresAt,
+    order: transaction.order,
+    description: transaction.description,
+    createdAt: transaction.createdAt
+  };
+}
+
+// Shape a gift card for API responses; the code itself is never stored
+function formatGiftCard(giftCard) {
+  return {
+    id: giftCard._id,
+    last4: giftCard.last4,
+    amount: giftCard.amount,
+    currency: giftCard.currency,
+    status: giftCard.status,
+    expiresAt: giftCard.expiresAt,
+    recipientEmail: giftCard.recipientEmail,
+    note: giftCard.note,
+    redeemedBy: giftCard.redeemedBy,
+    redeemedAt: giftCard.redeemedAt,
+    createdAt: giftCard.createdAt
+  };
+}
+
+function validationErrors(error) {
+  return error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+}
+
+// Customers see their own wallet, admins may look at any with userId
+function resolveUserId(req, userId) {
+  if (!userId || userId === req.user._id.toString()) {
+    return { userId: req.user._id };
+  }
+  if (req.user.role !== 'admin') {
+    return { status: 403, error: 'Not authorized' };
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return { status: 400, error: 'Invalid user ID' };
+  }
+  return { userId };
+}
+
+function handleError(res, error, message) {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, code: error.code, balance: error.balance });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  res.status(500).json({
+    error: message,
+    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+class WalletController {
+  async getBalance(req, res) {
+    try {
+      const target = resolveUserId(req, req.query.userId);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+
+      const summary = await Wallet.getSummary(target.userId);
+
+      res.status(200).json({
+        user: target.userId,
+        ...summary
+      });
+    } catch (error) {
+      logger.error(`Get wallet balance error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch wallet balance',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getTransactions(req, res) {
+    try {
+      const { error, value } = transactionGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const target = resolveUserId(req, value.userId);
+      if (target.error) {
+        return res.status(target.status).json({ error: target.error });
+      }
+
+      const { transactions, total, page, pages } = await WalletTransaction.findUserTransactions(target.userId, value);
+
+      res.status(200).json({
+        count: transactions.length,
+        total,
+        page,
+        pages,
+        transactions: transactions.map(formatTransaction)
+      });
+    } catch (error) {
+      logger.error(`Get wallet transactions error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch wallet transactions',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async redeemGiftCard(req, res) {
+    try {
+      const { error, value } = redeemSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { giftCard, transaction } = await GiftCard.redeem(value.code, req.user._id);
+
+      await AuditLog.logAsync({
+        event: 'GIFT_CARD_REDEEMED',
+        action: 'update',
+        entityType: 'gift_card',
+        entityId: giftCard._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          amount: giftCard.amount,
+          last4: giftCard.last4,
+          walletTransaction: transaction._id
+        }
+      });
+
+      res.status(200).json({
+        message: 'Gift card redeemed successfully',
+        amount: transaction.amount,
+        balance: transaction.balanceAfter,
+        currency: transaction.currency,
+        expiresAt: transaction.expiresAt
+      });
+    } catch (error) {
+      // Failed codes are audited so guessing attempts show up
+      if (error.code && error.code.startsWith('GIFT_CARD_')) {
+        await AuditLog.logAsync({
+          event: 'GIFT_CARD_REDEEM_FAILED',
+          action: 'update',
+          entityType: 'gift_card',
+          user: req.user._id,
+          source: 'web',
+          status: 'failure',
+          ip: req.ip,
+          userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+          metadata: { reason: error.code }
+        });
+      } else {
+        logger.error(`Gift card redeem error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      }
+      handleError(res, error, 'Failed to redeem gift card');
+    }
+  }
+
+  async adjustWallet(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+
+      const { error, value } = adjustSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const user = await User.findById(req.params.userId).select('_id').lean();
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const entry = {
+        amount: Math.abs(value.amount),
+        source: 'admin',
+        description: value.reason,
+        createdBy: req.user._id
+      };
+      const transaction = value.amount > 0
+        ? await Wallet.credit(user._id, { ...entry, expiresAt: value.expiresAt || null })
+        : await Wallet.debit(user._id, entry);
+
+      await AuditLog.logAsync({
+        event: 'WALLET_ADJUSTED',
+        action: 'update',
+        entityType: 'wallet',
+        entityId: user._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          amount: transaction.amount,
+          balanceAfter: transaction.balanceAfter,
+          reason: value.reason,
+          walletTransaction: transaction._id
+        }
+      });
+
+      res.status(200).json({
+        message: 'Wallet adjusted successfully',
+        transaction: formatTransaction(transaction)
+      });
+    } catch (error) {
+      logger.error(`Wallet adjustment error: ${error.message}`, { stack: error.stack, targetUserId: req.params.userId });
+      handleError(res, error, 'Failed to adjust wallet');
+    }
+  }
+
+  async createGiftCard(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = giftCardSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { giftCard, code } = await GiftCard.issue(value, req.user._id);
+
+      await AuditLog.logAsync({
+        event: 'GIFT_CARD_ISSUED',
+        action: 'create',
+        entityType: 'gift_card',
+        entityId: giftCard._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: {
+          amount: giftCard.amount,
+          last4: giftCard.last4,
+          expiresAt: giftCard.expiresAt
+        }
+      });
+
+      res.status(201).json({
+        message: 'Gift card issued successfully. The code is only shown once.',
+        code,
+        giftCard: formatGiftCard(giftCard)
+      });
+    } catch (error) {
+      logger.error(`Gift card creation error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      handleError(res, error, 'Failed to issue gift card');
+    }
+  }
+
+  async getGiftCards(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      const { error, value } = giftCardGetSchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      const { giftCards, total, page, pages } = await GiftCard.findGiftCards(value);
+
+      res.status(200).json({
+        count: giftCards.length,
+        total,
+        page,
+        pages,
+        giftCards: giftCards.map(formatGiftCard)
+      });
+    } catch (error) {
+      logger.error(`Get gift cards error: ${error.message}`, { stack: error.stack, userId: req.user._id });
+      res.status(500).json({
+        error: 'Failed to fetch gift cards',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async getGiftCard(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid gift card ID' });
+      }
+
+      const giftCard = await GiftCard.findById(req.params.id)
+        .populate('redeemedBy', 'name email')
+        .populate('issuedBy', 'name email')
+        .lean();
+      if (!giftCard) {
+        return res.status(404).json({ error: 'Gift card not found' });
+      }
+
+      res.status(200).json({
+        giftCard: {
+          ...formatGiftCard(giftCard),
+          issuedBy: giftCard.issuedBy,
+          walletTransaction: giftCard.walletTransaction
+        }
+      });
+    } catch (error) {
+      logger.error(`Get gift card error: ${error.message}`, { stack: error.stack, giftCardId: req.params.id });
+      res.status(500).json({
+        error: 'Failed to fetch gift card',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  async updateGiftCard(req, res) {
+    try {
+      if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Not authorized' });
+      }
+
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid gift card ID' });
+      }
+
+      const { error, value } = giftCardUpdateSchema.validate(req.body, { stripUnknown: true });
+      if (error) {
+        return res.status(400).json({ errors: validationErrors(error) });
+      }
+
+      // A redeemed card already lives in a wallet; changing it would change nothing
+      const giftCard = await GiftCard.findOneAndUpdate(
+        { _id: req.params.id, status: { $ne: 'redeemed' } },
+        { $set: value },
+        { new: true, runValidators: true }
+      );
+      if (!giftCard) {
+        const exists = await GiftCard.exists({ _id: req.params.id });
+        return exists
+          ? res.status(409).json({ error: 'A redeemed gift card cannot be changed', code: 'GIFT_CARD_REDEEMED' })
+          : res.status(404).json({ error: 'Gift card not found' });
+      }
+
+      await AuditLog.logAsync({
+        event: 'GIFT_CARD_UPDATED',
+        action: 'update',
+        entityType: 'gift_card',
+        entityId: giftCard._id,
+        user: req.user._id,
+        source: 'web',
+        status: 'success',
+        ip: req.ip,
+        userAgent: req.get('User-Agent')?.slice(0, 200) || '',
+        metadata: { changes: value }
+      });
+
+      res.status(200).json({
+        message: 'Gift card updated successfully',
+        giftCard: formatGiftCard(giftCard)
+      });
+    } catch (error) {
+      logger.error(`Gift card update error: ${error.message}`, { stack: error.stack, giftCardId: req.params.id });
+      handleError(res, error, 'Failed to update gift card');
+    }
+  }
+}
+
+module.exports = new WalletController();
@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const walletController = require('./controllers/controller');
+const { authenticate } = require('../../core/security/jwt');
+const { idempotency } = require('../../core/middlewares/idempotency');
+
+// Customer wallet
+router.get('/balance', 
+  authenticate, 
+  walletController.getBalance
+);
+
+router.get('/transactions', 
+  authenticate, 
+  walletController.getTransactions
+);
+
+router.post('/redeem', 
+  authenticate, 
+  idempotency(), 
+  walletController.redeemGiftCard
+);
+
+// Admin adjustments
+router.post('/admin-adjust/:userId', 
+  authenticate, 
+  idempotency(), 
+  walletController.adjustWallet
+);
+
+// Gift cards
+router.post('/gift-cards/add', 
+  authenticate, 
+  idempotency(), 
+  walletController.createGiftCard
+);
+
+router.get('/gift-cards/get', 
+  authenticate, 
+  walletController.getGiftCards
+);
+
+router.get('/gift-cards/get/:id', 
+  authenticate, 
+  walletController.getGiftCard
+);
+
+router.put('/gift-cards/update/:id', 
+  authenticate, 
+  walletController.updateGiftCard
+);
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+const transactionGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  type: Joi.string().valid('credit', 'debit', 'expiration'),
+  userId: objectId.messages({
+    'string.pattern.base': 'User must be a valid ID'
+  })
+});
+
+const redeemSchema = Joi.object({
+  code: Joi.string().trim().min(8).max(32).required().messages({
+    'string.min': 'Invalid gift card code',
+    'string.max': 'Invalid gift card code',
+    'any.required': 'Gift card code is required'
+  })
+}).options({ abortEarly: false });
+
+const adjustSchema = Joi.object({
+  amount: Joi.number().invalid(0).required().messages({
+    'number.base': 'Amount must be a number',
+    'any.invalid': 'Amount cannot be zero',
+    'any.required': 'Amount is required'
+  }),
+  reason: Joi.string().trim().min(3).max(500).required().messages({
+    'any.required': 'Reason is required'
+  }),
+  expiresAt: Joi.date().iso().greater('now').when('amount', {
+    is: Joi.number().greater(0),
+    otherwise: Joi.forbidden()
+  }).messages({
+    'date.greater': 'Expiry date must be in the future',
+    'any.unknown': 'Expiry date is only allowed for credits'
+  })
+}).options({ abortEarly: false });
+
+const giftCardSchema = Joi.object({
+  amount: Joi.number().positive().max(10000).required().messages({
+    'number.base': 'Amount must be a number',
+    'number.positive': 'Amount must be positive',
+    'number.max': 'Amount cannot exceed 10000',
+    'any.required': 'Amount is required'
+  }),
+  expiresAt: Joi.date().iso().greater('now').messages({
+    'date.greater': 'Expiry date must be in the future'
+  }),
+  recipientEmail: Joi.string().email().messages({
+    'string.email': 'Recipient email must be a valid email'
+  }),
+  note: Joi.string().trim().max(255).allow('')
+}).options({ abortEarly: false });
+
+const giftCardUpdateSchema = Joi.object({
+  status: Joi.string().valid('active', 'disabled').messages({
+    'any.only': 'Status must be one of: active, disabled'
+  }),
+  expiresAt: Joi.date().iso().greater('now').allow(null).messages({
+    'date.greater': 'Expiry date must be in the future'
+  }),
+  note: Joi.string().trim().max(255).allow('')
+}).min(1).options({ abortEarly: false });
+
+const giftCardGetSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('active', 'redeemed', 'disabled'),
+  last4: Joi.string().alphanum().length(4),
+  redeemedBy: objectId
+});
+
+module.exports = {
+  transactionGetSchema,
+  redeemSchema,
+  adjustSchema,
+  giftCardSchema,
+  giftCardUpdateSchema,
+  giftCardGetSchema
+};
@@ -0,0 +1,24 @@
+/**
+ * Days store credit from a return stays usable
+ * @returns {number} Days (WALLET_CREDIT_EXPIRY_DAYS, default 365; 0 = never expires)
+ */
+function getCreditExpiryDays() {
+    const days = parseInt(process.env.WALLET_CREDIT_EXPIRY_DAYS, 10);
+    return Number.isFinite(days) && days >= 0 ? days : 365;
+}
+
+/**
+ * Expiry date for store credit issued now
+ * @param {Date} [now] - Issue time
+ * @returns {Date|null} null when credit does not expire
+ */
+function getCreditExpiryDate(now = new Date()) {
+    const days = getCreditExpiryDays();
+    if (days === 0) return null;
+    return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    getCreditExpiryDays,
+    getCreditExpiryDate
+};
@@ -5,6 +5,8 @@ const path = require('path');
 const { app, initializeDatabase } = require('./app');
 const redis = require('./lib/redis');
 const logger = require('./services/logger');
+const subscriptionScheduler = require('./modules/subscriptions/scheduler');
+const orderScheduler = require('./modules/orders/scheduler');
 const mongoose = require('mongoose');
 const port = process.env.PORT || 443;
 
@@ -69,8 +71,13 @@ async function startServer() {
       logger.info(`Secure server running on port ${port} (${process.env.NODE_ENV})`);
     });
 
+    subscriptionScheduler.start();
+    orderScheduler.start();
+
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
+      subscriptionScheduler.stop();
+      orderScheduler.stop();
       server.close(() => {
         redis.client?.quit();
         mongoose.connection.close();
@@ -81,6 +88,8 @@ async function startServer() {
 
     process.on('SIGINT', () => {
       logger.info('SIGINT received. Shutting down gracefully...');
+      subscriptionScheduler.stop();
+      orderScheduler.stop();
       server.close(() => {
         redis.client?.quit();
         mongoose.connection.close();
@@ -0,0 +1,125 @@
+// services/attachmentStorage.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Only formats a browser displays without running anything
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+};
+
+const STORAGE_KEY = /^[0-9a-f-]{36}\.[a-z]+$/;
+
+function attachmentError(message, code) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Files attached to support messages, kept on the local disk under
+ * ATTACHMENT_STORAGE_DIR. Files are stored under a random name; the
+ * original name is only kept in the database.
+ */
+class AttachmentStorage {
+  constructor() {
+    this.directory = path.resolve(process.env.ATTACHMENT_STORAGE_DIR || 'uploads/attachments');
+    this.maxBytes = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 2 * 1024 * 1024;
+    this.allowedTypes = Object.keys(ALLOWED_TYPES);
+  }
+
+  /**
+   * Write a base64 encoded upload to disk
+   * @param {Object} upload - { filename, contentType, data (base64) }
+   * @returns {Promise<Object>} { filename, contentType, size, storageKey }
+   * @throws {Error} ATTACHMENT_TYPE_NOT_ALLOWED, ATTACHMENT_EMPTY or ATTACHMENT_TOO_LARGE (400)
+   */
+  async save({ filename, contentType, data }) {
+    const extension = ALLOWED_TYPES[contentType];
+    if (!extension) {
+      throw attachmentError(`Attachments of type ${contentType} are not allowed`, 'ATTACHMENT_TYPE_NOT_ALLOWED');
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) {
+      throw attachmentError(`Attachment ${filename} is empty`, 'ATTACHMENT_EMPTY');
+    }
+    if (buffer.length > this.maxBytes) {
+      throw attachmentError(`Attachment ${filename} exceeds ${this.maxBytes} bytes`, 'ATTACHMENT_TOO_LARGE');
+    }
+
+    const storageKey = `${crypto.randomUUID()}${extension}`;
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(path.join(this.directory, storageKey), buffer, { flag: 'wx' });
+
+    return {
+      filename: path.basename(filename).slice(0, 255),
+      contentType,
+      size: buffer.length,
+      storageKey
+    };
+  }
+
+  /**
+   * Save several uploads; if one fails, the ones already written are removed
+   * @param {Array} uploads - Uploads as accepted by save()
+   * @returns {Promise<Array>} Stored attachments
+   */
+  async saveAll(uploads = []) {
+    const stored = [];
+    try {
+      for (const upload of uploads) {
+        stored.push(await this.save(upload));
+      }
+      return stored;
+    } catch (err) {
+      await this.removeAll(stored);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete stored files. Never throws - a leftover file only wastes space.
+   * @param {Array} attachments - Attachments with storageKey
+   * @returns {Promise<void>}
+   */
+  async removeAll(attachments = []) {
+    for (const attachment of attachments) {
+      try {
+        await fs.promises.unlink(this.resolve(attachment.storageKey));
+      } catch (err) {
+        logger.error(`Failed to remove attachment ${attachment.storageKey}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Absolute path of a stored file
+   * @param {string} storageKey - Key returned by save()
+   * @returns {string}
+   */
+  resolve(storageKey) {
+    if (!STORAGE_KEY.test(storageKey)) {
+      throw new Error('Invalid attachment storage key');
+    }
+    return path.join(this.directory, storageKey);
+  }
+
+  /**
+   * Stream a stored file
+   * @param {string} storageKey - Key returned by save()
+   * @returns {fs.ReadStream}
+   */
+  createReadStream(storageKey) {
+    return fs.createReadStream(this.resolve(storageKey));
+  }
+}
+
+module.exports = new AttachmentStorage();
@@ -0,0 +1,51 @@
+// services/documentNumbering.js
+const Counter = require('../models/Counter');
+
+// Prefix templates per document type. {YYYY} is replaced with the issue year
+// and each year has its own sequence, so numbering restarts on January 1st.
+const DOCUMENT_TYPES = {
+  order: { env: 'ORDER_NUMBER_PREFIX', defaultPrefix: 'ORD-{YYYY}-' },
+  invoice: { env: 'INVOICE_NUMBER_PREFIX', defaultPrefix: 'INV-{YYYY}-' },
+  credit_note: { env: 'CREDIT_NOTE_NUMBER_PREFIX', defaultPrefix: 'CN-{YYYY}-' },
+  payout: { env: 'PAYOUT_NUMBER_PREFIX', defaultPrefix: 'PO-{YYYY}-' }
+};
+
+const getPadding = () => parseInt(process.env.DOCUMENT_NUMBER_PADDING, 10) || 6;
+
+/**
+ * Build the display number for a sequence value
+ * @param {string} type - order, invoice, credit_note or payout
+ * @param {number} year - Issue year
+ * @param {number} seq - Sequence value
+ * @returns {string} e.g. INV-2026-000042
+ */
+const formatNumber = (type, year, seq) => {
+  const config = DOCUMENT_TYPES[type];
+  const prefix = (process.env[config.env] || config.defaultPrefix).replace(/\{YYYY\}/g, year);
+  return `${prefix}${String(seq).padStart(getPadding(), '0')}`;
+};
+
+/**
+ * Allocate the next number for a document type. Call it inside the same
+ * transaction that stores the document so an abort leaves no gap.
+ * @param {string} type - order, invoice, credit_note or payout
+ * @param {Object} [options]
+ * @param {ClientSession} [options.session] - MongoDB session for transactional writes
+ * @param {Date} [options.date] - Issue date, defaults to now
+ * @returns {Promise<string>} Formatted document number
+ */
+const nextNumber = async (type, options = {}) => {
+  if (!DOCUMENT_TYPES[type]) {
+    throw new Error(`Unknown document type: ${type}`);
+  }
+
+  const year = (options.date || new Date()).getUTCFullYear();
+  const seq = await Counter.next(`${type}:${year}`, { session: options.session });
+  return formatNumber(type, year, seq);
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  formatNumber,
+  nextNumber
+};
@@ -0,0 +1,217 @@
+// services/inventoryReservation.js
+const crypto = require('crypto');
+const redis = require('../lib/redis');
+const logger = require('./logger');
+
+const KEY_PREFIX = 'reservation';
+const PRODUCT_KEY = productId => `${KEY_PREFIX}:product:${productId}`;
+const RECORD_KEY = reservationId => `${KEY_PREFIX}:hold:${reservationId}`;
+const INDEX_KEY = `${KEY_PREFIX}:index`;
+
+// Each product key is a sorted set of "<reservationId>|<quantity>" members
+// scored by expiry time (ms), so expired holds can be pruned by score.
+
+// KEYS: product keys..., index key, record key
+// ARGV: now, expiresAt, reservationId, ttlMs, record, then (stock, quantity) per product
+const RESERVE_SCRIPT = `
+local n = #KEYS - 2
+local now = tonumber(ARGV[1])
+local shortages = {}
+for i = 1, n do
+  redis.call('ZREMRANGEBYSCORE', KEYS[i], '-inf', now)
+  local reserved = 0
+  for _, member in ipairs(redis.call('ZRANGE', KEYS[i], 0, -1)) do
+    reserved = reserved + tonumber(string.match(member, '|(%d+)$'))
+  end
+  local stock = tonumber(ARGV[4 + 2 * i])
+  local quantity = tonumber(ARGV[5 + 2 * i])
+  if stock - reserved < quantity then
+    table.insert(shortages, i)
+    table.insert(shortages, stock - reserved)
+  end
+end
+if #shortages > 0 then
+  return shortages
+end
+for i = 1, n do
+  redis.call('ZADD', KEYS[i], ARGV[2], ARGV[3] .. '|' .. ARGV[5 + 2 * i])
+  redis.call('PEXPIREAT', KEYS[i], ARGV[2])
+end
+redis.call('ZADD', KEYS[n + 1], ARGV[2], ARGV[3])
+redis.call('SET', KEYS[n + 2], ARGV[5], 'PX', ARGV[4])
+return {}
+`;
+
+// KEYS: product keys..., index key, record key
+// ARGV: reservationId, then quantity per product
+const RELEASE_SCRIPT = `
+local n = #KEYS - 2
+for i = 1, n do
+  redis.call('ZREM', KEYS[i], ARGV[1] .. '|' .. ARGV[1 + i])
+end
+redis.call('ZREM', KEYS[n + 1], ARGV[1])
+return redis.call('DEL', KEYS[n + 2])
+`;
+
+// KEYS: product keys...
+// ARGV: now
+const RESERVED_SCRIPT = `
+local now = tonumber(ARGV[1])
+local totals = {}
+for i = 1, #KEYS do
+  redis.call('ZREMRANGEBYSCORE', KEYS[i], '-inf', now)
+  local reserved = 0
+  for _, member in ipairs(redis.call('ZRANGE', KEYS[i], 0, -1)) do
+    reserved = reserved + tonumber(string.match(member, '|(%d+)$'))
+  end
+  totals[i] = reserved
+end
+return totals
+`;
+
+// KEYS: index key
+// ARGV: now, record key prefix
+const LIST_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', tonumber(ARGV[1]))
+local ids = redis.call('ZRANGE', KEYS[1], 0, -1)
+local records = {}
+for i, id in ipairs(ids) do
+  records[i] = redis.call('GET', ARGV[2] .. id) or ''
+end
+return records
+`;
+
+class InventoryReservation {
+  constructor() {
+    this.ttlSeconds = parseInt(process.env.INVENTORY_RESERVATION_TTL, 10) || 600;
+  }
+
+  /**
+   * Merge duplicate product lines (e.g. same product in two sizes)
+   * @param {Array} items - Items with idProduct and quantity
+   * @returns {Array<{productId: string, quantity: number}>}
+   */
+  aggregateItems(items) {
+    const totals = new Map();
+    for (const item of items) {
+      const productId = (item.idProduct?._id || item.idProduct).toString();
+      totals.set(productId, (totals.get(productId) || 0) + item.quantity);
+    }
+    return [...totals].map(([productId, quantity]) => ({ productId, quantity }));
+  }
+
+  /**
+   * Place a hold on stock for the given items. All-or-nothing.
+   * @param {Array} items - Items with idProduct and quantity
+   * @param {Map<string, number>} stockByProduct - Current stockQuantity per product ID
+   * @param {Object} [context] - Extra data stored with the hold (userId, etc.)
+   * @returns {Promise<Object>} The reservation record
+   * @throws {Error} INSUFFICIENT_STOCK with shortages when a hold cannot be placed
+   */
+  async reserve(items, stockByProduct, context = {}) {
+    const lines = this.aggregateItems(items);
+    const now = Date.now();
+    const reservation = {
+      id: crypto.randomUUID(),
+      userId: context.userId ? context.userId.toString() : null,
+      items: lines,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.ttlSeconds * 1000).toISOString()
+    };
+
+    const keys = [...lines.map(line => PRODUCT_KEY(line.productId)), INDEX_KEY, RECORD_KEY(reservation.id)];
+    const args = [
+      now,
+      now + this.ttlSeconds * 1000,
+      reservation.id,
+      this.ttlSeconds * 1000,
+      JSON.stringify(reservation),
+      ...lines.flatMap(line => [stockByProduct.get(line.productId) || 0, line.quantity])
+    ];
+
+    const result = await redis.eval(RESERVE_SCRIPT, keys, args);
+
+    if (result.length > 0) {
+      const shortages = [];
+      for (let i = 0; i < result.length; i += 2) {
+        const line = lines[result[i] - 1];
+        shortages.push({
+          productId: line.productId,
+          requested: line.quantity,
+          available: Math.max(0, result[i + 1])
+        });
+      }
+
+      const err = new Error('Insufficient stock for one or more items');
+      err.statusCode = 409;
+      err.code = 'INSUFFICIENT_STOCK';
+      err.shortages = shortages;
+      throw err;
+    }
+
+    logger.info(`Reserved stock ${reservation.id} for ${lines.length} products until ${reservation.expiresAt}`);
+    return reservation;
+  }
+
+  /**
+   * Drop a hold once its stock has been permanently decremented
+   * @param {Object} reservation - Record returned by reserve()
+   * @returns {Promise<void>}
+   */
+  async commit(reservation) {
+    await this.clear(reservation);
+    logger.info(`Reservation ${reservation.id} committed`);
+  }
+
+  /**
+   * Give held stock back after a failed checkout. Never throws - an
+   * unreleased hold still lapses on its own when the TTL runs out.
+   * @param {Object} reservation - Record returned by reserve()
+   * @returns {Promise<void>}
+   */
+  async release(reservation) {
+    try {
+      await this.clear(reservation);
+      logger.info(`Reservation ${reservation.id} released`);
+    } catch (err) {
+      logger.error(`Failed to release reservation ${reservation.id}, it will expire at ${reservation.expiresAt}: ${err.message}`);
+    }
+  }
+
+  async clear(reservation) {
+    const keys = [...reservation.items.map(line => PRODUCT_KEY(line.productId)), INDEX_KEY, RECORD_KEY(reservation.id)];
+    const args = [reservation.id, ...reservation.items.map(line => line.quantity)];
+    await redis.eval(RELEASE_SCRIPT, keys, args);
+  }
+
+  /**
+   * Get quantities currently held per product
+   * @param {Array} productIds - Product IDs
+   * @returns {Promise<Map<string, number>>} Held quantity per product ID
+   */
+  async getReservedQuantities(productIds) {
+    const ids = [...new Set(productIds.map(id => id.toString()))];
+    if (ids.length === 0) return new Map();
+
+    const totals = await redis.eval(RESERVED_SCRIPT, ids.map(PRODUCT_KEY), [Date.now()]);
+    return new Map(ids.map((id, i) => [id, totals[i] || 0]));
+  }
+
+  /**
+   * List active holds, optionally only those touching one product
+   * @param {Object} [filter]
+   * @param {string} [filter.productId] - Only holds containing this product
+   * @returns {Promise<Array>} Reservation records
+   */
+  async listReservations(filter = {}) {
+    const records = await redis.eval(LIST_SCRIPT, [INDEX_KEY], [Date.now(), `${KEY_PREFIX}:hold:`]);
+
+    return records
+      .filter(Boolean)
+      .map(record => JSON.parse(record))
+      .filter(reservation => !filter.productId ||
+        reservation.items.some(line => line.productId === filter.productId.toString()));
+  }
+}
+
+module.exports = new InventoryReservation();
@@ -0,0 +1,133 @@
+// services/invoicePdf.js
+const PDFDocument = require('pdfkit');
+const { formatMoney } = require('../modules/currency/service');
+
+const TITLES = {
+  invoice: 'INVOICE',
+  credit_note: 'CREDIT NOTE'
+};
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+
+const formatAddress = address => {
+  if (!address) return [];
+  return [
+    address.street,
+    [address.postalCode, address.city].filter(Boolean).join(' '),
+    [address.state, address.country].filter(Boolean).join(', ')
+  ].filter(Boolean);
+};
+
+/**
+ * Render an invoice or credit note as a PDF.
+ * The returned document is a readable stream and has already been ended,
+ * so it can be piped straight to a response.
+ * @param {Object} invoice - Invoice document (lean or hydrated)
+ * @returns {PDFDocument} PDF stream
+ */
+const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const currency = invoice.currency;
+  const sign = invoice.type === 'credit_note' ? -1 : 1;
+  const money = amount => formatMoney(sign * amount, currency);
+
+  doc.info.Title = `${TITLES[invoice.type]} ${invoice.number}`;
+
+  // Header
+  doc.fontSize(20).font('Helvetica-Bold').text(TITLES[invoice.type], 50, 50);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Number: ${invoice.number}`, 350, 50, { align: 'right' })
+    .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+    .text(`Order: ${invoice.orderNumber}`, { align: 'right' });
+
+  if (invoice.relatedInvoiceNumber) {
+    doc.text(`Credits invoice: ${invoice.relatedInvoiceNumber}`, { align: 'right' });
+  }
+
+  // Seller / buyer
+  const partiesTop = 130;
+  doc.font('Helvetica-Bold').text('From', 50, partiesTop);
+  doc.font('Helvetica').text([
+    invoice.seller?.name,
+    ...(invoice.seller?.address || []),
+    invoice.seller?.taxId && `Tax ID: ${invoice.seller.taxId}`,
+    invoice.seller?.email
+  ].filter(Boolean).join('\n'), 50, partiesTop + 15, { width: 230 });
+
+  doc.font('Helvetica-Bold').text('Bill to', 310, partiesTop);
+  doc.font('Helvetica').text([
+    invoice.buyer?.name,
+    ...formatAddress(invoice.buyer?.address),
+    invoice.buyer?.email
+  ].filter(Boolean).join('\n'), 310, partiesTop + 15, { width: 230 });
+
+  // Line items
+  const columns = { description: 50, quantity: 260, unitPrice: 305, taxRate: 390, total: 470 };
+  let y = 250;
+
+  doc.font('Helvetica-Bold')
+    .text('Description', columns.description, y)
+    .text('Qty', columns.quantity, y, { width: 40, align: 'right' })
+    .text('Unit price', columns.unitPrice, y, { width: 80, align: 'right' })
+    .text('Tax', columns.taxRate, y, { width: 60, align: 'right' })
+    .text('Amount', columns.total, y, { width: 75, align: 'right' });
+  y += 15;
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 8;
+
+  doc.font('Helvetica');
+  for (const line of invoice.lines) {
+    const rowHeight = Math.max(doc.heightOfString(line.description, { width: 200 }), 12) + 6;
+    if (y + rowHeight > doc.page.height - 150) {
+      doc.addPage();
+      y = 50;
+    }
+
+    doc.text(line.description, columns.description, y, { width: 200 })
+      .text(String(line.quantity), columns.quantity, y, { width: 40, align: 'right' })
+      .text(money(line.unitPrice), columns.unitPrice, y, { width: 80, align: 'right' })
+      .text(line.taxRate ? `${line.taxRate}%` : '-', columns.taxRate, y, { width: 60, align: 'right' })
+      .text(money(line.total), columns.total, y, { width: 75, align: 'right' });
+    y += rowHeight;
+  }
+
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 10;
+
+  // Totals
+  const totals = [
+    ['Subtotal', invoice.subtotal],
+    invoice.discount > 0 && ['Discount', -invoice.discount],
+    ['Shipping', invoice.shippingCost],
+    [invoice.pricesIncludeTax ? 'Tax (included)' : 'Tax', invoice.tax]
+  ].filter(Boolean);
+
+  for (const [label, amount] of totals) {
+    doc.text(label, columns.unitPrice, y, { width: 145, align: 'right' })
+      .text(money(amount), columns.total, y, { width: 75, align: 'right' });
+    y += 15;
+  }
+
+  doc.font('Helvetica-Bold')
+    .text('Total', columns.unitPrice, y, { width: 145, align: 'right' })
+    .text(money(invoice.total), columns.total, y, { width: 75, align: 'right' });
+
+  if (invoice.presentment?.currency) {
+    y += 20;
+    doc.font('Helvetica')
+      .text(
+        `Charged ${formatMoney(sign * invoice.presentment.total, invoice.presentment.currency)} ` +
+        `at 1 ${currency} = ${invoice.presentment.exchangeRate} ${invoice.presentment.currency}`,
+        50, y, { width: 495, align: 'right' }
+      );
+  }
+
+  if (invoice.reason) {
+    doc.font('Helvetica').text(`Reason: ${invoice.reason}`, 50, y + 30, { width: 495 });
+  }
+
+  doc.end();
+  return doc;
+};
+
+module.exports = { renderInvoicePdf };
@@ -2,6 +2,54 @@ const nodemailer = require('nodemailer');
 const logger = require('./logger');
 const crypto = require('crypto');
 
+/**
+ * Create a transporter from the MAIL_* settings and check the connection
+ * @returns {Promise<Object>} Verified nodemailer transporter
+ * @throws {Error} When the configuration is missing or the server rejects it
+ */
+async function createTransporter() {
+    // Validate required environment variables
+    const requiredEnvVars = [
+        'MAIL_HOST',
+        'MAIL_PORT',
+        'MAIL_SECURE',
+        'MAIL_USERNAME',
+        'MAIL_PASSWORD'
+    ];
+    
+    const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+    if (missingVars.length > 0) {
+        throw new Error(`Missing required email configuration: ${missingVars.join(', ')}`);
+    }
+
+    // Parse and validate mail configuration
+    const mailConfig = {
+        host: process.env.MAIL_HOST.trim(),
+        port: parseInt(process.env.MAIL_PORT),
+        secure: process.env.MAIL_SECURE.toLowerCase() === 'true',
+        auth: {
+            user: process.env.MAIL_USERNAME.trim(),
+            pass: process.env.MAIL_PASSWORD.trim()
+        }
+    };
+
+    if (isNaN(mailConfig.port)) {
+        throw new Error('Invalid MAIL_PORT: must be a number');
+    }
+
+    const transporter = nodemailer.createTransport(mailConfig);
+
+    // Verify transporter configuration
+    try {
+        await transporter.verify();
+        logger.info('Email transporter verified successfully');
+    } catch (verifyError) {
+        throw new Error(`Email transporter verification failed: ${verifyError.message}`);
+    }
+
+    return transporter;
+}
+
 async function sendVerificationEmail(email, code) {
     /**
      * Synchronous and context-safe email sending function
@@ -11,50 +59,12 @@ async function sendVerificationEmail(email, code) {
      * @throws {Error} - Throws error if email fails to send or if configuration is invalid
      */
     try {
-        // Validate required environment variables
-        const requiredEnvVars = [
-            'MAIL_HOST',
-            'MAIL_PORT',
-            'MAIL_SECURE',
-            'MAIL_USERNAME',
-            'MAIL_PASSWORD'
-        ];
-        
-        const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
-        if (missingVars.length > 0) {
-            throw new Error(`Missing required email configuration: ${missingVars.join(', ')}`);
-        }
-
-        // Parse and validate mail configuration
-        const mailConfig = {
-            host: process.env.MAIL_HOST.trim(),
-            port: parseInt(process.env.MAIL_PORT),
-            secure: process.env.MAIL_SECURE.toLowerCase() === 'true',
-            auth: {
-                user: process.env.MAIL_USERNAME.trim(),
-                pass: process.env.MAIL_PASSWORD.trim()
-            }
-        };
-
-        if (isNaN(mailConfig.port)) {
-            throw new Error('Invalid MAIL_PORT: must be a number');
-        }
-
         // Validate email parameters
         if (!email || !code) {
             throw new Error('Both email and code parameters are required');
         }
 
-        // 2. Create reusable transporter object
-        const transporter = nodemailer.createTransport(mailConfig);
-
-        // Verify transporter configuration
-        try {
-            await transporter.verify();
-            logger.info('Email transporter verified successfully');
-        } catch (verifyError) {
-            throw new Error(`Email transporter verification failed: ${verifyError.message}`);
-        }
+        const transporter = await createTransporter();
         
         // 3. Create premium HTML email template
         const htmlContent = `
@@ -245,6 +255,194 @@ async function sendVerificationEmail(email, code) {
     }
 }
 
+/**
+ * Warn a customer that an unpaid order is about to be cancelled
+ * @param {string} email - Recipient email address
+ * @param {Object} order
+ * @param {string} [order.name] - Customer name for the greeting
+ * @param {string} order.orderNumber - Order number, or the order ID before one is issued
+ * @param {string} order.amount - Amount due, formatted with its currency
+ * @param {Date} order.expiresAt - When the order is cancelled if still unpaid
+ * @returns {Promise<boolean>} - Returns true if email was sent successfully
+ * @throws {Error} - Throws error if email fails to send or if configuration is invalid
+ */
+async function sendPaymentReminderEmail(email, { name, orderNumber, amount, expiresAt }) {
+    try {
+        if (!email || !orderNumber) {
+            throw new Error('Both email and order number are required');
+        }
+
+        const transporter = await createTransporter();
+        const deadline = new Date(expiresAt).toUTCString();
+
+        const htmlContent = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Payment pending for order ${orderNumber}</title>
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; color: #1a1a1a; background-color: #f9fafb; margin: 0; padding: 40px 20px;">
+            <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 16px; padding: 48px;">
+                <h1 style="font-size: 20px; font-weight: 600; margin-top: 0;">Your order is waiting for payment</h1>
+                <p style="font-size: 16px; color: #4b5563; line-height: 1.7;">
+                    ${name ? `Hello ${name},` : 'Hello,'}<br>
+                    we have not received the payment of <strong>${amount}</strong> for order <strong>${orderNumber}</strong> yet.
+                </p>
+                <p style="font-size: 16px; color: #4b5563; line-height: 1.7;">
+                    If the payment does not arrive by <strong>${deadline}</strong>, the order will be cancelled
+                    and the reserved items released. If you have already paid, you can ignore this email.
+                </p>
+            </div>
+            <p style="text-align: center; font-size: 13px; color: #9ca3af;">This is an automated message - please do not reply directly to this email.</p>
+        </body>
+        </html>
+        `;
+
+        const mailOptions = {
+            from: process.env.MAIL_FROM_ADDRESS?.trim() || 'no-reply@medchainpro.com',
+            to: email.trim(),
+            subject: `Payment pending for order ${orderNumber}`,
+            html: htmlContent
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        logger.info(`Payment reminder for order ${orderNumber} sent to ${email} with message ID: ${info.messageId}`);
+
+        return true;
+
+    } catch (error) {
+        logger.error(`Failed to send payment reminder: ${error.message}`, { stack: error.stack });
+        throw error;
+    }
+}
+
+/**
+ * Tell the other party of a support conversation that a message was posted
+ * @param {string} email - Recipient email address
+ * @param {Object} message
+ * @param {string} [message.name] - Recipient name for the greeting
+ * @param {string} message.subject - What the conversation is about, e.g. "order ORD-2026-000042"
+ * @param {string} message.sender - Who wrote the message
+ * @param {string} message.preview - Start of the message
+ * @returns {Promise<boolean>} - Returns true if email was sent successfully
+ * @throws {Error} - Throws error if email fails to send or if configuration is invalid
+ */
+async function sendMessageNotificationEmail(email, { name, subject, sender, preview }) {
+    try {
+        if (!email || !subject) {
+            throw new Error('Both email and subject are required');
+        }
+
+        const transporter = await createTransporter();
+        const escape = text => String(text || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+        const htmlContent = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>New message about ${escape(subject)}</title>
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; color: #1a1a1a; background-color: #f9fafb; margin: 0; padding: 40px 20px;">
+            <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 16px; padding: 48px;">
+                <h1 style="font-size: 20px; font-weight: 600; margin-top: 0;">New message about ${escape(subject)}</h1>
+                <p style="font-size: 16px; color: #4b5563; line-height: 1.7;">
+                    ${name ? `Hello ${escape(name)},` : 'Hello,'}<br>
+                    ${escape(sender)} wrote:
+                </p>
+                <blockquote style="font-size: 16px; color: #111827; line-height: 1.7; border-left: 3px solid #4f46e5; margin: 0; padding-left: 16px; white-space: pre-line;">${escape(preview)}</blockquote>
+                <p style="font-size: 14px; color: #6b7280;">Sign in to read the whole conversation and reply.</p>
+            </div>
+            <p style="text-align: center; font-size: 13px; color: #9ca3af;">This is an automated message - please do not reply directly to this email.</p>
+        </body>
+        </html>
+        `;
+
+        const mailOptions = {
+            from: process.env.MAIL_FROM_ADDRESS?.trim() || 'no-reply@medchainpro.com',
+            to: email.trim(),
+            subject: `New message about ${subject}`,
+            html: htmlContent
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        logger.info(`Message notification about ${subject} sent to ${email} with message ID: ${info.messageId}`);
+
+        return true;
+
+    } catch (error) {
+        logger.error(`Failed to send message notification: ${error.message}`, { stack: error.stack });
+        throw error;
+    }
+}
+
+/**
+ * Confirm a guest order and send the link the guest can follow it with
+ * @param {string} email - Recipient email address
+ * @param {Object} order
+ * @param {string} order.orderNumber - Order number, or the order ID before one is issued
+ * @param {string} order.amount - Amount paid, formatted with its currency
+ * @param {string} order.lookupUrl - Signed link to the order
+ * @returns {Promise<boolean>} - Returns true if email was sent successfully
+ * @throws {Error} - Throws error if email fails to send or if configuration is invalid
+ */
+async function sendGuestOrderEmail(email, { orderNumber, amount, lookupUrl }) {
+    try {
+        if (!email || !lookupUrl) {
+            throw new Error('Both email and lookup link are required');
+        }
+
+        const transporter = await createTransporter();
+
+        const htmlContent = `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Order ${orderNumber} confirmed</title>
+        </head>
+        <body style="font-family: -apple-system, BlinkMacSystemFont, sans-serif; color: #1a1a1a; background-color: #f9fafb; margin: 0; padding: 40px 20px;">
+            <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; border: 1px solid #e5e7eb; border-radius: 16px; padding: 48px;">
+                <h1 style="font-size: 20px; font-weight: 600; margin-top: 0;">Thank you for your order</h1>
+                <p style="font-size: 16px; color: #4b5563; line-height: 1.7;">
+                    Hello,<br>
+                    we have received your payment of <strong>${amount}</strong> for order <strong>${orderNumber}</strong>.
+                </p>
+                <p style="text-align: center; margin: 32px 0;">
+                    <a href="${lookupUrl}" style="background-color: #4f46e5; color: #ffffff; text-decoration: none; padding: 12px 24px; border-radius: 8px; font-weight: 600;">View your order</a>
+                </p>
+                <p style="font-size: 14px; color: #6b7280;">
+                    Keep this email: the link is how you follow the order. Create an account with this email address
+                    to see the order with the rest of your purchases.
+                </p>
+            </div>
+            <p style="text-align: center; font-size: 13px; color: #9ca3af;">This is an automated message - please do not reply directly to this email.</p>
+        </body>
+        </html>
+        `;
+
+        const mailOptions = {
+            from: process.env.MAIL_FROM_ADDRESS?.trim() || 'no-reply@medchainpro.com',
+            to: email.trim(),
+            subject: `Order ${orderNumber} confirmed`,
+            html: htmlContent
+        };
+
+        const info = await transporter.sendMail(mailOptions);
+        logger.info(`Guest order confirmation for order ${orderNumber} sent to ${email} with message ID: ${info.messageId}`);
+
+        return true;
+
+    } catch (error) {
+        logger.error(`Failed to send guest order confirmation: ${error.message}`, { stack: error.stack });
+        throw error;
+    }
+}
+
 function createVerificationToken() {
     const verificationToken = crypto.randomBytes(32).toString('hex'); 
     logger.info(`Email verification token created`);
@@ -283,6 +481,9 @@ function createChallenge(options = {}) {
 
 module.exports = { 
     sendVerificationEmail, 
+    sendPaymentReminderEmail, 
+    sendMessageNotificationEmail, 
+    sendGuestOrderEmail, 
     createVerificationToken, 
     createChallenge 
 };
\ No newline at end of file